@@ -0,0 +1,189 @@
+/**
+ * Ultra Bingo - DynamoDB storage adapter
+ * Implements the shared repository interface (shared/storage/repository.js)
+ * on the single-table operations of dynamodb.js. The Lambda backend has a
+ * single game at a time, so roomId arguments are ignored.
+ */
+
+import {
+  getCurrentGame,
+  getGameById,
+  updateGame,
+  getCardById,
+  getAvailableCards,
+  getPurchasedCards,
+  reserveCards,
+  releaseReservation,
+  releaseExpiredReservations,
+  confirmPurchase,
+  markCardAsWon,
+  reEnableWonCards,
+  getUserById,
+  getUserByWallet,
+  incrementUserStats,
+  createWinner,
+  getRecentWinners,
+  getWinnersByWallet,
+  saveConnection,
+  getConnection,
+  deleteConnection,
+  scanAllConnections,
+} from './dynamodb.js';
+import { assertRepository } from '../../../shared/storage/repository.js';
+
+const ACTIVE_GAME_STATUSES = ['waiting', 'playing', 'paused'];
+
+// Strip table keys (PK/SK/GSI*/entityType) from an item
+function toPlain(item) {
+  if (!item) return null;
+  const { PK, SK, GSI1PK, GSI1SK, GSI2PK, GSI2SK, entityType, ...rest } = item;
+  return rest;
+}
+
+function toCard(item) {
+  if (!item) return null;
+  return {
+    cardId: item.cardId,
+    numbers: item.numbers,
+    hash: item.hash || null,
+    createdAt: item.createdAt,
+    status: item.status,
+    roomId: null,
+    gameId: item.gameId || null,
+    owner: item.owner || null,
+    ownerUsername: item.ownerUsername || null,
+    ownerWallet: item.ownerWallet || null,
+    pricePaid: item.pricePaid ?? null,
+    purchaseTxHash: item.purchaseTxHash || null,
+    purchasedAt: item.purchasedAt || null,
+    expiresAt: item.expiresAt || null,
+    reservedBy: item.reservedBy || null,
+    reservationExpiresAt: item.reservationExpiresAt || null,
+  };
+}
+
+/**
+ * Create the DynamoDB repository
+ * @returns {Object} Repository
+ */
+export function createDynamoRepository() {
+  const repository = {
+    games: {
+      async getActive() {
+        const game = await getCurrentGame();
+        return game && ACTIVE_GAME_STATUSES.includes(game.status) ? toPlain(game) : null;
+      },
+
+      async getById(gameId) {
+        return toPlain(await getGameById(gameId));
+      },
+
+      async update(gameId, fields) {
+        return toPlain(await updateGame(gameId, fields));
+      },
+    },
+
+    cards: {
+      async getById(cardId) {
+        return toCard(await getCardById(cardId));
+      },
+
+      async getAvailable(limit = 50) {
+        return (await getAvailableCards(limit)).map(toCard);
+      },
+
+      async listPurchased() {
+        return (await getPurchasedCards()).map(toCard);
+      },
+
+      async reserve(cardIds, userId, ttlMinutes = 5) {
+        return reserveCards(cardIds, userId, ttlMinutes);
+      },
+
+      async releaseReservation(cardIds, userId) {
+        await releaseReservation(cardIds, userId);
+      },
+
+      async releaseExpiredReservations() {
+        return releaseExpiredReservations();
+      },
+
+      async confirmPurchase(cardIds, userId, purchase = {}) {
+        const confirmedIds = await confirmPurchase(
+          cardIds,
+          userId,
+          purchase.wallet,
+          purchase.txHash,
+          purchase.pricePerCard,
+          purchase.username
+        );
+        const cards = [];
+        for (const cardId of confirmedIds) {
+          const card = await getCardById(cardId);
+          if (card) cards.push(toCard(card));
+        }
+        return cards;
+      },
+
+      async markWon(cardId) {
+        return markCardAsWon(cardId);
+      },
+
+      async reEnableWon() {
+        return reEnableWonCards();
+      },
+    },
+
+    users: {
+      async getById(odId) {
+        return toPlain(await getUserById(odId));
+      },
+
+      async getByWallet(wallet) {
+        return toPlain(await getUserByWallet(wallet));
+      },
+
+      async incrementStats(odId, field, amount = 1) {
+        await incrementUserStats(odId, field, amount);
+      },
+    },
+
+    winners: {
+      async create(winner) {
+        return toPlain(await createWinner(winner));
+      },
+
+      async listRecent(limit = 10) {
+        return (await getRecentWinners(limit)).map(toPlain);
+      },
+
+      async listByWallet(wallet, limit = 10) {
+        return (await getWinnersByWallet(wallet, limit)).map(toPlain);
+      },
+    },
+
+    connections: {
+      async save(connectionId, data = {}) {
+        await saveConnection(connectionId, data);
+      },
+
+      async get(connectionId) {
+        return getConnection(connectionId);
+      },
+
+      async delete(connectionId) {
+        await deleteConnection(connectionId);
+      },
+
+      async list() {
+        return scanAllConnections();
+      },
+    },
+  };
+
+  return assertRepository(repository, 'dynamo repository');
+}
+
+export default {
+  createDynamoRepository,
+};
@@ -11,8 +11,12 @@
  * - CARD_BY_OWNER: PK=USER#{odId}       SK=CARD#{cardId}
  * - GAME:      PK=GAME#{gameId}         SK=STATE
  * - GAME_CURRENT: PK=GAME#CURRENT       SK=ACTIVE
- * - WINNER:    PK=WINNER#{odId}         SK=GAME#{gameId}#{timestamp}
+ * - WINNER:    PK=WINNER#{odId}         SK=GAME#{gameId}#{timestamp}#{cardId}
+ * - PATTERN:   PK=PATTERN#{key}         SK=DEFINITION
+ * - AUDIT:     PK=AUDIT#{seq}           SK=ENTRY
+ * - AUDIT_HEAD: PK=AUDIT#HEAD           SK=CHAIN
  * - CONFIG:    PK=CONFIG                SK=GLOBAL
+ * - AUTH_NONCE: PK=AUTHNONCE#{nonce}    SK=NONCE
  *
  * GSI1 (wallet lookups):
  * - GSI1PK=WALLET#{wallet}  GSI1SK=varies
@@ -379,6 +383,60 @@ export async function releaseReservation(cardIds, userId) {
   }
 }
 
+/**
+ * Release every reservation whose TTL has passed (abandoned payments)
+ * Returns number of cards made available again
+ */
+export async function releaseExpiredReservations() {
+  const now = new Date().toISOString();
+
+  const result = await dynamodb.send(new QueryCommand({
+    TableName: TABLES.MAIN,
+    IndexName: INDEXES.GSI2,
+    KeyConditionExpression: 'GSI2PK = :status',
+    FilterExpression: 'reservationExpiresAt < :now',
+    ExpressionAttributeValues: {
+      ':status': 'STATUS#reserved',
+      ':now': now,
+    },
+  }));
+
+  let released = 0;
+  for (const card of result.Items || []) {
+    try {
+      // Condition re-checks the expiry in case the card was confirmed meanwhile
+      await dynamodb.send(new UpdateCommand({
+        TableName: TABLES.MAIN,
+        Key: { PK: `CARD#${card.cardId}`, SK: 'METADATA' },
+        UpdateExpression: `
+          SET #status = :available,
+              GSI2PK = :newStatus,
+              GSI2SK = createdAt
+          REMOVE reservedBy, reservedAt, reservationExpiresAt
+        `,
+        ConditionExpression: '#status = :reserved AND reservationExpiresAt < :now',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':available': 'available',
+          ':reserved': 'reserved',
+          ':now': now,
+          ':newStatus': 'STATUS#available',
+        },
+      }));
+      released++;
+    } catch (err) {
+      if (err.name !== 'ConditionalCheckFailedException') {
+        console.error(`Error releasing expired reservation ${card.cardId}:`, err);
+      }
+    }
+  }
+
+  if (released > 0) {
+    console.log(`Released ${released} expired reservations`);
+  }
+  return released;
+}
+
 /**
  * Confirm reservation as purchase - using transaction for atomicity
  * Creates both the card update and the user-card association
@@ -467,26 +525,37 @@ export async function confirmPurchase(cardIds, userId, wallet, txHash, pricePerC
 
 /**
  * Mark card as won (disabled) - used when rejecting a potential winner
+ * Only purchased cards can be disabled; returns whether the card was updated
  */
 export async function markCardAsWon(cardId) {
   const now = new Date().toISOString();
 
-  await dynamodb.send(new UpdateCommand({
-    TableName: TABLES.MAIN,
-    Key: { PK: `CARD#${cardId}`, SK: 'METADATA' },
-    UpdateExpression: `
-      SET #status = :won,
-          GSI2PK = :newStatus,
-          GSI2SK = :now,
-          disabledAt = :now
-    `,
-    ExpressionAttributeNames: { '#status': 'status' },
-    ExpressionAttributeValues: {
-      ':won': 'won',
-      ':newStatus': 'STATUS#won',
-      ':now': now,
-    },
-  }));
+  try {
+    await dynamodb.send(new UpdateCommand({
+      TableName: TABLES.MAIN,
+      Key: { PK: `CARD#${cardId}`, SK: 'METADATA' },
+      UpdateExpression: `
+        SET #status = :won,
+            GSI2PK = :newStatus,
+            GSI2SK = :now,
+            disabledAt = :now
+      `,
+      ConditionExpression: '#status = :purchased',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':won': 'won',
+        ':purchased': 'purchased',
+        ':newStatus': 'STATUS#won',
+        ':now': now,
+      },
+    }));
+    return true;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw err;
+  }
 }
 
 /**
@@ -555,7 +624,8 @@ export async function createGame(gameId, gameMode = 'fullCard') {
     gameMode: gameMode,
     calledNumbers: [],
     currentNumber: null,
-    winner: null,
+    winners: [],
+    potentialWinners: [],
     prizePool: '0',
     cardsSold: 0,
     startedAt: null,
@@ -683,7 +753,8 @@ export async function createWinner(winner) {
 
   const item = {
     PK: `WINNER#${winner.odId}`,
-    SK: `GAME#${winner.gameId}#${now}`,
+    // cardId keeps simultaneous wins by the same player in one game distinct
+    SK: `GAME#${winner.gameId}#${now}#${winner.cardId}`,
     entityType: 'WINNER',
     winnerId: winnerId,
     gameId: winner.gameId,
@@ -695,6 +766,7 @@ export async function createWinner(winner) {
     patternName: winner.patternName,
     prizeAmount: winner.prizeAmount || '0',
     prizeToken: 'USDC',
+    winnersInGame: winner.winnersInGame || 1,
     totalCalledNumbers: winner.totalCalledNumbers,
     totalCards: winner.totalCards || 0,
     wonAt: now,
@@ -745,6 +817,427 @@ export async function getWinnersByWallet(wallet, limit = 10) {
   return result.Items || [];
 }
 
+// ============================================================================
+// PATTERN Operations (admin-defined winning patterns)
+// ============================================================================
+
+export async function getPattern(key) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLES.MAIN,
+    Key: { PK: `PATTERN#${key}`, SK: 'DEFINITION' },
+  }));
+  return result.Item || null;
+}
+
+export async function getAllPatterns() {
+  const result = await dynamodb.send(new QueryCommand({
+    TableName: TABLES.MAIN,
+    IndexName: INDEXES.GSI2,
+    KeyConditionExpression: 'GSI2PK = :pk',
+    ExpressionAttributeValues: {
+      ':pk': 'PATTERNS#ALL',
+    },
+  }));
+  return result.Items || [];
+}
+
+export async function savePattern(pattern) {
+  const now = new Date().toISOString();
+
+  const item = {
+    PK: `PATTERN#${pattern.key}`,
+    SK: 'DEFINITION',
+    entityType: 'PATTERN',
+    key: pattern.key,
+    name: pattern.name,
+    description: pattern.description || '',
+    masks: pattern.masks,
+    anyRotation: pattern.anyRotation || false,
+    active: pattern.active !== false,
+    createdBy: pattern.createdBy || null,
+    createdAt: pattern.createdAt || now,
+    updatedAt: now,
+    // GSI2 for listing patterns
+    GSI2PK: 'PATTERNS#ALL',
+    GSI2SK: pattern.key,
+  };
+
+  await dynamodb.send(new PutCommand({
+    TableName: TABLES.MAIN,
+    Item: item,
+  }));
+
+  return item;
+}
+
+export async function deletePattern(key) {
+  const result = await dynamodb.send(new DeleteCommand({
+    TableName: TABLES.MAIN,
+    Key: { PK: `PATTERN#${key}`, SK: 'DEFINITION' },
+    ReturnValues: 'ALL_OLD',
+  }));
+  return !!result.Attributes;
+}
+
+// ============================================================================
+// PAYMENT Operations (x402 payments by EIP-3009 authorization, idempotency)
+// ============================================================================
+
+function paymentKey(payer, nonce) {
+  return { PK: `PAYMENT#${payer.toLowerCase()}#${nonce.toLowerCase()}`, SK: 'PAYMENT' };
+}
+
+function idempotencyKeyItemKey(odId, idempotencyKey) {
+  return { PK: `IDEMPOTENCY#${odId}#${idempotencyKey}`, SK: 'KEY' };
+}
+
+export async function getPayment(payer, nonce) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLES.MAIN,
+    Key: paymentKey(payer, nonce),
+  }));
+  return result.Item || null;
+}
+
+export async function getPaymentByIdempotencyKey(odId, idempotencyKey) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLES.MAIN,
+    Key: idempotencyKeyItemKey(odId, idempotencyKey),
+  }));
+  return result.Item ? getPayment(result.Item.payer, result.Item.nonce) : null;
+}
+
+/**
+ * Claim an authorization as a pending payment (a failed one may be claimed again)
+ * With an idempotency key, the key item is written in the same transaction.
+ * @returns {Object} { payment } or { error } - AUTHORIZATION_USED or IDEMPOTENCY_KEY_IN_USE
+ */
+export async function createPayment({ payer, nonce, value, quantity = null, odId = null, idempotencyKey = null }) {
+  const now = new Date().toISOString();
+  const item = {
+    ...paymentKey(payer, nonce),
+    entityType: 'PAYMENT',
+    payer: payer.toLowerCase(),
+    nonce: nonce.toLowerCase(),
+    value,
+    quantity,
+    odId,
+    idempotencyKey,
+    status: 'pending',
+    txHash: null,
+    response: null,
+    failureReason: null,
+    createdAt: now,
+  };
+
+  const transactItems = [
+    {
+      Put: {
+        TableName: TABLES.MAIN,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(PK) OR #status = :failed',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':failed': 'failed' },
+      },
+    },
+  ];
+  if (idempotencyKey) {
+    transactItems.push({
+      Put: {
+        TableName: TABLES.MAIN,
+        Item: {
+          ...idempotencyKeyItemKey(odId, idempotencyKey),
+          entityType: 'IDEMPOTENCY_KEY',
+          payer: item.payer,
+          nonce: item.nonce,
+          createdAt: now,
+        },
+        ConditionExpression: 'attribute_not_exists(PK)',
+      },
+    });
+  }
+
+  try {
+    await dynamodb.send(new TransactWriteCommand({ TransactItems: transactItems }));
+    return { payment: item };
+  } catch (err) {
+    if (err.name !== 'TransactionCanceledException') throw err;
+    const reasons = err.CancellationReasons || [];
+    if (reasons[0]?.Code === 'ConditionalCheckFailed') return { error: 'AUTHORIZATION_USED' };
+    if (reasons[1]?.Code === 'ConditionalCheckFailed') return { error: 'IDEMPOTENCY_KEY_IN_USE' };
+    throw err;
+  }
+}
+
+/**
+ * Record the settlement transaction (a transaction pays for one payment only)
+ * @returns {boolean} false if the transaction is already recorded
+ */
+export async function markPaymentSettled(payer, nonce, txHash) {
+  const now = new Date().toISOString();
+  try {
+    await dynamodb.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Update: {
+            TableName: TABLES.MAIN,
+            Key: paymentKey(payer, nonce),
+            UpdateExpression: 'SET #status = :settled, txHash = :txHash, settledAt = :now',
+            ConditionExpression: '#status = :pending',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':settled': 'settled', ':pending': 'pending', ':txHash': txHash, ':now': now },
+          },
+        },
+        {
+          Put: {
+            TableName: TABLES.MAIN,
+            Item: {
+              PK: `PAYMENTTX#${txHash.toLowerCase()}`,
+              SK: 'TX',
+              entityType: 'PAYMENT_TX',
+              payer: payer.toLowerCase(),
+              nonce: nonce.toLowerCase(),
+              createdAt: now,
+            },
+            ConditionExpression: 'attribute_not_exists(PK)',
+          },
+        },
+      ],
+    }));
+    return true;
+  } catch (err) {
+    if (err.name === 'TransactionCanceledException') return false;
+    throw err;
+  }
+}
+
+/**
+ * The transfer was not executed - free the authorization and idempotency key
+ */
+export async function markPaymentFailed(payer, nonce, reason, { odId = null, idempotencyKey = null } = {}) {
+  const transactItems = [
+    {
+      Update: {
+        TableName: TABLES.MAIN,
+        Key: paymentKey(payer, nonce),
+        UpdateExpression: 'SET #status = :failed, failureReason = :reason, idempotencyKey = :null',
+        ConditionExpression: '#status = :pending',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':failed': 'failed', ':pending': 'pending', ':reason': reason, ':null': null },
+      },
+    },
+  ];
+  if (idempotencyKey) {
+    transactItems.push({
+      Delete: {
+        TableName: TABLES.MAIN,
+        Key: idempotencyKeyItemKey(odId, idempotencyKey),
+      },
+    });
+  }
+
+  try {
+    await dynamodb.send(new TransactWriteCommand({ TransactItems: transactItems }));
+  } catch (err) {
+    if (err.name !== 'TransactionCanceledException') throw err;
+  }
+}
+
+/**
+ * Cards were assigned - record the response returned to the buyer
+ */
+export async function completePayment(payer, nonce, response) {
+  try {
+    await dynamodb.send(new UpdateCommand({
+      TableName: TABLES.MAIN,
+      Key: paymentKey(payer, nonce),
+      UpdateExpression: 'SET #status = :completed, #response = :response, completedAt = :now',
+      ConditionExpression: '#status = :settled',
+      ExpressionAttributeNames: { '#status': 'status', '#response': 'response' },
+      ExpressionAttributeValues: {
+        ':completed': 'completed',
+        ':settled': 'settled',
+        ':response': response,
+        ':now': new Date().toISOString(),
+      },
+    }));
+  } catch (err) {
+    if (err.name !== 'ConditionalCheckFailedException') throw err;
+  }
+}
+
+// ============================================================================
+// AUDIT Operations (append-only, hash-chained audit log)
+// ============================================================================
+
+// Zero-padded so audit keys sort by sequence
+function auditSeqKey(seq) {
+  return String(seq).padStart(12, '0');
+}
+
+export async function getAuditHead() {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLES.MAIN,
+    Key: { PK: 'AUDIT#HEAD', SK: 'CHAIN' },
+  }));
+  return result.Item || null;
+}
+
+/**
+ * Append an entry and move the chain head in one transaction
+ * Fails (TransactionCanceledException) if another writer appended entry.seq first
+ */
+export async function appendAuditEntry(entry) {
+  const item = {
+    PK: `AUDIT#${auditSeqKey(entry.seq)}`,
+    SK: 'ENTRY',
+    entityType: 'AUDIT',
+    seq: entry.seq,
+    timestamp: entry.timestamp,
+    action: entry.action,
+    wallet: entry.wallet || null,
+    ip: entry.ip || null,
+    details: entry.details || {},
+    prevHash: entry.prevHash,
+    hash: entry.hash,
+    // GSI2 for time range queries
+    GSI2PK: 'AUDIT#ALL',
+    GSI2SK: `${entry.timestamp}#${auditSeqKey(entry.seq)}`,
+  };
+
+  const headCondition = entry.seq === 1
+    ? { ConditionExpression: 'attribute_not_exists(PK)' }
+    : { ConditionExpression: 'seq = :prevSeq', ExpressionAttributeValues: { ':prevSeq': entry.seq - 1 } };
+
+  await dynamodb.send(new TransactWriteCommand({
+    TransactItems: [
+      {
+        Put: {
+          TableName: TABLES.MAIN,
+          Item: item,
+          ConditionExpression: 'attribute_not_exists(PK)',
+        },
+      },
+      {
+        Put: {
+          TableName: TABLES.MAIN,
+          Item: { PK: 'AUDIT#HEAD', SK: 'CHAIN', seq: entry.seq, hash: entry.hash, updatedAt: entry.timestamp },
+          ...headCondition,
+        },
+      },
+    ],
+  }));
+
+  return item;
+}
+
+export async function getAuditEntry(seq) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: TABLES.MAIN,
+    Key: { PK: `AUDIT#${auditSeqKey(seq)}`, SK: 'ENTRY' },
+  }));
+  return result.Item || null;
+}
+
+/**
+ * Query audit entries by time range (newest first), with optional
+ * action/wallet/ip filters applied while paging through the index
+ */
+export async function queryAuditEntries({ from = null, to = null, action = null, wallet = null, ip = null, limit = 100 } = {}) {
+  const names = {};
+  const values = { ':pk': 'AUDIT#ALL' };
+  // GSI2SK is "{timestamp}#{seq}" - '~' sorts after any seq at the upper bound
+  let keyCondition = 'GSI2PK = :pk';
+  if (from && to) {
+    keyCondition += ' AND GSI2SK BETWEEN :from AND :to';
+    values[':from'] = from;
+    values[':to'] = `${to}#~`;
+  } else if (from) {
+    keyCondition += ' AND GSI2SK >= :from';
+    values[':from'] = from;
+  } else if (to) {
+    keyCondition += ' AND GSI2SK <= :to';
+    values[':to'] = `${to}#~`;
+  }
+
+  const filters = [];
+  if (action) {
+    filters.push('#action = :action');
+    names['#action'] = 'action';
+    values[':action'] = action;
+  }
+  if (wallet) {
+    filters.push('wallet = :wallet');
+    values[':wallet'] = wallet.toLowerCase();
+  }
+  if (ip) {
+    filters.push('ip = :ip');
+    values[':ip'] = ip;
+  }
+
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamodb.send(new QueryCommand({
+      TableName: TABLES.MAIN,
+      IndexName: INDEXES.GSI2,
+      KeyConditionExpression: keyCondition,
+      FilterExpression: filters.length > 0 ? filters.join(' AND ') : undefined,
+      ExpressionAttributeNames: Object.keys(names).length > 0 ? names : undefined,
+      ExpressionAttributeValues: values,
+      ScanIndexForward: false, // newest first
+      ExclusiveStartKey: lastKey,
+    }));
+    items.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey && items.length < limit);
+
+  return items.slice(0, limit);
+}
+
+// ============================================================================
+// AUTH NONCE Operations (Sign-In With Ethereum, single use)
+// ============================================================================
+
+function authNonceKey(nonce) {
+  return { PK: `AUTHNONCE#${nonce}`, SK: 'NONCE' };
+}
+
+export async function createAuthNonce(nonce, expiresAt, ip = null) {
+  await dynamodb.send(new PutCommand({
+    TableName: TABLES.MAIN,
+    Item: {
+      ...authNonceKey(nonce),
+      entityType: 'AUTH_NONCE',
+      nonce,
+      ip,
+      expiresAt: expiresAt.toISOString(),
+      createdAt: new Date().toISOString(),
+      // TTL for auto-cleanup of unused nonces
+      ttl: Math.floor(expiresAt.getTime() / 1000),
+    },
+  }));
+}
+
+/**
+ * Delete a nonce that has not expired
+ * @returns {boolean} false if it does not exist, was already used or expired
+ */
+export async function consumeAuthNonce(nonce) {
+  try {
+    await dynamodb.send(new DeleteCommand({
+      TableName: TABLES.MAIN,
+      Key: authNonceKey(nonce),
+      ConditionExpression: 'attribute_exists(PK) AND expiresAt > :now',
+      ExpressionAttributeValues: { ':now': new Date().toISOString() },
+    }));
+    return true;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') return false;
+    throw err;
+  }
+}
+
 // ============================================================================
 // CONNECTIONS Operations (for WebSocket)
 // ============================================================================
@@ -800,6 +1293,30 @@ export async function scanAllConnections() {
   return result.Items || [];
 }
 
+// Scan pending payments claimed before a date (unconfirmed payments, for admin panel)
+export async function scanPendingPayments(claimedBefore, limit = 100) {
+  const payments = [];
+  let ExclusiveStartKey;
+  do {
+    const result = await dynamodb.send(new ScanCommand({
+      TableName: TABLES.MAIN,
+      FilterExpression: 'entityType = :type AND #status = :pending AND createdAt <= :before',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':type': 'PAYMENT',
+        ':pending': 'pending',
+        ':before': claimedBefore,
+      },
+      ExclusiveStartKey,
+    }));
+    payments.push(...(result.Items || []));
+    ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (ExclusiveStartKey && payments.length < limit);
+  return payments
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .slice(0, limit);
+}
+
 // Scan all users (for admin panel)
 export async function scanAllUsers(limit = 50) {
   const result = await dynamodb.send(new ScanCommand({
@@ -833,6 +1350,7 @@ export default {
   getPurchasedCards,
   reserveCards,
   releaseReservation,
+  releaseExpiredReservations,
   confirmPurchase,
   markCardAsWon,
   reEnableWonCards,
@@ -847,6 +1365,27 @@ export default {
   createWinner,
   getRecentWinners,
   getWinnersByWallet,
+  // Pattern
+  getPattern,
+  getAllPatterns,
+  savePattern,
+  deletePattern,
+  // Payment
+  getPayment,
+  getPaymentByIdempotencyKey,
+  createPayment,
+  markPaymentSettled,
+  markPaymentFailed,
+  completePayment,
+  scanPendingPayments,
+  // Audit
+  getAuditHead,
+  appendAuditEntry,
+  getAuditEntry,
+  queryAuditEntries,
+  // Auth nonce
+  createAuthNonce,
+  consumeAuthNonce,
   // Connections
   saveConnection,
   getConnection,
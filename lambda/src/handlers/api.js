@@ -8,7 +8,6 @@ import {
   getUserById,
   getUserByWallet,
   updateUser,
-  incrementUserStats,
   createCard,
   createCardsBatch,
   getCardById,
@@ -16,9 +15,6 @@ import {
   getCardsByOwner,
   getCardsByWallet,
   getPurchasedCards,
-  reserveCards,
-  releaseReservation,
-  confirmPurchase,
   createGame,
   getCurrentGame,
   updateGame,
@@ -46,7 +42,17 @@ import {
   isAdminWallet,
 } from '../middleware/auth.js';
 
-import { validatePayment, calculateAtomicPrice } from '../middleware/x402.js';
+import { addVerifiedWinner, endGameWithWinners } from '../services/winners.js';
+import patterns from '../services/patterns.js';
+import { checkPurchaseAllowed } from '../services/purchaseLimits.js';
+import { gameService } from '../services/gameService.js';
+import audit, { auditLog, getRequestIp } from '../services/audit.js';
+
+import { validatePayment, calculateAtomicPrice, parsePaymentHeader } from '../middleware/x402.js';
+import payments from '../services/payments.js';
+import { issueNonce, verifySiweLogin } from '../services/siwe.js';
+import { getAuthorizationId } from '../../../shared/x402/authorization.js';
+import { getIdempotencyKey } from '../../../shared/x402/idempotency.js';
 
 import bcrypt from 'bcryptjs';
 
@@ -90,7 +96,7 @@ const getCorsHeaders = (origin) => {
 
   return {
     'Access-Control-Allow-Origin': allowedOrigin,
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-PAYMENT, x-payment, PAYMENT-SIGNATURE, payment-signature',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-PAYMENT, x-payment, PAYMENT-SIGNATURE, payment-signature, Idempotency-Key',
     'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
     'Access-Control-Expose-Headers': 'PAYMENT-REQUIRED, Payment-Required, PAYMENT-RESPONSE, Payment-Response, X-PAYMENT-REQUIRED',
     'Access-Control-Allow-Credentials': 'true',
@@ -143,6 +149,9 @@ export async function handler(event) {
   console.log(`${method} ${path}`);
 
   try {
+    // Admin-defined patterns must be known before any mode or winner check
+    await patterns.loadCustomPatterns();
+
     // Route matching
     // Health check
     if (path === '/health' && method === 'GET') {
@@ -150,7 +159,11 @@ export async function handler(event) {
     }
 
     // Auth routes
-    if (path === '/api/auth/register' && method === 'POST') {
+    if (path === '/api/auth/nonce' && method === 'GET') {
+      return handleGetNonce(event);
+    }
+    // Same as the Express backend: /verify and /register both sign in with SIWE
+    if ((path === '/api/auth/verify' || path === '/api/auth/register') && method === 'POST') {
       return handleRegister(event);
     }
     if (path === '/api/auth/me' && method === 'GET') {
@@ -234,6 +247,18 @@ export async function handler(event) {
     if (path === '/api/admin/game/mode' && method === 'POST') {
       return handleAdminSetMode(event);
     }
+    if (path === '/api/admin/patterns' && method === 'GET') {
+      return handleAdminListPatterns(event);
+    }
+    if (path === '/api/admin/patterns' && method === 'POST') {
+      return handleAdminCreatePattern(event);
+    }
+    if (path.match(/^\/api\/admin\/patterns\/[^\/]+$/) && method === 'PUT') {
+      return handleAdminUpdatePattern(event);
+    }
+    if (path.match(/^\/api\/admin\/patterns\/[^\/]+$/) && method === 'DELETE') {
+      return handleAdminDeletePattern(event);
+    }
     if (path === '/api/admin/cards/generate' && method === 'POST') {
       return handleAdminGenerateCards(event);
     }
@@ -246,9 +271,21 @@ export async function handler(event) {
     if (path.match(/^\/api\/admin\/cards\/[^\/]+\/details$/) && method === 'GET') {
       return handleAdminGetCardDetails(event);
     }
+    if (path === '/api/admin/audit' && method === 'GET') {
+      return await handleAdminGetAudit(event);
+    }
+    if (path === '/api/admin/audit/verify' && method === 'GET') {
+      return await handleAdminVerifyAudit(event);
+    }
     if (path === '/api/admin/users' && method === 'GET') {
       return handleAdminGetUsers(event);
     }
+    if (path === '/api/admin/payments/unconfirmed' && method === 'GET') {
+      return await handleAdminGetUnconfirmedPayments(event);
+    }
+    if (path === '/api/admin/payments/resolve' && method === 'POST') {
+      return await handleAdminResolvePayment(event);
+    }
 
     // 404
     return jsonResponse(404, { error: 'Not found' });
@@ -263,34 +300,63 @@ export async function handler(event) {
 // AUTH HANDLERS
 // ============================================================================
 
+/**
+ * Single-use nonce for a Sign-In With Ethereum (EIP-4361) message
+ */
+async function handleGetNonce(event) {
+  return jsonResponse(200, await issueNonce(getRequestIp(event)));
+}
+
+/**
+ * Verify a signed SIWE message - returns the proven wallet or an error response
+ */
+async function verifyWalletProof(event, body, failedAction) {
+  const { message, signature } = body;
+  if (!message || !signature) {
+    return { error: jsonResponse(400, { success: false, error: 'Signed message and signature are required' }) };
+  }
+  try {
+    const { wallet } = await verifySiweLogin({ message, signature });
+    return { wallet };
+  } catch (err) {
+    await auditLog({ action: failedAction, reason: err.message, ip: getRequestIp(event) });
+    return { error: jsonResponse(401, { success: false, error: err.message }) };
+  }
+}
+
+/**
+ * Sign in with a signed SIWE message
+ * Body: { message, signature, username? } - username required for new wallets
+ */
 async function handleRegister(event) {
   const body = JSON.parse(event.body || '{}');
-  let { username, wallet } = body;
-
-  // Validate and sanitize
-  username = sanitizeInput(username)?.toLowerCase();
-  wallet = sanitizeInput(wallet);
 
-  if (!isValidUsername(username)) {
-    return jsonResponse(400, {
-      success: false,
-      error: 'Invalid username. Must be 3-30 characters, alphanumeric with underscores/hyphens.',
-    });
+  let username = null;
+  if (body.username !== undefined && body.username !== null && body.username !== '') {
+    username = sanitizeInput(body.username)?.toLowerCase();
+    if (!isValidUsername(username)) {
+      return jsonResponse(400, {
+        success: false,
+        error: 'Invalid username. Must be 3-30 characters, alphanumeric with underscores/hyphens.',
+      });
+    }
   }
 
-  if (!isValidWallet(wallet)) {
-    return jsonResponse(400, {
-      success: false,
-      error: 'Invalid wallet address format.',
-    });
-  }
+  // SECURITY: Wallet comes from the signature, never from the request body
+  const proof = await verifyWalletProof(event, body, 'LOGIN_FAILED');
+  if (proof.error) return proof.error;
+  const { wallet } = proof;
 
   // Check if user exists
   let user = await getUserByWallet(wallet);
 
+  if (!user && !username) {
+    return jsonResponse(400, { success: false, error: 'Username is required for new wallets' });
+  }
+
   if (user) {
     // Update username if different
-    if (user.username !== username) {
+    if (username && user.username !== username) {
       user = await updateUser(user.odId, { username, lastLoginAt: new Date().toISOString() });
     } else {
       user = await updateUser(user.odId, { lastLoginAt: new Date().toISOString() });
@@ -301,7 +367,7 @@ async function handleRegister(event) {
     user = await createUser({
       odId,
       username,
-      wallet: wallet.toLowerCase(),
+      wallet,
       isAdmin: isAdminWallet(wallet),
     });
   }
@@ -347,19 +413,26 @@ async function handleConnectWallet(event) {
   const authResult = requireAuth(event);
   if (authResult.statusCode) return authResult;
 
+  // SECURITY: The wallet must be proven with a signed SIWE message
   const body = JSON.parse(event.body || '{}');
-  const wallet = sanitizeInput(body.wallet);
+  const proof = await verifyWalletProof(event, body, 'WALLET_LINK_FAILED');
+  if (proof.error) return proof.error;
+  const { wallet } = proof;
 
-  if (!isValidWallet(wallet)) {
-    return jsonResponse(400, { error: 'Invalid wallet address' });
+  const owner = await getUserByWallet(wallet);
+  if (owner && owner.odId !== authResult.odId) {
+    return jsonResponse(409, { error: 'Wallet is already linked to another user' });
   }
 
   const user = await updateUser(authResult.odId, {
-    wallet: wallet.toLowerCase(),
+    wallet,
     isAdmin: isAdminWallet(wallet),
+    // Wallet lookup index
+    GSI1PK: `WALLET#${wallet}`,
   });
 
-  return jsonResponse(200, { success: true, user });
+  // The token carries the wallet - issue one for the new wallet
+  return jsonResponse(200, { success: true, user, token: generateToken(user) });
 }
 
 async function handleGetUserCards(event) {
@@ -394,7 +467,7 @@ async function handlePurchaseCards(event) {
   if (authResult.statusCode) return authResult;
 
   const body = JSON.parse(event.body || '{}');
-  const { quantity, wallet } = body;
+  const { quantity } = body;
 
   // Validate quantity is Fibonacci
   if (!config.fibonacciQuantities.includes(quantity)) {
@@ -404,9 +477,62 @@ async function handlePurchaseCards(event) {
     });
   }
 
-  // Validate wallet
-  if (!isValidWallet(wallet)) {
-    return jsonResponse(400, { success: false, error: 'Invalid wallet address' });
+  let idempotencyKey;
+  try {
+    idempotencyKey = getIdempotencyKey(event.headers || {});
+  } catch (error) {
+    return jsonResponse(400, { success: false, error: error.message });
+  }
+
+  // Repeated request for a recorded payment (Idempotency-Key or same payment header):
+  // answer with its outcome - never charge or assign cards twice
+  const previous = await payments.findPayment({
+    odId: authResult.odId,
+    idempotencyKey,
+    ...getAuthorizationId(parsePaymentHeader(event.headers || {})),
+  });
+  if (previous) {
+    if (previous.odId !== authResult.odId || (previous.quantity !== null && previous.quantity !== quantity)) {
+      await auditLog({
+        action: 'PAYMENT_REPLAY_MISMATCH',
+        reason: previous.odId !== authResult.odId ? 'Payment belongs to another user' : 'Different quantity',
+        odId: authResult.odId,
+        wallet: authResult.wallet,
+        quantity,
+        ip: getRequestIp(event),
+      });
+      return jsonResponse(409, {
+        success: false,
+        error: 'This payment or Idempotency-Key belongs to a different purchase',
+        code: 'IDEMPOTENCY_MISMATCH',
+      });
+    }
+    if (previous.status === 'completed') {
+      return jsonResponse(200, { ...previous.response, replayed: true });
+    }
+    // The settle never answered - an admin checks the transfer and resolves the payment
+    if (payments.isPaymentUnconfirmed(previous)) {
+      await auditLog({
+        action: 'PAYMENT_UNCONFIRMED_RETRY',
+        wallet: previous.payer,
+        nonce: previous.nonce,
+        odId: authResult.odId,
+        ip: getRequestIp(event),
+      });
+      return jsonResponse(409, {
+        success: false,
+        error: 'This payment could not be confirmed yet and is being reviewed. Try again later.',
+        code: 'PAYMENT_UNCONFIRMED',
+      });
+    }
+    if (previous.status === 'pending') {
+      return jsonResponse(409, {
+        success: false,
+        error: 'This payment is still being processed. Try again shortly.',
+        code: 'PAYMENT_IN_PROGRESS',
+      });
+    }
+    // Settled but no cards assigned yet - assign them now with the recorded transaction
   }
 
   // Check if game allows purchases
@@ -418,6 +544,22 @@ async function handlePurchaseCards(event) {
     });
   }
 
+  // Responsible gaming: self-exclusion and purchase caps, before reserving or charging
+  const buyer = await getUserById(authResult.odId);
+  const blocked = await checkPurchaseAllowed(buyer, quantity, config.cardPrice, game);
+  if (blocked) {
+    await auditLog({
+      action: 'PURCHASE_BLOCKED_LIMIT',
+      odId: authResult.odId,
+      wallet: authResult.wallet,
+      quantity,
+      code: blocked.code,
+      limit: blocked.limit,
+      ip: getRequestIp(event),
+    });
+    return jsonResponse(403, { success: false, ...blocked });
+  }
+
   // Get available cards
   const availableCards = await getAvailableCards(quantity + 10);
   if (availableCards.length < quantity) {
@@ -431,67 +573,67 @@ async function handlePurchaseCards(event) {
   const shuffled = availableCards.sort(() => Math.random() - 0.5);
   const selectedCardIds = shuffled.slice(0, quantity).map(c => c.cardId);
 
-  // Reserve cards
-  const reservedIds = await reserveCards(selectedCardIds, authResult.odId);
-  if (reservedIds.length < quantity) {
-    // Release any partial reservations
-    if (reservedIds.length > 0) {
-      await releaseReservation(reservedIds, authResult.odId);
-    }
+  // Reserve cards (all or nothing)
+  const reservation = await gameService.reserveCards(selectedCardIds, authResult.odId);
+  if (!reservation.success) {
     return jsonResponse(409, {
       success: false,
       error: 'Some cards were already reserved. Please try again.',
     });
   }
+  const reservedIds = reservation.cardIds;
 
-  // Validate x402 payment
-  const paymentResult = await validatePayment(event, quantity);
+  // Validate x402 payment (already settled for a resumed payment)
+  const paymentResult = previous
+    ? { valid: true, settled: true, transaction: previous.txHash, payment: previous }
+    : await validatePayment(event, quantity, { odId: authResult.odId, idempotencyKey });
 
   if (!paymentResult.valid) {
     // Release reservations
-    await releaseReservation(reservedIds, authResult.odId);
+    await gameService.releaseReservation(reservedIds, authResult.odId);
     return paymentResult.response;
   }
 
-  // Confirm purchase
-  const pricePerCard = parseInt(calculateAtomicPrice(1), 10); // Convert to number for DynamoDB
-  const user = await getUserById(authResult.odId);
-  const confirmedIds = await confirmPurchase(
-    reservedIds,
-    authResult.odId,
-    wallet.toLowerCase(),
-    paymentResult.transaction || 'pending',
-    pricePerCard,
-    user?.username || authResult.username
-  );
-
-  // Update user stats
-  await incrementUserStats(authResult.odId, 'cardsPurchased', confirmedIds.length);
-  const totalSpent = parseInt(pricePerCard) * confirmedIds.length;
-  await incrementUserStats(authResult.odId, 'totalSpent', totalSpent);
-
-  // Get confirmed cards
-  const purchasedCards = [];
-  for (const cardId of confirmedIds) {
-    const card = await getCardById(cardId);
-    if (card) {
-      purchasedCards.push({
-        id: card.cardId,
-        numbers: card.numbers,
-        owner: card.owner,
-        ownerUsername: card.ownerUsername,
-        ownerWallet: card.ownerWallet,
-      });
-    }
+  // Confirm purchase (also updates the buyer's stats)
+  // SECURITY: Cards belong to the payer proven by the payment signature, never to a wallet sent in the body
+  const confirmed = await gameService.confirmPurchase(reservedIds, authResult.odId, {
+    username: buyer?.username || authResult.username,
+    wallet: paymentResult.payment.payer,
+    txHash: paymentResult.transaction || 'pending',
+    pricePerCard: calculateAtomicPrice(1),
+  });
+
+  const purchasedCards = confirmed.map(card => ({
+    id: card.cardId,
+    numbers: card.numbers,
+    owner: card.owner,
+    ownerUsername: card.ownerUsername,
+    ownerWallet: card.ownerWallet,
+  }));
+
+  // Paid but not assigned (e.g. the reservation expired) - a retry assigns them without paying again
+  if (purchasedCards.length === 0) {
+    return jsonResponse(409, {
+      success: false,
+      error: 'Cards could not be assigned. Retry with the same Idempotency-Key or payment to get them without paying again.',
+      transaction: paymentResult.transaction,
+    });
   }
 
-  return jsonResponse(200, {
+  const response = {
     success: true,
     cards: purchasedCards,
-    message: `Successfully purchased ${confirmedIds.length} cards`,
+    message: `Successfully purchased ${purchasedCards.length} cards`,
     transaction: paymentResult.transaction,
     errors: [],
-  });
+  };
+
+  // Repeated requests for this payment get this same response
+  if (paymentResult.payment) {
+    await payments.completePayment(paymentResult.payment, response);
+  }
+
+  return jsonResponse(200, response);
 }
 
 async function handleGetMyCards(event) {
@@ -556,6 +698,7 @@ async function handleGetCurrentGame(event) {
       calledNumbers: [],
       currentNumber: null,
       winner: null,
+      winners: [],
       canPurchase: true,
       patternInfo: getPatternInfo('fullCard'),
     });
@@ -567,7 +710,9 @@ async function handleGetCurrentGame(event) {
     gameMode: game.gameMode,
     calledNumbers: game.calledNumbers || [],
     currentNumber: game.currentNumber,
-    winner: game.winner,
+    winner: game.winners?.[0] || null,
+    winners: game.winners || [],
+    potentialWinners: game.potentialWinners || [],
     startedAt: game.startedAt,
     endedAt: game.endedAt,
     canPurchase: game.status === 'waiting' || game.status === 'ended',
@@ -593,7 +738,8 @@ async function handleGetGameStatus(event) {
     gameMode: game?.gameMode || 'fullCard',
     currentNumber: game?.currentNumber || null,
     numbersCalledCount: game?.calledNumbers?.length || 0,
-    winner: game?.winner || null,
+    winner: game?.winners?.[0] || null,
+    winners: game?.winners || [],
     canPurchase: !game || game.status === 'waiting' || game.status === 'ended',
   });
 }
@@ -621,11 +767,13 @@ async function handleGetWinners(event) {
   return jsonResponse(200, {
     winners: winners.map(w => ({
       winnerId: w.winnerId,
+      gameId: w.gameId,
       odUsername: w.odUsername,
       wallet: w.wallet,
       gameMode: w.gameMode,
       patternName: w.patternName,
       prizeAmount: w.prizeAmount,
+      winnersInGame: w.winnersInGame || 1,
       wonAt: w.wonAt,
       cardId: w.cardId,
     })),
@@ -656,19 +804,21 @@ async function handleGetWinnersByWallet(event) {
 
 async function handleAdminLogin(event) {
   const body = JSON.parse(event.body || '{}');
-  const { password, wallet } = body;
+  const { password } = body;
 
-  if (!password || !wallet) {
-    return jsonResponse(400, { error: 'Password and wallet required' });
+  if (!password) {
+    return jsonResponse(400, { error: 'Password required' });
   }
 
-  if (!isValidWallet(wallet)) {
-    return jsonResponse(400, { error: 'Invalid wallet address' });
-  }
+  // SECURITY: Wallet ownership must be proven with a signed SIWE message
+  const proof = await verifyWalletProof(event, body, 'ADMIN_LOGIN_FAILED');
+  if (proof.error) return proof.error;
+  const { wallet } = proof;
 
   // Check wallet whitelist
   if (!isAdminWallet(wallet)) {
     console.log(`Admin login failed: wallet ${wallet} not in whitelist`);
+    await auditLog({ action: 'ADMIN_LOGIN_FAILED', reason: 'Wallet not whitelisted', wallet, ip: getRequestIp(event) });
     return jsonResponse(403, { error: 'Wallet not authorized for admin access' });
   }
 
@@ -677,6 +827,7 @@ async function handleAdminLogin(event) {
   // Direct comparison for non-hashed password in config
   if (password !== config.adminPassword) {
     console.log('Admin login failed: invalid password');
+    await auditLog({ action: 'ADMIN_LOGIN_FAILED', reason: 'Invalid password', wallet, ip: getRequestIp(event) });
     return jsonResponse(401, { error: 'Invalid password' });
   }
 
@@ -697,6 +848,7 @@ async function handleAdminLogin(event) {
   }
 
   const token = generateToken({ ...user, isAdmin: true });
+  await auditLog({ action: 'ADMIN_LOGIN_SUCCESS', wallet, ip: getRequestIp(event) });
 
   return jsonResponse(200, { success: true, token });
 }
@@ -748,6 +900,7 @@ async function handleAdminStartGame(event) {
     status: 'playing',
     startedAt: new Date().toISOString(),
   });
+  await auditLog({ action: 'GAME_STARTED', gameId, gameMode, adminWallet: authResult.wallet, ip: getRequestIp(event) });
 
   return jsonResponse(200, {
     success: true,
@@ -765,6 +918,7 @@ async function handleAdminPauseGame(event) {
   }
 
   const updatedGame = await updateGame(game.gameId, { status: 'paused' });
+  await auditLog({ action: 'GAME_PAUSED', gameId: game.gameId, adminWallet: authResult.wallet, ip: getRequestIp(event) });
 
   return jsonResponse(200, { success: true, state: updatedGame });
 }
@@ -779,6 +933,7 @@ async function handleAdminResumeGame(event) {
   }
 
   const updatedGame = await updateGame(game.gameId, { status: 'playing' });
+  await auditLog({ action: 'GAME_RESUMED', gameId: game.gameId, adminWallet: authResult.wallet, ip: getRequestIp(event) });
 
   return jsonResponse(200, { success: true, state: updatedGame });
 }
@@ -794,22 +949,25 @@ async function handleAdminEndGame(event) {
     return jsonResponse(400, { error: 'No game to end' });
   }
 
-  const updates = {
-    status: 'ended',
-    endedAt: new Date().toISOString(),
-  };
-
-  if (body.winner) {
-    updates.winner = body.winner;
+  // SECURITY: Only winners verified with /admin/game/verify are settled
+  if (body.winner || body.winners) {
+    await auditLog({
+      action: 'GAME_END_WINNERS_REJECTED',
+      gameId: game.gameId,
+      adminWallet: authResult.wallet,
+      ip: getRequestIp(event),
+    });
+    return jsonResponse(400, { error: 'Winners cannot be set when ending a game - verify them with /api/admin/game/verify' });
   }
 
-  const updatedGame = await updateGame(game.gameId, updates);
-
-  // Re-enable all cards that were marked as 'won' (rejected winners)
-  // so they can participate in future games
-  const { reEnableWonCards } = await import('../db/dynamodb.js');
-  const reEnabledCount = await reEnableWonCards();
-  console.log(`Game ended: Re-enabled ${reEnabledCount} rejected cards`);
+  const { game: updatedGame, reEnabledCount } = await endGameWithWinners(game);
+  await auditLog({
+    action: 'GAME_ENDED',
+    gameId: game.gameId,
+    winners: (updatedGame?.winners || []).map(w => w.cardId),
+    adminWallet: authResult.wallet,
+    ip: getRequestIp(event),
+  });
 
   return jsonResponse(200, { success: true, state: updatedGame, reEnabledCards: reEnabledCount });
 }
@@ -837,6 +995,7 @@ async function handleAdminCallNumber(event) {
   // Import callNumber from dynamodb
   const { callNumber } = await import('../db/dynamodb.js');
   const updatedGame = await callNumber(game.gameId, number);
+  await auditLog({ action: 'NUMBER_CALLED', gameId: game.gameId, number, adminWallet: authResult.wallet, ip: getRequestIp(event) });
 
   // Check for potential winners (will be handled by stream processor)
 
@@ -859,24 +1018,29 @@ async function handleAdminVerifyWinner(event) {
     return jsonResponse(400, { error: 'Card ID required' });
   }
 
-  const card = await getCardById(cardId);
-  if (!card) {
-    return jsonResponse(404, { error: 'Card not found' });
-  }
-
   const game = await getCurrentGame();
   if (!game) {
     return jsonResponse(400, { error: 'No active game' });
   }
 
-  // Check if card is winner
-  const result = checkWinner(
-    { numbers: card.numbers },
-    game.calledNumbers || [],
-    game.gameMode
-  );
+  // Check if card is winner (only purchased cards can win)
+  let verification;
+  try {
+    verification = await gameService.verifyWinnerCard(game, cardId);
+  } catch (err) {
+    return jsonResponse(err.code === 'CARD_NOT_FOUND' ? 404 : 400, { error: err.message });
+  }
+  const { card, result } = verification;
 
-  if (!result.isWinner) {
+  if (!verification.isWinner) {
+    await auditLog({
+      action: 'WINNER_VERIFICATION_FAILED',
+      reason: 'Card not a winner',
+      cardId,
+      owner: card.owner,
+      adminWallet: authResult.wallet,
+      ip: getRequestIp(event),
+    });
     return jsonResponse(200, {
       success: false,
       isWinner: false,
@@ -884,40 +1048,39 @@ async function handleAdminVerifyWinner(event) {
     });
   }
 
-  // Create winner record
-  const { createWinner, reEnableWonCards } = await import('../db/dynamodb.js');
-  const winner = await createWinner({
-    gameId: game.gameId,
-    odId: card.owner,
-    odUsername: card.ownerUsername,
-    wallet: card.ownerWallet,
-    cardId: card.cardId,
-    gameMode: game.gameMode,
-    patternName: result.modeName,
-    totalCalledNumbers: game.calledNumbers.length,
-  });
+  const { winner } = verification;
 
-  // End game with winner
-  const updatedGame = await updateGame(game.gameId, {
-    status: 'ended',
-    endedAt: new Date().toISOString(),
-    winner: {
-      odId: card.owner,
-      odUsername: card.ownerUsername,
-      wallet: card.ownerWallet,
-      cardId: card.cardId,
-    },
+  await auditLog({
+    action: 'WINNER_VERIFIED',
+    cardId,
+    owner: card.owner,
+    pattern: result.pattern,
+    calledNumbersCount: (game.calledNumbers || []).length,
+    adminWallet: authResult.wallet,
+    ip: getRequestIp(event),
   });
 
-  // Re-enable all cards that were marked as 'won' (rejected winners)
-  // so they can participate in future games
-  const reEnabledCount = await reEnableWonCards();
-  console.log(`Winner verified: Re-enabled ${reEnabledCount} rejected cards`);
+  // Simultaneous winners split the prize: the game only ends once
+  // every pending potential winner has been verified or rejected
+  const { game: verifiedGame, pendingCount } = await addVerifiedWinner(game, winner);
+  if (pendingCount > 0) {
+    return jsonResponse(200, {
+      success: true,
+      isWinner: true,
+      winner,
+      pendingCount,
+      state: verifiedGame,
+    });
+  }
+
+  const { game: updatedGame, winners, reEnabledCount } = await endGameWithWinners(verifiedGame);
 
   return jsonResponse(200, {
     success: true,
     isWinner: true,
     winner,
+    winners,
+    pendingCount: 0,
     state: updatedGame,
     reEnabledCards: reEnabledCount,
   });
@@ -948,6 +1111,7 @@ async function handleAdminSetMode(event) {
     const gameId = `game_${Date.now()}`;
     updatedGame = await createGame(gameId, mode);
   }
+  await auditLog({ action: 'GAME_MODE_CHANGED', mode, adminWallet: authResult.wallet, ip: getRequestIp(event) });
 
   return jsonResponse(200, {
     success: true,
@@ -957,6 +1121,62 @@ async function handleAdminSetMode(event) {
   });
 }
 
+// Custom patterns - validation errors are reported as 400, missing as 404
+function patternErrorResponse(error) {
+  const status = error.message === 'Pattern not found' ? 404 : 400;
+  return jsonResponse(status, { error: error.message });
+}
+
+async function handleAdminListPatterns(event) {
+  const authResult = requireAdmin(event);
+  if (authResult.statusCode) return authResult;
+
+  return jsonResponse(200, await patterns.listPatterns());
+}
+
+async function handleAdminCreatePattern(event) {
+  const authResult = requireAdmin(event);
+  if (authResult.statusCode) return authResult;
+
+  const body = JSON.parse(event.body || '{}');
+  try {
+    const pattern = await patterns.createPattern(body, authResult.wallet || null);
+    await auditLog({ action: 'PATTERN_CREATED', key: pattern.key, adminWallet: authResult.wallet, ip: getRequestIp(event) });
+    return jsonResponse(201, { success: true, pattern });
+  } catch (error) {
+    return patternErrorResponse(error);
+  }
+}
+
+async function handleAdminUpdatePattern(event) {
+  const authResult = requireAdmin(event);
+  if (authResult.statusCode) return authResult;
+
+  const key = event.pathParameters?.key || event.rawPath.split('/').pop();
+  const body = JSON.parse(event.body || '{}');
+  try {
+    const pattern = await patterns.updatePattern(key, body);
+    await auditLog({ action: 'PATTERN_UPDATED', key, adminWallet: authResult.wallet, ip: getRequestIp(event) });
+    return jsonResponse(200, { success: true, pattern });
+  } catch (error) {
+    return patternErrorResponse(error);
+  }
+}
+
+async function handleAdminDeletePattern(event) {
+  const authResult = requireAdmin(event);
+  if (authResult.statusCode) return authResult;
+
+  const key = event.pathParameters?.key || event.rawPath.split('/').pop();
+  try {
+    await patterns.deletePattern(key);
+    await auditLog({ action: 'PATTERN_DELETED', key, adminWallet: authResult.wallet, ip: getRequestIp(event) });
+    return jsonResponse(200, { success: true });
+  } catch (error) {
+    return patternErrorResponse(error);
+  }
+}
+
 async function handleAdminGenerateCards(event) {
   const authResult = requireAdmin(event);
   if (authResult.statusCode) return authResult;
@@ -966,6 +1186,7 @@ async function handleAdminGenerateCards(event) {
 
   const cards = generateMultipleCards(count);
   await createCardsBatch(cards);
+  await auditLog({ action: 'CARDS_GENERATED', count, adminWallet: authResult.wallet, ip: getRequestIp(event) });
 
   const availableCards = await getAvailableCards(1000);
 
@@ -1127,4 +1348,148 @@ async function handleAdminGetUsers(event) {
   });
 }
 
+const PAYMENT_RESOLVE_ERRORS = {
+  PAYMENT_NOT_FOUND: 404,
+  PAYMENT_NOT_UNCONFIRMED: 409,
+  TX_ALREADY_USED: 409,
+};
+
+function formatPayment(payment) {
+  return {
+    payer: payment.payer,
+    nonce: payment.nonce,
+    value: payment.value,
+    quantity: payment.quantity,
+    odId: payment.odId,
+    status: payment.status,
+    txHash: payment.txHash || null,
+    failureReason: payment.failureReason || null,
+    createdAt: payment.createdAt,
+    settledAt: payment.settledAt || null,
+  };
+}
+
+// Unconfirmed payments - settle never answered, still pending after the pending TTL
+async function handleAdminGetUnconfirmedPayments(event) {
+  const authResult = requireAdmin(event);
+  if (authResult.statusCode) return authResult;
+
+  const limit = Math.min(parseInt(event.queryStringParameters?.limit) || 100, 500);
+  const unconfirmed = await payments.listUnconfirmedPayments(limit);
+
+  return jsonResponse(200, {
+    payments: unconfirmed.map(formatPayment),
+    total: unconfirmed.length,
+  });
+}
+
+// Resolve an unconfirmed payment after checking its transfer on-chain
+// Body: { payer, nonce, outcome: 'settled', txHash } or { payer, nonce, outcome: 'failed' }
+async function handleAdminResolvePayment(event) {
+  const authResult = requireAdmin(event);
+  if (authResult.statusCode) return authResult;
+
+  const { payer, nonce, outcome, txHash } = JSON.parse(event.body || '{}');
+
+  if (!isValidWallet(payer) || typeof nonce !== 'string' || !/^0x[a-fA-F0-9]{64}$/.test(nonce)) {
+    return jsonResponse(400, { success: false, error: 'Valid payer and nonce required' });
+  }
+  if (!['settled', 'failed'].includes(outcome)) {
+    return jsonResponse(400, { success: false, error: 'Invalid outcome. Must be settled or failed' });
+  }
+  if (outcome === 'settled' && (typeof txHash !== 'string' || !/^0x[a-fA-F0-9]{64}$/.test(txHash))) {
+    return jsonResponse(400, { success: false, error: 'Valid transaction hash required' });
+  }
+
+  let payment;
+  try {
+    payment = await payments.resolvePayment(payer, nonce, { txHash: outcome === 'settled' ? txHash : null });
+  } catch (error) {
+    const status = PAYMENT_RESOLVE_ERRORS[error.code];
+    if (!status) throw error;
+    return jsonResponse(status, { success: false, error: error.message, code: error.code });
+  }
+
+  await auditLog({
+    action: 'PAYMENT_RESOLVED',
+    outcome,
+    wallet: payment.payer,
+    nonce: payment.nonce,
+    odId: payment.odId,
+    amount: payment.value,
+    txHash: payment.txHash || null,
+    adminWallet: authResult.wallet,
+    ip: getRequestIp(event),
+  });
+
+  return jsonResponse(200, { success: true, payment: formatPayment(payment) });
+}
+
+// Audit log - query with filters, optional CSV/JSON download
+async function handleAdminGetAudit(event) {
+  const authResult = requireAdmin(event);
+  if (authResult.statusCode) return authResult;
+
+  const params = event.queryStringParameters || {};
+  const { action, wallet, ip, from, to, limit, format } = params;
+
+  if (format && format !== 'csv' && format !== 'json') {
+    return jsonResponse(400, { error: 'format must be csv or json' });
+  }
+
+  let entries;
+  try {
+    entries = await audit.queryAudit({ action, wallet, ip, from, to, limit });
+  } catch (error) {
+    return jsonResponse(400, { error: error.message });
+  }
+
+  if (!format) {
+    return jsonResponse(200, { entries, count: entries.length });
+  }
+
+  await auditLog({
+    action: 'AUDIT_LOG_EXPORTED',
+    format,
+    count: entries.length,
+    filters: { action, wallet, ip, from, to },
+    adminWallet: authResult.wallet,
+    ip: getRequestIp(event),
+  });
+
+  const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      ...getCorsHeaders(currentOrigin),
+    },
+    body: format === 'csv'
+      ? audit.auditEntriesToCsv(entries)
+      : JSON.stringify({ entries, count: entries.length, exportedAt: new Date().toISOString() }),
+  };
+}
+
+async function handleAdminVerifyAudit(event) {
+  const authResult = requireAdmin(event);
+  if (authResult.statusCode) return authResult;
+
+  const params = event.queryStringParameters || {};
+  const result = await audit.verifyAuditChain({ fromSeq: params.fromSeq, limit: params.limit });
+
+  if (!result.valid) {
+    await auditLog({
+      action: 'SUSPICIOUS_ACTIVITY',
+      reason: 'Audit chain verification failed',
+      brokenAt: result.brokenAt,
+      detail: result.reason,
+      adminWallet: authResult.wallet,
+      ip: getRequestIp(event),
+    });
+  }
+
+  return jsonResponse(200, result);
+}
+
 export default { handler };
@@ -7,6 +7,7 @@
 import { ApiGatewayManagementApiClient, PostToConnectionCommand } from '@aws-sdk/client-apigatewaymanagementapi';
 import { scanAllConnections, deleteConnection } from '../db/dynamodb.js';
 import { checkWinner, getPatternInfo } from '../services/bingoCard.js';
+import { loadCustomPatterns } from '../services/patterns.js';
 
 // WebSocket API endpoint - must be set in environment
 const WEBSOCKET_ENDPOINT = process.env.WEBSOCKET_ENDPOINT;
@@ -70,6 +71,9 @@ async function broadcast(data) {
 export async function handler(event) {
   console.log(`Processing ${event.Records.length} stream records`);
 
+  // Custom pattern info is included in mode-change broadcasts
+  await loadCustomPatterns();
+
   for (const record of event.Records) {
     try {
       await processRecord(record);
@@ -131,7 +135,9 @@ async function processGameChange(eventName, newImage, oldImage) {
       gameMode: newImage.gameMode,
       calledNumbers: newImage.calledNumbers || [],
       currentNumber: newImage.currentNumber,
-      winner: newImage.winner,
+      winner: newImage.winners?.[0] || null,
+      winners: newImage.winners || [],
+      potentialWinners: newImage.potentialWinners || [],
       canPurchase: newImage.status === 'waiting' || newImage.status === 'ended',
     },
     timestamp: new Date().toISOString(),
@@ -175,7 +181,8 @@ async function processGameChange(eventName, newImage, oldImage) {
           data: {
             id: newImage.gameId,
             status: newImage.status,
-            winner: newImage.winner,
+            winner: newImage.winners?.[0] || null,
+            winners: newImage.winners || [],
             endedAt: newImage.endedAt,
           },
           timestamp: new Date().toISOString(),
@@ -249,6 +256,7 @@ async function processWinnerChange(eventName, newImage, oldImage) {
           gameMode: newImage.gameMode,
           patternName: newImage.patternName,
           prizeAmount: newImage.prizeAmount,
+          winnersInGame: newImage.winnersInGame || 1,
         },
       },
       timestamp: new Date().toISOString(),
@@ -9,11 +9,7 @@ import {
   updateGame,
   createGame,
   clearCurrentGame,
-  getCardById,
   getPurchasedCards,
-  markCardAsWon,
-  reEnableWonCards,
-  createWinner,
   callNumber as dbCallNumber,
 } from '../db/dynamodb.js';
 
@@ -25,6 +21,8 @@ import {
   broadcastGameState,
   broadcastNumberCalled,
   broadcastPotentialWinner,
+  broadcastPotentialWinners,
+  broadcastWinnerVerified,
   broadcastWinnerAnnounced,
   broadcastWinnerRejected,
   broadcastGameModeChanged,
@@ -41,6 +39,16 @@ import {
   getAllGameModes,
 } from '../services/bingoCard.js';
 
+import {
+  setPotentialWinners,
+  addVerifiedWinner,
+  rejectPotentialWinner,
+  endGameWithWinners,
+} from '../services/winners.js';
+
+import { loadCustomPatterns } from '../services/patterns.js';
+import { gameService } from '../services/gameService.js';
+
 export async function handler(event) {
   const connectionId = event.requestContext.connectionId;
   const routeKey = event.requestContext.routeKey;
@@ -65,6 +73,9 @@ export async function handler(event) {
   const connection = await getConnection(connectionId);
 
   try {
+    // Admin-defined patterns must be known before any mode or winner check
+    await loadCustomPatterns();
+
     switch (action) {
       case 'join-game':
         return handleJoinGame(connectionId, body, connection);
@@ -149,7 +160,8 @@ async function handleJoinGame(connectionId, body, connection) {
       gameMode: game?.gameMode || 'fullCard',
       calledNumbers: game?.calledNumbers || [],
       currentNumber: game?.currentNumber || null,
-      winner: game?.winner || null,
+      winner: game?.winners?.[0] || null,
+      winners: game?.winners || [],
       canPurchase: !game || game.status === 'waiting' || game.status === 'ended',
     },
     timestamp: new Date().toISOString(),
@@ -250,21 +262,13 @@ async function handleAdminEndGame(connectionId, body, connection) {
     return { statusCode: 400, body: 'No game' };
   }
 
-  const updates = {
-    status: 'ended',
-    endedAt: new Date().toISOString(),
-  };
-
-  if (body.winner) {
-    updates.winner = body.winner;
+  // SECURITY: Only winners verified with admin:verify-winner are settled
+  if (body.winner || body.winners) {
+    await sendError(connectionId, 'Winners cannot be set when ending a game - verify them with admin:verify-winner');
+    return { statusCode: 400, body: 'Winners not accepted' };
   }
 
-  const updatedGame = await updateGame(game.gameId, updates);
-
-  // Re-enable all cards that were marked as 'won' (rejected winners)
-  // so they can participate in future games
-  const reEnabledCount = await reEnableWonCards();
-  console.log(`Game ended via WS: Re-enabled ${reEnabledCount} rejected cards`);
+  const { game: updatedGame } = await endGameWithWinners(game);
 
   await broadcastGameEnded(updatedGame);
   await broadcastGameState(updatedGame);
@@ -290,7 +294,7 @@ async function handleAdminClearGame(connectionId, connection) {
     gameMode: 'fullCard',
     calledNumbers: [],
     currentNumber: null,
-    winner: null,
+    winners: [],
   });
 
   return { statusCode: 200, body: 'Game cleared' };
@@ -339,6 +343,10 @@ async function handleAdminCallNumber(connectionId, body, connection) {
     console.log(`[Winner Check] First card number type: ${typeof firstCard.numbers?.B?.[0]}`);
   }
 
+  // Collect every card completing the pattern on this call - they share the prize
+  const detectedAt = new Date().toISOString();
+  const potentialWinners = [];
+
   for (const card of purchasedCards) {
     // Skip already won cards
     if (card.status === 'won') {
@@ -355,11 +363,7 @@ async function handleAdminCallNumber(connectionId, body, connection) {
     console.log(`[Winner Check] Card ${card.cardId.slice(-6)}: isWinner=${result.isWinner}`);
 
     if (result.isWinner) {
-      // Pause game
-      await updateGame(game.gameId, { status: 'paused' });
-
-      // Broadcast potential winner
-      await broadcastPotentialWinner({
+      potentialWinners.push({
         cardId: card.cardId,
         cardNumbers: card.numbers,
         owner: card.owner,
@@ -367,16 +371,31 @@ async function handleAdminCallNumber(connectionId, body, connection) {
         wallet: card.ownerWallet,
         pattern: result.pattern,
         gameMode: updatedGame.gameMode,
-        detectedAt: new Date().toISOString(),
+        detectedAt,
       });
+    }
+  }
 
-      await broadcastGamePaused(
-        { ...updatedGame, status: 'paused' },
-        'potential-winner'
-      );
-
-      break; // Only report first winner
+  if (potentialWinners.length > 0) {
+    // Pause game once, however many winners were detected
+    const pausedGame = await setPotentialWinners(updatedGame, potentialWinners.map(pw => ({
+      cardId: pw.cardId,
+      owner: pw.owner,
+      ownerUsername: pw.username,
+      ownerWallet: pw.wallet,
+      pattern: pw.pattern,
+      detectedAt: pw.detectedAt,
+    })));
+
+    // Broadcast potential winners
+    for (const potentialWinner of potentialWinners) {
+      await broadcastPotentialWinner(potentialWinner);
     }
+    await broadcastPotentialWinners(potentialWinners);
+    await broadcastGamePaused(pausedGame, 'potential-winner');
+
+    await broadcastGameState(pausedGame);
+    return { statusCode: 200, body: 'Number called' };
   }
 
   // Broadcast updated game state
@@ -430,26 +449,22 @@ async function handleAdminVerifyWinner(connectionId, body, connection) {
     return { statusCode: 400, body: 'Card ID required' };
   }
 
-  const card = await getCardById(cardId);
-  if (!card) {
-    await sendError(connectionId, 'Card not found');
-    return { statusCode: 404, body: 'Card not found' };
-  }
-
   const game = await getCurrentGame();
   if (!game) {
     await sendError(connectionId, 'No active game');
     return { statusCode: 400, body: 'No game' };
   }
 
-  // Verify winner
-  const result = checkWinner(
-    { numbers: card.numbers },
-    game.calledNumbers || [],
-    game.gameMode
-  );
+  // Only purchased cards can win
+  let verification;
+  try {
+    verification = await gameService.verifyWinnerCard(game, cardId);
+  } catch (err) {
+    await sendError(connectionId, err.message);
+    return { statusCode: err.code === 'CARD_NOT_FOUND' ? 404 : 400, body: err.message };
+  }
 
-  if (!result.isWinner) {
+  if (!verification.isWinner) {
     await sendToConnection(connectionId, {
       type: 'verification-result',
       data: { isWinner: false, cardId },
@@ -458,40 +473,21 @@ async function handleAdminVerifyWinner(connectionId, body, connection) {
     return { statusCode: 200, body: 'Not a winner' };
   }
 
-  // Create winner record
-  const winner = await createWinner({
-    gameId: game.gameId,
-    odId: card.owner,
-    odUsername: card.ownerUsername,
-    wallet: card.ownerWallet,
-    cardId: card.cardId,
-    gameMode: game.gameMode,
-    patternName: result.modeName,
-    totalCalledNumbers: game.calledNumbers.length,
-  });
+  const { winner } = verification;
 
-  // End game with winner
-  const updatedGame = await updateGame(game.gameId, {
-    status: 'ended',
-    endedAt: new Date().toISOString(),
-    winner: {
-      odId: card.owner,
-      odUsername: card.ownerUsername,
-      wallet: card.ownerWallet,
-      cardId: card.cardId,
-      pattern: result.pattern,
-      patternName: result.modeName,
-      gameMode: game.gameMode,
-    },
-  });
+  // Simultaneous winners split the prize: only end once every
+  // potential winner detected on this call has been resolved
+  const { game: verifiedGame, pendingCount } = await addVerifiedWinner(game, winner);
+  if (pendingCount > 0) {
+    await broadcastWinnerVerified(winner, pendingCount);
+    await broadcastGameState(verifiedGame);
+    return { statusCode: 200, body: 'Winner verified' };
+  }
 
-  // Re-enable all cards that were marked as 'won' (rejected winners)
-  // so they can participate in future games
-  const reEnabledCount = await reEnableWonCards();
-  console.log(`Winner verified via WS: Re-enabled ${reEnabledCount} rejected cards`);
+  const { game: updatedGame } = await endGameWithWinners(verifiedGame);
 
-  // Broadcast winner
-  await broadcastWinnerAnnounced(updatedGame.winner);
+  // Broadcast winners
+  await broadcastWinnerAnnounced(updatedGame.winners || []);
   await broadcastGameEnded(updatedGame);
   await broadcastGameState(updatedGame);
 
@@ -511,20 +507,36 @@ async function handleAdminRejectWinner(connectionId, body, connection) {
   }
 
   // Mark card as won (disabled)
-  await markCardAsWon(cardId);
+  await gameService.rejectWinnerCard(cardId);
 
-  // Resume game
   const game = await getCurrentGame();
-  if (game && game.status === 'paused') {
-    await updateGame(game.gameId, { status: 'playing' });
+  if (!game) {
+    await broadcastWinnerRejected(cardId);
+    return { statusCode: 200, body: 'Winner rejected' };
   }
 
-  // Broadcast rejection
-  await broadcastWinnerRejected(cardId);
+  const { game: rejectedGame, pendingCount } = await rejectPotentialWinner(game, cardId);
 
-  const updatedGame = await getCurrentGame();
-  await broadcastGameResumed(updatedGame);
-  await broadcastGameState(updatedGame);
+  // Broadcast rejection
+  await broadcastWinnerRejected(cardId, pendingCount);
+
+  if (pendingCount > 0) {
+    // Other simultaneous winners still awaiting verification
+    await broadcastGameState(rejectedGame);
+  } else if ((rejectedGame.winners || []).length > 0) {
+    // Remaining winners were already verified - they share the prize
+    const { game: endedGame } = await endGameWithWinners(rejectedGame);
+    await broadcastWinnerAnnounced(endedGame.winners || []);
+    await broadcastGameEnded(endedGame);
+    await broadcastGameState(endedGame);
+  } else {
+    // Resume game
+    const updatedGame = rejectedGame.status === 'paused'
+      ? await updateGame(game.gameId, { status: 'playing' })
+      : rejectedGame;
+    await broadcastGameResumed(updatedGame);
+    await broadcastGameState(updatedGame);
+  }
 
   return { statusCode: 200, body: 'Winner rejected' };
 }
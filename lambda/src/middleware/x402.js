@@ -3,6 +3,11 @@
  * Validates x402 payments via UltravioletaDAO Facilitator
  */
 
+import { createMockFacilitator } from '../../../shared/x402/mockFacilitator.js';
+import { verifyTransferAuthorization } from '../../../shared/x402/authorization.js';
+import payments from '../services/payments.js';
+import { auditLog, getRequestIp } from '../services/audit.js';
+
 // USDC contract addresses by network
 const USDC_ADDRESSES = {
   avalanche: '0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E',
@@ -16,8 +21,35 @@ const config = {
   network: process.env.X402_NETWORK || 'avalanche',
   receiverAddress: process.env.X402_RECEIVER_ADDRESS,
   cardPrice: parseFloat(process.env.CARD_PRICE) || 5,
+  // Abort verify/settle calls that take longer than this
+  facilitatorTimeoutMs: parseInt(process.env.X402_FACILITATOR_TIMEOUT_MS) || 30000,
+  // Local facilitator for development: succeed, fail-verify, fail-settle or timeout
+  mockFacilitator: process.env.X402_MOCK_FACILITATOR || null,
 };
 
+if (config.mockFacilitator && ['prod', 'production'].includes(process.env.NODE_ENV)) {
+  throw new Error('X402_MOCK_FACILITATOR is for development only');
+}
+
+// Built-in facilitator replacing facilitatorUrl when X402_MOCK_FACILITATOR is set
+const mockFacilitator = config.mockFacilitator
+  ? createMockFacilitator({ mode: config.mockFacilitator })
+  : null;
+
+/**
+ * POST to a facilitator endpoint (verify/settle) with a timeout
+ */
+function callFacilitator(endpoint, body) {
+  const request = mockFacilitator ? mockFacilitator.fetch : fetch;
+
+  return request(`${config.facilitatorUrl.replace(/\/$/, '')}/${endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(config.facilitatorTimeoutMs),
+  });
+}
+
 /**
  * Calculate price in atomic USDC units (6 decimals)
  */
@@ -76,7 +108,7 @@ export function create402Response(quantity, resource, origin = '*') {
       'Content-Type': 'application/json',
       'X-PAYMENT-REQUIRED': encodedPaymentInfo,
       'Access-Control-Allow-Origin': origin,
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-PAYMENT, x-payment',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-PAYMENT, x-payment, Idempotency-Key',
       'Access-Control-Expose-Headers': 'X-PAYMENT-REQUIRED, Payment-Required',
       'Access-Control-Allow-Credentials': 'true',
     },
@@ -122,18 +154,14 @@ export function parsePaymentHeader(headers) {
  * Verify payment with facilitator
  */
 async function verifyPayment(paymentPayload, paymentRequirements) {
-  console.log('[x402] Verificando pago con facilitator:', config.facilitatorUrl);
+  console.log('[x402] Verificando pago con facilitator:', mockFacilitator ? `local mock (${config.mockFacilitator})` : config.facilitatorUrl);
   console.log('[x402] Payment payload:', JSON.stringify(paymentPayload, null, 2));
   console.log('[x402] Payment requirements:', JSON.stringify(paymentRequirements, null, 2));
 
-  const response = await fetch(`${config.facilitatorUrl}/verify`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      x402Version: 1,
-      paymentPayload,
-      paymentRequirements,
-    }),
+  const response = await callFacilitator('verify', {
+    x402Version: 1,
+    paymentPayload,
+    paymentRequirements,
   });
 
   const responseText = await response.text();
@@ -157,14 +185,10 @@ async function verifyPayment(paymentPayload, paymentRequirements) {
 async function settlePayment(paymentPayload, paymentRequirements) {
   console.log('[x402] Liquidando pago con facilitator...');
 
-  const response = await fetch(`${config.facilitatorUrl}/settle`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      x402Version: 1,
-      paymentPayload,
-      paymentRequirements,
-    }),
+  const response = await callFacilitator('settle', {
+    x402Version: 1,
+    paymentPayload,
+    paymentRequirements,
   });
 
   const responseText = await response.text();
@@ -172,7 +196,10 @@ async function settlePayment(paymentPayload, paymentRequirements) {
   console.log('[x402] Settle response body:', responseText);
 
   if (!response.ok) {
-    throw new Error(`Settlement failed (${response.status}): ${responseText}`);
+    // The facilitator answered: the transfer was not executed
+    const error = new Error(`Settlement failed (${response.status}): ${responseText}`);
+    error.status = response.status;
+    throw error;
   }
 
   try {
@@ -182,11 +209,34 @@ async function settlePayment(paymentPayload, paymentRequirements) {
   }
 }
 
+/**
+ * 402 response for a payment that was not accepted
+ */
+function createRejectedResponse(error, origin, type = 'payment_rejected', statusCode = 402) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Credentials': 'true',
+    },
+    body: JSON.stringify({
+      error,
+      message: error,
+      type,
+    }),
+  };
+}
+
 /**
  * Validate x402 payment for a request
+ * The EIP-3009 authorization is checked locally first (signer, recipient,
+ * amount, validity window, single-use nonce) and recorded as a payment
+ * (see services/payments.js); only then is the facilitator asked to verify
+ * and settle.
  * Returns payment info if valid, or 402 response if invalid/missing
  */
-export async function validatePayment(event, quantity) {
+export async function validatePayment(event, quantity, { odId = null, idempotencyKey = null } = {}) {
   const headers = event.headers || {};
   const resource = `https://${event.requestContext?.domainName}${event.rawPath || event.path}`;
   const origin = headers.origin || headers.Origin || '*';
@@ -206,6 +256,62 @@ export async function validatePayment(event, quantity) {
   // Create payment requirements
   const paymentRequirements = createPaymentRequirements(quantity, resource);
 
+  // Local check of the signed authorization - mismatches never reach the facilitator
+  let authorization;
+  try {
+    authorization = await verifyTransferAuthorization(paymentPayload, paymentRequirements);
+  } catch (error) {
+    await auditLog({
+      action: 'PAYMENT_AUTHORIZATION_REJECTED',
+      reason: error.code || error.message,
+      ip: getRequestIp(event),
+    });
+    return {
+      valid: false,
+      response: createRejectedResponse(error.message, origin),
+      error: error.message,
+    };
+  }
+
+  // Single-use nonce - the same authorization cannot pay twice
+  const claim = await payments.claimPayment({
+    payer: authorization.payer,
+    nonce: authorization.nonce,
+    value: authorization.value,
+    quantity,
+    odId,
+    idempotencyKey,
+  });
+  if (claim.error === 'IDEMPOTENCY_KEY_IN_USE') {
+    const error = 'Idempotency-Key is already used by another payment';
+    return {
+      valid: false,
+      response: createRejectedResponse(error, origin, 'idempotency_conflict', 409),
+      error,
+    };
+  }
+  if (claim.error) {
+    await auditLog({
+      action: 'PAYMENT_NONCE_REUSED',
+      wallet: authorization.payer,
+      nonce: authorization.nonce,
+      odId,
+      ip: getRequestIp(event),
+    });
+    const error = 'Payment authorization was already used';
+    return {
+      valid: false,
+      response: createRejectedResponse(error, origin),
+      error,
+    };
+  }
+  const { payment } = claim;
+
+  // Marked failed (authorization free again) when the transfer was definitely not executed
+  let settleAttempted = false;
+  const failPayment = (reason) => payments.markPaymentFailed(payment, reason)
+    .catch(error => console.error('[x402] Failed to mark payment as failed:', error.message));
+
   try {
     // Verify payment
     const verifyResult = await verifyPayment(paymentPayload, paymentRequirements);
@@ -214,6 +320,7 @@ export async function validatePayment(event, quantity) {
     const isVerified = verifyResult.valid || verifyResult.isValid;
     if (!isVerified) {
       console.error('[x402] Payment verification failed:', verifyResult);
+      await failPayment(verifyResult.invalidReason || 'verification_failed');
       return {
         valid: false,
         response: create402Response(quantity, resource, origin),
@@ -223,10 +330,12 @@ export async function validatePayment(event, quantity) {
     console.log('[x402] Verificación exitosa, payer:', verifyResult.payer);
 
     // Settle payment
+    settleAttempted = true;
     const settleResult = await settlePayment(paymentPayload, paymentRequirements);
 
     if (!settleResult.success && !settleResult.settled) {
       console.error('[x402] Payment settlement failed:', settleResult);
+      await failPayment('settlement_failed');
       return {
         valid: false,
         response: {
@@ -252,31 +361,46 @@ export async function validatePayment(event, quantity) {
                    paymentPayload.transaction ||
                    paymentPayload.txHash;
 
+    // A transaction pays for one purchase only
+    if (txHash && !await payments.markPaymentSettled(payment, txHash)) {
+      await auditLog({
+        action: 'PAYMENT_TX_REUSED',
+        wallet: authorization.payer,
+        txHash,
+        odId,
+        ip: getRequestIp(event),
+      });
+      const error = 'Payment transaction was already used';
+      return {
+        valid: false,
+        response: createRejectedResponse(error, origin, 'payment_rejected', 409),
+        error,
+      };
+    }
+
     return {
       valid: true,
       settled: true,
       transaction: txHash,
+      payer: authorization.payer,
+      nonce: authorization.nonce,
+      payment: { ...payment, status: 'settled', txHash },
       verifyResult,
       settleResult,
     };
   } catch (error) {
-    console.error('[x402] Payment processing error:', error.message);
+    // Without an answer from settle the transfer may have run - the nonce stays used
+    if (!settleAttempted || error.status) {
+      await failPayment(error.status ? 'settlement_failed' : 'facilitator_error');
+    }
+    const message = error.name === 'TimeoutError'
+      ? `Payment facilitator timed out after ${config.facilitatorTimeoutMs}ms`
+      : error.message;
+    console.error('[x402] Payment processing error:', message);
     return {
       valid: false,
-      response: {
-        statusCode: 402,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': origin,
-          'Access-Control-Allow-Credentials': 'true',
-        },
-        body: JSON.stringify({
-          error: error.message,
-          message: error.message,
-          type: 'payment_failed',
-        }),
-      },
-      error: error.message,
+      response: createRejectedResponse(message, origin, 'payment_failed'),
+      error: message,
     };
   }
 }
@@ -289,4 +413,5 @@ export default {
   validatePayment,
   config,
   USDC_ADDRESSES,
+  mockFacilitator,
 };
@@ -0,0 +1,215 @@
+/**
+ * Ultra Bingo - Audit Log Service
+ * Append-only audit trail stored as AUDIT# items. Each entry hashes its
+ * content together with the previous entry's hash (same chain format as the
+ * Express backend), so editing or deleting a past entry breaks the chain.
+ */
+
+import crypto from 'crypto';
+
+import {
+  getAuditHead,
+  appendAuditEntry,
+  getAuditEntry,
+  queryAuditEntries,
+} from '../db/dynamodb.js';
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+const MAX_QUERY_LIMIT = 5000;
+const MAX_VERIFY_LIMIT = 1000;
+
+const CRITICAL_ACTIONS = [
+  'ADMIN_ACCESS_DENIED',
+  'ADMIN_LOGIN_FAILED',
+  'WINNER_VERIFICATION_FAILED',
+  'SUSPICIOUS_ACTIVITY',
+];
+
+/**
+ * Deterministic JSON (sorted keys) so hashes do not depend on key order
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function hashEntry({ seq, timestamp, action, wallet, ip, details }, prevHash) {
+  const payload = canonicalize({
+    seq,
+    timestamp: new Date(timestamp).toISOString(),
+    action,
+    wallet: wallet || null,
+    ip: ip || null,
+    details: details || {},
+  });
+  return crypto.createHash('sha256').update(`${prevHash}|${payload}`).digest('hex');
+}
+
+/**
+ * Client IP of an API Gateway event
+ */
+export function getRequestIp(event) {
+  return event?.requestContext?.http?.sourceIp ||
+    event?.requestContext?.identity?.sourceIp ||
+    null;
+}
+
+/**
+ * Record an audit entry
+ * Never throws: a failed write is logged and the request continues.
+ * @param {Object} logEntry - { action, wallet?, ip?, ...details }
+ */
+export async function auditLog(logEntry) {
+  const { action, ...details } = JSON.parse(JSON.stringify(logEntry));
+  const timestamp = new Date().toISOString();
+  const wallet = details.wallet || details.adminWallet || null;
+  const record = {
+    timestamp,
+    action: action || 'UNKNOWN',
+    wallet: typeof wallet === 'string' ? wallet.toLowerCase() : null,
+    ip: typeof details.ip === 'string' ? details.ip : null,
+    details,
+  };
+
+  const line = JSON.stringify({ timestamp, action, ...details });
+  if (CRITICAL_ACTIONS.includes(action)) {
+    console.warn('[SECURITY AUDIT]', line);
+  } else {
+    console.log('[AUDIT]', line);
+  }
+
+  // Concurrent Lambdas race for the next seq; the loser reloads the head and retries
+  for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+    try {
+      const head = await getAuditHead();
+      const seq = (head?.seq || 0) + 1;
+      const prevHash = head?.hash || GENESIS_HASH;
+      await appendAuditEntry({ ...record, seq, prevHash, hash: hashEntry({ seq, ...record }, prevHash) });
+      return;
+    } catch (error) {
+      if (error.name !== 'TransactionCanceledException') {
+        console.error('[Audit] Failed to persist entry:', action, error.message);
+        return;
+      }
+    }
+  }
+  console.error('[Audit] Failed to persist entry: audit chain is busy', action);
+}
+
+function formatEntry(item) {
+  return {
+    seq: item.seq,
+    timestamp: item.timestamp,
+    action: item.action,
+    wallet: item.wallet,
+    ip: item.ip,
+    details: item.details,
+    prevHash: item.prevHash,
+    hash: item.hash,
+  };
+}
+
+function parseDate(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a valid date`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Query audit entries, newest first
+ * @param {Object} filters - { action, wallet, ip, from, to, limit }
+ */
+export async function queryAudit({ action, wallet, ip, from, to, limit } = {}) {
+  const items = await queryAuditEntries({
+    action: action || null,
+    wallet: wallet || null,
+    ip: ip || null,
+    from: parseDate(from, 'from'),
+    to: parseDate(to, 'to'),
+    limit: Math.min(Math.max(parseInt(limit) || 100, 1), MAX_QUERY_LIMIT),
+  });
+  return items.map(formatEntry);
+}
+
+/**
+ * Recompute the hash chain from fromSeq (at most MAX_VERIFY_LIMIT entries)
+ * @returns {Object} { valid, checked, firstSeq, lastSeq, brokenAt, reason }
+ */
+export async function verifyAuditChain({ fromSeq, limit } = {}) {
+  const start = Math.max(parseInt(fromSeq) || 1, 1);
+  const max = Math.min(Math.max(parseInt(limit) || MAX_VERIFY_LIMIT, 1), MAX_VERIFY_LIMIT);
+  const head = await getAuditHead();
+  const lastSeq = Math.min(head?.seq || 0, start + max - 1);
+
+  let expectedPrevHash = GENESIS_HASH;
+  if (start > 1) {
+    const previous = await getAuditEntry(start - 1);
+    if (!previous) {
+      return { valid: false, checked: 0, firstSeq: start, lastSeq, brokenAt: start - 1, reason: 'Entry missing' };
+    }
+    expectedPrevHash = previous.hash;
+  }
+
+  let checked = 0;
+  for (let seq = start; seq <= lastSeq; seq++) {
+    const entry = await getAuditEntry(seq);
+    let reason = null;
+    if (!entry) {
+      reason = 'Entry missing';
+    } else if (entry.prevHash !== expectedPrevHash) {
+      reason = 'Previous hash mismatch';
+    } else if (hashEntry(entry, entry.prevHash) !== entry.hash) {
+      reason = 'Entry hash mismatch';
+    }
+
+    if (reason) {
+      return { valid: false, checked, firstSeq: start, lastSeq, brokenAt: seq, reason };
+    }
+    checked++;
+    expectedPrevHash = entry.hash;
+  }
+
+  return { valid: true, checked, firstSeq: start, lastSeq, brokenAt: null, reason: null };
+}
+
+/**
+ * Quote a CSV field, neutralizing spreadsheet formulas
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? ''
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Export entries as CSV (details as a JSON column)
+ */
+export function auditEntriesToCsv(entries) {
+  const columns = ['seq', 'timestamp', 'action', 'wallet', 'ip', 'details', 'prevHash', 'hash'];
+  const rows = entries.map(entry => columns.map(column => csvField(entry[column])).join(','));
+  return [columns.join(','), ...rows].join('\n');
+}
+
+export default {
+  getRequestIp,
+  auditLog,
+  queryAudit,
+  verifyAuditChain,
+  auditEntriesToCsv,
+};
@@ -98,6 +98,124 @@ const GAME_PATTERNS = {
   },
 };
 
+// Admin-defined patterns (PATTERN# items), keyed by game mode.
+// Loaded by services/patterns.js; each entry has `alternatives`, any of which wins.
+let customPatterns = {};
+
+const PATTERN_KEY_REGEX = /^[a-zA-Z][a-zA-Z0-9]{2,31}$/;
+const MASK_ROW_REGEX = /^[#.]{5}$/;
+const MAX_PATTERN_MASKS = 8;
+
+/**
+ * Parse a 5x5 mask (5 row strings of '#' marked / '.' ignored) into positions
+ */
+export function parsePatternMask(mask) {
+  const positions = [];
+  mask.forEach((rowString, row) => {
+    [...rowString].forEach((cell, col) => {
+      if (cell === '#') positions.push([col, row]);
+    });
+  });
+  return positions;
+}
+
+/**
+ * Build the distinct position sets a pattern accepts (optionally any rotation)
+ */
+export function buildPatternAlternatives(masks, anyRotation = false) {
+  const alternatives = new Map();
+
+  for (const mask of masks) {
+    let positions = parsePatternMask(mask);
+    const turns = anyRotation ? 4 : 1;
+    for (let i = 0; i < turns; i++) {
+      const sorted = [...positions].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+      alternatives.set(JSON.stringify(sorted), sorted);
+      // Rotate 90 degrees clockwise around the center
+      positions = positions.map(([col, row]) => [4 - row, col]);
+    }
+  }
+
+  return [...alternatives.values()];
+}
+
+/**
+ * Validate and normalize an admin pattern definition
+ * Same rules as the Express backend
+ */
+export function validatePatternDefinition(definition) {
+  const { key, name, description = '', masks, anyRotation = false } = definition || {};
+
+  if (typeof key !== 'string' || !PATTERN_KEY_REGEX.test(key)) {
+    throw new Error('Pattern key must be 3-32 letters/digits starting with a letter');
+  }
+  if (GAME_PATTERNS[key]) {
+    throw new Error(`Pattern key "${key}" is reserved by a built-in mode`);
+  }
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 50) {
+    throw new Error('Pattern name is required (max 50 characters)');
+  }
+  if (typeof description !== 'string' || description.length > 200) {
+    throw new Error('Pattern description must be at most 200 characters');
+  }
+  if (typeof anyRotation !== 'boolean') {
+    throw new Error('anyRotation must be a boolean');
+  }
+  if (!Array.isArray(masks) || masks.length === 0 || masks.length > MAX_PATTERN_MASKS) {
+    throw new Error(`Between 1 and ${MAX_PATTERN_MASKS} masks are required`);
+  }
+
+  for (const mask of masks) {
+    if (!Array.isArray(mask) || mask.length !== 5 || !mask.every(row => typeof row === 'string' && MASK_ROW_REGEX.test(row))) {
+      throw new Error('Each mask must be 5 rows of 5 characters using "#" and "."');
+    }
+    const positions = parsePatternMask(mask).filter(([col, row]) => !(col === 2 && row === 2));
+    if (positions.length === 0) {
+      throw new Error('Each mask must mark at least one position besides the FREE center');
+    }
+  }
+
+  return {
+    key,
+    name: name.trim(),
+    description: description.trim(),
+    masks,
+    anyRotation,
+  };
+}
+
+/**
+ * Replace the registry of admin-defined patterns
+ */
+export function setCustomPatterns(patterns) {
+  customPatterns = Object.fromEntries(patterns.map(pattern => {
+    const alternatives = buildPatternAlternatives(pattern.masks, pattern.anyRotation);
+    return [pattern.key, {
+      name: pattern.name,
+      description: pattern.description,
+      positions: alternatives.length === 1 ? alternatives[0] : null,
+      alternatives,
+      masks: pattern.masks,
+      anyRotation: pattern.anyRotation,
+      isCustom: true,
+    }];
+  }));
+}
+
+/**
+ * Find a built-in or custom pattern by game mode
+ */
+function findPattern(gameMode) {
+  return GAME_PATTERNS[gameMode] || customPatterns[gameMode] || null;
+}
+
+/**
+ * Whether a game mode exists (built-in or active custom pattern)
+ */
+export function isValidGameMode(gameMode) {
+  return !!findPattern(gameMode);
+}
+
 /**
  * Generate cryptographically secure random numbers for a column
  */
@@ -193,7 +311,7 @@ export function checkWinner(card, calledNumbers, gameMode = 'line') {
     })
   );
 
-  const pattern = GAME_PATTERNS[gameMode];
+  const pattern = findPattern(gameMode);
   if (!pattern) {
     return { isWinner: false, pattern: null, mode: gameMode, modeName: 'Unknown' };
   }
@@ -203,6 +321,20 @@ export function checkWinner(card, calledNumbers, gameMode = 'line') {
     return checkLineWinner(marked, gameMode);
   }
 
+  // Custom patterns: any alternative (mask or rotation) wins
+  if (pattern.alternatives) {
+    const alternative = pattern.alternatives.findIndex(positions =>
+      positions.every(([col, row]) => marked[col][row])
+    );
+    return {
+      isWinner: alternative >= 0,
+      pattern: gameMode,
+      mode: gameMode,
+      modeName: pattern.name,
+      ...(alternative >= 0 && { alternative }),
+    };
+  }
+
   // Check if all required positions are marked
   const isWinner = pattern.positions.every(([col, row]) => marked[col][row]);
 
@@ -276,7 +408,7 @@ function checkLineWinner(marked, gameMode) {
 export function calculateProgress(card, calledNumbers, gameMode = 'fullCard') {
   const columns = ['B', 'I', 'N', 'G', 'O'];
   const calledSet = new Set(calledNumbers);
-  const pattern = GAME_PATTERNS[gameMode];
+  const pattern = findPattern(gameMode);
 
   if (!pattern) {
     return { completed: 0, total: 0, percentage: 0 };
@@ -287,24 +419,26 @@ export function calculateProgress(card, calledNumbers, gameMode = 'fullCard') {
     return calculateBestLineProgress(card, calledNumbers);
   }
 
-  let completed = 0;
-  const total = pattern.positions.length;
-
-  for (const [colIndex, rowIndex] of pattern.positions) {
+  const countCompleted = (positions) => positions.filter(([colIndex, rowIndex]) => {
     const col = columns[colIndex];
     const num = card.numbers[col][rowIndex];
-
     // FREE space or called number
-    if ((colIndex === 2 && rowIndex === 2) || calledSet.has(num)) {
-      completed++;
+    return (colIndex === 2 && rowIndex === 2) || calledSet.has(num);
+  }).length;
+
+  // Custom patterns: report the closest alternative
+  const alternatives = pattern.alternatives || [pattern.positions];
+  let best = { completed: 0, total: alternatives[0].length, percentage: 0 };
+
+  for (const positions of alternatives) {
+    const completed = countCompleted(positions);
+    const percentage = Math.round((completed / positions.length) * 100);
+    if (percentage > best.percentage) {
+      best = { completed, total: positions.length, percentage };
     }
   }
 
-  return {
-    completed,
-    total,
-    percentage: Math.round((completed / total) * 100),
-  };
+  return best;
 }
 
 /**
@@ -367,14 +501,14 @@ export function verifyCardIntegrity(card) {
  * Get pattern info for a game mode
  */
 export function getPatternInfo(gameMode) {
-  return GAME_PATTERNS[gameMode] || null;
+  return findPattern(gameMode);
 }
 
 /**
  * Get all available game modes
  */
 export function getAllGameModes() {
-  return Object.entries(GAME_PATTERNS).map(([key, value]) => ({
+  return Object.entries({ ...GAME_PATTERNS, ...customPatterns }).map(([key, value]) => ({
     key,
     ...value,
   }));
@@ -388,6 +522,13 @@ export default {
   verifyCardIntegrity,
   getPatternInfo,
   getAllGameModes,
+  isValidGameMode,
+  parsePatternMask,
+  buildPatternAlternatives,
+  validatePatternDefinition,
+  setCustomPatterns,
   GAME_PATTERNS,
   BINGO_COLUMNS,
 };
+
+export { GAME_PATTERNS };
@@ -122,7 +122,9 @@ export async function broadcastGameState(game) {
       gameMode: game.gameMode,
       calledNumbers: game.calledNumbers || [],
       currentNumber: game.currentNumber,
-      winner: game.winner,
+      winner: game.winners?.[0] || null,
+      winners: game.winners || [],
+      potentialWinners: game.potentialWinners || [],
       canPurchase: game.status === 'waiting' || game.status === 'ended',
     },
     timestamp: new Date().toISOString(),
@@ -156,13 +158,35 @@ export async function broadcastPotentialWinner(winnerData) {
   });
 }
 
+/**
+ * Broadcast every potential winner detected on the same call
+ */
+export async function broadcastPotentialWinners(winners) {
+  return broadcast({
+    type: 'potential-winners',
+    data: { winners, detectedAt: winners[0]?.detectedAt || new Date().toISOString() },
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Broadcast a verified winner while other potential winners are still pending
+ */
+export async function broadcastWinnerVerified(winner, pendingCount) {
+  return broadcast({
+    type: 'winner-verified',
+    data: { winner, pendingCount },
+    timestamp: new Date().toISOString(),
+  });
+}
+
 /**
  * Broadcast winner announced
  */
-export async function broadcastWinnerAnnounced(winner) {
+export async function broadcastWinnerAnnounced(winners) {
   return broadcast({
     type: 'winner-announced',
-    data: { winner },
+    data: { winner: winners[0] || null, winners },
     timestamp: new Date().toISOString(),
   });
 }
@@ -170,12 +194,13 @@ export async function broadcastWinnerAnnounced(winner) {
 /**
  * Broadcast winner rejected
  */
-export async function broadcastWinnerRejected(cardId) {
+export async function broadcastWinnerRejected(cardId, pendingCount = 0) {
   return broadcast({
     type: 'winner-rejected',
     data: {
       cardId,
       disabled: true,
+      pendingCount,
       rejectedAt: new Date().toISOString(),
     },
     timestamp: new Date().toISOString(),
@@ -250,7 +275,8 @@ export async function broadcastGameEnded(game) {
     data: {
       id: game.gameId,
       status: game.status,
-      winner: game.winner,
+      winner: game.winners?.[0] || null,
+      winners: game.winners || [],
       endedAt: game.endedAt,
     },
     timestamp: new Date().toISOString(),
@@ -280,6 +306,8 @@ export default {
   broadcastGameState,
   broadcastNumberCalled,
   broadcastPotentialWinner,
+  broadcastPotentialWinners,
+  broadcastWinnerVerified,
   broadcastWinnerAnnounced,
   broadcastWinnerRejected,
   broadcastGameModeChanged,
@@ -0,0 +1,19 @@
+/**
+ * Ultra Bingo - Game service of the Lambda backend
+ * The shared game service (shared/game/gameService.js) on the DynamoDB repository.
+ */
+
+import { createDynamoRepository } from '../db/dynamoRepository.js';
+import { createGameService } from '../../../shared/game/gameService.js';
+import { checkWinner } from './bingoCard.js';
+
+export const repository = createDynamoRepository();
+
+// No integrity check: stored cards carry their insertion time as createdAt,
+// not the timestamp their hash was generated with
+export const gameService = createGameService(repository, { checkWinner });
+
+export default {
+  repository,
+  gameService,
+};
@@ -0,0 +1,140 @@
+/**
+ * Ultra Bingo - Custom Pattern Service
+ * Admin-defined patterns are stored as PATTERN# items and mirrored into the
+ * bingoCard registry. Lambda containers are reused, so the registry is
+ * refreshed at most once per CACHE_TTL_MS (and immediately after changes).
+ */
+
+import {
+  getPattern,
+  getAllPatterns,
+  savePattern,
+  deletePattern as dbDeletePattern,
+  getCurrentGame,
+} from '../db/dynamodb.js';
+
+import {
+  GAME_PATTERNS,
+  validatePatternDefinition,
+  setCustomPatterns,
+} from './bingoCard.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+let loadedAt = 0;
+
+/**
+ * Load active custom patterns into the bingoCard registry
+ * @param {boolean} force - Ignore the cache
+ */
+export async function loadCustomPatterns(force = false) {
+  if (!force && Date.now() - loadedAt < CACHE_TTL_MS) {
+    return;
+  }
+
+  const patterns = await getAllPatterns();
+  setCustomPatterns(patterns.filter(p => p.active !== false));
+  loadedAt = Date.now();
+}
+
+/**
+ * Format a pattern item for API responses
+ */
+function formatPattern(item) {
+  return {
+    key: item.key,
+    name: item.name,
+    description: item.description,
+    masks: item.masks,
+    anyRotation: item.anyRotation,
+    active: item.active,
+    createdBy: item.createdBy,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+  };
+}
+
+/**
+ * List built-in and custom patterns (including inactive ones)
+ */
+export async function listPatterns() {
+  const custom = await getAllPatterns();
+  return {
+    builtIn: Object.entries(GAME_PATTERNS).map(([key, pattern]) => ({
+      key,
+      name: pattern.name,
+      description: pattern.description,
+    })),
+    custom: custom.map(formatPattern),
+  };
+}
+
+/**
+ * Throw if the current game uses the pattern
+ * A waiting game may have its pattern edited, but not removed.
+ */
+async function assertPatternNotInUse(key, { removing = false } = {}) {
+  const game = await getCurrentGame();
+  if (!game || game.status === 'ended' || game.gameMode !== key) return;
+
+  if (game.status !== 'waiting') {
+    throw new Error('Pattern is in use by the current game');
+  }
+  if (removing) {
+    throw new Error('Select another game mode before removing this pattern');
+  }
+}
+
+export async function createPattern(definition, createdBy = null) {
+  const pattern = validatePatternDefinition(definition);
+
+  if (await getPattern(pattern.key)) {
+    throw new Error(`Pattern "${pattern.key}" already exists`);
+  }
+
+  const item = await savePattern({ ...pattern, createdBy });
+  await loadCustomPatterns(true);
+  return formatPattern(item);
+}
+
+export async function updatePattern(key, updates) {
+  const existing = await getPattern(key);
+  if (!existing) {
+    throw new Error('Pattern not found');
+  }
+
+  await assertPatternNotInUse(key, { removing: updates.active === false });
+
+  const validated = validatePatternDefinition({
+    key,
+    name: updates.name ?? existing.name,
+    description: updates.description ?? existing.description,
+    masks: updates.masks ?? existing.masks,
+    anyRotation: updates.anyRotation ?? existing.anyRotation,
+  });
+
+  const item = await savePattern({
+    ...existing,
+    ...validated,
+    active: typeof updates.active === 'boolean' ? updates.active : existing.active,
+  });
+  await loadCustomPatterns(true);
+  return formatPattern(item);
+}
+
+export async function deletePattern(key) {
+  await assertPatternNotInUse(key, { removing: true });
+
+  const deleted = await dbDeletePattern(key);
+  if (!deleted) {
+    throw new Error('Pattern not found');
+  }
+  await loadCustomPatterns(true);
+}
+
+export default {
+  loadCustomPatterns,
+  listPatterns,
+  createPattern,
+  updatePattern,
+  deletePattern,
+};
@@ -0,0 +1,146 @@
+/**
+ * Ultra Bingo - x402 payments and purchase idempotency (Lambda)
+ * Each payment authorization (payer + nonce) is claimed before settlement and
+ * moves pending -> settled -> completed; a definite failure frees it again.
+ * Repeated purchase requests find the payment by their Idempotency-Key or
+ * payment header and get its recorded outcome.
+ * A settle that never answers leaves the payment pending: once it is older
+ * than the pending TTL it is unconfirmed and an admin resolves it.
+ */
+
+import {
+  getPayment,
+  getPaymentByIdempotencyKey,
+  createPayment,
+  markPaymentSettled as markSettled,
+  markPaymentFailed as markFailed,
+  completePayment as complete,
+  scanPendingPayments,
+} from '../db/dynamodb.js';
+
+// Minutes a payment may stay pending before it counts as unconfirmed
+const PENDING_PAYMENT_TTL_MINUTES = parseInt(process.env.X402_PENDING_PAYMENT_TTL_MINUTES) || 15;
+
+function paymentError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function unconfirmedCutoff(now = Date.now()) {
+  return new Date(now - PENDING_PAYMENT_TTL_MINUTES * 60 * 1000).toISOString();
+}
+
+/**
+ * Find the recorded payment of a request
+ * Failed payments are not returned: their authorization may be presented again.
+ * @param {Object} lookup - { odId, idempotencyKey, payer, nonce }
+ * @returns {Object|null} Payment
+ */
+export async function findPayment({ odId = null, idempotencyKey = null, payer = null, nonce = null } = {}) {
+  if (odId && idempotencyKey) {
+    const payment = await getPaymentByIdempotencyKey(odId, idempotencyKey);
+    if (payment) return payment;
+  }
+  if (payer && nonce) {
+    const payment = await getPayment(payer, nonce);
+    if (payment && payment.status !== 'failed') return payment;
+  }
+  return null;
+}
+
+/**
+ * Claim an authorization for a payment about to be settled
+ * @param {Object} claim - { payer, nonce, value, quantity, odId, idempotencyKey }
+ * @returns {Object} { payment } or { error } - AUTHORIZATION_USED or IDEMPOTENCY_KEY_IN_USE
+ */
+export async function claimPayment(claim) {
+  return createPayment(claim);
+}
+
+/**
+ * Record the settlement transaction
+ * @returns {boolean} false if the transaction is already recorded
+ */
+export async function markPaymentSettled(payment, txHash) {
+  return markSettled(payment.payer, payment.nonce, txHash);
+}
+
+/**
+ * The transfer was not executed - free the authorization and idempotency key
+ */
+export async function markPaymentFailed(payment, reason) {
+  await markFailed(payment.payer, payment.nonce, reason, {
+    odId: payment.odId,
+    idempotencyKey: payment.idempotencyKey,
+  });
+}
+
+/**
+ * Cards were assigned - record the response returned to the buyer
+ */
+export async function completePayment(payment, response) {
+  await complete(payment.payer, payment.nonce, response);
+}
+
+/**
+ * Whether a payment is still pending after the pending TTL (its settle never answered)
+ */
+export function isPaymentUnconfirmed(payment, now = Date.now()) {
+  return payment?.status === 'pending' && payment.createdAt <= unconfirmedCutoff(now);
+}
+
+/**
+ * Unconfirmed payments, oldest first
+ */
+export async function listUnconfirmedPayments(limit = 100) {
+  return scanPendingPayments(unconfirmedCutoff(), limit);
+}
+
+/**
+ * Resolve an unconfirmed payment once its transfer was checked on-chain
+ * With the transfer's txHash the payment is settled and the buyer's retry
+ * gets the cards; without it the authorization and key are freed.
+ * Throws (err.code) PAYMENT_NOT_FOUND, PAYMENT_NOT_UNCONFIRMED or TX_ALREADY_USED.
+ * @returns {Object} Payment
+ */
+export async function resolvePayment(payer, nonce, { txHash = null } = {}) {
+  const payment = await getPayment(payer, nonce);
+  if (!payment) {
+    throw paymentError('Payment not found', 'PAYMENT_NOT_FOUND');
+  }
+  if (!isPaymentUnconfirmed(payment)) {
+    throw paymentError(
+      `Only payments pending for more than ${PENDING_PAYMENT_TTL_MINUTES} minutes can be resolved`,
+      'PAYMENT_NOT_UNCONFIRMED'
+    );
+  }
+
+  if (txHash) {
+    if (!await markPaymentSettled(payment, txHash)) {
+      const current = await getPayment(payer, nonce);
+      throw current?.status === 'pending'
+        ? paymentError('Transaction already recorded for another payment', 'TX_ALREADY_USED')
+        : paymentError('Payment is no longer pending', 'PAYMENT_NOT_UNCONFIRMED');
+    }
+  } else {
+    await markPaymentFailed(payment, 'not_settled');
+  }
+
+  const resolved = await getPayment(payer, nonce);
+  if (resolved.status !== (txHash ? 'settled' : 'failed')) {
+    throw paymentError('Payment is no longer pending', 'PAYMENT_NOT_UNCONFIRMED');
+  }
+  return resolved;
+}
+
+export default {
+  findPayment,
+  claimPayment,
+  markPaymentSettled,
+  markPaymentFailed,
+  completePayment,
+  isPaymentUnconfirmed,
+  listUnconfirmedPayments,
+  resolvePayment,
+};
@@ -0,0 +1,114 @@
+/**
+ * Ultra Bingo - Purchase Limits Service
+ * Responsible gaming checks for the Lambda purchase flow. Uses the same
+ * user fields as the Express server (limits, pendingLimits, adminLimits,
+ * selfExcludedUntil) and the same operator caps from the environment.
+ */
+
+import { getCardsByOwner } from '../db/dynamodb.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const LIMIT_FIELDS = [
+  'maxCardsPerGame',
+  'maxCardsPerDay',
+  'maxCardsPerWeek',
+  'maxSpendPerDay',
+  'maxSpendPerWeek',
+];
+
+function envLimit(name, defaultValue) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return defaultValue;
+  if (raw.toLowerCase() === 'none') return null;
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : defaultValue;
+}
+
+// Operator caps (null = no cap)
+const operatorDefaults = {
+  maxCardsPerGame: envLimit('MAX_CARDS_PER_GAME', 100),
+  maxCardsPerDay: envLimit('MAX_CARDS_PER_DAY', null),
+  maxCardsPerWeek: envLimit('MAX_CARDS_PER_WEEK', null),
+  maxSpendPerDay: envLimit('MAX_SPEND_PER_DAY', null),
+  maxSpendPerWeek: envLimit('MAX_SPEND_PER_WEEK', null),
+};
+
+function tighter(a, b) {
+  if (a === null || a === undefined) return b ?? null;
+  if (b === null || b === undefined) return a;
+  return Math.min(a, b);
+}
+
+/**
+ * Caps that apply to a user (self-set caps past their cooling-off included)
+ */
+export function getEffectiveLimits(user) {
+  const own = { ...(user?.limits || {}) };
+  const pending = user?.pendingLimits;
+  if (pending && new Date(pending.effectiveAt) <= new Date()) {
+    Object.assign(own, pending.limits || {});
+  }
+
+  return Object.fromEntries(LIMIT_FIELDS.map(field => [
+    field,
+    tighter(own[field], user?.adminLimits?.[field] ?? operatorDefaults[field]),
+  ]));
+}
+
+/**
+ * Check a purchase against self-exclusion and caps
+ * Cards are priced uniformly, so spend is counted as cards x card price.
+ * @param {Object} user - User item (may be null)
+ * @param {number} quantity - Cards requested
+ * @param {number} cardPrice - USDC per card
+ * @param {Object} game - Current game (per-game cap counts purchases since it was created)
+ * @returns {Object|null} null if allowed, else { code, limit?, error }
+ */
+export async function checkPurchaseAllowed(user, quantity, cardPrice, game) {
+  if (!user) {
+    return null;
+  }
+
+  if (user.selfExcludedUntil && new Date(user.selfExcludedUntil) > new Date()) {
+    return {
+      code: 'SELF_EXCLUDED',
+      error: `Purchases are blocked by self-exclusion until ${new Date(user.selfExcludedUntil).toISOString()}`,
+    };
+  }
+
+  const limits = getEffectiveLimits(user);
+  const now = Date.now();
+  const purchases = (await getCardsByOwner(user.odId))
+    .map(item => new Date(item.purchasedAt).getTime())
+    .filter(time => Number.isFinite(time));
+
+  const countSince = (since) => purchases.filter(time => time >= since).length;
+  const cardsToday = countSince(now - DAY_MS);
+  const cardsThisWeek = countSince(now - 7 * DAY_MS);
+  const cardsThisGame = game?.createdAt ? countSince(new Date(game.createdAt).getTime()) : 0;
+
+  const checks = [
+    ['maxCardsPerGame', cardsThisGame + quantity, 'cards in this game'],
+    ['maxCardsPerDay', cardsToday + quantity, 'cards in 24 hours'],
+    ['maxCardsPerWeek', cardsThisWeek + quantity, 'cards in 7 days'],
+    ['maxSpendPerDay', (cardsToday + quantity) * cardPrice, 'USDC in 24 hours'],
+    ['maxSpendPerWeek', (cardsThisWeek + quantity) * cardPrice, 'USDC in 7 days'],
+  ];
+  for (const [field, total, label] of checks) {
+    if (limits[field] !== null && total > limits[field] + 1e-9) {
+      return {
+        code: 'PURCHASE_LIMIT_REACHED',
+        limit: field,
+        error: `Purchase limit reached: at most ${limits[field]} ${label}`,
+      };
+    }
+  }
+  return null;
+}
+
+export default {
+  LIMIT_FIELDS,
+  getEffectiveLimits,
+  checkPurchaseAllowed,
+};
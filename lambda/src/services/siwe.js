@@ -0,0 +1,56 @@
+/**
+ * Ultra Bingo - Sign-In With Ethereum (Lambda)
+ * Same flow as the Express backend: the client gets a single-use nonce, signs
+ * a SIWE message containing it, and the JWT is bound to the recovered signer.
+ */
+
+import { generateSiweNonce } from 'viem/siwe';
+import { createAuthNonce, consumeAuthNonce } from '../db/dynamodb.js';
+import { SIWE_STATEMENT, verifySiweMessage } from '../../../shared/auth/siwe.js';
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || new URL(FRONTEND_URL).host;
+const NONCE_TTL_SECONDS = 300;
+
+/**
+ * Issue a nonce for a SIWE message
+ * @returns {Object} { nonce, expiresAt, domain, uri, statement, version }
+ */
+export async function issueNonce(ip = null) {
+  const nonce = generateSiweNonce();
+  const expiresAt = new Date(Date.now() + NONCE_TTL_SECONDS * 1000);
+  await createAuthNonce(nonce, expiresAt, ip);
+
+  return {
+    nonce,
+    expiresAt: expiresAt.toISOString(),
+    domain: SIWE_DOMAIN,
+    uri: FRONTEND_URL,
+    statement: SIWE_STATEMENT,
+    version: '1',
+  };
+}
+
+/**
+ * Verify a signed SIWE message and consume its nonce
+ * @param {Object} proof - { message, signature }
+ * @returns {Object} { wallet, chainId } - wallet lowercase
+ */
+export async function verifySiweLogin(proof = {}) {
+  const { wallet, chainId, nonce } = await verifySiweMessage(proof, {
+    domain: SIWE_DOMAIN,
+    nonceTtlSeconds: NONCE_TTL_SECONDS,
+  });
+
+  // SECURITY: Single use - a replayed message finds its nonce gone
+  if (!(await consumeAuthNonce(nonce))) {
+    throw new Error('Invalid or expired nonce');
+  }
+
+  return { wallet, chainId };
+}
+
+export default {
+  issueNonce,
+  verifySiweLogin,
+};
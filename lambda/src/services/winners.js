@@ -0,0 +1,184 @@
+/**
+ * Ultra Bingo - Winners Service
+ * Simultaneous winners: every card completing the pattern on the same call
+ * is a potential winner; the game ends once all of them are resolved and
+ * the verified winners split the prize pool evenly.
+ */
+
+import {
+  updateGame,
+  createWinner,
+  getPurchasedCards,
+  incrementUserStats,
+} from '../db/dynamodb.js';
+import { gameService } from './gameService.js';
+
+/**
+ * Split a prize pool (atomic units as string) evenly
+ * Integer division dust stays in the pool.
+ */
+export function splitPrize(prizePool, winnersCount) {
+  const count = BigInt(Math.max(1, winnersCount));
+  return (BigInt(prizePool || '0') / count).toString();
+}
+
+/**
+ * Count potential winners still awaiting admin review
+ */
+export function countPendingWinners(game) {
+  return (game.potentialWinners || []).filter(pw => pw.status === 'pending').length;
+}
+
+/**
+ * Store the potential winners detected on a call and pause the game
+ */
+export async function setPotentialWinners(game, potentialWinners) {
+  const verified = game.winners || [];
+  return updateGame(game.gameId, {
+    status: 'paused',
+    potentialWinners: potentialWinners
+      .filter(pw => !verified.some(w => w.cardId === pw.cardId))
+      .map(pw => ({ ...pw, status: 'pending' })),
+  });
+}
+
+/**
+ * Add a verified winner to the game without ending it
+ * @returns {Object} { game, pendingCount }
+ */
+export async function addVerifiedWinner(game, winner) {
+  const winners = [...(game.winners || [])];
+  if (!winners.some(w => w.cardId === winner.cardId)) {
+    winners.push({ ...winner, verifiedAt: new Date().toISOString() });
+  }
+
+  const potentialWinners = (game.potentialWinners || []).map(pw =>
+    pw.cardId === winner.cardId ? { ...pw, status: 'verified' } : pw
+  );
+
+  const updatedGame = await updateGame(game.gameId, { winners, potentialWinners });
+  return { game: updatedGame, pendingCount: countPendingWinners(updatedGame) };
+}
+
+/**
+ * Mark a potential winner as rejected
+ * @returns {Object} { game, pendingCount }
+ */
+export async function rejectPotentialWinner(game, cardId) {
+  const potentialWinners = (game.potentialWinners || []).map(pw =>
+    pw.cardId === cardId ? { ...pw, status: 'rejected' } : pw
+  );
+
+  const updatedGame = await updateGame(game.gameId, { potentialWinners });
+  return { game: updatedGame, pendingCount: countPendingWinners(updatedGame) };
+}
+
+/**
+ * Count a finished game in its players' stats (before cards are re-enabled)
+ */
+async function recordPlayerStats(winners, prizeAmount) {
+  const cards = await getPurchasedCards();
+  const winnerIds = [...new Set(winners.map(w => w.odId).filter(Boolean))];
+  const playerIds = new Set([...cards.map(c => c.owner).filter(Boolean), ...winnerIds]);
+
+  for (const odId of playerIds) {
+    await incrementUserStats(odId, 'gamesPlayed', 1);
+  }
+  for (const odId of winnerIds) {
+    await incrementUserStats(odId, 'gamesWon', 1);
+    const won = BigInt(prizeAmount || '0') * BigInt(winners.filter(w => w.odId === odId).length);
+    if (won > 0n) {
+      await incrementUserStats(odId, 'totalWon', won.toString());
+    }
+  }
+}
+
+/**
+ * Check the verified winners again before they are paid
+ * SECURITY: The prize goes to the card's stored owner; winners whose card
+ * did not win this game are dropped.
+ */
+async function settleWinners(game) {
+  const settled = [];
+  for (const winner of game.winners || []) {
+    let verification = null;
+    try {
+      verification = await gameService.verifyWinnerCard(game, winner.cardId);
+    } catch (err) {
+      console.error(`Winner card ${winner.cardId} failed verification: ${err.message}`);
+    }
+    if (!verification?.isWinner) {
+      console.error(`Winner card ${winner.cardId} did not win game ${game.gameId} - not settled`);
+      continue;
+    }
+    const { card } = verification;
+    settled.push({
+      ...winner,
+      odId: card.owner,
+      odUsername: card.ownerUsername,
+      wallet: card.ownerWallet,
+    });
+  }
+  return settled;
+}
+
+/**
+ * End the game, sharing the prize among the winners verified on it
+ * @param {Object} game - Current game item
+ * @returns {Object} { game, winners } - Updated game and created winner records
+ */
+export async function endGameWithWinners(game) {
+  const winners = await settleWinners(game);
+
+  const prizeAmount = splitPrize(game.prizePool, winners.length);
+  const records = [];
+
+  for (const winner of winners) {
+    winner.prizeAmount = prizeAmount;
+    if (!winner.wallet) continue;
+
+    records.push(await createWinner({
+      gameId: game.gameId,
+      odId: winner.odId,
+      odUsername: winner.odUsername,
+      wallet: winner.wallet,
+      cardId: winner.cardId,
+      gameMode: winner.gameMode || game.gameMode,
+      patternName: winner.patternName,
+      prizeAmount,
+      winnersInGame: winners.length,
+      totalCalledNumbers: game.calledNumbers?.length || 0,
+    }));
+  }
+
+  const updatedGame = await updateGame(game.gameId, {
+    status: 'ended',
+    endedAt: new Date().toISOString(),
+    winners,
+    // Unresolved potential winners cannot be verified once the game is over
+    potentialWinners: (game.potentialWinners || []).filter(pw => pw.status !== 'pending'),
+  });
+
+  // Player stats: every card owner played this game, winners count one win each
+  try {
+    await recordPlayerStats(winners, prizeAmount);
+  } catch (err) {
+    console.error('Error updating player stats:', err);
+  }
+
+  // Re-enable all cards that were marked as 'won' (rejected winners)
+  // so they can participate in future games
+  const reEnabledCount = await gameService.reEnableWonCards();
+  console.log(`Game ended with ${winners.length} winner(s): Re-enabled ${reEnabledCount} rejected cards`);
+
+  return { game: updatedGame, winners, reEnabledCount };
+}
+
+export default {
+  splitPrize,
+  countPendingWinners,
+  setPotentialWinners,
+  addVerifiedWinner,
+  rejectPotentialWinner,
+  endGameWithWinners,
+};
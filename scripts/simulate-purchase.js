@@ -0,0 +1,169 @@
+/**
+ * Simulate Purchase Script
+ * Compra cartones de punta a punta contra un servidor local: inicia sesión con
+ * SIWE, pide los requerimientos de pago (402), firma una autorización
+ * EIP-3009 (transferWithAuthorization) y reintenta con el header X-PAYMENT.
+ * Pensado para X402_MOCK_FACILITATOR - con un facilitador real la wallet
+ * necesitaría USDC.
+ *
+ * Ejecutar con: node scripts/simulate-purchase.js [opciones]
+ *   --api <url>          Servidor (default http://localhost:5000)
+ *   --quantity <n>       Cartones a comprar (default 1)
+ *   --room <roomId>      Sala (default: sala principal)
+ *   --outcome <mode>     Resultado del facilitador local para este pago:
+ *                        succeed, fail-verify, fail-settle o timeout
+ *   --username <name>    Usuario para wallets nuevas (default simulator)
+ *   --idempotency-key <key>  Header Idempotency-Key (repetirlo con la misma wallet
+ *                        devuelve la compra original)
+ *
+ * SIMULATOR_PRIVATE_KEY fija la wallet; sin ella se usa una wallet nueva.
+ */
+
+import crypto from 'crypto';
+import { parseArgs } from 'util';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { createSiweMessage } from 'viem/siwe';
+import { MOCK_FACILITATOR_MODES } from '../shared/x402/mockFacilitator.js';
+import { CHAIN_IDS, TRANSFER_WITH_AUTHORIZATION_TYPES } from '../shared/x402/authorization.js';
+
+const { values: options } = parseArgs({
+  options: {
+    api: { type: 'string', default: 'http://localhost:5000' },
+    quantity: { type: 'string', default: '1' },
+    room: { type: 'string' },
+    outcome: { type: 'string' },
+    username: { type: 'string', default: 'simulator' },
+    'idempotency-key': { type: 'string' },
+  },
+});
+
+async function request(path, { method = 'GET', token, payment, body } = {}) {
+  const response = await fetch(`${options.api.replace(/\/$/, '')}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...(payment && { 'X-PAYMENT': payment }),
+      ...(options['idempotency-key'] && { 'Idempotency-Key': options['idempotency-key'] }),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => ({}));
+  return { status: response.status, data };
+}
+
+// Iniciar sesión con Sign-In With Ethereum
+async function signIn(account) {
+  const { status, data: nonce } = await request('/api/auth/nonce');
+  if (status !== 200) throw new Error(`Nonce failed (${status}): ${nonce.error}`);
+
+  const message = createSiweMessage({
+    address: account.address,
+    chainId: 1,
+    domain: nonce.domain,
+    uri: nonce.uri,
+    statement: nonce.statement,
+    nonce: nonce.nonce,
+    version: nonce.version,
+    issuedAt: new Date(),
+  });
+  const signature = await account.signMessage({ message });
+
+  const login = await request('/api/auth/verify', {
+    method: 'POST',
+    body: { message, signature, username: options.username },
+  });
+  if (login.status !== 200) throw new Error(`Sign-in failed (${login.status}): ${login.data.error}`);
+  return login.data;
+}
+
+// Firmar transferWithAuthorization (EIP-3009) por el monto requerido
+async function createPaymentHeader(account, paymentInfo) {
+  const now = Math.floor(Date.now() / 1000);
+  const authorization = {
+    from: account.address,
+    to: paymentInfo.receiver,
+    value: paymentInfo.amount,
+    validAfter: String(now - 60),
+    validBefore: String(now + 300),
+    nonce: `0x${crypto.randomBytes(32).toString('hex')}`,
+  };
+
+  const signature = await account.signTypedData({
+    domain: {
+      name: paymentInfo.extra?.name || 'USD Coin',
+      version: paymentInfo.extra?.version || '2',
+      chainId: CHAIN_IDS[paymentInfo.network],
+      verifyingContract: paymentInfo.asset,
+    },
+    types: TRANSFER_WITH_AUTHORIZATION_TYPES,
+    primaryType: 'TransferWithAuthorization',
+    message: {
+      ...authorization,
+      value: BigInt(authorization.value),
+      validAfter: BigInt(authorization.validAfter),
+      validBefore: BigInt(authorization.validBefore),
+    },
+  });
+
+  const paymentPayload = {
+    x402Version: 1,
+    scheme: 'exact',
+    network: paymentInfo.network,
+    payload: { signature, authorization },
+    // Solo lo lee el facilitador local
+    ...(options.outcome && { mockOutcome: options.outcome }),
+  };
+  return Buffer.from(JSON.stringify(paymentPayload)).toString('base64');
+}
+
+async function simulatePurchase() {
+  console.log('🎄 Ultra Bingo - Simulate Purchase Script');
+  console.log('========================================\n');
+
+  const quantity = parseInt(options.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new Error('--quantity must be a positive integer');
+  }
+  if (options.outcome && !MOCK_FACILITATOR_MODES.includes(options.outcome)) {
+    throw new Error(`--outcome must be one of: ${MOCK_FACILITATOR_MODES.join(', ')}`);
+  }
+
+  const account = privateKeyToAccount(process.env.SIMULATOR_PRIVATE_KEY || generatePrivateKey());
+  console.log('Wallet:', account.address);
+
+  const { token, user } = await signIn(account);
+  console.log(`Sesión iniciada como ${user.username} (${user.id})`);
+
+  const body = { quantity, ...(options.room && { roomId: options.room }) };
+
+  // 1. Sin pago - el servidor responde 402 con los requerimientos
+  const required = await request('/api/cards/purchase', { method: 'POST', token, body });
+  if (required.data.replayed) {
+    // Idempotency-Key ya usada por esta wallet - compra original
+    console.log(`\nRespuesta ${required.status} (compra original):`);
+    console.log(JSON.stringify(required.data, null, 2));
+    return;
+  }
+  if (required.status !== 402 || !required.data.paymentInfo) {
+    throw new Error(`Expected 402 Payment Required, got ${required.status}: ${JSON.stringify(required.data)}`);
+  }
+  const { paymentInfo } = required.data;
+  console.log(`Pago requerido: ${Number(paymentInfo.amount) / 1_000_000} USDC a ${paymentInfo.receiver} (${paymentInfo.network})`);
+
+  // 2. Con pago firmado
+  const payment = await createPaymentHeader(account, paymentInfo);
+  const purchase = await request('/api/cards/purchase', { method: 'POST', token, payment, body });
+
+  console.log(`\nRespuesta ${purchase.status}:`);
+  console.log(JSON.stringify(purchase.data, null, 2));
+
+  if (purchase.status !== 200) {
+    process.exitCode = 1;
+  }
+}
+
+simulatePurchase().catch((error) => {
+  console.error('❌ Simulation failed:', error.message);
+  process.exit(1);
+});
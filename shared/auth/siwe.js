@@ -0,0 +1,66 @@
+/**
+ * Ultra Bingo - Sign-In With Ethereum (EIP-4361) message checks
+ * A client signs a SIWE message containing a nonce issued by the server; the
+ * signer recovered from the signature is the wallet the session is bound to.
+ * These checks cover format, domain, validity window and signature. The nonce
+ * is consumed by the caller against its own store (single use).
+ */
+
+import { verifyMessage } from 'viem';
+import { parseSiweMessage, validateSiweMessage } from 'viem/siwe';
+
+export const SIWE_STATEMENT = 'Sign in to Ultra Bingo';
+
+const MAX_MESSAGE_LENGTH = 2000;
+const CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Verify a signed SIWE message (without consuming its nonce)
+ * @param {Object} proof - { message, signature }
+ * @param {Object} options - { domain, nonceTtlSeconds, now }
+ * @returns {Promise<Object>} { wallet, chainId, nonce } - wallet lowercase
+ * @throws {Error} With the reason the message is not accepted
+ */
+export async function verifySiweMessage({ message, signature } = {}, { domain, nonceTtlSeconds, now = Date.now() } = {}) {
+  if (typeof message !== 'string' || !message || message.length > MAX_MESSAGE_LENGTH) {
+    throw new Error('Signed SIWE message is required');
+  }
+  if (typeof signature !== 'string' || !/^0x[a-fA-F0-9]+$/.test(signature)) {
+    throw new Error('Invalid signature format');
+  }
+
+  const fields = parseSiweMessage(message);
+  if (!fields.address || !fields.nonce || !fields.issuedAt) {
+    throw new Error('Invalid SIWE message');
+  }
+  if (fields.version !== '1') {
+    throw new Error('Unsupported SIWE message version');
+  }
+
+  // Domain, expiration and notBefore
+  if (!validateSiweMessage({ message: fields, domain, time: new Date(now) })) {
+    throw new Error('SIWE message is expired or for another domain');
+  }
+
+  // Messages must be signed shortly after requesting the nonce
+  const age = now - fields.issuedAt.getTime();
+  if (age > nonceTtlSeconds * 1000 || age < -CLOCK_SKEW_MS) {
+    throw new Error('SIWE message issuedAt is out of range');
+  }
+
+  const valid = await verifyMessage({ address: fields.address, message, signature }).catch(() => false);
+  if (!valid) {
+    throw new Error('Invalid signature');
+  }
+
+  return {
+    wallet: fields.address.toLowerCase(),
+    chainId: fields.chainId,
+    nonce: fields.nonce,
+  };
+}
+
+export default {
+  SIWE_STATEMENT,
+  verifySiweMessage,
+};
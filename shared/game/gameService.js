@@ -0,0 +1,187 @@
+/**
+ * Ultra Bingo - Shared game service
+ * Card purchase and winner flows used by both backends on top of a storage
+ * repository (shared/storage/repository.js): reserve -> confirm purchase,
+ * winner verification, rejected-winner cards and their re-enabling.
+ * Runtime specifics (prize pool, broadcasts, audit) stay with the caller.
+ */
+
+import { assertRepository } from '../storage/repository.js';
+
+function serviceError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Create the game service for a repository
+ * @param {Object} repository - Storage adapter implementing REPOSITORY_METHODS
+ * @param {Object} options
+ * @param {Function} options.checkWinner - (card, calledNumbers, gameMode) => { isWinner, pattern?, modeName? }
+ * @param {Function} [options.verifyCardIntegrity] - (card) => boolean, run on cards that carry a hash
+ * @returns {Object} Game service
+ */
+export function createGameService(repository, { checkWinner, verifyCardIntegrity = null } = {}) {
+  assertRepository(repository);
+  if (typeof checkWinner !== 'function') {
+    throw new Error('checkWinner is required');
+  }
+
+  /**
+   * SECURITY: Reserve cards for a buyer while the payment is processed
+   * All or nothing - if any card is taken the others are released again.
+   * @returns {Object} { success, cardIds, reservedCount }
+   */
+  async function reserveCards(cardIds, userId, ttlMinutes = 5) {
+    await repository.cards.releaseExpiredReservations();
+
+    const reserved = await repository.cards.reserve(cardIds, userId, ttlMinutes);
+    if (reserved.length < cardIds.length) {
+      if (reserved.length > 0) {
+        await repository.cards.releaseReservation(reserved, userId);
+      }
+      return { success: false, cardIds: [], reservedCount: reserved.length };
+    }
+    return { success: true, cardIds: reserved, reservedCount: reserved.length };
+  }
+
+  /**
+   * SECURITY: Release a buyer's reservation (payment failed or cancelled)
+   */
+  async function releaseReservation(cardIds, userId) {
+    await repository.cards.releaseReservation(cardIds, userId);
+  }
+
+  /**
+   * SECURITY: Convert a buyer's reserved cards into purchased cards
+   * Updates the buyer's cardsPurchased/totalSpent stats (non-critical).
+   * @param {Object} purchase - { username, wallet, txHash, pricePerCard (atomic USDC), roomId, gameId, gamesRemaining, expiresAt }
+   * @returns {Object[]} Purchased cards
+   */
+  async function confirmPurchase(cardIds, userId, purchase = {}) {
+    let username = purchase.username || null;
+    if (!username && userId) {
+      const user = await repository.users.getById(userId);
+      username = user?.username || null;
+    }
+
+    const cards = await repository.cards.confirmPurchase(cardIds, userId, {
+      ...purchase,
+      username,
+      wallet: purchase.wallet ? purchase.wallet.toLowerCase() : null,
+    });
+
+    if (cards.length > 0) {
+      try {
+        await repository.users.incrementStats(userId, 'cardsPurchased', cards.length);
+        const spent = BigInt(purchase.pricePerCard || '0') * BigInt(cards.length);
+        if (spent > 0n) {
+          await repository.users.incrementStats(userId, 'totalSpent', spent.toString());
+        }
+      } catch (err) {
+        console.error('[GameService] Error updating user stats (non-critical):', err.message);
+      }
+    }
+
+    return cards;
+  }
+
+  /**
+   * Check a card against a game's called numbers and current pattern
+   * Throws (err.code) if the card is missing (CARD_NOT_FOUND), belongs to
+   * another room (ROOM_MISMATCH), does not play this game (CARD_NOT_VALID),
+   * was forfeited under the claim window (CARD_FORFEITED) or fails its
+   * integrity hash (CARD_INTEGRITY_FAILED).
+   * @param {Object} game - Game the card is verified in
+   * @returns {Object} { isWinner, card, result, winner? } - winner in the Game.winners shape
+   */
+  async function verifyWinnerCard(game, cardId) {
+    if (!game) {
+      throw serviceError('No active game', 'NO_GAME');
+    }
+
+    const card = await repository.cards.getById(cardId);
+    if (!card || card.status !== 'purchased') {
+      throw serviceError('Card not found', 'CARD_NOT_FOUND');
+    }
+    if (game.roomId && card.roomId && card.roomId !== game.roomId) {
+      throw serviceError('Card does not belong to this room', 'ROOM_MISMATCH');
+    }
+
+    // Cards bought after the game started (or expired before it) play the next one
+    if (game.startedAt) {
+      const startedAt = new Date(game.startedAt);
+      if ((card.purchasedAt && new Date(card.purchasedAt) > startedAt) ||
+          (card.expiresAt && new Date(card.expiresAt) <= startedAt)) {
+        throw serviceError('Card is not valid for this game', 'CARD_NOT_VALID');
+      }
+    }
+
+    // Sleeper rule: a card forfeited for this pattern, or still unclaimed past
+    // the claim window (the scan forfeits it on the next call), cannot win it
+    const potential = (game.potentialWinners || []).find(pw => pw.cardId === cardId);
+    const unclaimed = (game.unclaimedWinners || []).find(u => u.cardId === cardId);
+    const windowCalls = game.claims?.manual ? game.claims.windowCalls || 0 : 0;
+    if (potential?.status === 'forfeited' ||
+        (windowCalls > 0 && unclaimed && (game.calledNumbers || []).length - unclaimed.sinceCall >= windowCalls)) {
+      throw serviceError('Claim window missed - card forfeited for this pattern', 'CARD_FORFEITED');
+    }
+
+    // SECURITY: Cards generated with an integrity hash must still match it
+    if (card.hash && verifyCardIntegrity && !verifyCardIntegrity(card)) {
+      throw serviceError('Card integrity verification failed - possible tampering detected', 'CARD_INTEGRITY_FAILED');
+    }
+
+    const gameMode = game.gameMode || 'fullCard';
+    const result = checkWinner({ id: card.cardId, numbers: card.numbers }, game.calledNumbers || [], gameMode);
+    if (!result.isWinner) {
+      return { isWinner: false, card, result };
+    }
+
+    return {
+      isWinner: true,
+      card,
+      result,
+      winner: {
+        odId: card.owner,
+        odUsername: card.ownerUsername,
+        wallet: card.ownerWallet,
+        cardId: card.cardId,
+        pattern: result.pattern || result.modeName || gameMode,
+        patternName: result.modeName || result.pattern || gameMode,
+        gameMode,
+      },
+    };
+  }
+
+  /**
+   * Disable a rejected winner's card so it is not detected again this game
+   * @returns {boolean} Whether the card was disabled
+   */
+  async function rejectWinnerCard(cardId, roomId = null) {
+    return repository.cards.markWon(cardId, roomId);
+  }
+
+  /**
+   * Re-enable the cards disabled as rejected winners (game or stage over)
+   * @returns {number} Cards re-enabled
+   */
+  async function reEnableWonCards(roomId = null) {
+    return repository.cards.reEnableWon(roomId);
+  }
+
+  return {
+    repository,
+    reserveCards,
+    releaseReservation,
+    confirmPurchase,
+    verifyWinnerCard,
+    rejectWinnerCard,
+    reEnableWonCards,
+  };
+}
+
+export default {
+  createGameService,
+};
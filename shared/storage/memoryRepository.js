@@ -0,0 +1,231 @@
+/**
+ * Ultra Bingo - In-memory storage adapter
+ * Implements the repository interface with plain Maps, for tests and local
+ * runs without a database. Single process only; JavaScript's run-to-completion
+ * makes each card update atomic.
+ */
+
+import { assertRepository } from './repository.js';
+
+const ACTIVE_GAME_STATUSES = ['waiting', 'playing', 'paused'];
+
+// Items stored without a room belong to the default room (as with roomFilter)
+const DEFAULT_ROOM_ID = 'main';
+
+function clone(value) {
+  return value === null || value === undefined ? null : structuredClone(value);
+}
+
+function sameRoom(item, roomId) {
+  return !roomId || (item.roomId || DEFAULT_ROOM_ID) === roomId;
+}
+
+/**
+ * Create an in-memory repository
+ * @param {Object} seed - Optional initial data { games, cards, users, winners, connections } (arrays)
+ * @returns {Object} Repository
+ */
+export function createMemoryRepository(seed = {}) {
+  const games = new Map((seed.games || []).map(g => [g.gameId, clone(g)]));
+  const cards = new Map((seed.cards || []).map(c => [c.cardId, clone(c)]));
+  const users = new Map((seed.users || []).map(u => [u.odId, clone(u)]));
+  const winners = (seed.winners || []).map(clone);
+  const connections = new Map((seed.connections || []).map(c => [c.connectionId, clone(c)]));
+
+  const newest = (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+
+  const repository = {
+    games: {
+      async getActive(roomId = null) {
+        const active = [...games.values()]
+          .filter(g => sameRoom(g, roomId) && ACTIVE_GAME_STATUSES.includes(g.status))
+          .sort(newest);
+        return clone(active[0] || null);
+      },
+
+      async getById(gameId) {
+        return clone(games.get(gameId) || null);
+      },
+
+      async update(gameId, fields) {
+        const game = { ...(games.get(gameId) || { gameId, createdAt: new Date() }), ...clone(fields) };
+        games.set(gameId, game);
+        return clone(game);
+      },
+    },
+
+    cards: {
+      async getById(cardId) {
+        return clone(cards.get(cardId) || null);
+      },
+
+      async getAvailable(limit = 50) {
+        return [...cards.values()]
+          .filter(c => c.status === 'available')
+          .sort(newest)
+          .slice(0, limit)
+          .map(clone);
+      },
+
+      async listPurchased(roomId = null) {
+        return [...cards.values()]
+          .filter(c => c.status === 'purchased' && sameRoom(c, roomId))
+          .map(clone);
+      },
+
+      async reserve(cardIds, userId, ttlMinutes = 5) {
+        const now = new Date();
+        const reserved = [];
+        for (const cardId of cardIds) {
+          const card = cards.get(cardId);
+          if (card?.status !== 'available') continue;
+          card.status = 'reserved';
+          card.reservedBy = userId;
+          card.reservedAt = now;
+          card.reservationExpiresAt = new Date(now.getTime() + ttlMinutes * 60 * 1000);
+          reserved.push(cardId);
+        }
+        return reserved;
+      },
+
+      async releaseReservation(cardIds, userId) {
+        for (const cardId of cardIds) {
+          const card = cards.get(cardId);
+          if (card?.status === 'reserved' && card.reservedBy === userId) {
+            Object.assign(card, { status: 'available', reservedBy: null, reservedAt: null, reservationExpiresAt: null });
+          }
+        }
+      },
+
+      async releaseExpiredReservations() {
+        const now = Date.now();
+        let released = 0;
+        for (const card of cards.values()) {
+          if (card.status === 'reserved' && new Date(card.reservationExpiresAt).getTime() < now) {
+            Object.assign(card, { status: 'available', reservedBy: null, reservedAt: null, reservationExpiresAt: null });
+            released++;
+          }
+        }
+        return released;
+      },
+
+      async confirmPurchase(cardIds, userId, purchase = {}) {
+        const now = new Date();
+        const confirmed = [];
+        for (const cardId of cardIds) {
+          const card = cards.get(cardId);
+          if (card?.status !== 'reserved' || card.reservedBy !== userId) continue;
+          Object.assign(card, {
+            status: 'purchased',
+            owner: userId,
+            ownerUsername: purchase.username || null,
+            ownerWallet: purchase.wallet || null,
+            purchaseTxHash: purchase.txHash || null,
+            pricePaid: purchase.pricePerCard ?? null,
+            roomId: purchase.roomId ?? card.roomId ?? null,
+            gameId: purchase.gameId ?? null,
+            gamesRemaining: purchase.gamesRemaining ?? null,
+            expiresAt: purchase.expiresAt ?? null,
+            purchasedAt: now,
+            reservedBy: null,
+            reservedAt: null,
+            reservationExpiresAt: null,
+          });
+          confirmed.push(clone(card));
+        }
+        return confirmed;
+      },
+
+      async markWon(cardId, roomId = null) {
+        const card = cards.get(cardId);
+        if (card?.status !== 'purchased' || !sameRoom(card, roomId)) return false;
+        card.status = 'won';
+        return true;
+      },
+
+      async reEnableWon(roomId = null) {
+        let count = 0;
+        for (const card of cards.values()) {
+          if (card.status === 'won' && sameRoom(card, roomId)) {
+            card.status = 'purchased';
+            count++;
+          }
+        }
+        return count;
+      },
+    },
+
+    users: {
+      async getById(odId) {
+        return clone(users.get(odId) || null);
+      },
+
+      async getByWallet(wallet) {
+        const normalized = wallet?.toLowerCase();
+        return clone([...users.values()].find(u => u.wallet === normalized) || null);
+      },
+
+      async incrementStats(odId, field, amount = 1) {
+        const user = users.get(odId);
+        if (!user) return;
+        user.stats = user.stats || {};
+        const current = user.stats[field];
+        user.stats[field] = typeof amount === 'string' || typeof current === 'string'
+          ? (BigInt(current || '0') + BigInt(amount)).toString()
+          : (current || 0) + amount;
+      },
+    },
+
+    winners: {
+      async create(winner) {
+        const record = {
+          winnerId: winner.winnerId || `winner_${Date.now()}_${winner.cardId}`,
+          wonAt: new Date(),
+          ...clone(winner),
+        };
+        winners.push(record);
+        return clone(record);
+      },
+
+      async listRecent(limit = 10) {
+        return [...winners]
+          .sort((a, b) => new Date(b.wonAt) - new Date(a.wonAt))
+          .slice(0, limit)
+          .map(clone);
+      },
+
+      async listByWallet(wallet, limit = 10) {
+        const normalized = wallet?.toLowerCase();
+        return [...winners]
+          .filter(w => w.wallet?.toLowerCase() === normalized)
+          .sort((a, b) => new Date(b.wonAt) - new Date(a.wonAt))
+          .slice(0, limit)
+          .map(clone);
+      },
+    },
+
+    connections: {
+      async save(connectionId, data = {}) {
+        connections.set(connectionId, { connectionId, ...clone(data), connectedAt: new Date() });
+      },
+
+      async get(connectionId) {
+        return clone(connections.get(connectionId) || null);
+      },
+
+      async delete(connectionId) {
+        connections.delete(connectionId);
+      },
+
+      async list() {
+        return [...connections.values()].map(clone);
+      },
+    },
+  };
+
+  return assertRepository(repository, 'memory repository');
+}
+
+export default {
+  createMemoryRepository,
+};
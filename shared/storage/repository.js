@@ -0,0 +1,84 @@
+/**
+ * Ultra Bingo - Storage repository interface
+ * Shared by the Express server (MongoDB) and the Lambda backend (DynamoDB).
+ * Each adapter returns plain objects in the shapes below, so the shared game
+ * service (shared/game/gameService.js) runs unchanged on either runtime.
+ *
+ * Card:       { cardId, numbers, hash, createdAt, status, roomId, gameId, owner,
+ *               ownerUsername, ownerWallet, pricePaid, purchaseTxHash, purchasedAt,
+ *               expiresAt, reservedBy, reservationExpiresAt }
+ *             status: available | reserved | purchased | won | expired | refunded
+ * Game:       { gameId, roomId, status, gameMode, calledNumbers, currentNumber,
+ *               winners, potentialWinners, prizePool, startedAt, endedAt, createdAt,
+ *               claims, unclaimedWinners }
+ *             claims: { manual, windowCalls } and unclaimedWinners: [{ cardId, sinceCall }]
+ *             are optional (player claims with a claim window)
+ * User:       { odId, username, wallet, isAdmin, profileImage, stats }
+ * Winner:     { winnerId, gameId, odId, odUsername, wallet, cardId, gameMode,
+ *               patternName, prizeAmount, winnersInGame, totalCalledNumbers, wonAt }
+ * Connection: { connectionId, odId, wallet, isAdmin, gameRoom, connectedAt }
+ *
+ * roomId arguments are optional: backends without rooms ignore them.
+ */
+
+export const REPOSITORY_METHODS = {
+  games: [
+    'getActive',          // (roomId) => Game|null - waiting, playing or paused
+    'getById',            // (gameId) => Game|null
+    'update',             // (gameId, fields) => Game
+  ],
+  cards: [
+    'getById',            // (cardId) => Card|null
+    'getAvailable',       // (limit) => Card[]
+    'listPurchased',      // (roomId) => Card[]
+    'reserve',            // (cardIds, userId, ttlMinutes) => string[] reserved cardIds (each card atomically)
+    'releaseReservation', // (cardIds, userId) => void - only cards reserved by userId
+    'releaseExpiredReservations', // () => number released
+    'confirmPurchase',    // (cardIds, userId, purchase) => Card[] - only cards reserved by userId
+                          //   purchase: { username, wallet, txHash, pricePerCard, roomId, gameId, gamesRemaining, expiresAt }
+    'markWon',            // (cardId, roomId) => boolean - purchased -> won (rejected winner)
+    'reEnableWon',        // (roomId) => number - won -> purchased
+  ],
+  users: [
+    'getById',            // (odId) => User|null
+    'getByWallet',        // (wallet) => User|null
+    'incrementStats',     // (odId, field, amount) => void - amount may be an atomic USDC string
+  ],
+  winners: [
+    'create',             // (winner) => Winner
+    'listRecent',         // (limit) => Winner[]
+    'listByWallet',       // (wallet, limit) => Winner[]
+  ],
+  connections: [
+    'save',               // (connectionId, data) => void
+    'get',                // (connectionId) => Connection|null
+    'delete',             // (connectionId) => void
+    'list',               // () => Connection[]
+  ],
+};
+
+/**
+ * Check that an adapter implements the whole interface
+ * @param {Object} repository - { games, cards, users, winners, connections }
+ * @param {string} name - Adapter name for error messages
+ * @returns {Object} The repository
+ */
+export function assertRepository(repository, name = 'repository') {
+  const missing = [];
+  for (const [group, methods] of Object.entries(REPOSITORY_METHODS)) {
+    for (const method of methods) {
+      if (typeof repository?.[group]?.[method] !== 'function') {
+        missing.push(`${group}.${method}`);
+      }
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(`${name} is missing: ${missing.join(', ')}`);
+  }
+  return repository;
+}
+
+export default {
+  REPOSITORY_METHODS,
+  assertRepository,
+};
@@ -0,0 +1,137 @@
+/**
+ * Ultra Bingo - x402 payment authorization checks
+ * An x402 'exact' payment on EVM is a signed EIP-3009 transferWithAuthorization
+ * for USDC. These checks run locally before the facilitator is asked to
+ * settle: signer, recipient, amount and validity window. Nonce reuse is
+ * checked by the caller against its own store (nonces are per payer, so a
+ * payment is identified by payer + nonce).
+ */
+
+import { recoverTypedDataAddress } from 'viem';
+
+export const CHAIN_IDS = {
+  avalanche: 43114,
+  base: 8453,
+  'base-sepolia': 84532,
+};
+
+export const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' },
+  ],
+};
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const NONCE_PATTERN = /^0x[a-fA-F0-9]{64}$/;
+const UINT_PATTERN = /^\d{1,78}$/;
+
+/**
+ * Identity of the authorization in a payment payload, without verifying it
+ * @returns {Object|null} { payer, nonce } lowercase, or null if malformed
+ */
+export function getAuthorizationId(paymentPayload) {
+  const { from, nonce } = paymentPayload?.payload?.authorization || {};
+  if (!ADDRESS_PATTERN.test(from) || !NONCE_PATTERN.test(nonce)) return null;
+  return { payer: from.toLowerCase(), nonce: nonce.toLowerCase() };
+}
+
+function authorizationError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Verify the transferWithAuthorization of an x402 payment payload
+ * Throws (err.code) INVALID_PAYLOAD, UNSUPPORTED_NETWORK, INVALID_SIGNATURE,
+ * WRONG_RECIPIENT, WRONG_AMOUNT, NOT_YET_VALID or EXPIRED.
+ * @param {Object} paymentPayload - Decoded X-PAYMENT header
+ * @param {Object} requirements - { network, payTo, maxAmountRequired (atomic units), asset, extra: { name, version } }
+ * @param {Object} options - { now (ms) }
+ * @returns {Promise<Object>} { payer, nonce, value, validAfter, validBefore } - payer/nonce lowercase, times in seconds
+ */
+export async function verifyTransferAuthorization(paymentPayload, requirements, { now = Date.now() } = {}) {
+  const signature = paymentPayload?.payload?.signature;
+  const authorization = paymentPayload?.payload?.authorization;
+
+  if (typeof signature !== 'string' || !/^0x[a-fA-F0-9]+$/.test(signature) || !authorization) {
+    throw authorizationError('Payment authorization is missing', 'INVALID_PAYLOAD');
+  }
+  const { from, to, value, validAfter, validBefore, nonce } = authorization;
+  if (!ADDRESS_PATTERN.test(from) || !ADDRESS_PATTERN.test(to) || !NONCE_PATTERN.test(nonce) ||
+      ![value, validAfter, validBefore].every(v => UINT_PATTERN.test(String(v)))) {
+    throw authorizationError('Malformed payment authorization', 'INVALID_PAYLOAD');
+  }
+
+  const chainId = CHAIN_IDS[requirements.network];
+  if (!chainId) {
+    throw authorizationError(`Unsupported payment network: ${requirements.network}`, 'UNSUPPORTED_NETWORK');
+  }
+  if (paymentPayload.network && paymentPayload.network !== requirements.network) {
+    throw authorizationError('Payment is for another network', 'UNSUPPORTED_NETWORK');
+  }
+
+  // The signer must be the payer (USDC executes the transfer from `from`)
+  let signer;
+  try {
+    signer = await recoverTypedDataAddress({
+      domain: {
+        name: requirements.extra?.name || 'USD Coin',
+        version: requirements.extra?.version || '2',
+        chainId,
+        verifyingContract: requirements.asset,
+      },
+      types: TRANSFER_WITH_AUTHORIZATION_TYPES,
+      primaryType: 'TransferWithAuthorization',
+      message: {
+        from,
+        to,
+        value: BigInt(value),
+        validAfter: BigInt(validAfter),
+        validBefore: BigInt(validBefore),
+        nonce,
+      },
+      signature,
+    });
+  } catch {
+    throw authorizationError('Invalid payment signature', 'INVALID_SIGNATURE');
+  }
+  if (signer.toLowerCase() !== from.toLowerCase()) {
+    throw authorizationError('Payment signature does not match the payer', 'INVALID_SIGNATURE');
+  }
+
+  if (!requirements.payTo || to.toLowerCase() !== requirements.payTo.toLowerCase()) {
+    throw authorizationError('Payment is not addressed to the receiver wallet', 'WRONG_RECIPIENT');
+  }
+  if (BigInt(value) !== BigInt(requirements.maxAmountRequired)) {
+    throw authorizationError('Payment amount does not match the price', 'WRONG_AMOUNT');
+  }
+
+  const nowSeconds = BigInt(Math.floor(now / 1000));
+  if (nowSeconds <= BigInt(validAfter)) {
+    throw authorizationError('Payment authorization is not valid yet', 'NOT_YET_VALID');
+  }
+  if (nowSeconds >= BigInt(validBefore)) {
+    throw authorizationError('Payment authorization has expired', 'EXPIRED');
+  }
+
+  return {
+    payer: from.toLowerCase(),
+    nonce: nonce.toLowerCase(),
+    value: String(value),
+    validAfter: Number(validAfter),
+    validBefore: Number(validBefore),
+  };
+}
+
+export default {
+  CHAIN_IDS,
+  TRANSFER_WITH_AUTHORIZATION_TYPES,
+  getAuthorizationId,
+  verifyTransferAuthorization,
+};
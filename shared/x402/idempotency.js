@@ -0,0 +1,27 @@
+/**
+ * Ultra Bingo - Purchase idempotency
+ * Clients send an Idempotency-Key header (e.g. a UUID) with a purchase and
+ * reuse it when retrying; the server answers a repeated key with the outcome
+ * of the first request instead of charging or assigning cards again.
+ */
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_.:-]{8,128}$/;
+
+/**
+ * Read the Idempotency-Key header
+ * @param {Object} headers - Request headers (any case)
+ * @returns {string|null} Key, or null if absent
+ * @throws {Error} If the key is malformed
+ */
+export function getIdempotencyKey(headers = {}) {
+  const key = headers['idempotency-key'] ?? headers['Idempotency-Key'];
+  if (key === undefined || key === '') return null;
+  if (typeof key !== 'string' || !IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    throw new Error('Idempotency-Key must be 8-128 letters, digits or _.:- characters');
+  }
+  return key;
+}
+
+export default {
+  getIdempotencyKey,
+};
@@ -0,0 +1,166 @@
+/**
+ * Ultra Bingo - Local x402 facilitator
+ * Stands in for the remote facilitator during development: answers the
+ * /verify and /settle endpoints in process (same request and response bodies)
+ * and settles with fake transaction hashes, so purchases work without a network.
+ *
+ * Outcome of each payment:
+ * - 'succeed'      verify passes, settle returns a fake tx hash
+ * - 'fail-verify'  verify answers isValid: false
+ * - 'fail-settle'  verify passes, settle answers 400 with success: false
+ * - 'timeout'      /verify never answers (until the caller aborts the request)
+ *
+ * The facilitator mode applies to every payment unless the payment payload
+ * names its own outcome in `mockOutcome` (see scripts/simulate-purchase.js).
+ */
+
+import crypto from 'crypto';
+
+export const MOCK_FACILITATOR_MODES = ['succeed', 'fail-verify', 'fail-settle', 'timeout'];
+
+function assertMode(mode) {
+  if (!MOCK_FACILITATOR_MODES.includes(mode)) {
+    throw new Error(`Unknown mock facilitator mode '${mode}' (expected ${MOCK_FACILITATOR_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Fake transaction hash (0x + 32 random bytes)
+ */
+export function createFakeTxHash() {
+  return `0x${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function getPayer(paymentPayload) {
+  const authorization = paymentPayload?.payload?.authorization || paymentPayload?.authorization;
+  return authorization?.from || null;
+}
+
+// Never answers: rejects like fetch() once the request is aborted
+function waitForAbort(signal) {
+  return new Promise((resolve, reject) => {
+    if (!signal) return;
+    const onAbort = () => reject(signal.reason || Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }));
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Create a local facilitator
+ * @param {Object} options - { mode = 'succeed' }
+ * @returns {Object} Facilitator { verify, settle, fetch, setMode, getMode, settlements }
+ */
+export function createMockFacilitator({ mode = 'succeed' } = {}) {
+  let currentMode = assertMode(mode);
+  // Settled payments by tx hash (most recent last)
+  const settlements = new Map();
+
+  function outcomeFor(body) {
+    const requested = body?.paymentPayload?.mockOutcome;
+    return MOCK_FACILITATOR_MODES.includes(requested) ? requested : currentMode;
+  }
+
+  function check(body) {
+    const { paymentPayload, paymentRequirements } = body || {};
+    if (!paymentPayload || typeof paymentPayload !== 'object') return 'invalid_payload';
+    if (!paymentRequirements || typeof paymentRequirements !== 'object') return 'invalid_payment_requirements';
+    if (paymentPayload.network && paymentRequirements.network && paymentPayload.network !== paymentRequirements.network) {
+      return 'invalid_network';
+    }
+    return null;
+  }
+
+  /**
+   * POST /verify
+   * @returns {Promise<Object>} { status, body }
+   */
+  async function verify(body, { signal } = {}) {
+    const outcome = outcomeFor(body);
+    const payer = getPayer(body?.paymentPayload);
+
+    if (outcome === 'timeout') {
+      await waitForAbort(signal);
+    }
+
+    const invalidReason = check(body) || (outcome === 'fail-verify' ? 'mock_verification_failed' : null);
+    if (invalidReason) {
+      return { status: 200, body: { isValid: false, invalidReason, payer } };
+    }
+    return { status: 200, body: { isValid: true, payer } };
+  }
+
+  /**
+   * POST /settle
+   * @returns {Promise<Object>} { status, body }
+   */
+  async function settle(body, { signal } = {}) {
+    const outcome = outcomeFor(body);
+    const payer = getPayer(body?.paymentPayload);
+    const network = body?.paymentRequirements?.network || null;
+
+    if (outcome === 'timeout') {
+      await waitForAbort(signal);
+    }
+
+    const errorReason = check(body) || (outcome === 'fail-settle' ? 'mock_settlement_failed' : null);
+    if (errorReason) {
+      return { status: 400, body: { success: false, errorReason, transaction: '', network, payer } };
+    }
+
+    const transaction = createFakeTxHash();
+    settlements.set(transaction, {
+      transaction,
+      payer,
+      amount: body.paymentRequirements.maxAmountRequired,
+      payTo: body.paymentRequirements.payTo,
+      network,
+      settledAt: new Date(),
+    });
+    return { status: 200, body: { success: true, transaction, network, payer } };
+  }
+
+  /**
+   * fetch() replacement for the facilitator URL: routes .../verify and
+   * .../settle to this facilitator and answers with a Response
+   */
+  async function mockFetch(url, init = {}) {
+    const endpoint = String(url).replace(/\/$/, '').split('/').pop();
+    let body;
+    try {
+      body = init.body ? JSON.parse(init.body) : null;
+    } catch {
+      return Response.json({ error: 'Invalid JSON body' }, { status: 400 });
+    }
+
+    let result;
+    if (endpoint === 'verify') {
+      result = await verify(body, init);
+    } else if (endpoint === 'settle') {
+      result = await settle(body, init);
+    } else {
+      return Response.json({ error: `Unknown facilitator endpoint: ${endpoint}` }, { status: 404 });
+    }
+    return Response.json(result.body, { status: result.status });
+  }
+
+  return {
+    verify,
+    settle,
+    fetch: mockFetch,
+    setMode(mode) {
+      currentMode = assertMode(mode);
+    },
+    getMode() {
+      return currentMode;
+    },
+    settlements,
+  };
+}
+
+export default {
+  MOCK_FACILITATOR_MODES,
+  createMockFacilitator,
+  createFakeTxHash,
+};
@@ -1,4 +1,6 @@
 import dotenv from 'dotenv';
+import { MOCK_FACILITATOR_MODES } from '../../shared/x402/mockFacilitator.js';
+import { SIWE_STATEMENT } from '../../shared/auth/siwe.js';
 dotenv.config();
 
 // SECURITY: Validate required environment variables
@@ -16,6 +18,83 @@ if (process.env.X402_RECEIVER_ADDRESS && !/^0x[a-fA-F0-9]{40}$/.test(process.env
   process.exit(1);
 }
 
+// Storage: 'mongo' (MONGODB_URI) or 'memory' (offline development, no database)
+const storageDriver = process.env.STORAGE_DRIVER || 'mongo';
+
+if (!['mongo', 'memory'].includes(storageDriver)) {
+  console.error("FATAL: STORAGE_DRIVER must be 'mongo' or 'memory'");
+  process.exit(1);
+}
+
+if (storageDriver === 'memory' && process.env.NODE_ENV === 'production') {
+  console.error('FATAL: STORAGE_DRIVER=memory is for development only');
+  process.exit(1);
+}
+
+// Local x402 facilitator (development only): succeed, fail-verify, fail-settle or timeout
+const mockFacilitator = process.env.X402_MOCK_FACILITATOR || null;
+
+if (mockFacilitator && !MOCK_FACILITATOR_MODES.includes(mockFacilitator)) {
+  console.error(`FATAL: X402_MOCK_FACILITATOR must be one of: ${MOCK_FACILITATOR_MODES.join(', ')}`);
+  process.exit(1);
+}
+
+if (mockFacilitator && process.env.NODE_ENV === 'production') {
+  console.error('FATAL: X402_MOCK_FACILITATOR is for development only');
+  process.exit(1);
+}
+
+// Prize fee split in basis points (100 = 1%)
+const houseFeeBps = parseInt(process.env.PRIZE_HOUSE_FEE_BPS) || 0;
+const daoFeeBps = parseInt(process.env.PRIZE_DAO_FEE_BPS) || 0;
+
+if (houseFeeBps < 0 || daoFeeBps < 0 || houseFeeBps + daoFeeBps > 10000) {
+  console.error('FATAL: PRIZE_HOUSE_FEE_BPS + PRIZE_DAO_FEE_BPS must be between 0 and 10000');
+  process.exit(1);
+}
+
+// Rate limit overrides, e.g. RATE_LIMITS='{"purchase":{"windowMs":60000,"maxRequests":20}}'
+// Keys are HTTP limiter types or socket event names
+let rateLimitOverrides = {};
+if (process.env.RATE_LIMITS) {
+  try {
+    rateLimitOverrides = JSON.parse(process.env.RATE_LIMITS);
+  } catch {
+    console.error('FATAL: RATE_LIMITS must be valid JSON');
+    process.exit(1);
+  }
+}
+
+function withRateLimitOverrides(defaults) {
+  const limits = { ...defaults };
+  for (const [name, override] of Object.entries(rateLimitOverrides)) {
+    if (!limits[name]) continue;
+    const windowMs = parseInt(override?.windowMs) || limits[name].windowMs;
+    const maxRequests = parseInt(override?.maxRequests) || limits[name].maxRequests;
+    if (windowMs < 1 || maxRequests < 1) {
+      console.error(`FATAL: RATE_LIMITS.${name} needs positive windowMs and maxRequests`);
+      process.exit(1);
+    }
+    limits[name] = { windowMs, maxRequests };
+  }
+  return limits;
+}
+
+/**
+ * Optional numeric limit from the environment ('' or 'none' = no limit)
+ */
+function envLimit(name, defaultValue) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return defaultValue;
+  if (raw.toLowerCase() === 'none') return null;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    console.error(`FATAL: ${name} must be a non-negative number or 'none'`);
+    process.exit(1);
+  }
+  return value;
+}
+
 export const config = {
   // Server
   port: process.env.PORT || 5000,
@@ -24,20 +103,75 @@ export const config = {
 
   // JWT - NO DEFAULT VALUE FOR SECURITY
   jwtSecret: process.env.JWT_SECRET,
-  jwtExpiresIn: '7d',
+  // Access tokens are short lived; clients renew them with a refresh token
+  jwtExpiresIn: '15m',
+  refreshTokenTtlDays: 7,
+
+  // Sign-In With Ethereum - messages must name this domain (host of the frontend)
+  siwe: {
+    domain: process.env.SIWE_DOMAIN || new URL(process.env.FRONTEND_URL || 'http://localhost:5173').host,
+    uri: process.env.FRONTEND_URL || 'http://localhost:5173',
+    statement: SIWE_STATEMENT,
+    nonceTtlSeconds: 300,
+  },
 
   // Admin - NO DEFAULT VALUE FOR SECURITY
   adminPassword: process.env.ADMIN_PASSWORD,
 
-  // Admin whitelist (wallets that can access admin panel) - NO DEFAULT
+  // Superadmin wallets (more admins and their roles are managed via /api/admin/roles) - NO DEFAULT
   adminWallets: (process.env.ADMIN_WALLETS || '').split(',').map(w => w.trim().toLowerCase()).filter(Boolean),
 
+  // Admin roles stored in the database
+  adminRoles: {
+    // Seconds an instance reuses the roles it loaded before reading them again
+    cacheTtlSeconds: parseInt(process.env.ADMIN_ROLES_CACHE_TTL_SECONDS) || 10,
+  },
+
   // x402
   x402: {
     facilitatorUrl: process.env.X402_FACILITATOR_URL || 'https://facilitator.ultravioletadao.xyz',
     network: process.env.X402_NETWORK || 'avalanche',
     // Wallet receiver - NO DEFAULT FOR SECURITY
     receiverAddress: process.env.X402_RECEIVER_ADDRESS,
+    // Abort verify/settle calls that take longer than this
+    facilitatorTimeoutMs: parseInt(process.env.X402_FACILITATOR_TIMEOUT_MS) || 30000,
+    // Payments still pending this long after their claim (settle never answered) are resolved by an admin
+    pendingPaymentTtlMinutes: parseInt(process.env.X402_PENDING_PAYMENT_TTL_MINUTES) || 15,
+    // Mode of the built-in local facilitator (null = use facilitatorUrl)
+    mockFacilitator,
+  },
+
+  // Storage - 'mongo' or 'memory' (single process; saved to STORAGE_FILE as JSON if set)
+  storage: {
+    driver: storageDriver,
+    file: process.env.STORAGE_FILE || null,
+  },
+
+  // Rate limiting - 'memory' (per process) or 'mongo' (shared by all instances)
+  rateLimit: {
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    // HTTP limits by limiter type (rateLimit(type))
+    limits: withRateLimitOverrides({
+      login: { windowMs: 15 * 60 * 1000, maxRequests: 5 }, // 5 requests per 15 minutes
+      register: { windowMs: 60 * 60 * 1000, maxRequests: 10 }, // 10 per hour
+      nonce: { windowMs: 60 * 1000, maxRequests: 20 }, // 20 SIWE nonces per minute
+      refresh: { windowMs: 60 * 1000, maxRequests: 10 }, // 10 token refreshes per minute
+      purchase: { windowMs: 60 * 1000, maxRequests: 10 }, // 10 per minute
+      adminAction: { windowMs: 60 * 1000, maxRequests: 30 }, // 30 per minute
+      claim: { windowMs: 60 * 1000, maxRequests: 10 }, // 10 bingo claims per minute
+      general: { windowMs: 60 * 1000, maxRequests: 100 }, // 100 per minute
+    }),
+    // Socket limits by event name
+    socketLimits: withRateLimitOverrides({
+      'admin:call-number': { windowMs: 1000, maxRequests: 3 }, // 3 calls per second max
+      'admin:draw-number': { windowMs: 1000, maxRequests: 3 },
+      'admin:start-game': { windowMs: 5000, maxRequests: 1 }, // 1 per 5 seconds
+      'admin:end-game': { windowMs: 5000, maxRequests: 1 },
+      'admin:verify-winner': { windowMs: 2000, maxRequests: 2 },
+      'admin:reject-winner': { windowMs: 2000, maxRequests: 2 },
+      'claim-bingo': { windowMs: 2000, maxRequests: 1 },
+      'default': { windowMs: 1000, maxRequests: 10 },
+    }),
   },
 
   // Bingo - Price in USDC on Avalanche Mainnet
@@ -47,6 +181,58 @@ export const config = {
   // Valid Fibonacci quantities for purchase
   fibonacciQuantities: [1, 2, 3, 5, 8, 13, 21, 34],
 
+  // Prize pool fee split (basis points of the gross pool)
+  prize: {
+    houseFeeBps,
+    daoFeeBps,
+  },
+
+  // Auto-caller interval bounds (seconds)
+  autoCall: {
+    defaultIntervalSeconds: parseInt(process.env.AUTO_CALL_INTERVAL) || 10,
+    minIntervalSeconds: 3,
+    maxIntervalSeconds: 300,
+  },
+
+  // Scheduled games
+  schedule: {
+    // Card sales close this long before a scheduled start
+    purchaseCutoffSeconds: parseInt(process.env.PURCHASE_CUTOFF_SECONDS) || 60,
+    // Countdown broadcast interval (every second during the last 10 seconds)
+    countdownIntervalSeconds: 10,
+    maxDaysAhead: 30,
+  },
+
+  // Player bingo claims - longest sleeper window (calls)
+  claims: {
+    maxWindowCalls: 20,
+  },
+
+  // Responsible gaming - operator purchase caps per user (null = no cap, spend in USDC)
+  purchaseLimits: {
+    maxCardsPerGame: envLimit('MAX_CARDS_PER_GAME', 100),
+    maxCardsPerDay: envLimit('MAX_CARDS_PER_DAY', null),
+    maxCardsPerWeek: envLimit('MAX_CARDS_PER_WEEK', null),
+    maxSpendPerDay: envLimit('MAX_SPEND_PER_DAY', null),
+    maxSpendPerWeek: envLimit('MAX_SPEND_PER_WEEK', null),
+    // Hours before raising or removing a self-set cap takes effect
+    limitIncreaseDelayHours: 24,
+    maxSelfExclusionDays: 3650,
+  },
+
+  // Multi-admin approval - admins that must approve each action (1 = executes immediately)
+  approvals: {
+    verifyWinner: parseInt(process.env.APPROVALS_VERIFY_WINNER) || 1,
+    markPayoutPaid: parseInt(process.env.APPROVALS_MARK_PAYOUT_PAID) || 1,
+    ttlMinutes: 60,
+  },
+
+  // Card carry-over policy bounds (policy 'games' / 'until')
+  cardPolicy: {
+    maxGames: 50,
+    maxDaysAhead: 365,
+  },
+
   // Bingo card configuration
   bingoColumns: {
     B: { min: 1, max: 15 },
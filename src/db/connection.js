@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { config } from '../config/index.js';
+import { createMemoryClient } from './memoryStore.js';
 
 let isConnected = false;
 
@@ -8,6 +10,14 @@ export async function connectDB() {
     return;
   }
 
+  // Offline development: in-memory database, optionally saved to a JSON file
+  if (config.storage.driver === 'memory') {
+    mongoose.connection.setClient(createMemoryClient({ file: config.storage.file }));
+    isConnected = true;
+    console.log(`[MongoDB] Using in-memory database${config.storage.file ? ` saved to ${config.storage.file}` : ' (data is lost on restart)'}`);
+    return;
+  }
+
   const uri = process.env.MONGODB_URI;
 
   if (!uri) {
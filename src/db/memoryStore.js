@@ -0,0 +1,1107 @@
+/**
+ * In-memory MongoDB for offline development
+ * A MongoClient whose database keeps every collection in process memory,
+ * optionally saved to a JSON file. Plugged into Mongoose with
+ * connection.setClient(), so models, statics and services run unchanged.
+ *
+ * Supports the query, update and aggregation operators the models use,
+ * unique and TTL indexes, and transactions (writes made in an aborted
+ * transaction are undone). Single process only: every operation runs to
+ * completion before the next one starts, which makes each write atomic.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+
+const { MongoClient, ObjectId, BSON } = mongoose.mongo;
+
+// Writes are saved to the file this long after the last change
+const SAVE_DELAY_MS = 250;
+
+// ============== VALUES ==============
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+}
+
+/**
+ * Deep copy of plain objects and arrays (BSON values are immutable and shared)
+ */
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (isPlainObject(value)) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined) copy[key] = clone(item);
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Canonical string of a value, used for equality, unique keys and grouping
+ */
+function valueKey(value) {
+  if (value === undefined || value === null) return 'null';
+  if (value instanceof Date) return `d:${value.getTime()}`;
+  if (value instanceof ObjectId) return `o:${value.toHexString()}`;
+  if (Array.isArray(value)) return `[${value.map(valueKey).join(',')}]`;
+  if (typeof value === 'number' || typeof value === 'bigint') return `n:${value}`;
+  if (typeof value === 'string') return `s:${value}`;
+  if (typeof value === 'boolean') return `b:${value}`;
+  if (isPlainObject(value)) {
+    return `{${Object.entries(value).map(([k, v]) => `${k}:${valueKey(v)}`).join(',')}}`;
+  }
+  // Long, Decimal128...
+  if (typeof value.toString === 'function') return `n:${value.toString()}`;
+  return String(value);
+}
+
+function equals(a, b) {
+  return valueKey(a) === valueKey(b);
+}
+
+// BSON comparison order: null < numbers < strings < objects < arrays < ObjectId < booleans < dates
+function typeRank(value) {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'number' || typeof value === 'bigint') return 1;
+  if (typeof value === 'string') return 2;
+  if (Array.isArray(value)) return 4;
+  if (value instanceof ObjectId) return 5;
+  if (typeof value === 'boolean') return 6;
+  if (value instanceof Date) return 7;
+  if (isPlainObject(value)) return 3;
+  return 1;
+}
+
+function compareSameType(a, b) {
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (a instanceof ObjectId) return a.toHexString().localeCompare(b.toHexString());
+  if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  if (typeof a === 'boolean') return Number(a) - Number(b);
+  if (Array.isArray(a) || isPlainObject(a)) {
+    const ka = valueKey(a);
+    const kb = valueKey(b);
+    return ka < kb ? -1 : ka > kb ? 1 : 0;
+  }
+  const na = Number(a);
+  const nb = Number(b);
+  return na < nb ? -1 : na > nb ? 1 : 0;
+}
+
+/**
+ * Total order used by sort, $min and $max
+ */
+function compareValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 0) return 0;
+  return compareSameType(a, b);
+}
+
+// ============== PATHS ==============
+
+function lookup(value, parts) {
+  if (parts.length === 0) return [value];
+  if (value === null || value === undefined || typeof value !== 'object') return [undefined];
+  const [head, ...rest] = parts;
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(head)) return lookup(value[Number(head)], rest);
+    return value.flatMap(item => (item !== null && typeof item === 'object' ? lookup(item, parts) : []));
+  }
+  return lookup(value[head], rest);
+}
+
+/**
+ * Values a query path reaches (arrays of subdocuments are traversed)
+ */
+function getValues(doc, fieldPath) {
+  const values = lookup(doc, fieldPath.split('.'));
+  return values.length > 0 ? values : [undefined];
+}
+
+/**
+ * Single value at a path (no array traversal except numeric indexes)
+ */
+function getPath(doc, fieldPath) {
+  let current = doc;
+  for (const part of fieldPath.split('.')) {
+    if (current === null || current === undefined || typeof current !== 'object') return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+function setPath(doc, fieldPath, value) {
+  const parts = fieldPath.split('.');
+  let current = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (part === '$' || part.startsWith('$[')) {
+      throw new Error(`Positional update operators are not supported by the memory store (${fieldPath})`);
+    }
+    if (current[part] === null || current[part] === undefined || typeof current[part] !== 'object') {
+      current[part] = {};
+    }
+    current = current[part];
+  }
+  current[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, fieldPath) {
+  const parts = fieldPath.split('.');
+  const parent = parts.length > 1 ? getPath(doc, parts.slice(0, -1).join('.')) : doc;
+  if (parent !== null && typeof parent === 'object') {
+    delete parent[parts[parts.length - 1]];
+  }
+}
+
+// ============== QUERIES ==============
+
+function isOperatorObject(value) {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+function toRegExp(pattern, options = '') {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern, options);
+}
+
+// Values plus the elements of array values (comparison operators match elements)
+function expand(values) {
+  return values.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+}
+
+function matchesValue(value, expected) {
+  if (expected instanceof RegExp) {
+    return expand([value]).some(item => typeof item === 'string' && expected.test(item));
+  }
+  if (expected === null) {
+    return value === null || value === undefined;
+  }
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some(item => equals(item, expected));
+  }
+  if (Array.isArray(value)) {
+    return equals(value, expected) || value.some(item => equals(item, expected));
+  }
+  return equals(value, expected);
+}
+
+function compareOperator(values, arg, test) {
+  return expand(values).some(value => {
+    if (value === undefined || typeRank(value) !== typeRank(arg)) return false;
+    return test(compareSameType(value, arg));
+  });
+}
+
+function matchesOperators(values, condition) {
+  return Object.entries(condition).every(([op, arg]) => {
+    switch (op) {
+      case '$eq': return values.some(value => matchesValue(value, arg));
+      case '$ne': return !values.some(value => matchesValue(value, arg));
+      case '$gt': return compareOperator(values, arg, c => c > 0);
+      case '$gte': return compareOperator(values, arg, c => c >= 0);
+      case '$lt': return compareOperator(values, arg, c => c < 0);
+      case '$lte': return compareOperator(values, arg, c => c <= 0);
+      case '$in': return arg.some(expected => values.some(value => matchesValue(value, expected)));
+      case '$nin': return !arg.some(expected => values.some(value => matchesValue(value, expected)));
+      case '$all': return arg.every(expected => values.some(value => matchesValue(value, expected)));
+      case '$exists': return arg ? values.some(value => value !== undefined) : values.every(value => value === undefined);
+      case '$size': return values.some(value => Array.isArray(value) && value.length === arg);
+      case '$regex': {
+        const regex = toRegExp(arg, condition.$options);
+        return expand(values).some(value => typeof value === 'string' && regex.test(value));
+      }
+      case '$options': return true;
+      case '$not': return !(isOperatorObject(arg) ? matchesOperators(values, arg) : values.some(value => matchesValue(value, arg)));
+      case '$elemMatch': return values.some(value => Array.isArray(value) && value.some(item =>
+        isOperatorObject(arg) ? matchesOperators([item], arg) : matchesFilter(item, arg)
+      ));
+      default:
+        throw new Error(`Query operator ${op} is not supported by the memory store`);
+    }
+  });
+}
+
+/**
+ * Whether a document matches a MongoDB query filter
+ */
+function matchesFilter(doc, filter = {}) {
+  return Object.entries(filter || {}).every(([key, condition]) => {
+    switch (key) {
+      case '$and': return condition.every(sub => matchesFilter(doc, sub));
+      case '$or': return condition.some(sub => matchesFilter(doc, sub));
+      case '$nor': return !condition.some(sub => matchesFilter(doc, sub));
+      case '$comment': return true;
+      default:
+        if (key.startsWith('$')) {
+          throw new Error(`Query operator ${key} is not supported by the memory store`);
+        }
+    }
+    const values = getValues(doc, key);
+    if (isOperatorObject(condition)) {
+      return matchesOperators(values, condition);
+    }
+    return values.some(value => matchesValue(value, condition));
+  });
+}
+
+// ============== UPDATES ==============
+
+function isUpdateDocument(update) {
+  return Object.keys(update).some(key => key.startsWith('$'));
+}
+
+function pullMatches(item, condition) {
+  if (isOperatorObject(condition)) return matchesOperators([item], condition);
+  if (isPlainObject(condition) && isPlainObject(item)) return matchesFilter(item, condition);
+  return equals(item, condition);
+}
+
+/**
+ * Apply an update document (or replacement) to a document in place
+ */
+function applyUpdate(doc, update, isInsert = false) {
+  if (!isUpdateDocument(update)) {
+    const id = doc._id;
+    for (const key of Object.keys(doc)) delete doc[key];
+    Object.assign(doc, clone(update), { _id: id });
+    return;
+  }
+
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [field, arg] of Object.entries(fields || {})) {
+      const current = getPath(doc, field);
+      switch (op) {
+        case '$set':
+          setPath(doc, field, clone(arg));
+          break;
+        case '$setOnInsert':
+          if (isInsert) setPath(doc, field, clone(arg));
+          break;
+        case '$unset':
+          unsetPath(doc, field);
+          break;
+        case '$inc':
+          setPath(doc, field, (Number(current) || 0) + Number(arg));
+          break;
+        case '$mul':
+          setPath(doc, field, (Number(current) || 0) * Number(arg));
+          break;
+        case '$min':
+          if (current === undefined || compareValues(arg, current) < 0) setPath(doc, field, clone(arg));
+          break;
+        case '$max':
+          if (current === undefined || compareValues(arg, current) > 0) setPath(doc, field, clone(arg));
+          break;
+        case '$currentDate':
+          setPath(doc, field, new Date());
+          break;
+        case '$rename':
+          if (current !== undefined) {
+            unsetPath(doc, field);
+            setPath(doc, arg, current);
+          }
+          break;
+        case '$push': {
+          const items = isPlainObject(arg) && '$each' in arg ? arg.$each : [arg];
+          const list = Array.isArray(current) ? current : [];
+          const position = isPlainObject(arg) && Number.isInteger(arg.$position) ? arg.$position : list.length;
+          list.splice(position, 0, ...items.map(clone));
+          if (isPlainObject(arg) && Number.isInteger(arg.$slice)) {
+            list.splice(0, list.length, ...(arg.$slice < 0 ? list.slice(arg.$slice) : list.slice(0, arg.$slice)));
+          }
+          setPath(doc, field, list);
+          break;
+        }
+        case '$addToSet': {
+          const items = isPlainObject(arg) && '$each' in arg ? arg.$each : [arg];
+          const list = Array.isArray(current) ? current : [];
+          for (const item of items) {
+            if (!list.some(existing => equals(existing, item))) list.push(clone(item));
+          }
+          setPath(doc, field, list);
+          break;
+        }
+        case '$pull':
+          if (Array.isArray(current)) setPath(doc, field, current.filter(item => !pullMatches(item, arg)));
+          break;
+        case '$pullAll':
+          if (Array.isArray(current)) setPath(doc, field, current.filter(item => !arg.some(value => equals(item, value))));
+          break;
+        case '$pop':
+          if (Array.isArray(current)) setPath(doc, field, arg < 0 ? current.slice(1) : current.slice(0, -1));
+          break;
+        default:
+          throw new Error(`Update operator ${op} is not supported by the memory store`);
+      }
+    }
+  }
+}
+
+/**
+ * Fields an upsert copies from the filter (top-level equality conditions)
+ */
+function upsertBase(filter = {}) {
+  const doc = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key.startsWith('$')) continue;
+    if (isOperatorObject(condition)) {
+      if ('$eq' in condition) setPath(doc, key, clone(condition.$eq));
+      continue;
+    }
+    setPath(doc, key, clone(condition));
+  }
+  return doc;
+}
+
+// ============== PROJECTION AND SORT ==============
+
+function copyPath(source, target, parts) {
+  if (source === null || source === undefined || typeof source !== 'object') return;
+  const [head, ...rest] = parts;
+  if (!(head in source)) return;
+  if (rest.length === 0) {
+    target[head] = clone(source[head]);
+  } else if (Array.isArray(source[head])) {
+    target[head] = source[head].map((item, index) => {
+      const existing = Array.isArray(target[head]) ? target[head][index] || {} : {};
+      copyPath(item, existing, rest);
+      return existing;
+    });
+  } else {
+    target[head] = isPlainObject(target[head]) ? target[head] : {};
+    copyPath(source[head], target[head], rest);
+  }
+}
+
+function removePath(target, parts) {
+  if (target === null || target === undefined || typeof target !== 'object') return;
+  const [head, ...rest] = parts;
+  if (rest.length === 0) {
+    delete target[head];
+  } else if (Array.isArray(target[head])) {
+    target[head].forEach(item => removePath(item, rest));
+  } else {
+    removePath(target[head], rest);
+  }
+}
+
+function project(doc, projection) {
+  const fields = Object.entries(projection || {}).filter(([, value]) => !isPlainObject(value));
+  if (fields.length === 0) return clone(doc);
+
+  const inclusive = fields.some(([key, value]) => key !== '_id' && value);
+  if (inclusive) {
+    const result = {};
+    if (projection._id === undefined || projection._id) copyPath(doc, result, ['_id']);
+    for (const [key, value] of fields) {
+      if (value && key !== '_id') copyPath(doc, result, key.split('.'));
+    }
+    return result;
+  }
+
+  const result = clone(doc);
+  for (const [key] of fields) removePath(result, key.split('.'));
+  return result;
+}
+
+function sortDocuments(docs, sort) {
+  const entries = Array.isArray(sort) ? sort : Object.entries(sort || {});
+  if (entries.length === 0) return docs;
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of entries) {
+      const order = direction === -1 || direction === 'desc' || direction === 'descending' ? -1 : 1;
+      const result = compareValues(getPath(a, field), getPath(b, field));
+      if (result !== 0) return result * order;
+    }
+    return 0;
+  });
+}
+
+// ============== AGGREGATION ==============
+
+function evaluate(doc, expr) {
+  if (typeof expr === 'string' && expr.startsWith('$')) return getPath(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map(item => evaluate(doc, item));
+  if (!isPlainObject(expr)) return expr;
+
+  const keys = Object.keys(expr);
+  if (keys.length === 1 && keys[0].startsWith('$')) {
+    const op = keys[0];
+    const raw = expr[op];
+    const args = Array.isArray(raw) ? raw.map(arg => evaluate(doc, arg)) : [evaluate(doc, raw)];
+    switch (op) {
+      case '$literal': return raw;
+      case '$ifNull': return args.find(arg => arg !== null && arg !== undefined) ?? null;
+      case '$toLong':
+      case '$toInt':
+      case '$toDouble': return args[0] === null || args[0] === undefined ? null : Number(args[0]);
+      case '$toString': return args[0] === null || args[0] === undefined ? null : String(args[0]);
+      case '$add': return args.reduce((sum, arg) => sum + (Number(arg) || 0), 0);
+      case '$subtract': return Number(args[0]) - Number(args[1]);
+      case '$multiply': return args.reduce((product, arg) => product * Number(arg), 1);
+      case '$divide': return Number(args[0]) / Number(args[1]);
+      case '$size': return Array.isArray(args[0]) ? args[0].length : 0;
+      case '$eq': return equals(args[0], args[1]);
+      case '$ne': return !equals(args[0], args[1]);
+      case '$gt': return compareValues(args[0], args[1]) > 0;
+      case '$gte': return compareValues(args[0], args[1]) >= 0;
+      case '$lt': return compareValues(args[0], args[1]) < 0;
+      case '$lte': return compareValues(args[0], args[1]) <= 0;
+      case '$cond': {
+        const [condition, whenTrue, whenFalse] = Array.isArray(raw)
+          ? args
+          : [evaluate(doc, raw.if), evaluate(doc, raw.then), evaluate(doc, raw.else)];
+        return condition ? whenTrue : whenFalse;
+      }
+      default:
+        throw new Error(`Aggregation operator ${op} is not supported by the memory store`);
+    }
+  }
+
+  return Object.fromEntries(keys.map(key => [key, evaluate(doc, expr[key])]));
+}
+
+function accumulate(docs, spec) {
+  const [[op, expr]] = Object.entries(spec);
+  const values = docs.map(doc => evaluate(doc, expr));
+  const present = values.filter(value => value !== null && value !== undefined);
+  switch (op) {
+    case '$sum': return present.reduce((sum, value) => sum + (typeof value === 'number' ? value : 0), 0);
+    case '$avg': {
+      const numbers = present.filter(value => typeof value === 'number');
+      return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+    }
+    case '$min': return present.length > 0 ? present.reduce((min, value) => (compareValues(value, min) < 0 ? value : min)) : null;
+    case '$max': return present.length > 0 ? present.reduce((max, value) => (compareValues(value, max) > 0 ? value : max)) : null;
+    case '$first': return values[0] ?? null;
+    case '$last': return values[values.length - 1] ?? null;
+    case '$push': return values;
+    case '$addToSet': return values.filter((value, index) => values.findIndex(other => equals(other, value)) === index);
+    case '$count': return docs.length;
+    default:
+      throw new Error(`Accumulator ${op} is not supported by the memory store`);
+  }
+}
+
+function runPipeline(docs, pipeline) {
+  let results = docs.map(clone);
+  for (const stage of pipeline) {
+    const [[name, spec]] = Object.entries(stage);
+    switch (name) {
+      case '$match':
+        results = results.filter(doc => matchesFilter(doc, spec));
+        break;
+      case '$sort':
+        results = sortDocuments(results, spec);
+        break;
+      case '$skip':
+        results = results.slice(spec);
+        break;
+      case '$limit':
+        results = results.slice(0, spec);
+        break;
+      case '$count':
+        results = results.length > 0 ? [{ [spec]: results.length }] : [];
+        break;
+      case '$unwind': {
+        const field = (typeof spec === 'string' ? spec : spec.path).slice(1);
+        const keepEmpty = typeof spec === 'object' && spec.preserveNullAndEmptyArrays;
+        results = results.flatMap(doc => {
+          const value = getPath(doc, field);
+          if (!Array.isArray(value) || value.length === 0) {
+            return keepEmpty || (value !== undefined && value !== null && !Array.isArray(value)) ? [doc] : [];
+          }
+          return value.map(item => {
+            const copy = clone(doc);
+            setPath(copy, field, clone(item));
+            return copy;
+          });
+        });
+        break;
+      }
+      case '$group': {
+        const { _id: idExpr, ...accumulators } = spec;
+        const groups = new Map();
+        for (const doc of results) {
+          const id = evaluate(doc, idExpr);
+          const key = valueKey(id);
+          if (!groups.has(key)) groups.set(key, { id, docs: [] });
+          groups.get(key).docs.push(doc);
+        }
+        results = [...groups.values()].map(({ id, docs: groupDocs }) => ({
+          _id: id,
+          ...Object.fromEntries(Object.entries(accumulators).map(([field, acc]) => [field, accumulate(groupDocs, acc)])),
+        }));
+        break;
+      }
+      case '$addFields':
+      case '$set':
+        results = results.map(doc => {
+          const result = clone(doc);
+          for (const [field, expr] of Object.entries(spec)) setPath(result, field, evaluate(doc, expr));
+          return result;
+        });
+        break;
+      case '$project': {
+        const flags = Object.fromEntries(Object.entries(spec).filter(([, value]) => typeof value === 'boolean' || value === 0 || value === 1));
+        const computed = Object.entries(spec).filter(([field]) => !(field in flags));
+        const inclusive = computed.length > 0 || Object.entries(flags).some(([field, value]) => field !== '_id' && value);
+        results = results.map(doc => {
+          if (!inclusive) return project(doc, flags);
+          const result = {};
+          if (flags._id ?? true) result._id = doc._id;
+          for (const [field, value] of Object.entries(flags)) {
+            if (value && field !== '_id') copyPath(doc, result, field.split('.'));
+          }
+          for (const [field, expr] of computed) setPath(result, field, evaluate(doc, expr));
+          return result;
+        });
+        break;
+      }
+      default:
+        throw new Error(`Aggregation stage ${name} is not supported by the memory store`);
+    }
+  }
+  return results;
+}
+
+// ============== CURSORS ==============
+
+/**
+ * Minimal FindCursor / AggregationCursor
+ */
+class MemoryCursor {
+  constructor(load) {
+    this.load = load;
+    this.options = {};
+  }
+
+  sort(sort) { this.options.sort = sort; return this; }
+  skip(skip) { this.options.skip = skip; return this; }
+  limit(limit) { this.options.limit = limit; return this; }
+  project(projection) { this.options.projection = projection; return this; }
+  batchSize() { return this; }
+
+  async toArray() {
+    if (!this.results) {
+      this.results = this.load(this.options);
+    }
+    return this.results;
+  }
+
+  async next() {
+    const results = await this.toArray();
+    this.position = this.position || 0;
+    return results[this.position++] ?? null;
+  }
+
+  async hasNext() {
+    const results = await this.toArray();
+    return (this.position || 0) < results.length;
+  }
+
+  async close() {}
+
+  async *[Symbol.asyncIterator]() {
+    for (const doc of await this.toArray()) yield doc;
+  }
+}
+
+// ============== COLLECTIONS ==============
+
+function duplicateKeyError(collectionName, index, doc) {
+  const keyValue = Object.fromEntries(Object.keys(index.key).map(field => [field, getPath(doc, field)]));
+  const err = new Error(`E11000 duplicate key error collection: ${collectionName} index: ${index.name} dup key: ${JSON.stringify(keyValue)}`);
+  err.name = 'MongoServerError';
+  err.code = 11000;
+  err.keyPattern = index.key;
+  err.keyValue = keyValue;
+  return err;
+}
+
+function indexName(key) {
+  return Object.entries(key).map(([field, direction]) => `${field}_${direction}`).join('_');
+}
+
+/**
+ * A collection of documents kept in insertion order
+ */
+class MemoryCollection {
+  constructor(store, name, data = {}) {
+    this.store = store;
+    this.collectionName = name;
+    this.docs = new Map();
+    this.indexes = data.indexes || [{ name: '_id_', key: { _id: 1 } }];
+    for (const doc of data.documents || []) {
+      this.docs.set(valueKey(doc._id), doc);
+    }
+  }
+
+  // TTL indexes: remove documents whose expiry date has passed
+  purgeExpired() {
+    const ttlIndexes = this.indexes.filter(index => typeof index.expireAfterSeconds === 'number');
+    if (ttlIndexes.length === 0) return;
+    const now = Date.now();
+    for (const [key, doc] of this.docs) {
+      const expired = ttlIndexes.some(index => {
+        const value = getPath(doc, Object.keys(index.key)[0]);
+        return value instanceof Date && value.getTime() + index.expireAfterSeconds * 1000 <= now;
+      });
+      if (expired) this.docs.delete(key);
+    }
+  }
+
+  matching(filter) {
+    this.purgeExpired();
+    return [...this.docs.values()].filter(doc => matchesFilter(doc, filter));
+  }
+
+  checkUnique(doc, ignoreKey = null) {
+    for (const index of this.indexes) {
+      if (!index.unique) continue;
+      const fields = Object.keys(index.key);
+      if (index.sparse && fields.every(field => getPath(doc, field) === undefined)) continue;
+      if (index.partialFilterExpression && !matchesFilter(doc, index.partialFilterExpression)) continue;
+      const key = fields.map(field => valueKey(getPath(doc, field))).join('|');
+      for (const [otherKey, other] of this.docs) {
+        if (otherKey === ignoreKey) continue;
+        if (index.partialFilterExpression && !matchesFilter(other, index.partialFilterExpression)) continue;
+        if (fields.map(field => valueKey(getPath(other, field))).join('|') === key) {
+          throw duplicateKeyError(this.collectionName, index, doc);
+        }
+      }
+    }
+    const id = valueKey(doc._id);
+    if (id !== ignoreKey && this.docs.has(id)) {
+      throw duplicateKeyError(this.collectionName, { name: '_id_', key: { _id: 1 } }, doc);
+    }
+  }
+
+  // Store a document (new or replacing a previous version) and remember it for rollback
+  write(key, doc, previous, options) {
+    this.store.recordUndo(options?.session, this, key, previous);
+    if (doc) {
+      this.docs.set(key, doc);
+    } else {
+      this.docs.delete(key);
+    }
+    this.store.changed();
+  }
+
+  insertDocument(doc, options) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    this.checkUnique(stored);
+    this.write(valueKey(stored._id), stored, null, options);
+    return stored._id;
+  }
+
+  updateDocument(doc, update, options, isInsert = false) {
+    const key = valueKey(doc._id);
+    const updated = clone(doc);
+    applyUpdate(updated, update, isInsert);
+    this.checkUnique(updated, key);
+    this.write(key, updated, isInsert ? null : doc, options);
+    return updated;
+  }
+
+  upsert(filter, update, options) {
+    const doc = upsertBase(filter);
+    if (doc._id === undefined) doc._id = new ObjectId();
+    this.checkUnique(doc);
+    return this.updateDocument(doc, update, options, true);
+  }
+
+  async insertOne(doc, options) {
+    const insertedId = this.insertDocument(doc, options);
+    return { acknowledged: true, insertedId };
+  }
+
+  async insertMany(docs, options = {}) {
+    const insertedIds = {};
+    docs.forEach((doc, index) => {
+      insertedIds[index] = this.insertDocument(doc, options);
+    });
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async find(filter = {}, options = {}) {
+    return new MemoryCursor(cursorOptions => {
+      const merged = { ...options, ...cursorOptions };
+      let results = sortDocuments(this.matching(filter), merged.sort);
+      if (merged.skip) results = results.slice(merged.skip);
+      if (merged.limit) results = results.slice(0, Math.abs(merged.limit));
+      return results.map(doc => project(doc, merged.projection));
+    });
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const cursor = await this.find(filter, { ...options, limit: 1 });
+    const [doc] = await cursor.toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter = {}, options = {}) {
+    let count = this.matching(filter).length - (options.skip || 0);
+    if (options.limit) count = Math.min(count, options.limit);
+    return Math.max(count, 0);
+  }
+
+  async estimatedDocumentCount() {
+    this.purgeExpired();
+    return this.docs.size;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = this.matching(filter).flatMap(doc => expand(getValues(doc, field)).filter(value => value !== undefined && !Array.isArray(value)));
+    return values.filter((value, index) => values.findIndex(other => equals(other, value)) === index);
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = sortDocuments(this.matching(filter), options.sort);
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      const inserted = this.upsert(filter, update, options);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+    const updated = this.updateDocument(doc, update, options);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: equals(doc, updated) ? 0 : 1, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const docs = this.matching(filter);
+    if (docs.length === 0 && options.upsert) {
+      const inserted = this.upsert(filter, update, options);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+    let modifiedCount = 0;
+    for (const doc of docs) {
+      if (!equals(doc, this.updateDocument(doc, update, options))) modifiedCount++;
+    }
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async deleteOne(filter = {}, options = {}) {
+    const [doc] = this.matching(filter);
+    if (doc) this.write(valueKey(doc._id), null, doc, options);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}, options = {}) {
+    const docs = this.matching(filter);
+    for (const doc of docs) this.write(valueKey(doc._id), null, doc, options);
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  findOneResult(doc, options) {
+    const value = doc ? project(doc, options.projection) : null;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [doc] = sortDocuments(this.matching(filter), options.sort);
+    if (!doc) {
+      if (!options.upsert) return this.findOneResult(null, options);
+      const inserted = this.upsert(filter, update, options);
+      return this.findOneResult(options.returnDocument === 'after' ? inserted : null, options);
+    }
+    const updated = this.updateDocument(doc, update, options);
+    return this.findOneResult(options.returnDocument === 'after' ? updated : doc, options);
+  }
+
+  async findOneAndReplace(filter, replacement, options = {}) {
+    return this.findOneAndUpdate(filter, replacement, options);
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = sortDocuments(this.matching(filter), options.sort);
+    if (doc) this.write(valueKey(doc._id), null, doc, options);
+    return this.findOneResult(doc || null, options);
+  }
+
+  async bulkWrite(operations, options = {}) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+    for (const operation of operations) {
+      const [[type, spec]] = Object.entries(operation);
+      if (type === 'insertOne') {
+        await this.insertOne(spec.document, options);
+        result.insertedCount++;
+      } else if (type === 'updateOne' || type === 'updateMany' || type === 'replaceOne') {
+        const method = type === 'updateMany' ? 'updateMany' : 'updateOne';
+        const res = await this[method](spec.filter, spec.update || spec.replacement, { ...options, upsert: spec.upsert });
+        result.matchedCount += res.matchedCount;
+        result.modifiedCount += res.modifiedCount;
+        result.upsertedCount += res.upsertedCount;
+      } else if (type === 'deleteOne' || type === 'deleteMany') {
+        const res = await this[type](spec.filter, options);
+        result.deletedCount += res.deletedCount;
+      }
+    }
+    return { ok: 1, ...result };
+  }
+
+  aggregate(pipeline = []) {
+    return new MemoryCursor(() => runPipeline(this.matching({}), pipeline));
+  }
+
+  async createIndex(key, options = {}) {
+    const name = options.name || indexName(key);
+    if (!this.indexes.some(index => index.name === name)) {
+      const index = { name, key, ...options };
+      this.indexes.push(index);
+      if (index.unique) {
+        // Fail like MongoDB would if existing documents already break the index
+        try {
+          for (const [docKey, doc] of this.docs) this.checkUnique(doc, docKey);
+        } catch (err) {
+          this.indexes = this.indexes.filter(other => other !== index);
+          throw err;
+        }
+      }
+      this.store.changed();
+    }
+    return name;
+  }
+
+  async createIndexes(specs) {
+    const names = [];
+    for (const { key, ...options } of specs) names.push(await this.createIndex(key, options));
+    return names;
+  }
+
+  listIndexes() {
+    return new MemoryCursor(() => this.indexes.map(index => ({ v: 2, ...index })));
+  }
+
+  async indexes() {
+    return this.listIndexes().toArray();
+  }
+
+  async indexExists(names) {
+    const list = Array.isArray(names) ? names : [names];
+    return list.every(name => this.indexes.some(index => index.name === name));
+  }
+
+  async dropIndex(name) {
+    this.indexes = this.indexes.filter(index => index.name !== name || name === '_id_');
+    this.store.changed();
+  }
+
+  async dropIndexes() {
+    this.indexes = this.indexes.filter(index => index.name === '_id_');
+    this.store.changed();
+  }
+
+  async drop() {
+    this.store.collections.delete(this.collectionName);
+    this.store.changed();
+    return true;
+  }
+
+  toJSON() {
+    return { documents: [...this.docs.values()], indexes: this.indexes };
+  }
+}
+
+// ============== DATABASE AND CLIENT ==============
+
+class MemoryDb {
+  constructor(store, databaseName) {
+    this.store = store;
+    this.databaseName = databaseName;
+  }
+
+  collection(name) {
+    return this.store.getCollection(name);
+  }
+
+  async createCollection(name) {
+    return this.store.getCollection(name);
+  }
+
+  listCollections() {
+    return new MemoryCursor(() => [...this.store.collections.keys()].map(name => ({ name, type: 'collection' })));
+  }
+
+  async dropCollection(name) {
+    return this.store.getCollection(name).drop();
+  }
+
+  async dropDatabase() {
+    this.store.collections.clear();
+    this.store.changed();
+    return true;
+  }
+
+  async command() {
+    return { ok: 1 };
+  }
+
+  admin() {
+    return { ping: async () => ({ ok: 1 }), command: async () => ({ ok: 1 }) };
+  }
+}
+
+/**
+ * Client session; a transaction keeps the previous version of every
+ * document it writes so abortTransaction() can put them back
+ */
+class MemorySession {
+  constructor(store) {
+    this.store = store;
+    this.transaction = null;
+    this.hasEnded = false;
+  }
+
+  inTransaction() {
+    return this.transaction !== null;
+  }
+
+  startTransaction() {
+    if (this.transaction) throw new Error('Transaction already in progress');
+    this.transaction = { state: 'TRANSACTION_IN_PROGRESS', undo: [], isActive: true };
+  }
+
+  async commitTransaction() {
+    this.transaction = null;
+  }
+
+  async abortTransaction() {
+    if (!this.transaction) return;
+    for (const { collection, key, previous } of this.transaction.undo.reverse()) {
+      if (previous) {
+        collection.docs.set(key, previous);
+      } else {
+        collection.docs.delete(key);
+      }
+    }
+    this.transaction = null;
+    this.store.changed();
+  }
+
+  async withTransaction(fn) {
+    this.startTransaction();
+    try {
+      const result = await fn(this);
+      await this.commitTransaction();
+      return result;
+    } catch (err) {
+      await this.abortTransaction();
+      throw err;
+    }
+  }
+
+  async endSession() {
+    await this.abortTransaction();
+    this.hasEnded = true;
+  }
+}
+
+/**
+ * All collections of the in-memory database and their optional file
+ */
+class MemoryStore {
+  constructor(file = null) {
+    this.file = file ? path.resolve(file) : null;
+    this.collections = new Map();
+    this.saveTimer = null;
+    if (this.file && fs.existsSync(this.file)) {
+      const data = BSON.EJSON.parse(fs.readFileSync(this.file, 'utf8'), { relaxed: false });
+      for (const [name, collection] of Object.entries(data.collections || {})) {
+        this.collections.set(name, new MemoryCollection(this, name, collection));
+      }
+    }
+  }
+
+  getCollection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(this, name));
+    }
+    return this.collections.get(name);
+  }
+
+  recordUndo(session, collection, key, previous) {
+    if (session?.transaction?.undo) {
+      session.transaction.undo.push({ collection, key, previous });
+    }
+  }
+
+  // Save shortly after a change (several writes in a row are saved once)
+  changed() {
+    if (!this.file || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.file) return;
+    const collections = Object.fromEntries([...this.collections].map(([name, collection]) => [name, collection.toJSON()]));
+    const tmpFile = `${this.file}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tmpFile, BSON.EJSON.stringify({ collections }, null, 0, { relaxed: false }));
+    fs.renameSync(tmpFile, this.file);
+  }
+}
+
+/**
+ * MongoClient backed by a MemoryStore (never opens a network connection)
+ */
+class MemoryClient extends MongoClient {
+  constructor(store, databaseName) {
+    super(`mongodb://localhost/${databaseName}`);
+    this.memoryStore = store;
+    this.memoryDb = new MemoryDb(store, databaseName);
+    // Mongoose's setClient() only accepts connected clients
+    this.topology = { description: { type: 'Memory' }, isConnected: () => true, close: async () => {} };
+  }
+
+  db() {
+    return this.memoryDb;
+  }
+
+  async connect() {
+    return this;
+  }
+
+  startSession() {
+    return new MemorySession(this.memoryStore);
+  }
+
+  async close() {
+    this.memoryStore.save();
+  }
+}
+
+/**
+ * Create an in-memory client
+ * @param {Object} options - { file: JSON file to load from and save to (optional), databaseName }
+ * @returns {MemoryClient} Client for mongoose.connection.setClient()
+ */
+export function createMemoryClient({ file = null, databaseName = 'ultrabingo' } = {}) {
+  const store = new MemoryStore(file);
+  if (store.file) {
+    // Last changes are written even if the process exits before the save timer
+    process.once('exit', () => {
+      if (store.saveTimer) store.save();
+    });
+  }
+  return new MemoryClient(store, databaseName);
+}
+
+export default {
+  createMemoryClient,
+};
@@ -6,18 +6,23 @@ import helmet from 'helmet';
 
 // x402 v1 middleware para UltravioletaDAO (compatible con uvd-x402-sdk)
 import { createX402Middleware } from './middleware/x402v2.js';
+import { getRequestedRoom } from './middleware/room.js';
 
 import { config } from './config/index.js';
 import { connectDB } from './db/connection.js';
 import { ensureAvailableCards } from './services/gameState.js';
-import { setupSocketHandlers } from './services/socket.js';
+import { setupSocketHandlers, syncAllAutoCallers, syncAllSchedules } from './services/socket.js';
+import { loadCustomPatterns } from './services/patterns.js';
+import rooms from './services/rooms.js';
+import { initAuditLog } from './services/auditLog.js';
+import { loadAdminRoles } from './services/adminRoles.js';
 
 // SECURITY: Import security middleware
 import { rateLimit, sanitizeRequest, securityHeaders, auditLog } from './middleware/security.js';
 
 // Routes
 import authRoutes from './routes/auth.js';
-import cardsRoutes from './routes/cards.js';
+import cardsRoutes, { precheckPurchase } from './routes/cards.js';
 import gameRoutes from './routes/game.js';
 import adminRoutes from './routes/admin.js';
 
@@ -53,7 +58,7 @@ app.use(cors({
 app.use((req, res, next) => {
   if (req.method === 'OPTIONS') {
     res.header('Access-Control-Allow-Headers',
-      'Content-Type, Authorization, PAYMENT-SIGNATURE, Payment-Signature, payment-signature, X-PAYMENT, x-payment');
+      'Content-Type, Authorization, PAYMENT-SIGNATURE, Payment-Signature, payment-signature, X-PAYMENT, x-payment, Idempotency-Key');
     res.header('Access-Control-Expose-Headers',
       'PAYMENT-REQUIRED, Payment-Required, PAYMENT-RESPONSE, Payment-Response');
     return res.sendStatus(200);
@@ -97,13 +102,19 @@ app.use('/api/admin', (req, res, next) => {
 const x402RouteConfigs = {
   'POST /api/cards/purchase': {
     price: config.cardPrice,
+    // Each room sets its own card price
+    getUnitPrice: async (req) => rooms.getCardPrice(await rooms.resolveRoomId(getRequestedRoom(req))),
+    // Card sale open, self-exclusion and purchase caps are checked before any payment
+    precheck: precheckPurchase,
     description: 'Purchase bingo cards',
   },
 };
 
 console.log('[x402] Configuring payment middleware:', {
   receiverAddress: config.x402.receiverAddress,
-  facilitatorUrl: config.x402.facilitatorUrl,
+  facilitatorUrl: config.x402.mockFacilitator
+    ? `local mock (${config.x402.mockFacilitator})`
+    : config.x402.facilitatorUrl,
   network: config.x402.network,
   routes: Object.keys(x402RouteConfigs),
 });
@@ -154,15 +165,36 @@ app.use((req, res) => {
 // Setup socket handlers
 setupSocketHandlers(io);
 
-// Start server with MongoDB connection
+// Start server with MongoDB connection (or the in-memory database)
 async function startServer() {
   try {
     // Connect to MongoDB
     await connectDB();
 
+    // Continue the audit hash chain and write entries logged during startup
+    const auditEntries = await initAuditLog();
+    console.log(`[Audit] Audit log has ${auditEntries} entries`);
+
+    // Load admin roles before accepting admin requests
+    const admins = await loadAdminRoles();
+    console.log(`[Admin] Loaded ${admins} admins with database roles`);
+
+    // Ensure the default room exists (uses CARD_PRICE on first start)
+    await rooms.ensureDefaultRoom();
+
     // Ensure we have available cards
     await ensureAvailableCards(20, 50);
 
+    // Load admin-defined patterns before any winner check
+    const customPatterns = await loadCustomPatterns();
+    console.log(`[Patterns] Loaded ${customPatterns} custom patterns`);
+
+    // Restore the auto-caller schedules persisted on each room's active game
+    await syncAllAutoCallers(io);
+
+    // Re-arm scheduled game starts (overdue ones start immediately)
+    await syncAllSchedules(io);
+
     // Start HTTP server
     httpServer.listen(config.port, () => {
       console.log(`
@@ -175,7 +207,7 @@ async function startServer() {
 ║  x402 Network: ${config.x402.network.padEnd(34)}║
 ║  x402 Receiver: ${config.x402.receiverAddress.substring(0, 10)}...${config.x402.receiverAddress.substring(38).padEnd(21)}║
 ║  x402 Version: v1 (UltravioletaDAO SDK)           ║
-║  Database: MongoDB Atlas                          ║
+║  Database: ${(config.storage.driver === 'memory' ? 'In-memory (development)' : 'MongoDB Atlas').padEnd(39)}║
 ╚════════════════════════════════════════════════════╝
       `);
     });
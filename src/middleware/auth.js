@@ -1,10 +1,10 @@
-import jwt from 'jsonwebtoken';
-import { config } from '../config/index.js';
+import { verifyAccessToken } from '../services/sessions.js';
 
 /**
  * Middleware to verify JWT token
+ * SECURITY: Tokens of revoked sessions are rejected
  */
-export function verifyToken(req, res, next) {
+export async function verifyToken(req, res, next) {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -13,19 +13,21 @@ export function verifyToken(req, res, next) {
 
   const token = authHeader.split(' ')[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, config.jwtSecret);
-    req.user = decoded;
-    next();
+    decoded = await verifyAccessToken(token);
   } catch (err) {
     return res.status(401).json({ error: 'Invalid token' });
   }
+
+  req.user = decoded;
+  next();
 }
 
 /**
  * Middleware to verify admin token
  */
-export function verifyAdmin(req, res, next) {
+export async function verifyAdmin(req, res, next) {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -34,52 +36,52 @@ export function verifyAdmin(req, res, next) {
 
   const token = authHeader.split(' ')[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, config.jwtSecret);
-
-    if (!decoded.isAdmin) {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-
-    req.user = decoded;
-    next();
+    decoded = await verifyAccessToken(token);
   } catch (err) {
     return res.status(401).json({ error: 'Invalid token' });
   }
+
+  if (!decoded.isAdmin) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  req.user = decoded;
+  next();
 }
 
 /**
- * Optional auth - doesn't fail if no token
+ * User of a request's Bearer token, or null if missing, invalid or revoked
  */
-export function optionalAuth(req, res, next) {
+export async function getRequestUser(req) {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return next();
+    return null;
   }
 
-  const token = authHeader.split(' ')[1];
-
   try {
-    const decoded = jwt.verify(token, config.jwtSecret);
-    req.user = decoded;
+    return await verifyAccessToken(authHeader.split(' ')[1]);
   } catch (err) {
-    // Invalid token, continue without user
+    return null;
   }
-
-  next();
 }
 
 /**
- * Generate JWT token
+ * Optional auth - doesn't fail if no token
  */
-export function generateToken(payload, expiresIn = config.jwtExpiresIn) {
-  return jwt.sign(payload, config.jwtSecret, { expiresIn });
+export async function optionalAuth(req, res, next) {
+  const user = await getRequestUser(req);
+  if (user) {
+    req.user = user;
+  }
+  next();
 }
 
 export default {
   verifyToken,
   verifyAdmin,
   optionalAuth,
-  generateToken,
+  getRequestUser,
 };
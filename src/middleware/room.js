@@ -0,0 +1,27 @@
+import rooms from '../services/rooms.js';
+
+/**
+ * Room/game IDs sent with a request (query string or body)
+ */
+export function getRequestedRoom(req) {
+  return {
+    roomId: req.query?.roomId ?? req.body?.roomId,
+    gameId: req.query?.gameId ?? req.body?.gameId,
+  };
+}
+
+/**
+ * Middleware to resolve the game room targeted by a request into req.roomId
+ * Requests without a roomId or gameId use the default room.
+ */
+export async function resolveRoom(req, res, next) {
+  try {
+    req.roomId = await rooms.resolveRoomId(getRequestedRoom(req));
+  } catch (error) {
+    const status = error.message.endsWith('not found') ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+  next();
+}
+
+export default { getRequestedRoom, resolveRoom };
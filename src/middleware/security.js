@@ -1,41 +1,15 @@
 import crypto from 'crypto';
-import jwt from 'jsonwebtoken';
 import { config } from '../config/index.js';
+import { recordAuditEntry, queryAuditLogs } from '../services/auditLog.js';
+import { hitRateLimit } from '../services/rateLimitStore.js';
+import { verifyAccessToken } from '../services/sessions.js';
+import { isAdminWallet, hasPermission } from '../services/adminRoles.js';
 
 /**
- * SECURITY: In-memory rate limiter with sliding window
- * For production, use Redis for distributed rate limiting
+ * SECURITY: Rate limiter configuration (config.rateLimit.limits, overridable via RATE_LIMITS)
+ * Counters live in the configured store (RATE_LIMIT_STORE: memory or mongo)
  */
-const rateLimitStore = new Map();
-
-// Audit log storage (in production, use a proper database/logging service)
-const auditLogs = [];
-
-/**
- * Rate limiter configuration
- */
-const RATE_LIMITS = {
-  login: { windowMs: 15 * 60 * 1000, maxRequests: 5 }, // 5 requests per 15 minutes
-  register: { windowMs: 60 * 60 * 1000, maxRequests: 10 }, // 10 per hour
-  purchase: { windowMs: 60 * 1000, maxRequests: 10 }, // 10 per minute
-  adminAction: { windowMs: 60 * 1000, maxRequests: 30 }, // 30 per minute
-  general: { windowMs: 60 * 1000, maxRequests: 100 }, // 100 per minute
-};
-
-/**
- * Clean expired entries from rate limit store
- */
-function cleanExpiredEntries() {
-  const now = Date.now();
-  for (const [key, data] of rateLimitStore.entries()) {
-    if (now - data.windowStart > data.windowMs) {
-      rateLimitStore.delete(key);
-    }
-  }
-}
-
-// Clean every 5 minutes
-setInterval(cleanExpiredEntries, 5 * 60 * 1000);
+const RATE_LIMITS = config.rateLimit.limits;
 
 /**
  * SECURITY: Rate limiting middleware factory
@@ -44,7 +18,7 @@ setInterval(cleanExpiredEntries, 5 * 60 * 1000);
 export function rateLimit(type = 'general') {
   const limits = RATE_LIMITS[type] || RATE_LIMITS.general;
 
-  return (req, res, next) => {
+  return async (req, res, next) => {
     // Get client identifier (IP + user agent hash for better tracking)
     const clientIp = req.ip || req.connection?.remoteAddress || 'unknown';
     const userAgent = req.headers['user-agent'] || '';
@@ -54,41 +28,26 @@ export function rateLimit(type = 'general') {
       .digest('hex')
       .substring(0, 16);
 
-    const now = Date.now();
-    const key = `rate:${type}:${clientId}`;
-
-    let data = rateLimitStore.get(key);
-
-    if (!data || now - data.windowStart > limits.windowMs) {
-      // New window
-      data = {
-        windowStart: now,
-        windowMs: limits.windowMs,
-        requests: 1,
-      };
-      rateLimitStore.set(key, data);
-    } else {
-      data.requests++;
-    }
+    const result = await hitRateLimit(`rate:${type}:${clientId}`, limits);
 
     // Set rate limit headers
     res.set('X-RateLimit-Limit', limits.maxRequests);
-    res.set('X-RateLimit-Remaining', Math.max(0, limits.maxRequests - data.requests));
-    res.set('X-RateLimit-Reset', new Date(data.windowStart + limits.windowMs).toISOString());
+    res.set('X-RateLimit-Remaining', result.remaining);
+    res.set('X-RateLimit-Reset', new Date(result.resetAt).toISOString());
 
-    if (data.requests > limits.maxRequests) {
+    if (!result.allowed) {
       // Log rate limit violation
       auditLog({
         action: 'RATE_LIMIT_EXCEEDED',
         clientIp,
         type,
-        requests: data.requests,
+        requests: result.count,
         maxAllowed: limits.maxRequests,
       });
 
       return res.status(429).json({
         error: 'Too many requests',
-        retryAfter: Math.ceil((data.windowStart + limits.windowMs - now) / 1000),
+        retryAfter: Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000)),
       });
     }
 
@@ -98,9 +57,9 @@ export function rateLimit(type = 'general') {
 
 /**
  * SECURITY: Enhanced admin verification middleware
- * Verifies both JWT token AND wallet whitelist
+ * Verifies JWT token, its session AND wallet whitelist
  */
-export function verifyAdminStrict(req, res, next) {
+export async function verifyAdminStrict(req, res, next) {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -114,57 +73,81 @@ export function verifyAdminStrict(req, res, next) {
 
   const token = authHeader.split(' ')[1];
 
+  // SECURITY: Signature, expiry and session revocation
+  let decoded;
   try {
-    const decoded = jwt.verify(token, config.jwtSecret);
-
-    // SECURITY: Must have isAdmin flag
-    if (decoded.isAdmin !== true) {
-      auditLog({
-        action: 'ADMIN_ACCESS_DENIED',
-        reason: 'Token not admin',
-        userId: decoded.userId,
-        ip: req.ip,
-      });
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-
-    // SECURITY: Wallet MUST be in whitelist
-    const wallet = decoded.wallet?.toLowerCase();
-    if (!wallet || !config.adminWallets.includes(wallet)) {
-      auditLog({
-        action: 'ADMIN_ACCESS_DENIED',
-        reason: 'Wallet not whitelisted',
-        wallet,
-        userId: decoded.userId,
-        ip: req.ip,
-      });
-      return res.status(403).json({ error: 'Admin wallet not authorized' });
-    }
+    decoded = await verifyAccessToken(token);
+  } catch (err) {
+    auditLog({
+      action: 'ADMIN_ACCESS_DENIED',
+      reason: 'Invalid token',
+      error: err.message,
+      ip: req.ip,
+    });
+    return res.status(401).json({ error: 'Invalid token' });
+  }
 
-    // Log successful admin access
+  // SECURITY: Must have isAdmin flag
+  if (decoded.isAdmin !== true) {
     auditLog({
-      action: 'ADMIN_ACCESS_GRANTED',
+      action: 'ADMIN_ACCESS_DENIED',
+      reason: 'Token not admin',
       userId: decoded.userId,
-      wallet,
       ip: req.ip,
-      path: req.path,
     });
+    return res.status(403).json({ error: 'Admin access required' });
+  }
 
-    req.user = decoded;
-    next();
-  } catch (err) {
+  // SECURITY: Wallet MUST be in whitelist
+  const wallet = decoded.wallet?.toLowerCase();
+  if (!wallet || !(await isAdminWallet(wallet))) {
     auditLog({
       action: 'ADMIN_ACCESS_DENIED',
-      reason: 'Invalid token',
-      error: err.message,
+      reason: 'Wallet not whitelisted',
+      wallet,
+      userId: decoded.userId,
       ip: req.ip,
     });
-    return res.status(401).json({ error: 'Invalid token' });
+    return res.status(403).json({ error: 'Admin wallet not authorized' });
   }
+
+  // Log successful admin access
+  auditLog({
+    action: 'ADMIN_ACCESS_GRANTED',
+    userId: decoded.userId,
+    wallet,
+    ip: req.ip,
+    path: req.path,
+  });
+
+  req.user = decoded;
+  next();
+}
+
+/**
+ * SECURITY: Admin permission middleware factory - use after verifyAdminStrict
+ * @param {string} permission - PERMISSIONS value (services/adminRoles.js)
+ */
+export function requirePermission(permission) {
+  return async (req, res, next) => {
+    if (!(await hasPermission(req.user?.wallet, permission))) {
+      auditLog({
+        action: 'ADMIN_ACCESS_DENIED',
+        reason: 'Missing permission',
+        permission,
+        wallet: req.user?.wallet,
+        ip: req.ip,
+        path: req.path,
+      });
+      return res.status(403).json({ error: `Permission required: ${permission}` });
+    }
+    next();
+  };
 }
 
 /**
  * SECURITY: Audit logging function
+ * Entries are persisted to the hash-chained AuditLog collection
  * @param {Object} logEntry - Log entry object
  */
 export function auditLog(logEntry) {
@@ -173,11 +156,7 @@ export function auditLog(logEntry) {
     ...logEntry,
   };
 
-  // Store in memory (limit to last 10000 entries)
-  auditLogs.push(entry);
-  if (auditLogs.length > 10000) {
-    auditLogs.shift();
-  }
+  recordAuditEntry(entry);
 
   // Console log for important events
   const criticalActions = [
@@ -198,10 +177,10 @@ export function auditLog(logEntry) {
 /**
  * Get audit logs (for admin dashboard)
  * @param {number} limit - Max number of logs to return
- * @returns {Array} Audit log entries
+ * @returns {Promise<Array>} Audit log entries, newest first
  */
 export function getAuditLogs(limit = 100) {
-  return auditLogs.slice(-limit);
+  return queryAuditLogs({ limit });
 }
 
 /**
@@ -295,6 +274,7 @@ export function securityHeaders(req, res, next) {
 export default {
   rateLimit,
   verifyAdminStrict,
+  requirePermission,
   auditLog,
   getAuditLogs,
   sanitizeRequest,
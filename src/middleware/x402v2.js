@@ -7,6 +7,12 @@
  */
 
 import { config } from '../config/index.js';
+import { createMockFacilitator } from '../../shared/x402/mockFacilitator.js';
+import { verifyTransferAuthorization, getAuthorizationId } from '../../shared/x402/authorization.js';
+import { getIdempotencyKey } from '../../shared/x402/idempotency.js';
+import payments from '../services/payments.js';
+import { auditLog } from './security.js';
+import { getRequestUser } from './auth.js';
 
 // USDC contract addresses por red
 const USDC_ADDRESSES = {
@@ -15,8 +21,45 @@ const USDC_ADDRESSES = {
   'base-sepolia': '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
 };
 
+// Facilitador local para desarrollo (X402_MOCK_FACILITATOR) - sin red, tx hashes falsos
+export const mockFacilitator = config.x402.mockFacilitator
+  ? createMockFacilitator({ mode: config.x402.mockFacilitator })
+  : null;
+
+/**
+ * Llamar a un endpoint del facilitador (verify/settle) con timeout
+ */
+function callFacilitator(endpoint, body) {
+  const facilitatorUrl = config.x402.facilitatorUrl.replace(/\/$/, '');
+  const request = mockFacilitator ? mockFacilitator.fetch : fetch;
+
+  return request(`${facilitatorUrl}/${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(config.x402.facilitatorTimeoutMs),
+  });
+}
+
+/**
+ * Decodificar el header de pago (base64 JSON de uvd-x402-sdk)
+ * @returns {Object|null} paymentPayload, o null si no es válido
+ */
+function decodePaymentHeader(paymentHeader) {
+  if (!paymentHeader) return null;
+  try {
+    return JSON.parse(Buffer.from(paymentHeader, 'base64').toString('utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
 /**
  * Crear middleware de pago x402
+ * Un pago ya registrado (mismo Idempotency-Key o mismo header de pago) no se
+ * vuelve a cobrar: llega a la ruta como req.x402Payment.replay con el Payment.
  */
 export function createX402Middleware(routeConfigs) {
   return async (req, res, next) => {
@@ -29,25 +72,84 @@ export function createX402Middleware(routeConfigs) {
       return next();
     }
 
+    // Precio por cartón - la ruta puede resolverlo por request (p.ej. precio de la sala)
+    let unitPrice;
+    try {
+      unitPrice = routeConfig.getUnitPrice
+        ? await routeConfig.getUnitPrice(req)
+        : routeConfig.price || config.cardPrice;
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     // Buscar header de pago (X-PAYMENT para v1)
     const paymentHeader = req.headers['x-payment'] ||
                           req.headers['payment-signature'];
 
+    let idempotencyKey;
+    try {
+      idempotencyKey = getIdempotencyKey(req.headers);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Reintento de un pago ya registrado - la ruta devuelve el resultado original
+    const user = await getRequestUser(req);
+    try {
+      const previous = await payments.findPayment({
+        userId: user?.userId,
+        idempotencyKey,
+        ...getAuthorizationId(decodePaymentHeader(paymentHeader)),
+      });
+      if (previous) {
+        req.x402Payment = {
+          valid: true,
+          replay: true,
+          payment: previous,
+          settled: !!previous.txHash,
+          transaction: previous.txHash || null,
+          paymentId: previous.paymentId,
+          unitPrice: previous.unitPrice,
+        };
+        return next();
+      }
+    } catch (error) {
+      console.error('[x402] Payment lookup error:', error.message);
+      return res.status(500).json({ error: 'Payment processing error' });
+    }
+
+    // Validaciones previas al pago (p.ej. límites de compra) - si rechaza, no se cobra
+    if (routeConfig.precheck) {
+      try {
+        const rejection = await routeConfig.precheck(req, unitPrice);
+        if (rejection) {
+          const { status, ...body } = rejection;
+          return res.status(status || 403).json(body);
+        }
+      } catch (error) {
+        console.error('[x402] Precheck error:', error.message);
+        return res.status(500).json({ error: 'Payment precheck failed' });
+      }
+    }
+
     if (!paymentHeader) {
       // No hay pago - responder con 402 y requerimientos
-      return sendPaymentRequired(req, res, routeConfig);
+      return sendPaymentRequired(req, res, unitPrice);
     }
 
     // Verificar el pago con el facilitador
     try {
-      const paymentResult = await verifyPayment(paymentHeader, routeConfig, req);
+      const paymentResult = await verifyPayment(paymentHeader, unitPrice, req, {
+        userId: user?.userId || null,
+        idempotencyKey,
+      });
 
       if (!paymentResult.valid) {
         // Log only error type, not details
         if (config.nodeEnv !== 'production') {
           console.log('[x402] Payment verification failed');
         }
-        return res.status(402).json({
+        return res.status(paymentResult.status || 402).json({
           x402Version: 1,
           error: 'Payment verification failed',
           message: paymentResult.error || 'Invalid payment signature',
@@ -69,21 +171,21 @@ export function createX402Middleware(routeConfigs) {
 /**
  * Enviar respuesta 402 Payment Required (formato v1)
  */
-function sendPaymentRequired(req, res, routeConfig) {
+function sendPaymentRequired(req, res, unitPrice) {
   const network = config.x402.network; // "avalanche"
   const usdcAddress = USDC_ADDRESSES[network] || USDC_ADDRESSES['avalanche'];
 
   // Calcular precio basado en el body de la request
-  let price = routeConfig.price || config.cardPrice;
+  let price = unitPrice;
   let cardCount = 1;
 
   // Calcular cantidad de cartones (quantity o cardIds)
   if (req.body?.quantity && typeof req.body.quantity === 'number') {
     cardCount = Math.min(req.body.quantity, config.maxCardsPerPurchase);
-    price = cardCount * config.cardPrice;
+    price = cardCount * unitPrice;
   } else if (req.body?.cardIds && Array.isArray(req.body.cardIds)) {
     cardCount = req.body.cardIds.length;
-    price = cardCount * config.cardPrice;
+    price = cardCount * unitPrice;
   }
 
   // Convertir precio a unidades atómicas de USDC (6 decimales)
@@ -117,19 +219,26 @@ function sendPaymentRequired(req, res, routeConfig) {
 /**
  * Verificar pago con el facilitador de UltravioletaDAO
  * El facilitador espera: { paymentPayload, paymentRequirements }
+ * La autorización EIP-3009 se verifica antes localmente (firma, receptor,
+ * monto, vigencia y nonce de un solo uso) y queda registrada como Payment.
  */
-async function verifyPayment(paymentHeader, routeConfig, req) {
-  const facilitatorUrl = config.x402.facilitatorUrl.replace(/\/$/, '');
+async function verifyPayment(paymentHeader, unitPrice, req, { userId = null, idempotencyKey = null } = {}) {
   const network = config.x402.network;
   const usdcAddress = USDC_ADDRESSES[network] || USDC_ADDRESSES['avalanche'];
+  // Payment reservado para este pago - se marca fallido si la transferencia no se ejecutó
+  let payment = null;
+  let settleAttempted = false;
+
+  const failPayment = async (reason) => {
+    if (!payment) return;
+    await payments.markPaymentFailed(payment.paymentId, reason).catch(() => {});
+    payment = null;
+  };
 
   try {
     // Decodificar el payload de pago (viene de uvd-x402-sdk)
-    let paymentPayload;
-    try {
-      const decoded = Buffer.from(paymentHeader, 'base64').toString('utf-8');
-      paymentPayload = JSON.parse(decoded);
-    } catch (e) {
+    const paymentPayload = decodePaymentHeader(paymentHeader);
+    if (!paymentPayload) {
       return { valid: false, error: 'Invalid payment header encoding' };
     }
 
@@ -140,7 +249,7 @@ async function verifyPayment(paymentHeader, routeConfig, req) {
     } else if (req?.body?.cardIds && Array.isArray(req.body.cardIds)) {
       cardCount = req.body.cardIds.length;
     }
-    const price = cardCount * config.cardPrice;
+    const price = cardCount * unitPrice;
     const maxAmountRequired = Math.round(price * 1_000_000).toString();
 
     // Construir paymentRequirements según la especificación x402
@@ -168,17 +277,48 @@ async function verifyPayment(paymentHeader, routeConfig, req) {
       paymentRequirements: paymentRequirements,
     };
 
-    const verifyResponse = await fetch(`${facilitatorUrl}/verify`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(verifyBody),
+    // Verificación local de la autorización - un pago que no corresponde nunca llega al facilitador
+    let authorization;
+    try {
+      authorization = await verifyTransferAuthorization(paymentPayload, paymentRequirements);
+    } catch (error) {
+      auditLog({
+        action: 'PAYMENT_AUTHORIZATION_REJECTED',
+        reason: error.code || error.message,
+        ip: req?.ip,
+      });
+      return { valid: false, error: error.message };
+    }
+
+    // Nonce de un solo uso (persistido) - la misma autorización no compra dos veces
+    const claim = await payments.claimPayment({
+      ...authorization,
+      unitPrice,
+      quantity: cardCount,
+      userId,
+      idempotencyKey,
     });
+    if (claim.error === 'IDEMPOTENCY_KEY_IN_USE') {
+      return { valid: false, status: 409, error: 'Idempotency-Key is already used by another payment' };
+    }
+    if (claim.error) {
+      auditLog({
+        action: 'PAYMENT_NONCE_REUSED',
+        wallet: authorization.payer,
+        nonce: authorization.nonce,
+        userId,
+        ip: req?.ip,
+      });
+      return { valid: false, error: 'Payment authorization was already used' };
+    }
+    payment = claim.payment;
+
+    const verifyResponse = await callFacilitator('verify', verifyBody);
 
     const verifyText = await verifyResponse.text();
 
     if (!verifyResponse.ok) {
+      await failPayment('verification_failed');
       return { valid: false, error: `Verification failed: ${verifyText}` };
     }
 
@@ -190,22 +330,19 @@ async function verifyPayment(paymentHeader, routeConfig, req) {
     }
 
     if (verifyResult.isValid === false || verifyResult.valid === false) {
+      await failPayment(verifyResult.invalidReason || 'verification_failed');
       return { valid: false, error: verifyResult.invalidReason || verifyResult.reason || 'Payment invalid' };
     }
 
     // Settle el pago (mismo formato)
-    const settleResponse = await fetch(`${facilitatorUrl}/settle`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(verifyBody),
-    });
+    settleAttempted = true;
+    const settleResponse = await callFacilitator('settle', verifyBody);
 
     const settleText = await settleResponse.text();
 
     if (!settleResponse.ok) {
       // Settlement is the actual blockchain transaction - without it, no payment occurred
+      await failPayment('settlement_failed');
       return {
         valid: false,
         error: 'Payment settlement failed. Transaction was not executed on blockchain.',
@@ -221,16 +358,43 @@ async function verifyPayment(paymentHeader, routeConfig, req) {
       settleResult = { raw: settleText };
     }
 
+    const transaction = settleResult.transaction || settleResult.txHash;
+
+    // Una transacción solo paga una compra
+    if (transaction && !await payments.markPaymentSettled(payment.paymentId, transaction)) {
+      auditLog({
+        action: 'PAYMENT_TX_REUSED',
+        wallet: authorization.payer,
+        txHash: transaction,
+        userId,
+        ip: req?.ip,
+      });
+      return { valid: false, status: 409, error: 'Payment transaction was already used' };
+    }
+
     return {
       valid: true,
       settled: true,
       verifyResult,
       settleResult,
-      transaction: settleResult.transaction || settleResult.txHash,
+      transaction,
+      paymentId: payment.paymentId,
+      payer: authorization.payer,
+      nonce: authorization.nonce,
+      // Precio por cartón cobrado (USDC)
+      unitPrice,
     };
   } catch (error) {
+    // Sin respuesta del settle no se sabe si la transferencia se ejecutó - el Payment queda pendiente
+    // hasta que un admin lo resuelva (POST /api/admin/payments/:paymentId/resolve)
+    if (!settleAttempted) {
+      await failPayment('facilitator_error');
+    }
+    if (error.name === 'TimeoutError') {
+      return { valid: false, error: 'Payment facilitator timed out' };
+    }
     return { valid: false, error: 'Payment verification error' };
   }
 }
 
-export default { createX402Middleware };
+export default { createX402Middleware, mockFacilitator };
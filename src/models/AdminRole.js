@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Admin roles - see services/adminRoles.js for the permission matrix
+export const ADMIN_ROLES = {
+  CALLER: 'caller',         // Runs games: start/pause/end, calls numbers
+  VERIFIER: 'verifier',     // Verifies or rejects bingo winners
+  TREASURER: 'treasurer',   // Payouts and refunds
+  SUPERADMIN: 'superadmin', // Everything, including managing admins
+};
+
+/**
+ * AdminRole Model - Admin wallets and their roles
+ * Wallets in the ADMIN_WALLETS env variable are always superadmins;
+ * this collection holds the admins added through the admin API.
+ */
+const AdminRoleSchema = new mongoose.Schema({
+  wallet: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+  },
+
+  roles: {
+    type: [{
+      type: String,
+      enum: Object.values(ADMIN_ROLES),
+    }],
+    default: [],
+  },
+
+  // Admin wallet that last changed the roles
+  updatedBy: {
+    type: String,
+    default: null,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.model('AdminRole', AdminRoleSchema);
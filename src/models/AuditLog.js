@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+/**
+ * AuditLog Model - Append-only security audit trail
+ * Entries form a hash chain: each hash covers the entry and the previous hash,
+ * so editing or deleting a past entry breaks every hash after it.
+ */
+const AuditLogSchema = new mongoose.Schema({
+  // Position in the chain (1, 2, 3...)
+  seq: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+
+  timestamp: {
+    type: Date,
+    required: true,
+    index: true,
+  },
+
+  action: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Wallet of the acting user/admin, if any (lowercase)
+  wallet: {
+    type: String,
+    default: null,
+    lowercase: true,
+    index: true,
+  },
+
+  ip: {
+    type: String,
+    default: null,
+    index: true,
+  },
+
+  // Remaining fields of the audit entry
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+
+  // SHA-256 of the previous entry (genesis hash for the first one)
+  prevHash: {
+    type: String,
+    required: true,
+  },
+
+  hash: {
+    type: String,
+    required: true,
+  },
+}, { minimize: false });
+
+// SECURITY: Entries can only be appended
+const blockMutation = function() {
+  throw new Error('Audit log is append-only');
+};
+AuditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+], blockMutation);
+
+AuditLogSchema.pre('save', function() {
+  if (!this.isNew) {
+    blockMutation();
+  }
+});
+
+// Statics
+AuditLogSchema.statics.findHead = function() {
+  return this.findOne().sort({ seq: -1 }).lean();
+};
+
+export default mongoose.model('AuditLog', AuditLogSchema);
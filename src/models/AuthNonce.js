@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/**
+ * AuthNonce Model - Single-use nonces for Sign-In With Ethereum
+ * A nonce is deleted when a signed message using it is verified;
+ * unused nonces are removed by MongoDB's TTL monitor.
+ */
+const AuthNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // Client that requested the nonce (informational)
+  ip: {
+    type: String,
+    default: null,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  // TTL index - removed by MongoDB after this time
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+});
+
+export default mongoose.model('AuthNonce', AuthNonceSchema);
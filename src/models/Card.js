@@ -22,9 +22,11 @@ const CardSchema = new mongoose.Schema({
   // Card status
   // SECURITY: 'reserved' status prevents race conditions during x402 payment
   // 'won' status marks cards that won but were rejected (absent winner) - excluded from future checks
+  // 'refunded' status marks cards of a cancelled game whose price is paid back - they no longer play
+  // 'expired' status marks cards whose validity (game count or date) has ended
   status: {
     type: String,
-    enum: ['available', 'reserved', 'purchased', 'expired', 'won'],
+    enum: ['available', 'reserved', 'purchased', 'expired', 'won', 'refunded'],
     default: 'available',
     index: true,
   },
@@ -80,13 +82,27 @@ const CardSchema = new mongoose.Schema({
     default: null,
   },
 
-  // Associated game ID
+  // Room and game the card was purchased for (set on purchase, moves to the
+  // started game whose prize pool its price funds)
+  roomId: {
+    type: String,
+    default: null,
+    index: true,
+  },
+
   gameId: {
     type: String,
     default: null,
     index: true,
   },
 
+  // Validity from the game's card policy: games the card may still play
+  // (null = no limit, cards bought before policies existed)
+  gamesRemaining: {
+    type: Number,
+    default: null,
+  },
+
   // Timestamps
   purchasedAt: {
     type: Date,
@@ -98,6 +114,7 @@ const CardSchema = new mongoose.Schema({
     default: Date.now,
   },
 
+  // Last moment a game the card plays may start (null = no date limit)
   expiresAt: {
     type: Date,
     default: null,
@@ -125,8 +142,8 @@ CardSchema.statics.findAvailable = function(limit = 50) {
     .limit(limit);
 };
 
-CardSchema.statics.findByOwner = function(ownerId) {
-  return this.find({ owner: ownerId, status: 'purchased' })
+CardSchema.statics.findByOwner = function(ownerId, statuses = ['purchased']) {
+  return this.find({ owner: ownerId, status: { $in: statuses } })
     .sort({ purchasedAt: -1 });
 };
 
@@ -193,7 +210,7 @@ CardSchema.statics.releaseReservation = async function(cardIds, userId) {
  * SECURITY: Convert reservation to purchase
  * Only works if cards are reserved by the same user
  */
-CardSchema.statics.confirmReservation = async function(cardIds, userId, wallet, txHash, pricePerCard, username = null) {
+CardSchema.statics.confirmReservation = async function(cardIds, userId, wallet, txHash, pricePerCard, username = null, { roomId = null, gameId = null, gamesRemaining = null, expiresAt = null } = {}) {
   const now = new Date();
   const confirmedCards = [];
 
@@ -212,6 +229,10 @@ CardSchema.statics.confirmReservation = async function(cardIds, userId, wallet,
           ownerWallet: wallet,
           purchaseTxHash: txHash,
           pricePaid: pricePerCard,
+          roomId,
+          gameId,
+          gamesRemaining,
+          expiresAt,
           purchasedAt: now,
           reservedBy: null,
           reservedAt: null,
@@ -1,10 +1,19 @@
 import mongoose from 'mongoose';
+import { DEFAULT_ROOM_ID, roomFilter } from './Room.js';
 
 const GAME_STATUS = {
   WAITING: 'waiting',
   PLAYING: 'playing',
   PAUSED: 'paused',
   ENDED: 'ended',
+  CANCELLED: 'cancelled', // Ended without winners, card purchases refunded
+};
+
+// How long cards bought for a game keep playing
+const CARD_POLICIES = {
+  SINGLE: 'single', // Only the game they were bought for
+  GAMES: 'games',   // That game and the following ones, N games in total
+  UNTIL: 'until',   // Every game started before a date
 };
 
 // Modos de juego ULTRA - cada letra tiene su patrón específico
@@ -19,6 +28,96 @@ const GAME_MODES = {
   CORNERS: 'corners',         // 4 esquinas
 };
 
+// Verified winner entry (a single call can produce several winners)
+const WinnerEntrySchema = new mongoose.Schema({
+  odId: String,
+  odUsername: String,
+  wallet: String,
+  cardId: String,
+  prizeAmount: String,
+  pattern: String,
+  patternName: String,
+  gameMode: String,
+  verifiedAt: Date,
+}, { _id: false });
+
+// Card detected as winning (or claimed by its owner), awaiting admin verification
+// 'forfeited' marks cards that were winning but not claimed within the claim window
+const PotentialWinnerSchema = new mongoose.Schema({
+  cardId: String,
+  owner: String,
+  ownerUsername: String,
+  ownerWallet: String,
+  pattern: String,
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'rejected', 'forfeited'],
+    default: 'pending',
+  },
+  detectedAt: Date,
+  // Set when the owner claimed bingo (null = detected by the server scan)
+  claimedAt: {
+    type: Date,
+    default: null,
+  },
+}, { _id: false });
+
+// Card completing the current pattern that its owner has not claimed yet
+const UnclaimedWinnerSchema = new mongoose.Schema({
+  cardId: String,
+  owner: String,
+  ownerUsername: String,
+  ownerWallet: String,
+  pattern: String,
+  // Number of called numbers when the card first completed the pattern
+  sinceCall: Number,
+}, { _id: false });
+
+// Prize split applied to a set of winners (atomic USDC)
+const PrizeDistributionSchema = new mongoose.Schema({
+  gross: String,
+  houseFee: String,
+  daoFee: String,
+  net: String,
+  winnersCount: Number,
+  prizePerWinner: String,
+  houseFeeBps: Number,
+  daoFeeBps: Number,
+}, { _id: false });
+
+// One stage of a multi-stage game (e.g. line, then corners, then full card)
+const StageSchema = new mongoose.Schema({
+  // Built-in GAME_MODES value or custom Pattern key
+  gameMode: {
+    type: String,
+    required: true,
+  },
+  // Share of the prize pool paid to this stage's winners (basis points)
+  prizeShareBps: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 10000,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'completed'],
+    default: 'pending',
+  },
+  winners: {
+    type: [WinnerEntrySchema],
+    default: [],
+  },
+  prizeDistribution: {
+    type: PrizeDistributionSchema,
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+}, { _id: false });
+
 const GameSchema = new mongoose.Schema({
   // Game ID (e.g., "game_timestamp")
   gameId: {
@@ -28,6 +127,13 @@ const GameSchema = new mongoose.Schema({
     index: true,
   },
 
+  // Room this game is played in
+  roomId: {
+    type: String,
+    default: DEFAULT_ROOM_ID,
+    index: true,
+  },
+
   // Game status
   status: {
     type: String,
@@ -37,9 +143,9 @@ const GameSchema = new mongoose.Schema({
   },
 
   // Game mode - defines the winning pattern
+  // Built-in GAME_MODES value or custom Pattern key (validated by gameState)
   gameMode: {
     type: String,
-    enum: Object.values(GAME_MODES),
     default: GAME_MODES.FULL_CARD,
     index: true,
   },
@@ -56,21 +162,106 @@ const GameSchema = new mongoose.Schema({
     default: null,
   },
 
-  // Winner info
-  winner: {
-    odId: String,
-    odUsername: String,
-    wallet: String,
-    cardId: String,
-    prizeAmount: String,
+  // Verified winners - the prize is split among all of them
+  winners: {
+    type: [WinnerEntrySchema],
+    default: [],
   },
 
-  // Prize pool in USDC
+  // Potential winners from the last call, each verified or rejected by an admin
+  potentialWinners: {
+    type: [PotentialWinnerSchema],
+    default: [],
+  },
+
+  // Player claims - with manual claims the server scan no longer queues winners,
+  // players must claim bingo; windowCalls > 0 forfeits cards not claimed within
+  // that many calls of completing the pattern ("sleepers")
+  claims: {
+    manual: { type: Boolean, default: false },
+    windowCalls: { type: Number, default: 0 },
+  },
+
+  unclaimedWinners: {
+    type: [UnclaimedWinnerSchema],
+    default: [],
+  },
+
+  // Prize pool in USDC (atomic units) - accumulated from confirmed card purchases
   prizePool: {
     type: String,
     default: '0',
   },
 
+  // Prize split computed when the game ends with a winner (atomic USDC)
+  prizeDistribution: {
+    gross: String,
+    houseFee: String,
+    daoFee: String,
+    net: String,
+    winnersCount: Number,
+    prizePerWinner: String,
+    houseFeeBps: Number,
+    daoFeeBps: Number,
+  },
+
+  // Multi-stage games: patterns played in order with the same cards and
+  // called numbers. Empty for single-pattern games (gameMode only).
+  stages: {
+    type: [StageSchema],
+    default: [],
+  },
+
+  // Index of the stage being played
+  currentStage: {
+    type: Number,
+    default: 0,
+  },
+
+  // Provably-fair draw: sha256(drawSeed) is published at start,
+  // the seed itself is only exposed once the game has ended
+  drawCommitment: {
+    type: String,
+    default: null,
+  },
+
+  drawSeed: {
+    type: String,
+    default: null,
+  },
+
+  drawSeedRevealedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Auto-caller schedule - persisted so it survives server restarts
+  autoCall: {
+    enabled: { type: Boolean, default: false },
+    intervalSeconds: { type: Number, default: 10 },
+    nextCallAt: { type: Date, default: null },
+  },
+
+  // Validity of the cards sold for this game - stamped on each card at purchase
+  cardPolicy: {
+    kind: { type: String, enum: Object.values(CARD_POLICIES), default: CARD_POLICIES.SINGLE },
+    games: { type: Number, default: 1 },
+    validUntil: { type: Date, default: null },
+  },
+
+  // Scheduled start - the server starts the game automatically at this time
+  scheduledStartAt: {
+    type: Date,
+    default: null,
+    index: true,
+  },
+
+  // Card sales close at this time (scheduled games only)
+  purchaseCutoffAt: {
+    type: Date,
+    default: null,
+  },
+
   // Total cards sold
   cardsSold: {
     type: Number,
@@ -88,6 +279,17 @@ const GameSchema = new mongoose.Schema({
     default: null,
   },
 
+  // Cancellation (status 'cancelled')
+  cancelReason: {
+    type: String,
+    default: null,
+  },
+
+  cancelledBy: {
+    type: String,
+    default: null,
+  },
+
   createdAt: {
     type: Date,
     default: Date.now,
@@ -97,14 +299,15 @@ const GameSchema = new mongoose.Schema({
 // Statics
 GameSchema.statics.GAME_STATUS = GAME_STATUS;
 
-GameSchema.statics.findActive = function() {
+GameSchema.statics.findActive = function(roomId = DEFAULT_ROOM_ID) {
   return this.findOne({
+    ...roomFilter(roomId),
     status: { $in: [GAME_STATUS.WAITING, GAME_STATUS.PLAYING, GAME_STATUS.PAUSED] }
   }).sort({ createdAt: -1 });
 };
 
-GameSchema.statics.findCurrent = function() {
-  return this.findOne().sort({ createdAt: -1 });
+GameSchema.statics.findCurrent = function(roomId = DEFAULT_ROOM_ID) {
+  return this.findOne(roomFilter(roomId)).sort({ createdAt: -1 });
 };
 
 // Methods
@@ -117,6 +320,8 @@ GameSchema.methods.start = function() {
 GameSchema.methods.pause = function() {
   if (this.status === GAME_STATUS.PLAYING) {
     this.status = GAME_STATUS.PAUSED;
+    // Auto-caller stops while paused
+    this.autoCall.nextCallAt = null;
   }
   return this.save();
 };
@@ -124,15 +329,48 @@ GameSchema.methods.pause = function() {
 GameSchema.methods.resume = function() {
   if (this.status === GAME_STATUS.PAUSED) {
     this.status = GAME_STATUS.PLAYING;
+    // Auto-caller restarts with a full interval
+    if (this.autoCall?.enabled) {
+      this.autoCall.nextCallAt = new Date(Date.now() + this.autoCall.intervalSeconds * 1000);
+    }
   }
   return this.save();
 };
 
-GameSchema.methods.end = function(winnerData = null) {
+GameSchema.methods.end = function(winners = null) {
   this.status = GAME_STATUS.ENDED;
   this.endedAt = new Date();
-  if (winnerData) {
-    this.winner = winnerData;
+  if (this.autoCall) {
+    this.autoCall.nextCallAt = null;
+  }
+  if (Array.isArray(winners) && winners.length > 0) {
+    this.winners = winners;
+  }
+  // Unresolved potential winners cannot be verified once the game is over
+  this.potentialWinners = this.potentialWinners.filter(pw => pw.status !== 'pending');
+  // Reveal the draw seed so anyone can replay the draw order
+  if (this.drawSeed && !this.drawSeedRevealedAt) {
+    this.drawSeedRevealedAt = this.endedAt;
+  }
+  return this.save();
+};
+
+// Cancel the game: no winners, purchases are refunded by the caller
+GameSchema.methods.cancel = function(reason = null, cancelledBy = null) {
+  this.status = GAME_STATUS.CANCELLED;
+  this.endedAt = new Date();
+  this.cancelReason = reason;
+  this.cancelledBy = cancelledBy;
+  this.scheduledStartAt = null;
+  this.purchaseCutoffAt = null;
+  if (this.autoCall) {
+    this.autoCall.nextCallAt = null;
+  }
+  this.winners = [];
+  this.potentialWinners = [];
+  // Reveal the draw seed so anyone can replay the draw order
+  if (this.drawSeed && !this.drawSeedRevealedAt) {
+    this.drawSeedRevealedAt = this.endedAt;
   }
   return this.save();
 };
@@ -155,24 +393,166 @@ GameSchema.methods.callNumber = function(number) {
   return this.save();
 };
 
-// Set game mode (only allowed when not playing)
+// Get potential winners still awaiting verification
+GameSchema.methods.getPendingWinners = function() {
+  return this.potentialWinners.filter(pw => pw.status === 'pending');
+};
+
+// Configure the auto-caller (interval validated by the caller)
+GameSchema.methods.setAutoCall = function(enabled, intervalSeconds) {
+  this.autoCall.enabled = enabled;
+  if (intervalSeconds) {
+    this.autoCall.intervalSeconds = intervalSeconds;
+  }
+  this.autoCall.nextCallAt = enabled && this.status === GAME_STATUS.PLAYING
+    ? new Date(Date.now() + this.autoCall.intervalSeconds * 1000)
+    : null;
+  return this.save();
+};
+
+// Schedule the next automatic call one interval from now
+GameSchema.methods.scheduleNextAutoCall = function() {
+  if (this.status === GAME_STATUS.PLAYING && this.autoCall?.enabled) {
+    this.autoCall.nextCallAt = new Date(Date.now() + this.autoCall.intervalSeconds * 1000);
+  } else {
+    this.autoCall.nextCallAt = null;
+  }
+  return this.save();
+};
+
+// Draw seed is public only after the game has ended
+GameSchema.methods.getFairnessInfo = function() {
+  const revealed = !!this.drawSeedRevealedAt;
+  return {
+    commitment: this.drawCommitment || null,
+    seed: revealed ? this.drawSeed : null,
+    revealedAt: this.drawSeedRevealedAt || null,
+  };
+};
+
+// Set game mode (only allowed when not playing; mode validated by the caller)
 GameSchema.methods.setGameMode = function(mode) {
   if (this.status === GAME_STATUS.PLAYING || this.status === GAME_STATUS.PAUSED) {
     throw new Error('Cannot change game mode while game is in progress');
   }
 
-  if (!Object.values(GAME_MODES).includes(mode)) {
-    throw new Error('Invalid game mode');
+  this.gameMode = mode;
+  // Choosing a single mode replaces any configured stage list
+  this.stages = [];
+  this.currentStage = 0;
+  return this.save();
+};
+
+// Configure the stage list (validated by the caller, only when not playing)
+GameSchema.methods.setStages = function(stages) {
+  if (this.status === GAME_STATUS.PLAYING || this.status === GAME_STATUS.PAUSED) {
+    throw new Error('Cannot change stages while game is in progress');
+  }
+
+  this.stages = stages.map(({ gameMode, prizeShareBps }) => ({ gameMode, prizeShareBps }));
+  this.currentStage = 0;
+  if (this.stages.length > 0) {
+    this.gameMode = this.stages[0].gameMode;
   }
+  return this.save();
+};
 
-  this.gameMode = mode;
+// Set the validity of cards sold from now on (validated by the caller, only while waiting)
+GameSchema.methods.setCardPolicy = function(kind, games = 1, validUntil = null) {
+  if (this.status !== GAME_STATUS.WAITING) {
+    throw new Error('Card policy can only be changed before the game starts');
+  }
+
+  this.cardPolicy = {
+    kind,
+    games: kind === CARD_POLICIES.GAMES ? games : 1,
+    validUntil: kind === CARD_POLICIES.UNTIL ? validUntil : null,
+  };
+  return this.save();
+};
+
+// Validity stamped on a card bought for this game
+// gamesRemaining: games it may still play (null = no limit), expiresAt: last moment a game may start
+GameSchema.methods.getCardValidity = function() {
+  const { kind, games, validUntil } = this.cardPolicy || {};
+  if (kind === CARD_POLICIES.UNTIL) {
+    return { gamesRemaining: null, expiresAt: validUntil };
+  }
+  if (kind === CARD_POLICIES.GAMES) {
+    return { gamesRemaining: games, expiresAt: null };
+  }
+  return { gamesRemaining: 1, expiresAt: null };
+};
+
+// Configure player claims (validated by the caller, only when not playing)
+GameSchema.methods.setClaims = function(manual, windowCalls = 0) {
+  if (this.status === GAME_STATUS.PLAYING || this.status === GAME_STATUS.PAUSED) {
+    throw new Error('Cannot change claim rules while game is in progress');
+  }
+
+  this.claims = { manual, windowCalls: manual ? windowCalls : 0 };
   return this.save();
 };
 
+// Whether another stage follows the current one
+GameSchema.methods.hasNextStage = function() {
+  return this.stages.length > 0 && this.currentStage < this.stages.length - 1;
+};
+
+// Close the current stage with its winners and move on to the next pattern.
+// Called numbers are kept; verified winners are reset for the new stage.
+GameSchema.methods.advanceStage = function(winners, prizeDistribution) {
+  if (!this.hasNextStage()) {
+    throw new Error('No next stage');
+  }
+
+  const stage = this.stages[this.currentStage];
+  stage.winners = winners;
+  stage.prizeDistribution = prizeDistribution;
+  stage.status = 'completed';
+  stage.completedAt = new Date();
+
+  this.currentStage += 1;
+  this.stages[this.currentStage].status = 'active';
+  this.gameMode = this.stages[this.currentStage].gameMode;
+  this.winners = [];
+  this.potentialWinners = [];
+  this.unclaimedWinners = [];
+
+  this.status = GAME_STATUS.PLAYING;
+  if (this.autoCall?.enabled) {
+    this.autoCall.nextCallAt = new Date(Date.now() + this.autoCall.intervalSeconds * 1000);
+  }
+  return this.save();
+};
+
+// Schedule the automatic start (purchaseCutoffAt validated by the caller)
+GameSchema.methods.setSchedule = function(scheduledStartAt, purchaseCutoffAt) {
+  if (this.status !== GAME_STATUS.WAITING) {
+    throw new Error('Only a waiting game can be scheduled');
+  }
+  this.scheduledStartAt = scheduledStartAt;
+  this.purchaseCutoffAt = purchaseCutoffAt;
+  return this.save();
+};
+
+// Check if the purchase cutoff of a scheduled game has passed
+GameSchema.methods.isPastPurchaseCutoff = function() {
+  return !!this.purchaseCutoffAt && this.purchaseCutoffAt.getTime() <= Date.now();
+};
+
 // Check if purchases are allowed
 GameSchema.methods.canPurchaseCards = function() {
-  return this.status === GAME_STATUS.WAITING || this.status === GAME_STATUS.ENDED;
+  if (this.status === GAME_STATUS.WAITING) {
+    // Cards valid until a date that already passed could never play
+    const { kind, validUntil } = this.cardPolicy || {};
+    if (kind === CARD_POLICIES.UNTIL && validUntil && validUntil.getTime() <= Date.now()) {
+      return false;
+    }
+    return !this.isPastPurchaseCutoff();
+  }
+  return this.status === GAME_STATUS.ENDED || this.status === GAME_STATUS.CANCELLED;
 };
 
 export default mongoose.model('Game', GameSchema);
-export { GAME_STATUS, GAME_MODES };
+export { GAME_STATUS, GAME_MODES, CARD_POLICIES };
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+const GAME_EVENT_TYPES = {
+  GAME_STARTED: 'game-started',           // data: { gameMode, stages, prizePool, cardsSold, drawCommitment }
+  NUMBER_CALLED: 'number-called',         // data: { number, callIndex, drawn }
+  GAME_PAUSED: 'game-paused',             // data: { reason }
+  GAME_RESUMED: 'game-resumed',
+  BINGO_CLAIMED: 'bingo-claimed',         // data: { cardId, owner, pattern, callIndex }
+  POTENTIAL_WINNERS: 'potential-winners', // data: { cards: [{ cardId, owner, ownerUsername, pattern }], callIndex }
+  WINNER_VERIFIED: 'winner-verified',     // data: { cardId, odId, odUsername, wallet, pattern }
+  WINNER_REJECTED: 'winner-rejected',     // data: { cardId }
+  CARDS_FORFEITED: 'cards-forfeited',     // data: { cardIds, callIndex }
+  MODE_CHANGED: 'mode-changed',           // data: { gameMode, stages? }
+  STAGE_COMPLETED: 'stage-completed',     // data: { stage, gameMode, nextGameMode, callIndex, winners }
+  GAME_CLEARED: 'game-cleared',
+  GAME_ENDED: 'game-ended',               // data: { winners, prizeDistribution, callCount }
+  GAME_CANCELLED: 'game-cancelled',       // data: { reason, refunds }
+};
+
+/**
+ * GameEvent Model - Timeline of everything that happened in a game
+ * Appended as the game is played; read back for the timeline and replay APIs.
+ */
+const GameEventSchema = new mongoose.Schema({
+  gameId: {
+    type: String,
+    required: true,
+  },
+
+  roomId: {
+    type: String,
+    default: null,
+  },
+
+  type: {
+    type: String,
+    enum: Object.values(GAME_EVENT_TYPES),
+    required: true,
+  },
+
+  // Who caused the event: admin wallet, player id, 'auto-caller', 'scheduler' or 'server'
+  by: {
+    type: String,
+    default: null,
+  },
+
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { minimize: false });
+
+GameEventSchema.index({ gameId: 1, at: 1 });
+
+// Statics
+GameEventSchema.statics.findByGame = function(gameId, types = null) {
+  const query = { gameId };
+  if (types) {
+    query.type = { $in: types };
+  }
+  return this.find(query).sort({ at: 1, _id: 1 }).lean();
+};
+
+export default mongoose.model('GameEvent', GameEventSchema);
+export { GAME_EVENT_TYPES };
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+/**
+ * Pattern Model - Admin-defined winning patterns
+ * Each mask is 5 row strings (top to bottom) of 5 characters, B..O:
+ *   '#' = position must be marked, '.' = ignored
+ * A card wins if it completes ANY of the masks (optionally in any rotation).
+ */
+const PatternSchema = new mongoose.Schema({
+  // Game mode key (e.g. "letterX") - used as Game.gameMode
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+
+  name: {
+    type: String,
+    required: true,
+  },
+
+  description: {
+    type: String,
+    default: '',
+  },
+
+  // Alternative masks, any of which wins
+  masks: {
+    type: [[String]],
+    required: true,
+  },
+
+  // Also accept the masks rotated by 90/180/270 degrees
+  anyRotation: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Inactive patterns are kept but cannot be selected or checked
+  active: {
+    type: Boolean,
+    default: true,
+  },
+
+  // Admin wallet that created the pattern
+  createdBy: {
+    type: String,
+    default: null,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Statics
+PatternSchema.statics.findActive = function() {
+  return this.find({ active: true }).lean();
+};
+
+export default mongoose.model('Pattern', PatternSchema);
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+const PAYMENT_STATUS = {
+  PENDING: 'pending', // authorization accepted, settlement in progress (or outcome unknown until an admin resolves it)
+  SETTLED: 'settled', // transfer executed, cards not assigned yet
+  COMPLETED: 'completed', // cards assigned - response recorded
+  FAILED: 'failed', // transfer not executed - the authorization may be presented again
+};
+
+/**
+ * Payment Model - x402 card purchase payments and their outcome
+ * One document per EIP-3009 authorization (payer + nonce), claimed before
+ * settlement so the same authorization cannot pay twice. It records the
+ * settled transaction and the purchase response, so a repeated request (same
+ * payment header or Idempotency-Key) gets the original cards back instead of
+ * paying or assigning again.
+ */
+const PaymentSchema = new mongoose.Schema({
+  // Unique payment ID
+  paymentId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // Authorizing wallet (lowercase) - EIP-3009 nonces are per payer
+  payer: {
+    type: String,
+    required: true,
+  },
+
+  // bytes32 authorization nonce (lowercase hex)
+  nonce: {
+    type: String,
+    required: true,
+  },
+
+  // Amount authorized (atomic USDC units)
+  value: {
+    type: String,
+    required: true,
+  },
+
+  // Cards paid for and price per card charged (USDC)
+  quantity: {
+    type: Number,
+    default: null,
+  },
+  unitPrice: {
+    type: Number,
+    default: null,
+  },
+
+  userId: {
+    type: String,
+    default: null,
+    index: true,
+  },
+
+  // Client Idempotency-Key header (unique per user; removed when the payment fails)
+  idempotencyKey: {
+    type: String,
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(PAYMENT_STATUS),
+    default: PAYMENT_STATUS.PENDING,
+  },
+
+  // Settlement transaction (set once settled)
+  txHash: {
+    type: String,
+  },
+
+  // Response returned to the buyer once the cards were assigned
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+
+  failureReason: {
+    type: String,
+    default: null,
+  },
+
+  // Admin who resolved a payment left pending by an unanswered settle
+  resolvedBy: {
+    type: String,
+    default: null,
+  },
+  resolvedAt: {
+    type: Date,
+    default: null,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Last time the authorization was claimed (a failed payment may be claimed again)
+  claimedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  settledAt: {
+    type: Date,
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+PaymentSchema.index({ payer: 1, nonce: 1 }, { unique: true });
+PaymentSchema.index({ status: 1, claimedAt: 1 });
+PaymentSchema.index({ txHash: 1 }, { unique: true, partialFilterExpression: { txHash: { $exists: true } } });
+PaymentSchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $exists: true } } }
+);
+
+export default mongoose.model('Payment', PaymentSchema);
+export { PAYMENT_STATUS };
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+const PAYOUT_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+};
+
+/**
+ * Payout Model - Ledger of prizes owed to winners
+ * One entry per Winner record; marked paid once the prize transfer is sent
+ */
+const PayoutSchema = new mongoose.Schema({
+  // Unique payout ID
+  payoutId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+
+  // Winner record this payout belongs to
+  winnerId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  gameId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  odId: {
+    type: String,
+    required: true,
+  },
+
+  wallet: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true,
+  },
+
+  // Prize amount in atomic USDC units
+  amount: {
+    type: String,
+    required: true,
+  },
+
+  token: {
+    type: String,
+    default: 'USDC',
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(PAYOUT_STATUS),
+    default: PAYOUT_STATUS.PENDING,
+    index: true,
+  },
+
+  // Transaction hash of the prize transfer
+  txHash: {
+    type: String,
+    default: null,
+  },
+
+  // Admin wallet that marked the payout as paid
+  paidBy: {
+    type: String,
+    default: null,
+  },
+
+  paidAt: {
+    type: Date,
+    default: null,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Statics
+PayoutSchema.statics.findByStatus = function(status, limit = 100) {
+  const query = status ? { status } : {};
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Methods
+PayoutSchema.methods.markPaid = function(txHash, paidBy = null) {
+  if (this.status === PAYOUT_STATUS.PAID) {
+    throw new Error('Payout already marked as paid');
+  }
+  this.status = PAYOUT_STATUS.PAID;
+  this.txHash = txHash;
+  this.paidBy = paidBy;
+  this.paidAt = new Date();
+  return this.save();
+};
+
+export default mongoose.model('Payout', PayoutSchema);
+export { PAYOUT_STATUS };
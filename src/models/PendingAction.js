@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+const PENDING_ACTION_STATUS = {
+  PENDING: 'pending',     // Collecting approvals
+  EXECUTING: 'executing', // Threshold met, action running
+  EXECUTED: 'executed',
+  FAILED: 'failed',       // Threshold met but the action threw
+  REJECTED: 'rejected',   // An admin rejected it
+  EXPIRED: 'expired',
+};
+
+const PENDING_ACTION_TYPES = {
+  VERIFY_WINNER: 'verify-winner',       // payload: { cardId }
+  MARK_PAYOUT_PAID: 'mark-payout-paid', // payload: { payoutId, txHash }
+};
+
+const DecisionSchema = new mongoose.Schema({
+  wallet: { type: String, required: true },
+  reason: { type: String, default: null },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+/**
+ * PendingAction Model - Admin actions awaiting M-of-N approval
+ * The requesting admin counts as the first approval; the action runs once
+ * `threshold` distinct admins approved it. One rejection cancels it.
+ */
+const PendingActionSchema = new mongoose.Schema({
+  actionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+
+  type: {
+    type: String,
+    enum: Object.values(PENDING_ACTION_TYPES),
+    required: true,
+  },
+
+  // Card or payout the action applies to (one pending action per target)
+  targetId: {
+    type: String,
+    required: true,
+  },
+
+  roomId: {
+    type: String,
+    default: null,
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(PENDING_ACTION_STATUS),
+    default: PENDING_ACTION_STATUS.PENDING,
+  },
+
+  // Approvals required to execute
+  threshold: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+
+  requestedBy: {
+    type: String,
+    required: true,
+  },
+
+  approvals: {
+    type: [DecisionSchema],
+    default: [],
+  },
+
+  rejection: {
+    type: DecisionSchema,
+    default: null,
+  },
+
+  // Executor result or error
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  executedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+PendingActionSchema.index({ status: 1, createdAt: -1 });
+PendingActionSchema.index(
+  { type: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+export default mongoose.model('PendingAction', PendingActionSchema);
+export { PENDING_ACTION_STATUS, PENDING_ACTION_TYPES };
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+/**
+ * RateLimit Model - Request counters shared by every server instance
+ * One document per client key and time window; MongoDB's TTL monitor
+ * deletes it once the window has passed.
+ */
+const RateLimitSchema = new mongoose.Schema({
+  // "<limiter key>:<window start>"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  count: {
+    type: Number,
+    default: 0,
+  },
+
+  // TTL index - removed by MongoDB after this time
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+});
+
+export default mongoose.model('RateLimit', RateLimitSchema);
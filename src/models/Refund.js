@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+
+const REFUND_STATUS = {
+  PENDING: 'pending',
+  EXECUTED: 'executed',
+};
+
+/**
+ * Refund Model - Ledger of card purchases owed back to players
+ * One entry per wallet per cancelled game; marked executed once the transfer is sent
+ */
+const RefundSchema = new mongoose.Schema({
+  // Unique refund ID
+  refundId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+
+  // Cancelled game the cards were purchased for
+  gameId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  roomId: {
+    type: String,
+    default: null,
+  },
+
+  odId: {
+    type: String,
+    default: null,
+    index: true,
+  },
+
+  wallet: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true,
+  },
+
+  // Refunded cards and the x402 transactions that paid for them
+  cardIds: {
+    type: [String],
+    default: [],
+  },
+
+  purchaseTxHashes: {
+    type: [String],
+    default: [],
+  },
+
+  // Sum of Card.pricePaid in atomic USDC units
+  amount: {
+    type: String,
+    required: true,
+  },
+
+  token: {
+    type: String,
+    default: 'USDC',
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(REFUND_STATUS),
+    default: REFUND_STATUS.PENDING,
+    index: true,
+  },
+
+  // Transaction hash of the refund transfer
+  txHash: {
+    type: String,
+    default: null,
+  },
+
+  // Admin wallet that marked the refund as executed
+  executedBy: {
+    type: String,
+    default: null,
+  },
+
+  executedAt: {
+    type: Date,
+    default: null,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Statics
+RefundSchema.statics.findByStatus = function(status, limit = 100, filters = {}) {
+  const query = { ...filters };
+  if (status) {
+    query.status = status;
+  }
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Methods
+RefundSchema.methods.markExecuted = function(txHash, executedBy = null) {
+  if (this.status === REFUND_STATUS.EXECUTED) {
+    throw new Error('Refund already marked as executed');
+  }
+  this.status = REFUND_STATUS.EXECUTED;
+  this.txHash = txHash;
+  this.executedBy = executedBy;
+  this.executedAt = new Date();
+  return this.save();
+};
+
+export default mongoose.model('Refund', RefundSchema);
+export { REFUND_STATUS };
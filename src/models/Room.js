@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Room used by clients and data that predate rooms
+const DEFAULT_ROOM_ID = 'main';
+
+/**
+ * Room Model - Independent game tables running in parallel
+ * Each room has its own Game sequence, card price, called numbers and mode.
+ */
+const RoomSchema = new mongoose.Schema({
+  // Room ID (e.g., "main", "high-stakes") - used in API queries and socket channels
+  roomId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+
+  name: {
+    type: String,
+    required: true,
+  },
+
+  // Card price in USDC (decimal, like config.cardPrice)
+  cardPrice: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+
+  // Inactive rooms keep their history but do not sell cards
+  active: {
+    type: Boolean,
+    default: true,
+    index: true,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Statics
+RoomSchema.statics.findByRoomId = function(roomId) {
+  return this.findOne({ roomId });
+};
+
+/**
+ * Query filter for documents of a room
+ * Games and cards created before rooms existed have no roomId and belong to the default room.
+ */
+export function roomFilter(roomId = DEFAULT_ROOM_ID) {
+  return roomId === DEFAULT_ROOM_ID
+    ? { roomId: { $in: [DEFAULT_ROOM_ID, null] } }
+    : { roomId };
+}
+
+export { DEFAULT_ROOM_ID };
+export default mongoose.model('Room', RoomSchema);
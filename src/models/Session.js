@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+/**
+ * Session Model - Login sessions backing refresh tokens
+ * Access tokens carry the session id (sid) and are rejected once the session
+ * is revoked. The refresh token rotates on every use; only hashes are stored.
+ */
+const SessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // Token claims, re-issued on refresh
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  username: {
+    type: String,
+    default: null,
+  },
+  wallet: {
+    type: String,
+    default: null,
+    lowercase: true,
+    index: true,
+  },
+  isAdmin: {
+    type: Boolean,
+    default: false,
+  },
+
+  // SHA-256 of the current refresh token secret
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+
+  // SHA-256 of the previous secret - presenting it again means the token was stolen
+  previousTokenHash: {
+    type: String,
+    default: null,
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    default: null,
+  },
+
+  ip: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastRefreshedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // TTL index - removed by MongoDB once the refresh token expires
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+});
+
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+
+export default mongoose.model('Session', SessionSchema);
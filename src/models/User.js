@@ -1,5 +1,14 @@
 import mongoose from 'mongoose';
 
+// Purchase caps (null = no cap); spend caps in USDC
+const PurchaseLimitsSchema = new mongoose.Schema({
+  maxCardsPerGame: { type: Number, default: null },
+  maxCardsPerDay: { type: Number, default: null },
+  maxCardsPerWeek: { type: Number, default: null },
+  maxSpendPerDay: { type: Number, default: null },
+  maxSpendPerWeek: { type: Number, default: null },
+}, { _id: false });
+
 const UserSchema = new mongoose.Schema({
   // User ID (wallet-based or custom)
   odId: {
@@ -44,6 +53,31 @@ const UserSchema = new mongoose.Schema({
     totalWon: { type: String, default: '0' },   // In atomic USDC
   },
 
+  // Responsible gaming - caps chosen by the user (can only be stricter than the operator caps)
+  limits: {
+    type: PurchaseLimitsSchema,
+    default: () => ({}),
+  },
+
+  // Raised or removed user caps wait out a cooling-off period
+  // { limits: { field: value }, effectiveAt }
+  pendingLimits: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+
+  // Caps set by an admin for this user, replacing the operator defaults (null fields = default)
+  adminLimits: {
+    type: PurchaseLimitsSchema,
+    default: () => ({}),
+  },
+
+  // Self-exclusion - no purchases until this date (the user cannot shorten it)
+  selfExcludedUntil: {
+    type: Date,
+    default: null,
+  },
+
   // Last login
   lastLoginAt: {
     type: Date,
@@ -65,6 +65,29 @@ const WinnerSchema = new mongoose.Schema({
     default: 'USDC',
   },
 
+  // Number of winners that shared this game's (or stage's) prize
+  winnersInGame: {
+    type: Number,
+    default: 1,
+  },
+
+  // Multi-stage games: stage index (0-based) and total stages
+  stage: {
+    type: Number,
+    default: 0,
+  },
+
+  stageCount: {
+    type: Number,
+    default: 1,
+  },
+
+  // Payout ledger entry for this prize (null if nothing is owed)
+  payoutId: {
+    type: String,
+    default: null,
+  },
+
   // Game stats at time of win
   totalCalledNumbers: {
     type: Number,
@@ -98,7 +121,7 @@ WinnerSchema.statics.getRecent = function(limit = 10) {
   return this.find()
     .sort({ wonAt: -1 })
     .limit(limit)
-    .select('winnerId odUsername wallet gameMode patternName prizeAmount wonAt cardId')
+    .select('winnerId gameId odUsername wallet gameMode patternName prizeAmount winnersInGame stage stageCount wonAt cardId')
     .lean();
 };
 
@@ -1,3 +1,15 @@
 export { default as Card } from './Card.js';
-export { default as Game, GAME_STATUS, GAME_MODES } from './Game.js';
+export { default as Game, GAME_STATUS, GAME_MODES, CARD_POLICIES } from './Game.js';
 export { default as User } from './User.js';
+export { default as Payout, PAYOUT_STATUS } from './Payout.js';
+export { default as Pattern } from './Pattern.js';
+export { default as Refund, REFUND_STATUS } from './Refund.js';
+export { default as Room, DEFAULT_ROOM_ID, roomFilter } from './Room.js';
+export { default as AuditLog } from './AuditLog.js';
+export { default as RateLimit } from './RateLimit.js';
+export { default as AuthNonce } from './AuthNonce.js';
+export { default as Session } from './Session.js';
+export { default as AdminRole, ADMIN_ROLES } from './AdminRole.js';
+export { default as PendingAction, PENDING_ACTION_STATUS, PENDING_ACTION_TYPES } from './PendingAction.js';
+export { default as GameEvent, GAME_EVENT_TYPES } from './GameEvent.js';
+export { default as Payment, PAYMENT_STATUS } from './Payment.js';
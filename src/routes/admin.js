@@ -1,11 +1,30 @@
 import { Router } from 'express';
 import bcrypt from 'bcryptjs';
-import { generateToken } from '../middleware/auth.js';
 // SECURITY: Use verifyAdminStrict which validates BOTH isAdmin AND wallet whitelist
-import { rateLimit, auditLog, verifyAdminStrict } from '../middleware/security.js';
+import { rateLimit, auditLog, verifyAdminStrict, requirePermission } from '../middleware/security.js';
+import { resolveRoom } from '../middleware/room.js';
 import { config } from '../config/index.js';
 import gameState from '../services/gameState.js';
-import { generateMultipleCards, checkWinner } from '../services/bingoCard.js';
+import patterns from '../services/patterns.js';
+import rooms from '../services/rooms.js';
+import auditTrail from '../services/auditLog.js';
+import { verifySiweLogin } from '../services/siwe.js';
+import { createSession, revokeUserSessions } from '../services/sessions.js';
+import adminRoles, { PERMISSIONS, isAdminWallet } from '../services/adminRoles.js';
+import {
+  emitToRoom,
+  syncAutoCaller,
+  syncSchedule,
+  disconnectSessions,
+  emitApprovalUpdate,
+  requestWinnerVerification,
+  verifyWinnerCard,
+} from '../services/socket.js';
+import approvals from '../services/approvals.js';
+import purchaseLimits from '../services/purchaseLimits.js';
+import payments from '../services/payments.js';
+import { PENDING_ACTION_TYPES } from '../models/index.js';
+import { generateMultipleCards } from '../services/bingoCard.js';
 
 const router = Router();
 
@@ -17,32 +36,42 @@ let adminPasswordHash = null;
 
 /**
  * POST /api/admin/login
- * Admin login with wallet requirement
+ * Admin login with a SIWE signature from a whitelisted wallet plus password
+ * Body: { message, signature, password } - message from GET /api/auth/nonce
  * SECURITY: Rate limited to prevent brute force
  */
 router.post('/login', rateLimit('login'), async (req, res) => {
   try {
-    const { password, wallet } = req.body;
+    const { password, message, signature } = req.body;
 
     if (!password) {
       return res.status(400).json({ error: 'Password required' });
     }
 
-    // SECURITY: Wallet is required for admin login
-    if (!wallet) {
+    // SECURITY: Wallet ownership must be proven with a signed SIWE message
+    if (!message || !signature) {
       auditLog({
         action: 'ADMIN_LOGIN_FAILED',
-        reason: 'No wallet provided',
+        reason: 'No wallet signature provided',
         ip: req.ip,
       });
-      return res.status(400).json({ error: 'Wallet address required for admin login' });
+      return res.status(400).json({ error: 'Signed wallet message required for admin login' });
     }
 
-    // Normalize wallet address
-    const normalizedWallet = wallet.toLowerCase();
+    let normalizedWallet;
+    try {
+      ({ wallet: normalizedWallet } = await verifySiweLogin({ message, signature }));
+    } catch (error) {
+      auditLog({
+        action: 'ADMIN_LOGIN_FAILED',
+        reason: `Invalid wallet signature: ${error.message}`,
+        ip: req.ip,
+      });
+      return res.status(401).json({ error: error.message });
+    }
 
     // SECURITY: Verify wallet is in admin whitelist
-    if (!config.adminWallets.includes(normalizedWallet)) {
+    if (!(await isAdminWallet(normalizedWallet))) {
       auditLog({
         action: 'ADMIN_LOGIN_FAILED',
         reason: 'Wallet not in whitelist',
@@ -70,12 +99,12 @@ router.post('/login', rateLimit('login'), async (req, res) => {
       return res.status(401).json({ error: 'Invalid password' });
     }
 
-    // SECURITY: Generate admin token WITH wallet for socket verification
-    const token = generateToken({
+    // SECURITY: Generate admin session WITH wallet for socket verification
+    const session = await createSession({
       isAdmin: true,
       userId: 'admin',
       wallet: normalizedWallet, // CRITICAL: Include wallet for socket auth
-    });
+    }, { ip: req.ip, userAgent: req.headers['user-agent'] });
 
     auditLog({
       action: 'ADMIN_LOGIN_SUCCESS',
@@ -85,7 +114,10 @@ router.post('/login', rateLimit('login'), async (req, res) => {
 
     res.json({
       success: true,
-      token,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      refreshExpiresAt: session.refreshExpiresAt,
     });
   } catch (err) {
     console.error('Admin login error:', err.message);
@@ -97,20 +129,26 @@ router.post('/login', rateLimit('login'), async (req, res) => {
  * GET /api/admin/validate
  * Validate admin token
  */
-router.get('/validate', verifyAdminStrict, (req, res) => {
-  res.json({ valid: true });
+router.get('/validate', verifyAdminStrict, async (req, res) => {
+  res.json({
+    valid: true,
+    roles: await adminRoles.getAdminRoles(req.user.wallet),
+    permissions: await adminRoles.getPermissions(req.user.wallet),
+  });
 });
 
 /**
  * POST /api/admin/game/start
  * Start a new game
  */
-router.post('/game/start', verifyAdminStrict, async (req, res) => {
+router.post('/game/start', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_CONTROL), resolveRoom, async (req, res) => {
   try {
-    const state = await gameState.startGame();
+    const state = await gameState.startGame(req.roomId, req.user.wallet);
     const io = req.app.get('io');
-    io.emit('game-started', state);
-    io.emit('game-state', state);
+    emitToRoom(io, req.roomId, 'game-started', state);
+    emitToRoom(io, req.roomId, 'game-state', state);
+    await syncAutoCaller(io, req.roomId);
+    await syncSchedule(io, req.roomId);
     res.json({ success: true, state });
   } catch (error) {
     console.error('Error starting game:', error);
@@ -122,12 +160,13 @@ router.post('/game/start', verifyAdminStrict, async (req, res) => {
  * POST /api/admin/game/pause
  * Pause the game
  */
-router.post('/game/pause', verifyAdminStrict, async (req, res) => {
+router.post('/game/pause', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_CONTROL), resolveRoom, async (req, res) => {
   try {
-    const state = await gameState.pauseGame();
+    const state = await gameState.pauseGame(req.roomId, 'admin', req.user.wallet);
     const io = req.app.get('io');
-    io.emit('game-paused', state);
-    io.emit('game-state', state);
+    emitToRoom(io, req.roomId, 'game-paused', state);
+    emitToRoom(io, req.roomId, 'game-state', state);
+    await syncAutoCaller(io, req.roomId);
     res.json({ success: true, state });
   } catch (error) {
     console.error('Error pausing game:', error);
@@ -139,12 +178,13 @@ router.post('/game/pause', verifyAdminStrict, async (req, res) => {
  * POST /api/admin/game/resume
  * Resume the game
  */
-router.post('/game/resume', verifyAdminStrict, async (req, res) => {
+router.post('/game/resume', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_CONTROL), resolveRoom, async (req, res) => {
   try {
-    const state = await gameState.resumeGame();
+    const state = await gameState.resumeGame(req.roomId, req.user.wallet);
     const io = req.app.get('io');
-    io.emit('game-resumed', state);
-    io.emit('game-state', state);
+    emitToRoom(io, req.roomId, 'game-resumed', state);
+    emitToRoom(io, req.roomId, 'game-state', state);
+    await syncAutoCaller(io, req.roomId);
     res.json({ success: true, state });
   } catch (error) {
     console.error('Error resuming game:', error);
@@ -154,15 +194,29 @@ router.post('/game/resume', verifyAdminStrict, async (req, res) => {
 
 /**
  * POST /api/admin/game/end
- * End the game
+ * End the game, settling the winners already verified on it
+ * SECURITY: Winners are not accepted here - they must go through
+ * POST /api/admin/game/verify (and its approvals when required)
  */
-router.post('/game/end', verifyAdminStrict, async (req, res) => {
+router.post('/game/end', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_CONTROL), resolveRoom, async (req, res) => {
   try {
-    const { winner } = req.body;
-    const state = await gameState.endGame(winner);
+    const { winner, winners } = req.body || {};
+    if (winner || winners) {
+      auditLog({
+        action: 'GAME_END_WINNERS_REJECTED',
+        roomId: req.roomId,
+        adminWallet: req.user.wallet,
+        ip: req.ip,
+      });
+      return res.status(400).json({ error: 'Winners cannot be set when ending a game - verify them with /api/admin/game/verify' });
+    }
+
+    const state = await gameState.endGame(req.roomId, req.user.wallet);
     const io = req.app.get('io');
-    io.emit('game-ended', state);
-    io.emit('game-state', state);
+    emitToRoom(io, req.roomId, 'game-ended', state);
+    emitToRoom(io, req.roomId, 'game-state', state);
+    await syncAutoCaller(io, req.roomId);
+    await syncSchedule(io, req.roomId);
     res.json({ success: true, state });
   } catch (error) {
     console.error('Error ending game:', error);
@@ -170,11 +224,55 @@ router.post('/game/end', verifyAdminStrict, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/game/cancel
+ * Cancel the game without winners and refund its card purchases
+ * Body: { reason? }
+ */
+router.post('/game/cancel', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_CONTROL), resolveRoom, rateLimit('adminAction'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+      return res.status(400).json({ error: 'Reason must be a string of at most 200 characters' });
+    }
+
+    const { state, refunds } = await gameState.cancelGame(req.roomId, reason || null, req.user.wallet);
+    const refundTotal = refunds.reduce((sum, r) => sum + BigInt(r.amount), 0n).toString();
+    const io = req.app.get('io');
+
+    emitToRoom(io, req.roomId, 'game-cancelled', {
+      gameId: state.id,
+      reason: state.cancelReason,
+      refundCount: refunds.length,
+      refundTotal,
+    });
+    emitToRoom(io, req.roomId, 'game-state', state);
+    await syncAutoCaller(io, req.roomId);
+    await syncSchedule(io, req.roomId);
+
+    auditLog({
+      action: 'GAME_CANCELLED',
+      roomId: req.roomId,
+      gameId: state.id,
+      reason: state.cancelReason,
+      refundCount: refunds.length,
+      refundTotal,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, state, refunds, refundTotal });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 /**
  * POST /api/admin/game/call
  * Call a number
  */
-router.post('/game/call', verifyAdminStrict, async (req, res) => {
+router.post('/game/call', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_CALL), resolveRoom, async (req, res) => {
   try {
     const { number } = req.body;
 
@@ -182,14 +280,14 @@ router.post('/game/call', verifyAdminStrict, async (req, res) => {
       return res.status(400).json({ error: 'Invalid number (1-75)' });
     }
 
-    const state = await gameState.callNumber(number);
+    const state = await gameState.callNumber(req.roomId, number, req.user.wallet);
     const io = req.app.get('io');
 
-    io.emit('number-called', {
+    emitToRoom(io, req.roomId, 'number-called', {
       number,
       calledNumbers: state.calledNumbers,
     });
-    io.emit('game-state', state);
+    emitToRoom(io, req.roomId, 'game-state', state);
 
     res.json({ success: true, state });
   } catch (err) {
@@ -197,11 +295,129 @@ router.post('/game/call', verifyAdminStrict, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/game/draw
+ * Draw the next number from the game's committed seed (provably fair)
+ */
+router.post('/game/draw', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_CALL), resolveRoom, async (req, res) => {
+  try {
+    const { number, state } = await gameState.drawNumber(req.roomId, req.user.wallet);
+    const io = req.app.get('io');
+
+    auditLog({
+      action: 'NUMBER_DRAWN_API',
+      roomId: req.roomId,
+      number,
+      ip: req.ip,
+    });
+
+    emitToRoom(io, req.roomId, 'number-called', {
+      number,
+      calledNumbers: state.calledNumbers,
+    });
+    emitToRoom(io, req.roomId, 'game-state', state);
+
+    res.json({ success: true, number, state });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/game/auto-call
+ * Enable/disable the auto-caller and set its interval
+ */
+router.post('/game/auto-call', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_CALL), resolveRoom, async (req, res) => {
+  try {
+    const { enabled, intervalSeconds } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled (boolean) is required' });
+    }
+
+    const state = await gameState.setAutoCall(req.roomId, enabled, intervalSeconds ?? null);
+    const io = req.app.get('io');
+    emitToRoom(io, req.roomId, 'game-state', state);
+    await syncAutoCaller(io, req.roomId);
+
+    auditLog({
+      action: 'AUTO_CALL_CHANGED',
+      roomId: req.roomId,
+      enabled,
+      intervalSeconds: state.autoCall.intervalSeconds,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, state });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/game/schedule
+ * Schedule the automatic start of the room's next game
+ * Body: { scheduledStartAt, purchaseCutoffSeconds? } - card sales close
+ * purchaseCutoffSeconds before start (default PURCHASE_CUTOFF_SECONDS)
+ */
+router.post('/game/schedule', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_CONTROL), resolveRoom, rateLimit('adminAction'), async (req, res) => {
+  try {
+    const { scheduledStartAt, purchaseCutoffSeconds } = req.body;
+
+    const schedule = await gameState.scheduleGame(req.roomId, scheduledStartAt, purchaseCutoffSeconds ?? undefined);
+    const io = req.app.get('io');
+    emitToRoom(io, req.roomId, 'game-state', await gameState.getGameState(req.roomId));
+    await syncSchedule(io, req.roomId);
+
+    auditLog({
+      action: 'GAME_SCHEDULED',
+      roomId: req.roomId,
+      gameId: schedule.gameId,
+      scheduledStartAt: schedule.scheduledStartAt,
+      purchaseCutoffAt: schedule.purchaseCutoffAt,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, schedule });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/game/schedule
+ * Cancel the scheduled start (the game stays waiting and can be started manually)
+ */
+router.delete('/game/schedule', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_CONTROL), resolveRoom, rateLimit('adminAction'), async (req, res) => {
+  try {
+    const state = await gameState.cancelSchedule(req.roomId);
+    const io = req.app.get('io');
+    emitToRoom(io, req.roomId, 'game-state', state);
+    await syncSchedule(io, req.roomId);
+
+    auditLog({
+      action: 'GAME_SCHEDULE_CANCELLED',
+      roomId: req.roomId,
+      gameId: state.id,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, state });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Cards the winner verifier refuses (err.code from the shared game service)
+const WINNER_CARD_ERRORS = ['NO_GAME', 'CARD_NOT_FOUND', 'ROOM_MISMATCH', 'CARD_NOT_VALID', 'CARD_FORFEITED', 'CARD_INTEGRITY_FAILED'];
+
 /**
  * POST /api/admin/game/verify
  * Verify a winner
  */
-router.post('/game/verify', verifyAdminStrict, async (req, res) => {
+router.post('/game/verify', verifyAdminStrict, requirePermission(PERMISSIONS.WINNERS_VERIFY), resolveRoom, async (req, res) => {
   try {
     const { cardId } = req.body;
 
@@ -215,39 +431,53 @@ router.post('/game/verify', verifyAdminStrict, async (req, res) => {
       return res.status(404).json({ error: 'Card not found' });
     }
 
-    const calledNumbers = await gameState.getCalledNumbers();
-    const result = checkWinner(purchasedCard.card, calledNumbers);
-
-    if (result.isWinner) {
-      // SECURITY: Winner structure matching Game model schema (consistent with socket.js)
-      const winner = {
-        odId: purchasedCard.owner,
-        odUsername: purchasedCard.ownerUsername,
-        wallet: purchasedCard.ownerWallet,
-        cardId,
-        prizeAmount: '0', // TODO: Calculate from prize pool
-        pattern: result.pattern,
-        verifiedAt: new Date().toISOString(),
-      };
+    if (purchasedCard.roomId !== req.roomId) {
+      return res.status(400).json({ error: 'Card does not belong to this room' });
+    }
 
-      auditLog({
-        action: 'WINNER_VERIFIED_API',
-        cardId,
-        owner: purchasedCard.owner,
-        pattern: result.pattern,
+    // Multi-admin setups: the verification waits for the other admins' approvals
+    if (approvals.requiresApproval(PENDING_ACTION_TYPES.VERIFY_WINNER)) {
+      let outcome;
+      try {
+        outcome = await requestWinnerVerification(req.app.get('io'), req.roomId, cardId, req.user.wallet);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      return res.status(outcome.executed ? 200 : 202).json({
+        success: !outcome.error,
+        pending: outcome.action.status === 'pending',
+        executed: outcome.executed,
+        action: approvals.formatAction(outcome.action),
+        ...(outcome.error && { error: outcome.error }),
       });
+    }
 
-      const state = await gameState.endGame(winner);
-      const io = req.app.get('io');
-
-      io.emit('winner-announced', { winner });
-      io.emit('game-ended', state);
-      io.emit('game-state', state);
+    // Same verifier as admin:verify-winner and approved VERIFY_WINNER actions
+    const io = req.app.get('io');
+    let verification;
+    try {
+      verification = await verifyWinnerCard(io, req.roomId, cardId, {
+        adminId: req.user.userId,
+        adminWallet: req.user.wallet,
+      });
+    } catch (error) {
+      if (!WINNER_CARD_ERRORS.includes(error.code)) throw error;
+      return res.status(error.code === 'CARD_NOT_FOUND' ? 404 : 400).json({ error: error.message, code: error.code });
+    }
 
-      res.json({ success: true, winner, state });
-    } else {
-      res.json({ success: false, message: 'Not a winning card' });
+    if (!verification.isWinner) {
+      return res.json({ success: false, message: 'Not a winning card' });
     }
+
+    const { winner, pendingCount } = verification;
+    const state = await gameState.getGameState(req.roomId);
+    res.json({
+      success: true,
+      winner,
+      ...(pendingCount === 0 && { winners: state.winners }),
+      pendingCount,
+      state,
+    });
   } catch (error) {
     console.error('Error verifying winner:', error);
     res.status(500).json({ error: 'Failed to verify winner' });
@@ -259,7 +489,7 @@ router.post('/game/verify', verifyAdminStrict, async (req, res) => {
  * Generate more available cards
  * SECURITY: Rate limited to prevent abuse, max 50 cards per request
  */
-router.post('/cards/generate', verifyAdminStrict, rateLimit('adminAction'), async (req, res) => {
+router.post('/cards/generate', verifyAdminStrict, requirePermission(PERMISSIONS.CARDS_MANAGE), rateLimit('adminAction'), async (req, res) => {
   try {
     const { count = 50 } = req.body;
     // SECURITY: Strict limit - max 50 cards per request to prevent abuse
@@ -292,11 +522,11 @@ router.post('/cards/generate', verifyAdminStrict, rateLimit('adminAction'), asyn
  * GET /api/admin/stats
  * Get game statistics
  */
-router.get('/stats', verifyAdminStrict, async (req, res) => {
+router.get('/stats', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_VIEW), resolveRoom, async (req, res) => {
   try {
-    const state = await gameState.getGameState();
+    const state = await gameState.getGameState(req.roomId);
     const availableCards = await gameState.getAvailableCards();
-    const purchasedCards = await gameState.getAllPurchasedCards();
+    const purchasedCards = await gameState.getAllPurchasedCards(req.roomId);
 
     res.json({
       game: {
@@ -317,13 +547,237 @@ router.get('/stats', verifyAdminStrict, async (req, res) => {
   }
 });
 
+// ============== PAYOUTS ==============
+
+/**
+ * GET /api/admin/payouts
+ * List payout ledger entries (optionally filtered by status)
+ */
+router.get('/payouts', verifyAdminStrict, requirePermission(PERMISSIONS.PAYOUTS_VIEW), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !['pending', 'paid'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be pending or paid' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const payouts = await gameState.getPayouts(status || null, limit);
+
+    res.json({
+      payouts,
+      total: payouts.length,
+    });
+  } catch (error) {
+    console.error('Error getting payouts:', error);
+    res.status(500).json({ error: 'Failed to get payouts' });
+  }
+});
+
+/**
+ * POST /api/admin/payouts/:payoutId/paid
+ * Mark a payout as paid with the prize transfer tx hash
+ */
+router.post('/payouts/:payoutId/paid', verifyAdminStrict, requirePermission(PERMISSIONS.PAYOUTS_MANAGE), rateLimit('adminAction'), async (req, res) => {
+  try {
+    const { payoutId } = req.params;
+    const { txHash } = req.body;
+
+    if (!txHash || !/^0x[a-fA-F0-9]{64}$/.test(txHash)) {
+      return res.status(400).json({ error: 'Valid transaction hash required' });
+    }
+
+    // Multi-admin setups: the payout is marked paid once enough admins approved
+    if (approvals.requiresApproval(PENDING_ACTION_TYPES.MARK_PAYOUT_PAID)) {
+      const outcome = await approvals.requestAction({
+        type: PENDING_ACTION_TYPES.MARK_PAYOUT_PAID,
+        targetId: payoutId,
+        payload: { payoutId, txHash },
+        wallet: req.user.wallet,
+      }, { io: req.app.get('io') });
+      emitApprovalUpdate(req.app.get('io'), outcome.action);
+
+      return res.status(outcome.executed ? 200 : 202).json({
+        success: !outcome.error,
+        pending: outcome.action.status === 'pending',
+        executed: outcome.executed,
+        action: approvals.formatAction(outcome.action),
+        ...(outcome.error && { error: outcome.error }),
+      });
+    }
+
+    const payout = await gameState.markPayoutPaid(payoutId, txHash, req.user.wallet);
+
+    if (!payout) {
+      return res.status(404).json({ error: 'Payout not found' });
+    }
+
+    auditLog({
+      action: 'PAYOUT_MARKED_PAID',
+      payoutId,
+      winnerId: payout.winnerId,
+      wallet: payout.wallet,
+      amount: payout.amount,
+      txHash,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, payout });
+  } catch (error) {
+    console.error('Error marking payout as paid:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============== REFUNDS ==============
+
+/**
+ * GET /api/admin/refunds
+ * List refund ledger entries (optionally filtered by status and gameId)
+ */
+router.get('/refunds', verifyAdminStrict, requirePermission(PERMISSIONS.PAYOUTS_VIEW), async (req, res) => {
+  try {
+    const { status, gameId } = req.query;
+
+    if (status && !['pending', 'executed'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be pending or executed' });
+    }
+    if (gameId && (typeof gameId !== 'string' || !/^game_[a-zA-Z0-9_-]+$/.test(gameId))) {
+      return res.status(400).json({ error: 'Invalid game ID format' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const refunds = await gameState.getRefunds(status || null, limit, gameId ? { gameId } : {});
+
+    res.json({
+      refunds,
+      total: refunds.length,
+    });
+  } catch (error) {
+    console.error('Error getting refunds:', error);
+    res.status(500).json({ error: 'Failed to get refunds' });
+  }
+});
+
+/**
+ * POST /api/admin/refunds/:refundId/executed
+ * Mark a refund as executed with the refund transfer tx hash
+ */
+router.post('/refunds/:refundId/executed', verifyAdminStrict, requirePermission(PERMISSIONS.PAYOUTS_MANAGE), rateLimit('adminAction'), async (req, res) => {
+  try {
+    const { refundId } = req.params;
+    const { txHash } = req.body;
+
+    if (!txHash || !/^0x[a-fA-F0-9]{64}$/.test(txHash)) {
+      return res.status(400).json({ error: 'Valid transaction hash required' });
+    }
+
+    const refund = await gameState.markRefundExecuted(refundId, txHash, req.user.wallet);
+
+    if (!refund) {
+      return res.status(404).json({ error: 'Refund not found' });
+    }
+
+    auditLog({
+      action: 'REFUND_MARKED_EXECUTED',
+      refundId,
+      gameId: refund.gameId,
+      wallet: refund.wallet,
+      amount: refund.amount,
+      txHash,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, refund });
+  } catch (error) {
+    console.error('Error marking refund as executed:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============== UNCONFIRMED PAYMENTS ==============
+
+const PAYMENT_RESOLVE_ERRORS = {
+  PAYMENT_NOT_FOUND: 404,
+  PAYMENT_NOT_UNCONFIRMED: 409,
+  TX_ALREADY_USED: 409,
+};
+
+/**
+ * GET /api/admin/payments/unconfirmed
+ * Card payments whose settle never answered, still pending after the pending TTL
+ */
+router.get('/payments/unconfirmed', verifyAdminStrict, requirePermission(PERMISSIONS.PAYOUTS_VIEW), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const unconfirmed = await payments.listUnconfirmedPayments(limit);
+
+    res.json({
+      payments: unconfirmed,
+      total: unconfirmed.length,
+      pendingTtlMinutes: config.x402.pendingPaymentTtlMinutes,
+    });
+  } catch (error) {
+    console.error('Error getting unconfirmed payments:', error);
+    res.status(500).json({ error: 'Failed to get unconfirmed payments' });
+  }
+});
+
+/**
+ * POST /api/admin/payments/:paymentId/resolve
+ * Resolve an unconfirmed payment after checking its transfer on-chain
+ * Body: { outcome: 'settled', txHash } - the transfer was executed (the buyer's retry gets the cards)
+ *       { outcome: 'failed' } - it was not (the buyer may pay again)
+ */
+router.post('/payments/:paymentId/resolve', verifyAdminStrict, requirePermission(PERMISSIONS.PAYOUTS_MANAGE), rateLimit('adminAction'), async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    const { outcome, txHash } = req.body;
+
+    if (!['settled', 'failed'].includes(outcome)) {
+      return res.status(400).json({ error: 'Invalid outcome. Must be settled or failed' });
+    }
+    if (outcome === 'settled' && (!txHash || !/^0x[a-fA-F0-9]{64}$/.test(txHash))) {
+      return res.status(400).json({ error: 'Valid transaction hash required' });
+    }
+
+    const payment = await payments.resolvePayment(paymentId, {
+      txHash: outcome === 'settled' ? txHash : null,
+      resolvedBy: req.user.wallet,
+    });
+
+    auditLog({
+      action: 'PAYMENT_RESOLVED',
+      paymentId,
+      outcome,
+      wallet: payment.payer,
+      userId: payment.userId,
+      amount: payment.value,
+      txHash: payment.txHash || null,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, payment });
+  } catch (error) {
+    const status = PAYMENT_RESOLVE_ERRORS[error.code];
+    if (!status) {
+      console.error('Error resolving payment:', error);
+      return res.status(500).json({ error: 'Failed to resolve payment' });
+    }
+    res.status(status).json({ error: error.message, code: error.code });
+  }
+});
+
 // ============== GAME MODE MANAGEMENT ==============
 
 /**
  * GET /api/admin/game/modes
  * Get all available game modes
  */
-router.get('/game/modes', verifyAdminStrict, (req, res) => {
+router.get('/game/modes', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_VIEW), (req, res) => {
   try {
     const patterns = gameState.getAvailablePatterns();
     const modes = Object.entries(patterns).map(([key, pattern]) => ({
@@ -332,6 +786,8 @@ router.get('/game/modes', verifyAdminStrict, (req, res) => {
       description: pattern.description,
       positions: pattern.positions,
       isSpecialPattern: pattern.isSpecialPattern || false,
+      isCustom: pattern.isCustom || false,
+      alternatives: pattern.alternatives || null,
     }));
 
     res.json({ modes });
@@ -345,7 +801,7 @@ router.get('/game/modes', verifyAdminStrict, (req, res) => {
  * POST /api/admin/game/mode
  * Set game mode (only when game not in progress)
  */
-router.post('/game/mode', verifyAdminStrict, async (req, res) => {
+router.post('/game/mode', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_CONTROL), resolveRoom, async (req, res) => {
   try {
     const { mode } = req.body;
 
@@ -353,18 +809,19 @@ router.post('/game/mode', verifyAdminStrict, async (req, res) => {
       return res.status(400).json({ error: 'Game mode is required' });
     }
 
-    const state = await gameState.setGameMode(mode);
+    const state = await gameState.setGameMode(req.roomId, mode, req.user.wallet);
     const io = req.app.get('io');
 
     // Emit mode change to all clients
-    io.emit('game-mode-changed', {
+    emitToRoom(io, req.roomId, 'game-mode-changed', {
       gameMode: state.gameMode,
       patternInfo: gameState.getPatternInfoForMode(state.gameMode),
     });
-    io.emit('game-state', state);
+    emitToRoom(io, req.roomId, 'game-state', state);
 
     auditLog({
       action: 'GAME_MODE_CHANGED',
+      roomId: req.roomId,
       mode,
       ip: req.ip,
     });
@@ -380,13 +837,255 @@ router.post('/game/mode', verifyAdminStrict, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/game/stages
+ * Configure a multi-stage game (only when game not in progress)
+ * Body: { stages: [{ gameMode, prizeShareBps }] } - shares must add up to 10000,
+ * an empty list goes back to a single-pattern game
+ */
+router.post('/game/stages', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_CONTROL), resolveRoom, async (req, res) => {
+  try {
+    const { stages } = req.body;
+
+    if (!Array.isArray(stages)) {
+      return res.status(400).json({ error: 'stages array is required' });
+    }
+
+    const state = await gameState.setStages(req.roomId, stages, req.user.wallet);
+    const io = req.app.get('io');
+
+    emitToRoom(io, req.roomId, 'game-mode-changed', {
+      gameMode: state.gameMode,
+      patternInfo: gameState.getPatternInfoForMode(state.gameMode),
+    });
+    emitToRoom(io, req.roomId, 'game-state', state);
+
+    auditLog({
+      action: 'GAME_STAGES_CHANGED',
+      roomId: req.roomId,
+      stages: state.stages.map(s => `${s.gameMode}:${s.prizeShareBps}`),
+      ip: req.ip,
+    });
+
+    res.json({ success: true, state });
+  } catch (error) {
+    console.error('Error setting game stages:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/game/claims
+ * Configure player bingo claims (only when game not in progress)
+ * Body: { manual, windowCalls? } - manual: winners must be claimed by their owners;
+ * windowCalls > 0 forfeits winning cards not claimed within that many calls
+ */
+router.post('/game/claims', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_CONTROL), resolveRoom, async (req, res) => {
+  try {
+    const { manual, windowCalls } = req.body;
+
+    const state = await gameState.setClaims(req.roomId, { manual, windowCalls: windowCalls ?? 0 });
+    emitToRoom(req.app.get('io'), req.roomId, 'game-state', state);
+
+    auditLog({
+      action: 'CLAIM_RULES_CHANGED',
+      roomId: req.roomId,
+      claims: state.claims,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, state });
+  } catch (error) {
+    console.error('Error setting claim rules:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/game/card-policy
+ * Set how long cards sold for the next game keep playing (only while waiting)
+ * Body: { kind: 'single' } | { kind: 'games', games } | { kind: 'until', validUntil }
+ * Cards already sold keep the validity they were bought with
+ */
+router.post('/game/card-policy', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_CONTROL), resolveRoom, async (req, res) => {
+  try {
+    const { kind, games, validUntil } = req.body;
+
+    const state = await gameState.setCardPolicy(req.roomId, { kind, games, validUntil });
+    emitToRoom(req.app.get('io'), req.roomId, 'game-state', state);
+
+    auditLog({
+      action: 'CARD_POLICY_CHANGED',
+      roomId: req.roomId,
+      cardPolicy: state.cardPolicy,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, state });
+  } catch (error) {
+    console.error('Error setting card policy:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============== ROOMS ==============
+
+/**
+ * GET /api/admin/rooms
+ * List all rooms, including closed ones
+ */
+router.get('/rooms', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_VIEW), async (req, res) => {
+  try {
+    const roomList = await rooms.listRooms(true);
+    res.json({ rooms: roomList });
+  } catch (error) {
+    console.error('Error listing rooms:', error);
+    res.status(500).json({ error: 'Failed to list rooms' });
+  }
+});
+
+/**
+ * POST /api/admin/rooms
+ * Create a room
+ * Body: { roomId, name, cardPrice } - cardPrice in USDC
+ */
+router.post('/rooms', verifyAdminStrict, requirePermission(PERMISSIONS.ROOMS_MANAGE), rateLimit('adminAction'), async (req, res) => {
+  try {
+    const room = await rooms.createRoom(req.body || {});
+
+    auditLog({
+      action: 'ROOM_CREATED',
+      roomId: room.roomId,
+      cardPrice: room.cardPrice,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.status(201).json({ success: true, room });
+  } catch (error) {
+    console.error('Error creating room:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/rooms/:roomId
+ * Update a room's name, card price or active flag (closed rooms stop selling cards)
+ */
+router.put('/rooms/:roomId', verifyAdminStrict, requirePermission(PERMISSIONS.ROOMS_MANAGE), rateLimit('adminAction'), async (req, res) => {
+  try {
+    const room = await rooms.updateRoom(req.params.roomId, req.body || {});
+
+    auditLog({
+      action: 'ROOM_UPDATED',
+      roomId: room.roomId,
+      cardPrice: room.cardPrice,
+      active: room.active,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, room });
+  } catch (error) {
+    console.error('Error updating room:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============== CUSTOM PATTERNS ==============
+
+/**
+ * GET /api/admin/patterns
+ * List built-in and custom patterns (including inactive ones)
+ */
+router.get('/patterns', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_VIEW), async (req, res) => {
+  try {
+    res.json(await patterns.listPatterns());
+  } catch (error) {
+    console.error('Error listing patterns:', error);
+    res.status(500).json({ error: 'Failed to list patterns' });
+  }
+});
+
+/**
+ * POST /api/admin/patterns
+ * Create a custom pattern
+ * Body: { key, name, description?, masks: [["#...#", ...5 rows]], anyRotation? }
+ */
+router.post('/patterns', verifyAdminStrict, requirePermission(PERMISSIONS.PATTERNS_MANAGE), rateLimit('adminAction'), async (req, res) => {
+  try {
+    const pattern = await patterns.createPattern(req.body, req.user.wallet);
+
+    auditLog({
+      action: 'PATTERN_CREATED',
+      key: pattern.key,
+      masks: pattern.masks.length,
+      anyRotation: pattern.anyRotation,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.status(201).json({ success: true, pattern });
+  } catch (error) {
+    console.error('Error creating pattern:', error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/patterns/:key
+ * Update a custom pattern (name, description, masks, anyRotation, active)
+ */
+router.put('/patterns/:key', verifyAdminStrict, requirePermission(PERMISSIONS.PATTERNS_MANAGE), rateLimit('adminAction'), async (req, res) => {
+  try {
+    const pattern = await patterns.updatePattern(req.params.key, req.body);
+
+    auditLog({
+      action: 'PATTERN_UPDATED',
+      key: pattern.key,
+      active: pattern.active,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, pattern });
+  } catch (error) {
+    console.error('Error updating pattern:', error.message);
+    const status = error.message === 'Pattern not found' ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/patterns/:key
+ * Delete a custom pattern (not allowed while the current game uses it)
+ */
+router.delete('/patterns/:key', verifyAdminStrict, requirePermission(PERMISSIONS.PATTERNS_MANAGE), rateLimit('adminAction'), async (req, res) => {
+  try {
+    await patterns.deletePattern(req.params.key);
+
+    auditLog({
+      action: 'PATTERN_DELETED',
+      key: req.params.key,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting pattern:', error.message);
+    const status = error.message === 'Pattern not found' ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
 // ============== CARD SEARCH AND MANAGEMENT ==============
 
 /**
  * GET /api/admin/cards/search
  * Search for a card by ID (supports partial ID search)
  */
-router.get('/cards/search', verifyAdminStrict, async (req, res) => {
+router.get('/cards/search', verifyAdminStrict, requirePermission(PERMISSIONS.CARDS_VIEW), async (req, res) => {
   try {
     const { cardId, wallet, owner } = req.query;
 
@@ -422,6 +1121,7 @@ router.get('/cards/search', verifyAdminStrict, async (req, res) => {
         if (partialMatch) {
           card = {
             card: { id: partialMatch.cardId, numbers: partialMatch.numbers },
+            roomId: partialMatch.roomId || rooms.DEFAULT_ROOM_ID,
             owner: partialMatch.owner,
             ownerUsername: partialMatch.ownerUsername,
             ownerWallet: partialMatch.ownerWallet,
@@ -437,7 +1137,8 @@ router.get('/cards/search', verifyAdminStrict, async (req, res) => {
     }
 
     // Get current game state for progress calculation
-    const state = await gameState.getGameState();
+    // Progress is measured against the game of the card's room
+    const state = await gameState.getGameState(card.roomId);
     const { getPatternProgress } = await import('../services/bingoCard.js');
     const progress = getPatternProgress(card.card, state.calledNumbers, state.gameMode);
 
@@ -452,6 +1153,7 @@ router.get('/cards/search', verifyAdminStrict, async (req, res) => {
         owner: card.owner,
         ownerUsername: card.ownerUsername,
         ownerWallet: card.ownerWallet,
+        roomId: card.roomId,
         purchasedAt: card.purchasedAt,
         txHash: card.txHash,
       },
@@ -471,10 +1173,10 @@ router.get('/cards/search', verifyAdminStrict, async (req, res) => {
  * GET /api/admin/cards/active
  * Get all active (purchased) cards
  */
-router.get('/cards/active', verifyAdminStrict, async (req, res) => {
+router.get('/cards/active', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_VIEW), resolveRoom, async (req, res) => {
   try {
-    const purchasedCards = await gameState.getAllPurchasedCards();
-    const state = await gameState.getGameState();
+    const purchasedCards = await gameState.getAllPurchasedCards(req.roomId);
+    const state = await gameState.getGameState(req.roomId);
     const { getPatternProgress, checkWinner } = await import('../services/bingoCard.js');
 
     // Calculate progress for each card
@@ -515,7 +1217,7 @@ router.get('/cards/active', verifyAdminStrict, async (req, res) => {
  * Get all registered users (admin only)
  * SECURITY: Only accessible by whitelisted admin wallets
  */
-router.get('/users', verifyAdminStrict, async (req, res) => {
+router.get('/users', verifyAdminStrict, requirePermission(PERMISSIONS.USERS_VIEW), async (req, res) => {
   try {
     const { default: User } = await import('../models/User.js');
 
@@ -552,11 +1254,104 @@ router.get('/users', verifyAdminStrict, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/users/revoke-sessions
+ * Revoke every session of a user - their tokens stop working immediately
+ * Body: { userId?, wallet? } - at least one
+ */
+router.post('/users/revoke-sessions', verifyAdminStrict, requirePermission(PERMISSIONS.USERS_MANAGE), rateLimit('adminAction'), async (req, res) => {
+  try {
+    const { userId, wallet } = req.body || {};
+    if (wallet && !/^0x[a-fA-F0-9]{40}$/.test(wallet)) {
+      return res.status(400).json({ error: 'Invalid wallet address format' });
+    }
+
+    const sessionIds = await revokeUserSessions({ userId, wallet }, `Revoked by admin ${req.user.wallet}`);
+    const disconnected = disconnectSessions(req.app.get('io'), sessionIds);
+
+    auditLog({
+      action: 'USER_SESSIONS_REVOKED',
+      userId: userId || null,
+      wallet: wallet ? wallet.toLowerCase() : null,
+      revoked: sessionIds.length,
+      disconnected,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, revoked: sessionIds.length, disconnected });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/users/:userId/limits
+ * A user's purchase caps, self-exclusion and usage (room by ?roomId)
+ */
+router.get('/users/:userId/limits', verifyAdminStrict, requirePermission(PERMISSIONS.USERS_VIEW), resolveRoom, async (req, res) => {
+  try {
+    res.json(await purchaseLimits.getLimitsStatus(req.params.userId, req.roomId));
+  } catch (error) {
+    console.error('Error getting user limits:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:userId/limits
+ * Override the operator purchase caps for a user (null = config default)
+ * The user's own stricter caps still apply.
+ * Body: { maxCardsPerGame, maxCardsPerDay, maxCardsPerWeek, maxSpendPerDay, maxSpendPerWeek }
+ */
+router.put('/users/:userId/limits', verifyAdminStrict, requirePermission(PERMISSIONS.USERS_MANAGE), rateLimit('adminAction'), async (req, res) => {
+  try {
+    const adminLimits = await purchaseLimits.setAdminLimits(req.params.userId, req.body || {});
+
+    auditLog({
+      action: 'USER_LIMITS_OVERRIDDEN',
+      userId: req.params.userId,
+      adminLimits,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, adminLimits });
+  } catch (error) {
+    console.error('Error overriding user limits:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:userId/self-exclusion
+ * End a user's self-exclusion early
+ */
+router.delete('/users/:userId/self-exclusion', verifyAdminStrict, requirePermission(PERMISSIONS.USERS_MANAGE), rateLimit('adminAction'), async (req, res) => {
+  try {
+    const liftedUntil = await purchaseLimits.liftSelfExclusion(req.params.userId);
+
+    auditLog({
+      action: 'SELF_EXCLUSION_LIFTED',
+      userId: req.params.userId,
+      liftedUntil,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, liftedUntil });
+  } catch (error) {
+    console.error('Error lifting self-exclusion:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/admin/cards/:cardId/details
  * Get detailed info for a specific card
  */
-router.get('/cards/:cardId/details', verifyAdminStrict, async (req, res) => {
+router.get('/cards/:cardId/details', verifyAdminStrict, requirePermission(PERMISSIONS.CARDS_VIEW), async (req, res) => {
   try {
     const { cardId } = req.params;
     const card = await gameState.getPurchasedCard(cardId);
@@ -565,7 +1360,7 @@ router.get('/cards/:cardId/details', verifyAdminStrict, async (req, res) => {
       return res.status(404).json({ error: 'Card not found' });
     }
 
-    const state = await gameState.getGameState();
+    const state = await gameState.getGameState(card.roomId);
     const { getPatternProgress, checkWinner, getPatternInfo } = await import('../services/bingoCard.js');
 
     const progress = getPatternProgress(card.card, state.calledNumbers, state.gameMode);
@@ -589,6 +1384,7 @@ router.get('/cards/:cardId/details', verifyAdminStrict, async (req, res) => {
         owner: card.owner,
         ownerUsername: card.ownerUsername,
         ownerWallet: card.ownerWallet,
+        roomId: card.roomId,
         purchasedAt: card.purchasedAt,
         txHash: card.txHash,
       },
@@ -606,4 +1402,217 @@ router.get('/cards/:cardId/details', verifyAdminStrict, async (req, res) => {
   }
 });
 
+// ============== MULTI-ADMIN APPROVALS ==============
+
+/**
+ * GET /api/admin/approvals
+ * List approval requests (winner verifications, payouts)
+ * Query: { status, type, roomId, limit }
+ */
+router.get('/approvals', verifyAdminStrict, requirePermission(PERMISSIONS.GAME_VIEW), async (req, res) => {
+  try {
+    const { status, type, roomId, limit } = req.query;
+    const actions = await approvals.listActions({ status, type, roomId, limit });
+    res.json({
+      actions,
+      thresholds: {
+        [PENDING_ACTION_TYPES.VERIFY_WINNER]: approvals.getApprovalThreshold(PENDING_ACTION_TYPES.VERIFY_WINNER),
+        [PENDING_ACTION_TYPES.MARK_PAYOUT_PAID]: approvals.getApprovalThreshold(PENDING_ACTION_TYPES.MARK_PAYOUT_PAID),
+      },
+    });
+  } catch (error) {
+    console.error('Error listing approvals:', error);
+    res.status(500).json({ error: 'Failed to list approvals' });
+  }
+});
+
+/**
+ * POST /api/admin/approvals/:actionId/approve
+ * Approve a pending action - it runs once the threshold is met
+ * SECURITY: Requires the permission of the action (e.g. winners:verify)
+ */
+router.post('/approvals/:actionId/approve', verifyAdminStrict, rateLimit('adminAction'), async (req, res) => {
+  try {
+    const io = req.app.get('io');
+    const outcome = await approvals.approveAction(req.params.actionId, req.user.wallet, { io });
+    emitApprovalUpdate(io, outcome.action);
+
+    res.json({
+      success: !outcome.error,
+      executed: outcome.executed,
+      action: approvals.formatAction(outcome.action),
+      ...(outcome.error && { error: outcome.error }),
+    });
+  } catch (error) {
+    console.error('Error approving action:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/approvals/:actionId/reject
+ * Reject a pending action
+ * Body: { reason }
+ */
+router.post('/approvals/:actionId/reject', verifyAdminStrict, rateLimit('adminAction'), async (req, res) => {
+  try {
+    const outcome = await approvals.rejectAction(req.params.actionId, req.user.wallet, req.body?.reason);
+    emitApprovalUpdate(req.app.get('io'), outcome.action);
+
+    res.json({ success: true, action: approvals.formatAction(outcome.action) });
+  } catch (error) {
+    console.error('Error rejecting action:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============== ADMIN ROLES ==============
+
+/**
+ * GET /api/admin/roles
+ * Admin wallets with their roles, and the permissions of each role
+ */
+router.get('/roles', verifyAdminStrict, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  try {
+    res.json({
+      admins: await adminRoles.listAdmins(),
+      roles: adminRoles.ROLE_PERMISSIONS,
+    });
+  } catch (error) {
+    console.error('Error listing admin roles:', error);
+    res.status(500).json({ error: 'Failed to list admin roles' });
+  }
+});
+
+/**
+ * PUT /api/admin/roles/:wallet
+ * Grant roles to a wallet (replaces its current roles)
+ * Body: { roles } - e.g. ['caller', 'verifier']; empty removes the admin
+ */
+router.put('/roles/:wallet', verifyAdminStrict, requirePermission(PERMISSIONS.ROLES_MANAGE), rateLimit('adminAction'), async (req, res) => {
+  try {
+    const previousRoles = await adminRoles.getAdminRoles(req.params.wallet);
+    const admin = await adminRoles.setAdminRoles(req.params.wallet, req.body?.roles, req.user.wallet);
+
+    auditLog({
+      action: 'ADMIN_ROLES_CHANGED',
+      wallet: admin.wallet,
+      previousRoles,
+      roles: admin.roles,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, admin });
+  } catch (error) {
+    console.error('Error setting admin roles:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/roles/:wallet
+ * Remove an admin - their admin tokens stop working on every instance within
+ * ADMIN_ROLES_CACHE_TTL_SECONDS
+ */
+router.delete('/roles/:wallet', verifyAdminStrict, requirePermission(PERMISSIONS.ROLES_MANAGE), rateLimit('adminAction'), async (req, res) => {
+  try {
+    const previousRoles = await adminRoles.getAdminRoles(req.params.wallet);
+    if (previousRoles.length === 0) {
+      return res.status(404).json({ error: 'Wallet is not an admin' });
+    }
+    const admin = await adminRoles.setAdminRoles(req.params.wallet, [], req.user.wallet);
+
+    auditLog({
+      action: 'ADMIN_REMOVED',
+      wallet: admin.wallet,
+      previousRoles,
+      adminWallet: req.user.wallet,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, wallet: admin.wallet });
+  } catch (error) {
+    console.error('Error removing admin:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============== AUDIT LOG ==============
+
+/**
+ * GET /api/admin/audit
+ * Query the persistent audit log, newest first
+ * Query: action, wallet, ip, from, to (ISO dates), limit (max 5000), beforeSeq (paging),
+ * format=csv|json to download the entries as a file
+ */
+router.get('/audit', verifyAdminStrict, requirePermission(PERMISSIONS.AUDIT_VIEW), async (req, res) => {
+  try {
+    const { action, wallet, ip, from, to, limit, beforeSeq, format } = req.query;
+
+    if (format && format !== 'csv' && format !== 'json') {
+      return res.status(400).json({ error: 'format must be csv or json' });
+    }
+
+    const entries = await auditTrail.queryAuditLogs({ action, wallet, ip, from, to, limit, beforeSeq });
+
+    if (format) {
+      auditLog({
+        action: 'AUDIT_LOG_EXPORTED',
+        format,
+        count: entries.length,
+        filters: { action, wallet, ip, from, to },
+        adminWallet: req.user.wallet,
+        ip: req.ip,
+      });
+
+      const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.attachment(filename);
+      if (format === 'csv') {
+        return res.type('text/csv').send(auditTrail.auditLogsToCsv(entries));
+      }
+      return res.json({ entries, count: entries.length, exportedAt: new Date().toISOString() });
+    }
+
+    res.json({
+      entries,
+      count: entries.length,
+      // Pass as beforeSeq to get the next page
+      nextBeforeSeq: entries.length > 0 ? entries[entries.length - 1].seq : null,
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/audit/verify
+ * Recompute the audit hash chain to detect tampering
+ * Query: fromSeq (default 1), limit
+ */
+router.get('/audit/verify', verifyAdminStrict, requirePermission(PERMISSIONS.AUDIT_VIEW), rateLimit('adminAction'), async (req, res) => {
+  try {
+    const result = await auditTrail.verifyAuditChain({
+      fromSeq: req.query.fromSeq,
+      limit: req.query.limit,
+    });
+
+    if (!result.valid) {
+      auditLog({
+        action: 'SUSPICIOUS_ACTIVITY',
+        reason: 'Audit chain verification failed',
+        brokenAt: result.brokenAt,
+        detail: result.reason,
+        adminWallet: req.user.wallet,
+        ip: req.ip,
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error verifying audit chain:', error);
+    res.status(500).json({ error: 'Failed to verify audit chain' });
+  }
+});
+
 export default router;
@@ -1,120 +1,124 @@
 import { Router } from 'express';
-import jwt from 'jsonwebtoken';
-import { config } from '../config/index.js';
-import { generateToken } from '../middleware/auth.js';
 import { rateLimit, auditLog } from '../middleware/security.js';
 import gameState from '../services/gameState.js';
+import gameHistory from '../services/gameHistory.js';
+import { verifyToken } from '../middleware/auth.js';
+import { disconnectSessions } from '../services/socket.js';
+import { issueNonce, verifySiweLogin } from '../services/siwe.js';
+import { isAdminWallet } from '../services/adminRoles.js';
+import { createSession, refreshSession, revokeSession, verifyAccessToken } from '../services/sessions.js';
 
 const router = Router();
 
 /**
- * POST /auth/register
- * Register or login user with username + wallet
- * Simple auth system: username + wallet address
- * SECURITY: Rate limited to prevent brute force
+ * GET /auth/nonce
+ * Single-use nonce for a Sign-In With Ethereum (EIP-4361) message
+ * The client signs a SIWE message with this nonce, domain and statement.
  */
-router.post('/register', rateLimit('register'), async (req, res) => {
+router.get('/nonce', rateLimit('nonce'), async (req, res) => {
   try {
-    const { username, wallet } = req.body;
+    const nonce = await issueNonce(req.ip);
+    res.json(nonce);
+  } catch (err) {
+    console.error('Nonce error:', err);
+    res.status(500).json({ error: 'Failed to issue nonce' });
+  }
+});
 
-    // Validate required fields
-    if (!username || !wallet) {
-      return res.status(400).json({
-        error: 'Username and wallet address are required'
-      });
-    }
+/**
+ * Validate a username
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateUsername(username) {
+  if (username.length < 3) {
+    return 'Username must be at least 3 characters';
+  }
+  if (username.length > 30) {
+    return 'Username must be 30 characters or less';
+  }
+  // SECURITY: Only allow safe characters in username (alphanumeric, underscore, hyphen)
+  if (!/^[a-zA-Z0-9_-]+$/.test(username)) {
+    return 'Username can only contain letters, numbers, underscores, and hyphens';
+  }
+  return null;
+}
 
-    // SECURITY: Validate username format strictly
-    const trimmedUsername = username.trim();
-    if (trimmedUsername.length < 3) {
-      return res.status(400).json({
-        error: 'Username must be at least 3 characters'
-      });
-    }
+/**
+ * Sign in with a signed SIWE message
+ * Body: { message, signature, username? } - username required for new wallets
+ * The JWT is bound to the wallet recovered from the signature.
+ */
+async function signIn(req, res) {
+  try {
+    const { message, signature, username } = req.body;
 
-    if (trimmedUsername.length > 30) {
+    if (!message || !signature) {
       return res.status(400).json({
-        error: 'Username must be 30 characters or less'
+        error: 'Signed message and signature are required'
       });
     }
 
-    // SECURITY: Only allow safe characters in username (alphanumeric, underscore, hyphen)
-    if (!/^[a-zA-Z0-9_-]+$/.test(trimmedUsername)) {
-      return res.status(400).json({
-        error: 'Username can only contain letters, numbers, underscores, and hyphens'
-      });
+    let trimmedUsername = null;
+    if (username !== undefined && username !== null && username !== '') {
+      if (typeof username !== 'string') {
+        return res.status(400).json({ error: 'Invalid username' });
+      }
+      trimmedUsername = username.trim();
+      const usernameError = validateUsername(trimmedUsername);
+      if (usernameError) {
+        return res.status(400).json({ error: usernameError });
+      }
     }
 
-    // Validate wallet address format (Ethereum address)
-    if (!/^0x[a-fA-F0-9]{40}$/.test(wallet)) {
-      return res.status(400).json({
-        error: 'Invalid wallet address format'
+    // SECURITY: Wallet comes from the signature, never from the request body
+    let wallet;
+    try {
+      ({ wallet } = await verifySiweLogin({ message, signature }));
+    } catch (error) {
+      auditLog({
+        action: 'LOGIN_FAILED',
+        reason: error.message,
+        ip: req.ip,
       });
+      return res.status(401).json({ error: error.message });
     }
 
     // Check if wallet is in admin whitelist
-    const isAdmin = config.adminWallets.includes(wallet.toLowerCase());
+    const isAdmin = await isAdminWallet(wallet);
 
     // Check if wallet is already registered
-    const existingUserByWallet = await gameState.getUserByWallet(wallet);
+    const existingUser = await gameState.getUserByWallet(wallet);
 
-    if (existingUserByWallet) {
-      // User exists - update username if different and return
-      const user = await gameState.upsertUser(existingUserByWallet.id, {
-        username: trimmedUsername,
-        wallet: wallet.toLowerCase(),
-        isAdmin,
-      });
-
-      const token = generateToken({
-        userId: user.id,
-        username: user.username,
-        wallet: user.wallet,
-        isAdmin,
-      });
-
-
-      // SECURITY: Audit log for admin logins
-      if (isAdmin) {
-        auditLog({
-          action: 'ADMIN_LOGIN',
-          userId: user.id,
-          username: user.username,
-          wallet: user.wallet,
-          ip: req.ip,
-        });
-      }
-
-      return res.json({
-        success: true,
-        user: {
-          id: user.id,
-          username: user.username,
-          wallet: user.wallet,
-          isAdmin,
-          stats: user.stats,
-        },
-        token,
-        message: 'Welcome back!',
+    if (!existingUser && !trimmedUsername) {
+      return res.status(400).json({
+        error: 'Username is required for new wallets'
       });
     }
 
-    // Create new user
-    const userId = `user_${wallet.toLowerCase()}`;
+    const userId = existingUser ? existingUser.id : `user_${wallet}`;
     const user = await gameState.upsertUser(userId, {
-      username: trimmedUsername,
-      wallet: wallet.toLowerCase(),
+      username: trimmedUsername || existingUser.username,
+      wallet,
       isAdmin,
     });
 
-    // Generate JWT token
-    const token = generateToken({
+    const session = await createSession({
       userId: user.id,
       username: user.username,
       wallet: user.wallet,
       isAdmin,
-    });
+    }, { ip: req.ip, userAgent: req.headers['user-agent'] });
 
+    // SECURITY: Audit log for admin logins
+    if (isAdmin) {
+      auditLog({
+        action: 'ADMIN_LOGIN',
+        userId: user.id,
+        username: user.username,
+        wallet: user.wallet,
+        ip: req.ip,
+      });
+    }
 
     res.json({
       success: true,
@@ -125,12 +129,87 @@ router.post('/register', rateLimit('register'), async (req, res) => {
         isAdmin,
         stats: user.stats,
       },
-      token,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      refreshExpiresAt: session.refreshExpiresAt,
+      ...(existingUser && { message: 'Welcome back!' }),
+    });
+  } catch (err) {
+    console.error('Sign-in error:', err);
+    res.status(500).json({ error: 'Sign-in failed' });
+  }
+}
+
+/**
+ * POST /auth/verify
+ * Verify a SIWE message signature and issue a JWT for the proven wallet
+ * SECURITY: Rate limited to prevent brute force
+ */
+router.post('/verify', rateLimit('register'), signIn);
+
+/**
+ * POST /auth/register
+ * Register or login - same as /auth/verify (kept for existing clients)
+ */
+router.post('/register', rateLimit('register'), signIn);
+
+/**
+ * POST /auth/refresh
+ * Exchange a refresh token for a new access + refresh token pair
+ * Body: { refreshToken } - the presented refresh token stops working
+ */
+router.post('/refresh', rateLimit('refresh'), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token required' });
+  }
+
+  try {
+    const { session, ...tokens } = await refreshSession(refreshToken);
+    res.json({ success: true, ...tokens });
+  } catch (err) {
+    auditLog({
+      action: 'TOKEN_REFRESH_FAILED',
+      reason: err.message,
+      ip: req.ip,
     });
+    res.status(401).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /auth/logout
+ * Revoke the current session (access token and refresh token)
+ */
+router.post('/logout', async (req, res) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const token = authHeader.split(' ')[1];
+
+  let decoded;
+  try {
+    decoded = await verifyAccessToken(token);
   } catch (err) {
-    console.error('Registration error:', err);
-    res.status(500).json({ error: 'Registration failed' });
+    return res.status(401).json({ error: 'Invalid token' });
   }
+
+  await revokeSession(decoded.sid, 'Logged out');
+  disconnectSessions(req.app.get('io'), [decoded.sid]);
+
+  auditLog({
+    action: 'LOGOUT',
+    userId: decoded.userId,
+    wallet: decoded.wallet,
+    ip: req.ip,
+  });
+
+  res.json({ success: true });
 });
 
 /**
@@ -147,7 +226,7 @@ router.get('/me', async (req, res) => {
   const token = authHeader.split(' ')[1];
 
   try {
-    const decoded = jwt.verify(token, config.jwtSecret);
+    const decoded = await verifyAccessToken(token);
     const user = await gameState.getUser(decoded.userId);
 
     if (!user) {
@@ -171,9 +250,30 @@ router.get('/me', async (req, res) => {
   }
 });
 
+/**
+ * GET /auth/stats
+ * Current player's statistics: games played and won, spend, winnings,
+ * average calls to win (amounts in atomic USDC)
+ */
+router.get('/stats', verifyToken, async (req, res) => {
+  try {
+    const stats = await gameHistory.getPlayerStats(req.user.userId);
+
+    if (!stats) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(stats);
+  } catch (err) {
+    console.error('Error getting player stats:', err);
+    res.status(500).json({ error: 'Failed to get player stats' });
+  }
+});
+
 /**
  * POST /auth/wallet
- * Associate wallet with user (for future use if needed)
+ * Move the current user to another wallet
+ * Body: { message, signature } - SIWE message signed by the new wallet
  */
 router.post('/wallet', async (req, res) => {
   const authHeader = req.headers.authorization;
@@ -183,25 +283,42 @@ router.post('/wallet', async (req, res) => {
   }
 
   const token = authHeader.split(' ')[1];
-  const { wallet } = req.body;
+  const { message, signature } = req.body;
 
-  if (!wallet) {
-    return res.status(400).json({ error: 'Wallet address required' });
+  if (!message || !signature) {
+    return res.status(400).json({ error: 'Signed message from the new wallet required' });
   }
 
-  // Validate wallet address format
-  if (!/^0x[a-fA-F0-9]{40}$/.test(wallet)) {
-    return res.status(400).json({
-      error: 'Invalid wallet address format'
-    });
+  let decoded;
+  try {
+    decoded = await verifyAccessToken(token);
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid token' });
   }
 
   try {
-    const decoded = jwt.verify(token, config.jwtSecret);
+    const { wallet } = await verifySiweLogin({ message, signature });
+
+    const owner = await gameState.getUserByWallet(wallet);
+    if (owner && owner.id !== decoded.userId) {
+      return res.status(409).json({ error: 'Wallet is already linked to another user' });
+    }
+
     const user = await gameState.upsertUser(decoded.userId, {
-      wallet: wallet.toLowerCase()
+      wallet,
+      isAdmin: await isAdminWallet(wallet),
     });
 
+    // Old session is bound to the previous wallet - replace it
+    await revokeSession(decoded.sid, 'Wallet changed');
+    disconnectSessions(req.app.get('io'), [decoded.sid]);
+    const session = await createSession({
+      userId: user.id,
+      username: user.username,
+      wallet: user.wallet,
+      isAdmin: user.isAdmin || false,
+    }, { ip: req.ip, userAgent: req.headers['user-agent'] });
+
     res.json({
       success: true,
       user: {
@@ -210,9 +327,13 @@ router.post('/wallet', async (req, res) => {
         wallet: user.wallet,
         isAdmin: user.isAdmin || false,
       },
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      refreshExpiresAt: session.refreshExpiresAt,
     });
   } catch (err) {
-    res.status(401).json({ error: 'Invalid token' });
+    res.status(401).json({ error: err.message });
   }
 });
 
@@ -230,7 +351,7 @@ router.get('/cards', async (req, res) => {
   const token = authHeader.split(' ')[1];
 
   try {
-    const decoded = jwt.verify(token, config.jwtSecret);
+    const decoded = await verifyAccessToken(token);
     const cards = await gameState.getCardsByOwner(decoded.userId);
 
     res.json({
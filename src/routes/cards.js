@@ -1,8 +1,13 @@
 import { Router } from 'express';
-import { verifyToken, optionalAuth } from '../middleware/auth.js';
+import { verifyToken, optionalAuth, getRequestUser } from '../middleware/auth.js';
 import { rateLimit, validateFibonacciQuantity, auditLog } from '../middleware/security.js';
 import gameState from '../services/gameState.js';
+import rooms from '../services/rooms.js';
+import { resolveRoom, getRequestedRoom } from '../middleware/room.js';
 import bingoCard from '../services/bingoCard.js';
+import purchaseLimits from '../services/purchaseLimits.js';
+import payments from '../services/payments.js';
+import { PAYMENT_STATUS } from '../models/index.js';
 import { config } from '../config/index.js';
 
 const router = Router();
@@ -12,10 +17,12 @@ const VALID_QUANTITIES = [1, 2, 3, 5, 8, 13, 21, 34];
 
 /**
  * GET /api/cards/available
- * Get available cards for purchase
+ * Get available cards for purchase (price of the room given by ?roomId)
  */
-router.get('/available', async (req, res) => {
+router.get('/available', resolveRoom, async (req, res) => {
   try {
+    const room = await rooms.getRoom(req.roomId);
+
     // Get the real count of available cards
     const totalAvailable = await gameState.countAvailableCards();
 
@@ -25,7 +32,9 @@ router.get('/available', async (req, res) => {
     res.json({
       cards,
       total: totalAvailable,
-      price: config.cardPrice,
+      roomId: req.roomId,
+      price: room?.cardPrice ?? config.cardPrice,
+      roomOpen: room?.active ?? true,
       maxPerPurchase: config.maxCardsPerPurchase,
     });
   } catch (error) {
@@ -34,31 +43,116 @@ router.get('/available', async (req, res) => {
   }
 });
 
+/**
+ * Checks a card purchase must pass before the x402 payment is settled
+ * (x402 precheck of POST /purchase, see index.js): card sale open in the room
+ * (scheduled cutoff, game in progress), self-exclusion and purchase caps.
+ * A recorded payment retried later skips them and gets its cards.
+ * @returns {Object|null} null if allowed, else { status, code, error }
+ */
+export async function precheckPurchase(req, unitPrice) {
+  const user = await getRequestUser(req);
+  if (!user) {
+    return { status: 401, error: 'No token provided' };
+  }
+  const userId = user.userId;
+  const roomId = await rooms.resolveRoomId(getRequestedRoom(req));
+  const quantity = req.body?.quantity;
+
+  // Scheduled games stop selling cards shortly before they start
+  if (await gameState.isPurchaseCutoffReached(roomId)) {
+    auditLog({
+      action: 'PURCHASE_BLOCKED_CUTOFF',
+      reason: 'Attempted purchase after the scheduled game cutoff',
+      userId,
+      roomId,
+      quantity,
+      ip: req.ip,
+    });
+    return {
+      status: 403,
+      error: 'La venta de cartones está cerrada: la partida programada está por comenzar.',
+      code: 'PURCHASE_CUTOFF',
+    };
+  }
+
+  // SECURITY CRITICAL: Check if purchases are allowed (game not in progress)
+  if (!(await gameState.canPurchaseCards(roomId))) {
+    auditLog({
+      action: 'PURCHASE_BLOCKED_GAME_ACTIVE',
+      reason: 'Attempted purchase during active game',
+      userId,
+      roomId,
+      quantity,
+      ip: req.ip,
+    });
+    return {
+      status: 403,
+      error: 'La venta de cartones está bloqueada mientras hay un juego en progreso. Espera a que termine la partida actual.',
+      code: 'GAME_IN_PROGRESS',
+    };
+  }
+
+  return purchaseLimits.checkPurchaseAllowed(userId, roomId, quantity, unitPrice);
+}
+
 /**
  * POST /api/cards/purchase
  * Purchase cards by quantity (random assignment)
  * Protected by x402 payment middleware (configured in index.js)
+ * Optional Idempotency-Key header: a retry with the same key (or the same
+ * payment header) gets the original cards instead of a new charge
  * SECURITY: Rate limited, Fibonacci quantities only, no manual card selection
  */
-router.post('/purchase', rateLimit('purchase'), verifyToken, async (req, res) => {
+router.post('/purchase', rateLimit('purchase'), verifyToken, resolveRoom, async (req, res) => {
   try {
-    const { quantity, wallet } = req.body;
+    const { quantity } = req.body;
     const userId = req.user.userId;
-
-    // SECURITY CRITICAL: Check if purchases are allowed (game not in progress)
-    const canPurchase = await gameState.canPurchaseCards();
-    if (!canPurchase) {
-      auditLog({
-        action: 'PURCHASE_BLOCKED_GAME_ACTIVE',
-        reason: 'Attempted purchase during active game',
-        userId,
-        quantity,
-        ip: req.ip,
-      });
-      return res.status(403).json({
-        error: 'La venta de cartones está bloqueada mientras hay un juego en progreso. Espera a que termine la partida actual.',
-        code: 'GAME_IN_PROGRESS',
-      });
+    // SECURITY: Cards belong to the wallet proven at sign-in, never to one sent in the body
+    const wallet = req.user.wallet || null;
+    const { roomId } = req;
+
+    // Repeated request for a recorded payment (Idempotency-Key or same payment header):
+    // answer with its outcome - never charge or assign cards twice
+    const previous = req.x402Payment?.replay ? req.x402Payment.payment : null;
+    if (previous) {
+      if (previous.userId !== userId || (previous.quantity !== null && previous.quantity !== quantity)) {
+        auditLog({
+          action: 'PAYMENT_REPLAY_MISMATCH',
+          reason: previous.userId !== userId ? 'Payment belongs to another user' : 'Different quantity',
+          paymentId: previous.paymentId,
+          userId,
+          quantity,
+          ip: req.ip,
+        });
+        return res.status(409).json({
+          error: 'This payment or Idempotency-Key belongs to a different purchase',
+          code: 'IDEMPOTENCY_MISMATCH',
+        });
+      }
+      if (previous.status === PAYMENT_STATUS.COMPLETED) {
+        return res.json({ ...previous.response, replayed: true });
+      }
+      // The settle never answered - an admin checks the transfer and resolves the payment
+      if (payments.isPaymentUnconfirmed(previous)) {
+        auditLog({
+          action: 'PAYMENT_UNCONFIRMED_RETRY',
+          paymentId: previous.paymentId,
+          userId,
+          ip: req.ip,
+        });
+        return res.status(409).json({
+          error: 'This payment could not be confirmed yet and is being reviewed. Try again later.',
+          code: 'PAYMENT_UNCONFIRMED',
+        });
+      }
+      if (previous.status === PAYMENT_STATUS.PENDING) {
+        return res.status(409).json({
+          error: 'This payment is still being processed. Try again shortly.',
+          code: 'PAYMENT_IN_PROGRESS',
+        });
+      }
+      // Settled but no cards assigned yet - assign them now with the recorded transaction
     }
 
     // SECURITY: Block cardIds - manual selection is NOT allowed
@@ -94,6 +188,27 @@ router.post('/purchase', rateLimit('purchase'), verifyToken, async (req, res) =>
       });
     }
 
+    // Responsible gaming: self-exclusion and purchase caps (also checked before payment)
+    const limitRejection = await purchaseLimits.checkPurchaseAllowed(
+      userId,
+      roomId,
+      quantity,
+      req.x402Payment?.unitPrice ?? await rooms.getCardPrice(roomId)
+    );
+    if (limitRejection) {
+      auditLog({
+        action: 'PURCHASE_BLOCKED_LIMIT',
+        reason: limitRejection.error,
+        code: limitRejection.code,
+        userId,
+        roomId,
+        quantity,
+        ip: req.ip,
+      });
+      const { status, ...body } = limitRejection;
+      return res.status(status).json(body);
+    }
+
     // SECURITY CRITICAL: Validate that x402 payment was successful BEFORE processing
     // This route is protected by x402 middleware, but we must verify payment was valid
     if (!req.x402Payment) {
@@ -152,17 +267,18 @@ router.post('/purchase', rateLimit('purchase'), verifyToken, async (req, res) =>
     }
 
     const cardsToAssign = availableCards.slice(0, quantity).map(c => c.id);
-    // Price per card in atomic USDC units (6 decimals)
-    const pricePerCard = Math.round(config.cardPrice * 1_000_000).toString();
+    // Price per card in atomic USDC units (6 decimals) - the room price charged by x402
+    const pricePerCard = Math.round(req.x402Payment.unitPrice * 1_000_000).toString();
 
     // SECURITY: Reserve cards FIRST to prevent race conditions
-    // This ensures no other user can buy these same cards while we process
+    // This ensures no other user can buy these same cards while we process.
+    // All or nothing: a partial reservation is released and nothing is returned
     const reservedCards = await gameState.reserveCards(cardsToAssign, userId, 5);
 
     if (reservedCards.length === 0) {
       auditLog({
         action: 'PURCHASE_RESERVATION_FAILED',
-        reason: 'Could not reserve any cards',
+        reason: 'Could not reserve all cards',
         userId,
         quantity,
         requestedCards: cardsToAssign,
@@ -173,23 +289,6 @@ router.post('/purchase', rateLimit('purchase'), verifyToken, async (req, res) =>
       });
     }
 
-    if (reservedCards.length < quantity) {
-      // Release partial reservation and fail
-      const reservedIds = reservedCards.map(c => c.id);
-      await gameState.releaseReservation(reservedIds, userId);
-      auditLog({
-        action: 'PURCHASE_PARTIAL_RESERVATION',
-        reason: 'Could only reserve some cards',
-        userId,
-        quantity,
-        reserved: reservedCards.length,
-        ip: req.ip,
-      });
-      return res.status(409).json({
-        error: `Only ${reservedCards.length} of ${quantity} cards were available. Please try again.`,
-      });
-    }
-
     // SECURITY: Now confirm the reservation with the payment transaction
     const reservedIds = reservedCards.map(c => c.id);
     const result = await gameState.confirmReservation(
@@ -197,17 +296,14 @@ router.post('/purchase', rateLimit('purchase'), verifyToken, async (req, res) =>
       userId,
       wallet,
       txHash,
-      pricePerCard
+      pricePerCard,
+      null,
+      roomId
     );
 
     const purchasedCards = result.cards;
     const errors = result.success ? [] : [{ error: 'Failed to confirm reservation' }];
 
-    // Update user's wallet if provided
-    if (wallet) {
-      await gameState.upsertUser(userId, { wallet });
-    }
-
     if (purchasedCards.length === 0) {
       return res.status(400).json({
         error: 'No cards could be purchased',
@@ -215,39 +311,138 @@ router.post('/purchase', rateLimit('purchase'), verifyToken, async (req, res) =>
       });
     }
 
-    // Update user stats (non-critical, don't fail the purchase if this errors)
-    try {
-      await gameState.incrementUserStats(userId, 'cardsPurchased', purchasedCards.length);
-      // Calculate total spent (cards purchased * price per card)
-      const totalSpent = purchasedCards.length * parseInt(pricePerCard);
-      if (totalSpent > 0) {
-        await gameState.incrementUserStats(userId, 'totalSpent', totalSpent.toString());
-      }
-    } catch (statsErr) {
-      console.error('Error updating user stats (non-critical):', statsErr.message);
-    }
-
-    res.json({
+    const response = {
       success: true,
       cards: purchasedCards,
       message: `Successfully purchased ${purchasedCards.length} cards`,
+      roomId,
       transaction: txHash,
       errors: errors.length > 0 ? errors : undefined,
-    });
+    };
+
+    // Repeated requests for this payment get this same response
+    if (req.x402Payment.paymentId) {
+      await payments.completePayment(req.x402Payment.paymentId, response);
+    }
+
+    res.json(response);
   } catch (err) {
     console.error('Purchase error:', err);
     res.status(500).json({ error: 'Failed to process purchase' });
   }
 });
 
+/**
+ * GET /api/cards/limits
+ * Purchase caps, self-exclusion and usage of the current user (room by ?roomId)
+ */
+router.get('/limits', verifyToken, resolveRoom, async (req, res) => {
+  try {
+    res.json(await purchaseLimits.getLimitsStatus(req.user.userId, req.roomId));
+  } catch (error) {
+    console.error('Error getting purchase limits:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/cards/limits
+ * Set the user's own purchase caps
+ * Body: { maxCardsPerGame, maxCardsPerDay, maxCardsPerWeek, maxSpendPerDay, maxSpendPerWeek }
+ * (null = no personal cap). Stricter caps apply at once, looser ones after a cooling-off period.
+ */
+router.put('/limits', verifyToken, async (req, res) => {
+  try {
+    const result = await purchaseLimits.setUserLimits(req.user.userId, req.body || {});
+
+    auditLog({
+      action: 'PURCHASE_LIMITS_CHANGED',
+      userId: req.user.userId,
+      applied: result.applied,
+      pending: result.pending,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error setting purchase limits:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/cards/self-exclusion
+ * Block the user's own purchases for a number of days (cannot be shortened)
+ * Body: { days }
+ */
+router.post('/self-exclusion', verifyToken, async (req, res) => {
+  try {
+    const until = await purchaseLimits.selfExclude(req.user.userId, req.body?.days);
+
+    auditLog({
+      action: 'SELF_EXCLUSION_SET',
+      userId: req.user.userId,
+      days: req.body.days,
+      until,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, selfExcludedUntil: until });
+  } catch (error) {
+    console.error('Error setting self-exclusion:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/cards/my-refunds
+ * Get the user's refunds from cancelled games (optional ?status=pending|executed)
+ */
+router.get('/my-refunds', verifyToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !['pending', 'executed'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be pending or executed' });
+    }
+
+    const refunds = await gameState.getRefundsForPlayer(req.user.userId, req.user.wallet, status || null);
+    const pendingTotal = refunds
+      .filter(r => r.status === 'pending')
+      .reduce((sum, r) => sum + BigInt(r.amount), 0n)
+      .toString();
+
+    res.json({
+      refunds: refunds.map(r => ({
+        refundId: r.refundId,
+        gameId: r.gameId,
+        roomId: r.roomId,
+        cardIds: r.cardIds,
+        amount: r.amount,
+        token: r.token,
+        status: r.status,
+        txHash: r.txHash,
+        createdAt: r.createdAt,
+        executedAt: r.executedAt,
+      })),
+      count: refunds.length,
+      pendingTotal,
+    });
+  } catch (error) {
+    console.error('Error getting user refunds:', error);
+    res.status(500).json({ error: 'Failed to get refunds' });
+  }
+});
+
 /**
  * GET /api/cards/my-cards
- * Get user's purchased cards
+ * Get user's purchased cards with their validity (gamesRemaining / validUntil)
+ * Query: includeExpired=true also lists cards whose validity ended
  */
 router.get('/my-cards', verifyToken, async (req, res) => {
   try {
     const userId = req.user.userId;
-    const cards = await gameState.getCardsByOwner(userId);
+    const cards = await gameState.getCardsByOwner(userId, req.query.includeExpired === 'true');
 
     res.json({
       cards,
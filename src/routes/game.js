@@ -1,15 +1,87 @@
 import { Router } from 'express';
+import { verifyToken, optionalAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/security.js';
 import gameState from '../services/gameState.js';
+import rooms from '../services/rooms.js';
+import gameTimeline from '../services/gameTimeline.js';
+import gameHistory from '../services/gameHistory.js';
+import { submitBingoClaim } from '../services/socket.js';
+import { resolveRoom } from '../middleware/room.js';
 
 const router = Router();
 
+/**
+ * GET /api/game/rooms
+ * List open rooms with their card price and current game status
+ */
+router.get('/rooms', async (req, res) => {
+  try {
+    const roomList = await rooms.listRooms();
+    const result = await Promise.all(roomList.map(async (room) => {
+      const state = await gameState.getGameState(room.roomId);
+      return {
+        ...room,
+        gameId: state.id,
+        status: state.status,
+        gameMode: state.gameMode,
+        numbersCalledCount: state.calledNumbers.length,
+        prizePool: state.prizePool,
+        canPurchase: state.canPurchase,
+      };
+    }));
+
+    res.json({ rooms: result });
+  } catch (error) {
+    console.error('Error listing rooms:', error);
+    res.status(500).json({ error: 'Failed to list rooms' });
+  }
+});
+
+/**
+ * GET /api/game/schedule
+ * Upcoming scheduled games, soonest first (optional ?roomId filter)
+ */
+router.get('/schedule', async (req, res) => {
+  try {
+    let roomId = null;
+    if (req.query.roomId) {
+      roomId = await rooms.resolveRoomId({ roomId: req.query.roomId }).catch(() => null);
+      if (!roomId) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+    }
+
+    const [games, roomList] = await Promise.all([
+      gameState.getUpcomingGames(roomId),
+      rooms.listRooms(true),
+    ]);
+    const roomsById = new Map(roomList.map(room => [room.roomId, room]));
+
+    res.json({
+      games: games
+        .filter(game => roomsById.get(game.roomId)?.active !== false)
+        .map(game => ({
+          ...game,
+          roomName: roomsById.get(game.roomId)?.name || game.roomId,
+          cardPrice: roomsById.get(game.roomId)?.cardPrice ?? null,
+        })),
+      serverTime: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error getting game schedule:', error);
+    res.status(500).json({ error: 'Failed to get game schedule' });
+  }
+});
+
 /**
  * GET /api/game/current
  * Get current game state (including game mode and purchase status)
+ * Query: roomId or gameId (default room if omitted) - also applies to
+ * /called-numbers and /status
  */
-router.get('/current', async (req, res) => {
+router.get('/current', resolveRoom, async (req, res) => {
   try {
-    const state = await gameState.getGameState();
+    const state = await gameState.getGameState(req.roomId);
     const patternInfo = gameState.getPatternInfoForMode(state.gameMode);
 
     res.json({
@@ -26,9 +98,9 @@ router.get('/current', async (req, res) => {
  * GET /api/game/called-numbers
  * Get all called numbers
  */
-router.get('/called-numbers', async (req, res) => {
+router.get('/called-numbers', resolveRoom, async (req, res) => {
   try {
-    const calledNumbers = await gameState.getCalledNumbers();
+    const calledNumbers = await gameState.getCalledNumbers(req.roomId);
     res.json({
       calledNumbers,
       count: calledNumbers.length,
@@ -44,10 +116,12 @@ router.get('/called-numbers', async (req, res) => {
  * GET /api/game/status
  * Get game status (including canPurchase for frontend)
  */
-router.get('/status', async (req, res) => {
+router.get('/status', resolveRoom, async (req, res) => {
   try {
-    const state = await gameState.getGameState();
+    const state = await gameState.getGameState(req.roomId);
     res.json({
+      roomId: state.roomId,
+      gameId: state.id,
       status: state.status,
       gameMode: state.gameMode,
       currentNumber: state.currentNumber,
@@ -61,6 +135,20 @@ router.get('/status', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/game/claim
+ * Claim bingo on one of the player's cards (same as the claim-bingo socket event)
+ * Body: { cardId, roomId? } - a valid claim pauses the game for admin verification
+ */
+router.post('/claim', verifyToken, rateLimit('claim'), resolveRoom, async (req, res) => {
+  try {
+    const claim = await submitBingoClaim(req.app.get('io'), req.roomId, req.body.cardId, req.user.userId);
+    res.json({ success: true, claim });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/game/modes
  * Get all available game modes (public endpoint)
@@ -74,6 +162,8 @@ router.get('/modes', (req, res) => {
       description: pattern.description,
       positions: pattern.positions,
       isSpecialPattern: pattern.isSpecialPattern || false,
+      isCustom: pattern.isCustom || false,
+      alternatives: pattern.alternatives || null,
     }));
 
     res.json({ modes });
@@ -103,6 +193,34 @@ router.get('/pattern/:mode', (req, res) => {
   }
 });
 
+/**
+ * GET /api/game/history
+ * Finished games, most recent first (public endpoint)
+ * Query: page (1-based), limit (max 50), roomId (optional filter)
+ */
+router.get('/history', async (req, res) => {
+  try {
+    let roomId = null;
+    if (req.query.roomId) {
+      roomId = await rooms.resolveRoomId({ roomId: req.query.roomId }).catch(() => null);
+      if (!roomId) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+    }
+
+    const history = await gameHistory.getGameHistory({
+      roomId,
+      page: req.query.page,
+      limit: req.query.limit,
+    });
+
+    res.json(history);
+  } catch (error) {
+    console.error('Error getting game history:', error);
+    res.status(500).json({ error: 'Failed to get game history' });
+  }
+});
+
 /**
  * GET /api/game/winners
  * Get recent winners history (public endpoint)
@@ -149,4 +267,106 @@ router.get('/winners/:wallet', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/game/fairness/:gameId
+ * Provably-fair draw proof (public endpoint)
+ * Returns the seed commitment and, once the game has ended, the revealed seed
+ * with the replayed draw order so anyone can audit the called numbers
+ */
+router.get('/fairness/:gameId', async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    if (!/^game_[a-zA-Z0-9_-]+$/.test(gameId)) {
+      return res.status(400).json({ error: 'Invalid game ID format' });
+    }
+
+    const proof = await gameState.getDrawProof(gameId);
+
+    if (!proof) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    res.json(proof);
+  } catch (error) {
+    console.error('Error getting draw proof:', error);
+    res.status(500).json({ error: 'Failed to get draw proof' });
+  }
+});
+
+/**
+ * GET /api/game/:gameId/timeline
+ * Everything that happened in a game, in order (public endpoint):
+ * start, each call with its time and caller, pauses with their reason,
+ * potential/verified/rejected winners, mode and stage changes, end
+ */
+router.get('/:gameId/timeline', async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    if (!/^game_[a-zA-Z0-9_-]+$/.test(gameId)) {
+      return res.status(400).json({ error: 'Invalid game ID format' });
+    }
+
+    const timeline = await gameTimeline.getTimeline(gameId);
+
+    if (!timeline) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    res.json(timeline);
+  } catch (error) {
+    console.error('Error getting game timeline:', error);
+    res.status(500).json({ error: 'Failed to get game timeline' });
+  }
+});
+
+/**
+ * GET /api/game/:gameId/replay
+ * Board state of a card after a number of calls
+ * Query: cardId, callIndex (calls made, 0 = before the first call; default: all)
+ * Only the card owner or an admin can replay a card
+ */
+router.get('/:gameId/replay', optionalAuth, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const { cardId } = req.query;
+
+    if (!/^game_[a-zA-Z0-9_-]+$/.test(gameId)) {
+      return res.status(400).json({ error: 'Invalid game ID format' });
+    }
+    if (typeof cardId !== 'string' || !cardId) {
+      return res.status(400).json({ error: 'cardId is required' });
+    }
+
+    let callIndex = null;
+    if (req.query.callIndex !== undefined) {
+      callIndex = Number(req.query.callIndex);
+      if (!Number.isInteger(callIndex)) {
+        return res.status(400).json({ error: 'callIndex must be an integer' });
+      }
+    }
+
+    let replay;
+    try {
+      replay = await gameTimeline.getCardReplay(gameId, cardId, callIndex);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    if (!replay) {
+      return res.status(404).json({ error: 'Game or card not found' });
+    }
+
+    if (req.user?.userId !== replay.owner && !req.user?.isAdmin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(replay);
+  } catch (error) {
+    console.error('Error replaying card:', error);
+    res.status(500).json({ error: 'Failed to replay card' });
+  }
+});
+
 export default router;
@@ -0,0 +1,207 @@
+import { config } from '../config/index.js';
+import { AdminRole, ADMIN_ROLES } from '../models/index.js';
+
+/**
+ * Admin roles and permissions
+ * Roles are persisted in the AdminRole collection. Each instance caches them
+ * for config.adminRoles.cacheTtlSeconds and reloads them before answering a
+ * check once the cache is older, so a role change made on one instance
+ * reaches every instance within the TTL.
+ * Wallets in ADMIN_WALLETS are always superadmins and cannot be changed here.
+ */
+
+export const PERMISSIONS = {
+  GAME_VIEW: 'game:view',             // Stats, active cards, game modes
+  GAME_CONTROL: 'game:control',       // Start/pause/resume/end/cancel, mode, stages, claims, card policy, schedule
+  GAME_CALL: 'game:call',             // Call/draw numbers, auto-caller
+  WINNERS_VERIFY: 'winners:verify',   // Verify or reject winners
+  CARDS_VIEW: 'cards:view',           // Card search and details
+  CARDS_MANAGE: 'cards:manage',       // Generate cards
+  PAYOUTS_VIEW: 'payouts:view',       // Payouts and refunds lists
+  PAYOUTS_MANAGE: 'payouts:manage',   // Mark payouts paid, refunds executed
+  ROOMS_MANAGE: 'rooms:manage',
+  PATTERNS_MANAGE: 'patterns:manage',
+  USERS_VIEW: 'users:view',
+  USERS_MANAGE: 'users:manage',       // Revoke sessions
+  AUDIT_VIEW: 'audit:view',
+  ROLES_MANAGE: 'roles:manage',
+};
+
+export const ROLE_PERMISSIONS = {
+  [ADMIN_ROLES.CALLER]: [
+    PERMISSIONS.GAME_VIEW,
+    PERMISSIONS.GAME_CONTROL,
+    PERMISSIONS.GAME_CALL,
+  ],
+  [ADMIN_ROLES.VERIFIER]: [
+    PERMISSIONS.GAME_VIEW,
+    PERMISSIONS.WINNERS_VERIFY,
+    PERMISSIONS.CARDS_VIEW,
+  ],
+  [ADMIN_ROLES.TREASURER]: [
+    PERMISSIONS.GAME_VIEW,
+    PERMISSIONS.PAYOUTS_VIEW,
+    PERMISSIONS.PAYOUTS_MANAGE,
+    PERMISSIONS.AUDIT_VIEW,
+  ],
+  [ADMIN_ROLES.SUPERADMIN]: Object.values(PERMISSIONS),
+};
+
+// wallet -> roles of admins stored in the database, and when they were loaded
+let storedRoles = new Map();
+let loadedAt = 0;
+let loading = null;
+
+/**
+ * Load admin roles from the database
+ * Called on server start; changes made here reload it.
+ * @returns {number} Number of stored admins
+ */
+export async function loadAdminRoles() {
+  const admins = await AdminRole.find({ 'roles.0': { $exists: true } }).lean();
+  storedRoles = new Map(admins.map(admin => [admin.wallet, admin.roles]));
+  loadedAt = Date.now();
+  return storedRoles.size;
+}
+
+/**
+ * Stored roles, reloaded when the cache is older than the TTL
+ * Concurrent checks share one reload.
+ */
+async function getStoredRoles() {
+  if (Date.now() - loadedAt >= config.adminRoles.cacheTtlSeconds * 1000) {
+    loading ||= loadAdminRoles().finally(() => { loading = null; });
+    await loading;
+  }
+  return storedRoles;
+}
+
+function isEnvAdmin(wallet) {
+  return config.adminWallets.includes(wallet);
+}
+
+/**
+ * Roles of a wallet (empty if not an admin)
+ */
+export async function getAdminRoles(wallet) {
+  const normalized = typeof wallet === 'string' ? wallet.toLowerCase() : null;
+  if (!normalized) return [];
+  if (isEnvAdmin(normalized)) return [ADMIN_ROLES.SUPERADMIN];
+  return (await getStoredRoles()).get(normalized) || [];
+}
+
+/**
+ * Whether a wallet has any admin role
+ */
+export async function isAdminWallet(wallet) {
+  return (await getAdminRoles(wallet)).length > 0;
+}
+
+/**
+ * Permissions granted by a wallet's roles
+ */
+export async function getPermissions(wallet) {
+  const permissions = new Set();
+  for (const role of await getAdminRoles(wallet)) {
+    (ROLE_PERMISSIONS[role] || []).forEach(permission => permissions.add(permission));
+  }
+  return [...permissions];
+}
+
+/**
+ * Whether a wallet's roles grant a permission
+ */
+export async function hasPermission(wallet, permission) {
+  return (await getAdminRoles(wallet)).some(role => ROLE_PERMISSIONS[role]?.includes(permission));
+}
+
+/**
+ * List every admin (env superadmins first)
+ */
+export async function listAdmins() {
+  const stored = await AdminRole.find({ 'roles.0': { $exists: true } }).sort({ createdAt: 1 }).lean();
+  return [
+    ...config.adminWallets.map(wallet => ({ wallet, roles: [ADMIN_ROLES.SUPERADMIN], source: 'env' })),
+    ...stored
+      .filter(admin => !isEnvAdmin(admin.wallet))
+      .map(admin => ({
+        wallet: admin.wallet,
+        roles: admin.roles,
+        source: 'database',
+        updatedBy: admin.updatedBy,
+        createdAt: admin.createdAt,
+        updatedAt: admin.updatedAt,
+      })),
+  ];
+}
+
+function countSuperadmins(roles) {
+  let count = config.adminWallets.length;
+  for (const [wallet, walletRoles] of roles) {
+    if (!isEnvAdmin(wallet) && walletRoles.includes(ADMIN_ROLES.SUPERADMIN)) count++;
+  }
+  return count;
+}
+
+/**
+ * Set the roles of a wallet (an empty list removes the admin)
+ * @param {string} wallet - Admin wallet
+ * @param {string[]} roles - ADMIN_ROLES values
+ * @param {string} updatedBy - Wallet of the admin making the change
+ * @returns {Object} { wallet, roles }
+ */
+export async function setAdminRoles(wallet, roles, updatedBy = null) {
+  if (typeof wallet !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(wallet)) {
+    throw new Error('Invalid wallet address format');
+  }
+  if (!Array.isArray(roles)) {
+    throw new Error('roles must be an array');
+  }
+  const validRoles = Object.values(ADMIN_ROLES);
+  const invalid = roles.filter(role => !validRoles.includes(role));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid roles: ${invalid.join(', ')}. Valid: ${validRoles.join(', ')}`);
+  }
+
+  const normalized = wallet.toLowerCase();
+  if (isEnvAdmin(normalized)) {
+    throw new Error('Wallet is configured in ADMIN_WALLETS and cannot be changed');
+  }
+
+  // SECURITY: Never leave the system without a superadmin
+  const uniqueRoles = [...new Set(roles)];
+  // Checked against the database, not the cache - another instance may have changed it
+  await loadAdminRoles();
+  const wasSuperadmin = (storedRoles.get(normalized) || []).includes(ADMIN_ROLES.SUPERADMIN);
+  if (wasSuperadmin && !uniqueRoles.includes(ADMIN_ROLES.SUPERADMIN) && countSuperadmins(storedRoles) <= 1) {
+    throw new Error('Cannot remove the last superadmin');
+  }
+
+  if (uniqueRoles.length === 0) {
+    await AdminRole.deleteOne({ wallet: normalized });
+  } else {
+    await AdminRole.findOneAndUpdate(
+      { wallet: normalized },
+      {
+        $set: { roles: uniqueRoles, updatedBy, updatedAt: new Date() },
+        $setOnInsert: { wallet: normalized, createdAt: new Date() },
+      },
+      { upsert: true }
+    );
+  }
+
+  await loadAdminRoles();
+  return { wallet: normalized, roles: uniqueRoles };
+}
+
+export default {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  loadAdminRoles,
+  getAdminRoles,
+  isAdminWallet,
+  getPermissions,
+  hasPermission,
+  listAdmins,
+  setAdminRoles,
+};
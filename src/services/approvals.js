@@ -0,0 +1,337 @@
+/**
+ * Multi-admin (M-of-N) approvals
+ * Sensitive admin actions are stored as PendingActions. The requesting admin
+ * counts as the first approval; once `threshold` distinct admins holding the
+ * action's permission approved, the registered executor runs it.
+ * Every request, decision and execution is written to the audit log.
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { PendingAction, PENDING_ACTION_STATUS, PENDING_ACTION_TYPES } from '../models/index.js';
+import { auditLog } from '../middleware/security.js';
+import { hasPermission, PERMISSIONS } from './adminRoles.js';
+import gameState from './gameState.js';
+
+// Permission an admin needs to request, approve or reject each action type
+const ACTION_PERMISSIONS = {
+  [PENDING_ACTION_TYPES.VERIFY_WINNER]: PERMISSIONS.WINNERS_VERIFY,
+  [PENDING_ACTION_TYPES.MARK_PAYOUT_PAID]: PERMISSIONS.PAYOUTS_MANAGE,
+};
+
+const ACTION_THRESHOLDS = {
+  [PENDING_ACTION_TYPES.VERIFY_WINNER]: () => config.approvals.verifyWinner,
+  [PENDING_ACTION_TYPES.MARK_PAYOUT_PAID]: () => config.approvals.markPayoutPaid,
+};
+
+// type -> async (action, context) => result
+const executors = new Map();
+
+/**
+ * Register the function that runs an action once approved
+ * @param {string} type - PENDING_ACTION_TYPES value
+ * @param {Function} executor - async (action, context) => result; context is
+ *   what the caller passed to requestAction/approveAction (e.g. { io })
+ */
+export function registerActionExecutor(type, executor) {
+  executors.set(type, executor);
+}
+
+registerActionExecutor(PENDING_ACTION_TYPES.MARK_PAYOUT_PAID, async (action) => {
+  const payout = await gameState.markPayoutPaid(action.payload.payoutId, action.payload.txHash, action.requestedBy);
+  if (!payout) {
+    throw new Error('Payout not found');
+  }
+  return { payoutId: payout.payoutId, txHash: payout.txHash, amount: payout.amount, wallet: payout.wallet };
+});
+
+/**
+ * Approvals required for an action type
+ */
+export function getApprovalThreshold(type) {
+  return Math.max(1, ACTION_THRESHOLDS[type]?.() || 1);
+}
+
+/**
+ * Whether actions of this type need more than one admin
+ */
+export function requiresApproval(type) {
+  return getApprovalThreshold(type) > 1;
+}
+
+/**
+ * Format an action for API responses and socket events
+ */
+export function formatAction(action) {
+  return {
+    actionId: action.actionId,
+    type: action.type,
+    targetId: action.targetId,
+    roomId: action.roomId,
+    payload: action.payload,
+    status: action.status,
+    threshold: action.threshold,
+    approvalCount: action.approvals.length,
+    requestedBy: action.requestedBy,
+    approvals: action.approvals,
+    rejection: action.rejection,
+    result: action.result,
+    error: action.error,
+    createdAt: action.createdAt,
+    expiresAt: action.expiresAt,
+    executedAt: action.executedAt,
+  };
+}
+
+async function assertPermission(type, wallet) {
+  const permission = ACTION_PERMISSIONS[type];
+  if (!permission) {
+    throw new Error(`Unknown action type: ${type}`);
+  }
+  if (!(await hasPermission(wallet, permission))) {
+    throw new Error(`Permission required: ${permission}`);
+  }
+}
+
+/**
+ * Mark pending actions past their expiry as expired
+ */
+async function expireStaleActions(filter = {}) {
+  await PendingAction.updateMany(
+    { ...filter, status: PENDING_ACTION_STATUS.PENDING, expiresAt: { $lte: new Date() } },
+    { $set: { status: PENDING_ACTION_STATUS.EXPIRED } }
+  );
+}
+
+/**
+ * Run an action whose threshold is met (only one caller wins the claim)
+ */
+async function executeIfApproved(action, context) {
+  if (action.approvals.length < action.threshold) {
+    return { action, executed: false };
+  }
+
+  const claimed = await PendingAction.findOneAndUpdate(
+    { actionId: action.actionId, status: PENDING_ACTION_STATUS.PENDING },
+    { $set: { status: PENDING_ACTION_STATUS.EXECUTING } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { action, executed: false };
+  }
+
+  const executor = executors.get(claimed.type);
+  const approvedBy = claimed.approvals.map(approval => approval.wallet);
+  try {
+    if (!executor) {
+      throw new Error(`No executor registered for ${claimed.type}`);
+    }
+    const result = await executor(claimed.toObject(), context);
+    claimed.status = PENDING_ACTION_STATUS.EXECUTED;
+    claimed.result = result ?? null;
+    claimed.executedAt = new Date();
+    await claimed.save();
+
+    auditLog({
+      action: 'APPROVAL_EXECUTED',
+      actionId: claimed.actionId,
+      type: claimed.type,
+      targetId: claimed.targetId,
+      roomId: claimed.roomId,
+      approvedBy,
+    });
+    return { action: claimed, executed: true, result };
+  } catch (err) {
+    claimed.status = PENDING_ACTION_STATUS.FAILED;
+    claimed.error = err.message;
+    claimed.executedAt = new Date();
+    await claimed.save();
+
+    auditLog({
+      action: 'APPROVAL_EXECUTION_FAILED',
+      actionId: claimed.actionId,
+      type: claimed.type,
+      targetId: claimed.targetId,
+      roomId: claimed.roomId,
+      approvedBy,
+      error: err.message,
+    });
+    return { action: claimed, executed: false, error: err.message };
+  }
+}
+
+/**
+ * Request an action - executes at once if one approval is enough
+ * A request for a target that already has a pending action approves it.
+ * @param {Object} request - { type, targetId, roomId, payload, wallet }
+ * @param {Object} context - Passed to the executor (e.g. { io })
+ * @returns {Object} { action, executed, result?, error? }
+ */
+export async function requestAction({ type, targetId, roomId = null, payload = {}, wallet }, context = {}) {
+  await assertPermission(type, wallet);
+  if (!targetId) {
+    throw new Error('Action target is required');
+  }
+
+  await expireStaleActions({ type, targetId: String(targetId) });
+  const existing = await PendingAction.findOne({
+    type,
+    targetId: String(targetId),
+    status: PENDING_ACTION_STATUS.PENDING,
+  });
+  if (existing) {
+    if (JSON.stringify(existing.payload) !== JSON.stringify(payload)) {
+      throw new Error('A different request for this target is already pending');
+    }
+    return approveAction(existing.actionId, wallet, context);
+  }
+
+  let action;
+  try {
+    action = await PendingAction.create({
+      actionId: crypto.randomUUID(),
+      type,
+      targetId: String(targetId),
+      roomId,
+      payload,
+      threshold: getApprovalThreshold(type),
+      requestedBy: wallet,
+      approvals: [{ wallet }],
+      expiresAt: new Date(Date.now() + config.approvals.ttlMinutes * 60 * 1000),
+    });
+  } catch (err) {
+    // Another admin requested the same action at the same time
+    if (err.code === 11000) {
+      throw new Error('A request for this target is already pending - approve it instead');
+    }
+    throw err;
+  }
+
+  auditLog({
+    action: 'APPROVAL_REQUESTED',
+    actionId: action.actionId,
+    type,
+    targetId: action.targetId,
+    roomId,
+    payload,
+    threshold: action.threshold,
+    adminWallet: wallet,
+  });
+
+  return executeIfApproved(action, context);
+}
+
+/**
+ * Approve a pending action (each admin counts once)
+ * @returns {Object} { action, executed, result?, error? }
+ */
+export async function approveAction(actionId, wallet, context = {}) {
+  const current = await PendingAction.findOne({ actionId });
+  if (!current) {
+    throw new Error('Action not found');
+  }
+  await assertPermission(current.type, wallet);
+
+  await expireStaleActions({ actionId });
+  const action = await PendingAction.findOneAndUpdate(
+    { actionId, status: PENDING_ACTION_STATUS.PENDING, 'approvals.wallet': { $ne: wallet } },
+    { $push: { approvals: { wallet, at: new Date() } } },
+    { new: true }
+  );
+  if (!action) {
+    const latest = await PendingAction.findOne({ actionId }).lean();
+    if (latest.status !== PENDING_ACTION_STATUS.PENDING) {
+      throw new Error(`Action is ${latest.status}`);
+    }
+    throw new Error('You already approved this action');
+  }
+
+  auditLog({
+    action: 'APPROVAL_GRANTED',
+    actionId,
+    type: action.type,
+    targetId: action.targetId,
+    roomId: action.roomId,
+    approvals: action.approvals.length,
+    threshold: action.threshold,
+    adminWallet: wallet,
+  });
+
+  return executeIfApproved(action, context);
+}
+
+/**
+ * Reject a pending action - it will not run
+ */
+export async function rejectAction(actionId, wallet, reason = null) {
+  const current = await PendingAction.findOne({ actionId });
+  if (!current) {
+    throw new Error('Action not found');
+  }
+  await assertPermission(current.type, wallet);
+
+  const trimmedReason = typeof reason === 'string' ? reason.trim().slice(0, 500) || null : null;
+  const action = await PendingAction.findOneAndUpdate(
+    { actionId, status: PENDING_ACTION_STATUS.PENDING, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        status: PENDING_ACTION_STATUS.REJECTED,
+        rejection: { wallet, reason: trimmedReason, at: new Date() },
+      },
+    },
+    { new: true }
+  );
+  if (!action) {
+    throw new Error('Action is no longer pending');
+  }
+
+  auditLog({
+    action: 'APPROVAL_REJECTED',
+    actionId,
+    type: action.type,
+    targetId: action.targetId,
+    roomId: action.roomId,
+    reason: trimmedReason,
+    adminWallet: wallet,
+  });
+
+  return { action, executed: false };
+}
+
+/**
+ * List actions, newest first
+ * @param {Object} filters - { status, type, roomId, limit }
+ */
+export async function listActions({ status, type, roomId, limit } = {}) {
+  await expireStaleActions();
+
+  const query = {};
+  if (status) query.status = String(status);
+  if (type) query.type = String(type);
+  if (roomId) query.roomId = String(roomId);
+
+  const max = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  const actions = await PendingAction.find(query).sort({ createdAt: -1 }).limit(max).lean();
+  return actions.map(formatAction);
+}
+
+/**
+ * Get one action
+ */
+export async function getAction(actionId) {
+  const action = await PendingAction.findOne({ actionId }).lean();
+  return action ? formatAction(action) : null;
+}
+
+export default {
+  ACTION_TYPES: PENDING_ACTION_TYPES,
+  registerActionExecutor,
+  getApprovalThreshold,
+  requiresApproval,
+  formatAction,
+  requestAction,
+  approveAction,
+  rejectAction,
+  listActions,
+  getAction,
+};
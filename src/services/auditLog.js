@@ -0,0 +1,264 @@
+/**
+ * Persistent audit trail
+ * auditLog() entries are appended to the AuditLog collection in the order they
+ * were logged, each one chained to the previous by a SHA-256 hash.
+ * Entries logged before initAuditLog() (server start) are buffered and written on init.
+ */
+
+import crypto from 'crypto';
+import { AuditLog } from '../models/index.js';
+
+// prevHash of the first entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+const MAX_QUERY_LIMIT = 5000;
+const MAX_BUFFERED = 10000;
+
+let initialized = false;
+let head = null; // { seq, hash } of the last persisted entry
+let buffered = [];
+let writeQueue = Promise.resolve();
+
+/**
+ * Deterministic JSON (sorted keys) so hashes do not depend on key order
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash of an entry chained to the previous entry's hash
+ */
+export function hashEntry({ seq, timestamp, action, wallet, ip, details }, prevHash) {
+  const payload = canonicalize({
+    seq,
+    timestamp: new Date(timestamp).toISOString(),
+    action,
+    wallet: wallet || null,
+    ip: ip || null,
+    details: details || {},
+  });
+  return crypto.createHash('sha256').update(`${prevHash}|${payload}`).digest('hex');
+}
+
+/**
+ * Split an auditLog() entry into indexed fields and details
+ * Round-trips through JSON so the stored details are exactly what was hashed
+ */
+function toRecord(entry) {
+  const { timestamp, action, ...details } = JSON.parse(JSON.stringify(entry));
+  const wallet = details.wallet || details.adminWallet || null;
+  return {
+    timestamp,
+    action: action || 'UNKNOWN',
+    wallet: typeof wallet === 'string' ? wallet.toLowerCase() : null,
+    ip: typeof details.ip === 'string' ? details.ip : null,
+    details,
+  };
+}
+
+async function append(record) {
+  // Retries cover another server instance appending to the chain at the same time
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const seq = (head?.seq || 0) + 1;
+    const prevHash = head?.hash || GENESIS_HASH;
+    const hash = hashEntry({ seq, ...record }, prevHash);
+
+    try {
+      await AuditLog.create({ seq, ...record, prevHash, hash });
+      head = { seq, hash };
+      return;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      head = await AuditLog.findHead();
+    }
+  }
+  throw new Error('Audit chain is busy');
+}
+
+function enqueue(record) {
+  writeQueue = writeQueue
+    .then(() => append(record))
+    .catch(err => console.error('[Audit] Failed to persist entry:', record.action, err.message));
+}
+
+/**
+ * Persist an audit entry (non-blocking, entries are written in order)
+ * @param {Object} entry - { timestamp, action, ...details }
+ */
+export function recordAuditEntry(entry) {
+  const record = toRecord(entry);
+  if (!initialized) {
+    buffered.push(record);
+    if (buffered.length > MAX_BUFFERED) {
+      buffered.shift();
+    }
+    return;
+  }
+  enqueue(record);
+}
+
+/**
+ * Load the chain head and write the entries buffered before startup
+ * Must be called after connecting to MongoDB.
+ */
+export async function initAuditLog() {
+  head = await AuditLog.findHead();
+  initialized = true;
+
+  const pending = buffered;
+  buffered = [];
+  pending.forEach(enqueue);
+  await writeQueue;
+  return head?.seq || 0;
+}
+
+/**
+ * Format an entry for API responses
+ */
+function formatEntry(entry) {
+  return {
+    seq: entry.seq,
+    timestamp: entry.timestamp,
+    action: entry.action,
+    wallet: entry.wallet,
+    ip: entry.ip,
+    details: entry.details,
+    prevHash: entry.prevHash,
+    hash: entry.hash,
+  };
+}
+
+function parseDate(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Query audit entries, newest first
+ * @param {Object} filters - { action, wallet, ip, from, to, limit, beforeSeq }
+ */
+export async function queryAuditLogs({ action, wallet, ip, from, to, limit = 100, beforeSeq } = {}) {
+  const query = {};
+
+  if (action) {
+    query.action = String(action);
+  }
+  if (wallet) {
+    query.wallet = String(wallet).toLowerCase();
+  }
+  if (ip) {
+    query.ip = String(ip);
+  }
+
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+  if (fromDate || toDate) {
+    query.timestamp = {};
+    if (fromDate) query.timestamp.$gte = fromDate;
+    if (toDate) query.timestamp.$lte = toDate;
+  }
+
+  if (beforeSeq !== undefined) {
+    const seq = parseInt(beforeSeq);
+    if (!Number.isInteger(seq) || seq < 1) {
+      throw new Error('beforeSeq must be a positive integer');
+    }
+    query.seq = { $lt: seq };
+  }
+
+  const max = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_QUERY_LIMIT);
+  const entries = await AuditLog.find(query).sort({ seq: -1 }).limit(max).lean();
+  return entries.map(formatEntry);
+}
+
+/**
+ * Recompute the hash chain to detect edited, removed or reordered entries
+ * @param {Object} range - { fromSeq, limit }
+ * @returns {Object} { valid, checked, firstSeq, lastSeq, brokenAt, reason }
+ */
+export async function verifyAuditChain({ fromSeq = 1, limit = 100000 } = {}) {
+  const start = Math.max(parseInt(fromSeq) || 1, 1);
+  const max = Math.max(parseInt(limit) || 100000, 1);
+
+  let expectedPrevHash = GENESIS_HASH;
+  if (start > 1) {
+    const previous = await AuditLog.findOne({ seq: start - 1 }).lean();
+    if (!previous) {
+      return { valid: false, checked: 0, firstSeq: start, lastSeq: null, brokenAt: start - 1, reason: 'Entry missing' };
+    }
+    expectedPrevHash = previous.hash;
+  }
+
+  let checked = 0;
+  let expectedSeq = start;
+  const cursor = AuditLog.find({ seq: { $gte: start } }).sort({ seq: 1 }).limit(max).lean().cursor();
+
+  for await (const entry of cursor) {
+    let reason = null;
+    if (entry.seq !== expectedSeq) {
+      reason = 'Entry missing';
+    } else if (entry.prevHash !== expectedPrevHash) {
+      reason = 'Previous hash mismatch';
+    } else if (hashEntry(entry, entry.prevHash) !== entry.hash) {
+      reason = 'Entry hash mismatch';
+    }
+
+    if (reason) {
+      await cursor.close();
+      const brokenAt = reason === 'Entry missing' ? expectedSeq : entry.seq;
+      return { valid: false, checked, firstSeq: start, lastSeq: entry.seq, brokenAt, reason };
+    }
+
+    checked++;
+    expectedSeq++;
+    expectedPrevHash = entry.hash;
+  }
+
+  return { valid: true, checked, firstSeq: start, lastSeq: expectedSeq - 1, brokenAt: null, reason: null };
+}
+
+/**
+ * Quote a CSV field, neutralizing spreadsheet formulas
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? ''
+    : value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Export entries as CSV (details as a JSON column)
+ */
+export function auditLogsToCsv(entries) {
+  const columns = ['seq', 'timestamp', 'action', 'wallet', 'ip', 'details', 'prevHash', 'hash'];
+  const rows = entries.map(entry => columns.map(column => csvField(entry[column])).join(','));
+  return [columns.join(','), ...rows].join('\n');
+}
+
+export default {
+  GENESIS_HASH,
+  hashEntry,
+  recordAuditEntry,
+  initAuditLog,
+  queryAuditLogs,
+  verifyAuditChain,
+  auditLogsToCsv,
+};
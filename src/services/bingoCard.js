@@ -130,6 +130,145 @@ const GAME_PATTERNS = {
   },
 };
 
+/**
+ * Admin-defined patterns (Pattern collection), keyed by game mode.
+ * Loaded by services/patterns.js so checks stay synchronous.
+ * Each entry has `alternatives`: position sets, any of which wins.
+ */
+let customPatterns = {};
+
+const PATTERN_KEY_REGEX = /^[a-zA-Z][a-zA-Z0-9]{2,31}$/;
+const MASK_ROW_REGEX = /^[#.]{5}$/;
+const MAX_PATTERN_MASKS = 8;
+
+/**
+ * Parse a 5x5 mask into positions
+ * @param {string[]} mask - 5 row strings of '#' (marked) / '.' (ignored)
+ * @returns {Array} Positions [[col,row], ...]
+ */
+export function parsePatternMask(mask) {
+  const positions = [];
+  mask.forEach((rowString, row) => {
+    [...rowString].forEach((cell, col) => {
+      if (cell === '#') positions.push([col, row]);
+    });
+  });
+  return positions;
+}
+
+/**
+ * Rotate positions 90 degrees clockwise around the center
+ */
+function rotatePositions(positions) {
+  return positions.map(([col, row]) => [4 - row, col]);
+}
+
+/**
+ * Build the distinct position sets a pattern accepts
+ * @param {string[][]} masks - Alternative masks
+ * @param {boolean} anyRotation - Include 90/180/270 degree rotations
+ * @returns {Array[]} Position sets
+ */
+export function buildPatternAlternatives(masks, anyRotation = false) {
+  const alternatives = new Map();
+
+  for (const mask of masks) {
+    let positions = parsePatternMask(mask);
+    const turns = anyRotation ? 4 : 1;
+    for (let i = 0; i < turns; i++) {
+      const sorted = [...positions].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+      alternatives.set(JSON.stringify(sorted), sorted);
+      positions = rotatePositions(positions);
+    }
+  }
+
+  return [...alternatives.values()];
+}
+
+/**
+ * Validate and normalize an admin pattern definition
+ * @param {Object} definition - { key, name, description, masks, anyRotation }
+ * @returns {Object} Normalized definition
+ * @throws {Error} If the definition is invalid
+ */
+export function validatePatternDefinition(definition) {
+  const { key, name, description = '', masks, anyRotation = false } = definition || {};
+
+  if (typeof key !== 'string' || !PATTERN_KEY_REGEX.test(key)) {
+    throw new Error('Pattern key must be 3-32 letters/digits starting with a letter');
+  }
+  if (GAME_PATTERNS[key]) {
+    throw new Error(`Pattern key "${key}" is reserved by a built-in mode`);
+  }
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 50) {
+    throw new Error('Pattern name is required (max 50 characters)');
+  }
+  if (typeof description !== 'string' || description.length > 200) {
+    throw new Error('Pattern description must be at most 200 characters');
+  }
+  if (typeof anyRotation !== 'boolean') {
+    throw new Error('anyRotation must be a boolean');
+  }
+  if (!Array.isArray(masks) || masks.length === 0 || masks.length > MAX_PATTERN_MASKS) {
+    throw new Error(`Between 1 and ${MAX_PATTERN_MASKS} masks are required`);
+  }
+
+  for (const mask of masks) {
+    if (!Array.isArray(mask) || mask.length !== 5 || !mask.every(row => typeof row === 'string' && MASK_ROW_REGEX.test(row))) {
+      throw new Error('Each mask must be 5 rows of 5 characters using "#" and "."');
+    }
+    // The FREE center is always marked, so a mask needs at least one real number
+    const positions = parsePatternMask(mask).filter(([col, row]) => !(col === 2 && row === 2));
+    if (positions.length === 0) {
+      throw new Error('Each mask must mark at least one position besides the FREE center');
+    }
+  }
+
+  return {
+    key,
+    name: name.trim(),
+    description: description.trim(),
+    masks,
+    anyRotation,
+  };
+}
+
+/**
+ * Replace the registry of admin-defined patterns
+ * @param {Object[]} patterns - Pattern documents { key, name, description, masks, anyRotation }
+ */
+export function setCustomPatterns(patterns) {
+  customPatterns = Object.fromEntries(patterns.map(pattern => {
+    const alternatives = buildPatternAlternatives(pattern.masks, pattern.anyRotation);
+    return [pattern.key, {
+      name: pattern.name,
+      description: pattern.description,
+      // Single-alternative patterns expose positions like the built-in ones
+      positions: alternatives.length === 1 ? alternatives[0] : null,
+      alternatives,
+      masks: pattern.masks,
+      anyRotation: pattern.anyRotation,
+      isCustom: true,
+    }];
+  }));
+}
+
+/**
+ * Find a built-in or custom pattern by game mode
+ */
+function findPattern(gameMode) {
+  return GAME_PATTERNS[gameMode] || customPatterns[gameMode] || null;
+}
+
+/**
+ * Whether a game mode exists (built-in or active custom pattern)
+ * @param {string} gameMode - Game mode key
+ * @returns {boolean}
+ */
+export function isValidGameMode(gameMode) {
+  return !!findPattern(gameMode);
+}
+
 /**
  * SECURITY: Generate cryptographically secure random integer
  * Uses crypto.randomBytes instead of Math.random for unpredictability
@@ -287,7 +426,7 @@ function getCardSignature(card) {
  * @returns {Object} Pattern info with name, description, positions
  */
 export function getPatternInfo(gameMode) {
-  return GAME_PATTERNS[gameMode] || GAME_PATTERNS.fullCard;
+  return findPattern(gameMode) || GAME_PATTERNS.fullCard;
 }
 
 /**
@@ -295,7 +434,7 @@ export function getPatternInfo(gameMode) {
  * @returns {Object} All patterns with their info
  */
 export function getAllPatterns() {
-  return GAME_PATTERNS;
+  return { ...GAME_PATTERNS, ...customPatterns };
 }
 
 /**
@@ -368,7 +507,23 @@ function checkPatternPositions(marked, positions) {
  * @returns {Object} Progress info with completed, total, percentage
  */
 export function getPatternProgress(card, calledNumbers, gameMode) {
-  const pattern = GAME_PATTERNS[gameMode];
+  const pattern = findPattern(gameMode);
+
+  // Custom patterns with alternatives: report the closest alternative
+  if (pattern?.alternatives) {
+    const marked = createMarkedGrid(card, calledNumbers);
+    let best = { completed: 0, total: pattern.alternatives[0].length, percentage: 0 };
+
+    for (const positions of pattern.alternatives) {
+      const completed = positions.filter(([col, row]) => (col === 2 && row === 2) || marked[col][row]).length;
+      const percentage = Math.round((completed / positions.length) * 100);
+      if (percentage > best.percentage) {
+        best = { completed, total: positions.length, percentage };
+      }
+    }
+    return best;
+  }
+
   if (!pattern || !pattern.positions) {
     // For 'line' pattern, return best line progress
     const marked = createMarkedGrid(card, calledNumbers);
@@ -428,7 +583,7 @@ export function checkWinner(card, calledNumbers, gameMode = 'line') {
   const marked = createMarkedGrid(card, calledNumbers);
 
   // Get the pattern for this game mode
-  const pattern = GAME_PATTERNS[gameMode];
+  const pattern = findPattern(gameMode);
 
   if (!pattern) {
     // Unknown mode, default to line check
@@ -444,6 +599,21 @@ export function checkWinner(card, calledNumbers, gameMode = 'line') {
     return { isWinner: false, mode: 'line' };
   }
 
+  // Custom patterns: any alternative (mask or rotation) wins
+  if (pattern.alternatives) {
+    const alternative = pattern.alternatives.findIndex(positions => checkPatternPositions(marked, positions));
+    if (alternative >= 0) {
+      return {
+        isWinner: true,
+        pattern: gameMode,
+        mode: gameMode,
+        modeName: pattern.name,
+        alternative,
+      };
+    }
+    return { isWinner: false, mode: gameMode };
+  }
+
   // Check specific pattern positions
   if (pattern.positions) {
     const isWinner = checkPatternPositions(marked, pattern.positions);
@@ -489,6 +659,11 @@ export default {
   getPatternInfo,
   getAllPatterns,
   getPatternProgress,
+  isValidGameMode,
+  parsePatternMask,
+  buildPatternAlternatives,
+  validatePatternDefinition,
+  setCustomPatterns,
   GAME_PATTERNS,
 };
 
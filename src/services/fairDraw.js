@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+
+/**
+ * Provably-fair number drawing
+ *
+ * A random seed is generated when a game starts and only its SHA-256 hash
+ * (the commitment) is published. The full draw order (1-75) is derived
+ * deterministically from the seed, so once the seed is revealed at the end
+ * of the game anyone can recompute the order and check every drawn number.
+ *
+ * Derivation (reproducible by third parties):
+ *   - Start from [1, 2, ..., 75]
+ *   - Fisher-Yates from the end: for i = 74..1 pick j in [0, i] using
+ *     HMAC-SHA256(key = seed bytes, message = "<i>:<attempt>"), reading the
+ *     first 4 bytes as uint32 big-endian with rejection sampling
+ */
+
+const TOTAL_NUMBERS = 75;
+const UINT32_RANGE = 0x100000000;
+
+/**
+ * Generate a new secret draw seed
+ * @returns {string} 32-byte hex seed
+ */
+export function generateDrawSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash a seed to produce its public commitment
+ * @param {string} seed - Hex seed
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashSeed(seed) {
+  return crypto.createHash('sha256').update(Buffer.from(seed, 'hex')).digest('hex');
+}
+
+/**
+ * Deterministic integer in [0, max) derived from the seed
+ * Uses rejection sampling to avoid modulo bias
+ * @param {Buffer} key - Seed bytes
+ * @param {number} index - Shuffle step
+ * @param {number} max - Exclusive upper bound
+ * @returns {number} Derived integer
+ */
+function deriveInt(key, index, max) {
+  const limit = Math.floor(UINT32_RANGE / max) * max;
+
+  for (let attempt = 0; ; attempt++) {
+    const digest = crypto.createHmac('sha256', key).update(`${index}:${attempt}`).digest();
+    const value = digest.readUInt32BE(0);
+    if (value < limit) {
+      return value % max;
+    }
+  }
+}
+
+/**
+ * Compute the full draw order for a seed
+ * @param {string} seed - Hex seed
+ * @returns {number[]} The 75 numbers in draw order
+ */
+export function getDrawOrder(seed) {
+  if (!seed || !/^[a-f0-9]{64}$/i.test(seed)) {
+    throw new Error('Invalid draw seed');
+  }
+
+  const key = Buffer.from(seed, 'hex');
+  const order = Array.from({ length: TOTAL_NUMBERS }, (_, i) => i + 1);
+
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = deriveInt(key, i, i + 1);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  return order;
+}
+
+/**
+ * Get the next number to draw: the first number in the seed's order
+ * that has not been called yet
+ * @param {string} seed - Hex seed
+ * @param {number[]} calledNumbers - Numbers already called
+ * @returns {number|null} Next number, or null if all numbers were called
+ */
+export function getNextDrawNumber(seed, calledNumbers = []) {
+  const calledSet = new Set(calledNumbers);
+  return getDrawOrder(seed).find(n => !calledSet.has(n)) ?? null;
+}
+
+/**
+ * Replay a game's calls against its revealed seed
+ * Numbers called manually by an admin are reported as not drawn from the seed
+ * @param {string} seed - Revealed hex seed
+ * @param {string} commitment - Commitment published at game start
+ * @param {number[]} calledNumbers - Numbers called during the game, in order
+ * @returns {Object} Verification result
+ */
+export function verifyDraw(seed, commitment, calledNumbers = []) {
+  const drawOrder = getDrawOrder(seed);
+  const called = new Set();
+
+  const calls = calledNumbers.map((number, index) => {
+    const expected = drawOrder.find(n => !called.has(n));
+    called.add(number);
+    return { index, number, expected, fromSeed: number === expected };
+  });
+
+  return {
+    commitmentValid: hashSeed(seed) === commitment,
+    drawOrder,
+    calls,
+    allFromSeed: calls.every(c => c.fromSeed),
+  };
+}
+
+export default {
+  generateDrawSeed,
+  hashSeed,
+  getDrawOrder,
+  getNextDrawNumber,
+  verifyDraw,
+};
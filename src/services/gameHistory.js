@@ -0,0 +1,135 @@
+/**
+ * Game history and player statistics
+ * Past games are read from the Game collection; player totals come from
+ * User.stats (kept up to date by gameState when purchases and games end)
+ * plus the Winner and Refund ledgers.
+ */
+
+import { Game, User, Refund, GAME_STATUS, REFUND_STATUS, roomFilter, DEFAULT_ROOM_ID } from '../models/index.js';
+import Winner from '../models/Winner.js';
+import { addAmounts } from './prizePool.js';
+
+const MAX_PAGE_SIZE = 50;
+
+function formatWinner(winner, stage = null) {
+  return {
+    odUsername: winner.odUsername,
+    wallet: winner.wallet,
+    cardId: winner.cardId,
+    pattern: winner.pattern,
+    gameMode: winner.gameMode,
+    prizeAmount: winner.prizeAmount || null,
+    stage,
+  };
+}
+
+function formatHistoryGame(game) {
+  const stages = game.stages || [];
+  const winners = stages.length > 0
+    ? stages.flatMap((stage, index) => (stage.winners || []).map(w => formatWinner(w, index)))
+    : (game.winners || []).map(w => formatWinner(w));
+
+  return {
+    gameId: game.gameId,
+    roomId: game.roomId || DEFAULT_ROOM_ID,
+    status: game.status,
+    gameMode: game.gameMode,
+    stages: stages.map(({ gameMode, prizeShareBps, status }) => ({ gameMode, prizeShareBps, status })),
+    callsCount: game.calledNumbers.length,
+    winners,
+    winnersCount: winners.length,
+    cardsSold: game.cardsSold || 0,
+    prizePool: game.prizePool || '0',
+    prizeDistribution: game.prizeDistribution?.gross ? game.prizeDistribution : null,
+    cancelReason: game.cancelReason || null,
+    startedAt: game.startedAt,
+    endedAt: game.endedAt,
+  };
+}
+
+/**
+ * Finished games (ended or cancelled), most recent first
+ * Waiting games closed by a start without ever being played are left out.
+ * @param {Object} options - { roomId, page (1-based), limit }
+ * @returns {Object} { games, page, limit, total, pages }
+ */
+export async function getGameHistory({ roomId = null, page = 1, limit = 20 } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+  const query = {
+    ...(roomId ? roomFilter(roomId) : {}),
+    status: { $in: [GAME_STATUS.ENDED, GAME_STATUS.CANCELLED] },
+    startedAt: { $ne: null },
+  };
+
+  const [games, total] = await Promise.all([
+    Game.find(query)
+      .sort({ endedAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .select('-drawSeed -potentialWinners -unclaimedWinners')
+      .lean(),
+    Game.countDocuments(query),
+  ]);
+
+  return {
+    games: games.map(formatHistoryGame),
+    page: pageNumber,
+    limit: pageSize,
+    total,
+    pages: Math.ceil(total / pageSize),
+  };
+}
+
+/**
+ * Statistics of a player
+ * Amounts in atomic USDC; netSpent discounts executed refunds.
+ * @returns {Object|null} null if the user does not exist
+ */
+export async function getPlayerStats(userId) {
+  const user = await User.findByUserId(userId).lean();
+  if (!user) return null;
+
+  const [[wins], refunds] = await Promise.all([
+    Winner.aggregate([
+      { $match: { odId: userId } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          averageCalls: { $avg: '$totalCalledNumbers' },
+          fewestCalls: { $min: '$totalCalledNumbers' },
+          lastWonAt: { $max: '$wonAt' },
+        },
+      },
+    ]),
+    Refund.find({ odId: userId, status: REFUND_STATUS.EXECUTED }, { amount: 1 }).lean(),
+  ]);
+
+  const stats = user.stats || {};
+  const refunded = refunds.reduce((sum, refund) => addAmounts(sum, refund.amount), '0');
+  const totalSpent = stats.totalSpent || '0';
+  const netSpent = BigInt(totalSpent) - BigInt(refunded);
+
+  return {
+    userId,
+    gamesPlayed: stats.gamesPlayed || 0,
+    gamesWon: stats.gamesWon || 0,
+    wins: wins?.count || 0,
+    cardsPurchased: stats.cardsPurchased || 0,
+    totalSpent,
+    refunded,
+    netSpent: (netSpent > 0n ? netSpent : 0n).toString(),
+    totalWon: stats.totalWon || '0',
+    winRate: stats.gamesPlayed ? Math.round(((stats.gamesWon || 0) / stats.gamesPlayed) * 10000) / 10000 : 0,
+    averageCallsToWin: wins?.averageCalls ? Math.round(wins.averageCalls * 10) / 10 : null,
+    fewestCallsToWin: wins?.fewestCalls ?? null,
+    lastWonAt: wins?.lastWonAt || null,
+  };
+}
+
+export default {
+  getGameHistory,
+  getPlayerStats,
+};
@@ -3,51 +3,151 @@
  */
 
 import mongoose from 'mongoose';
-import { Card, Game, User, GAME_STATUS, GAME_MODES } from '../models/index.js';
+import { config } from '../config/index.js';
+import { Card, Game, User, Payout, Refund, GAME_STATUS, GAME_MODES, CARD_POLICIES, DEFAULT_ROOM_ID, roomFilter } from '../models/index.js';
 import Winner from '../models/Winner.js';
-import { generateMultipleCards, getPatternInfo, getAllPatterns, getPatternProgress, checkWinner } from './bingoCard.js';
+import { generateMultipleCards, getPatternInfo, getAllPatterns, getPatternProgress, checkWinner, isValidGameMode } from './bingoCard.js';
+import { generateDrawSeed, hashSeed, getNextDrawNumber, verifyDraw } from './fairDraw.js';
+import { addAmounts, calculatePrizeDistribution, calculateStageGross } from './prizePool.js';
+import { recordGameEvent, GAME_EVENT_TYPES } from './gameTimeline.js';
+import { repository, gameService } from '../storage/index.js';
 
 // Re-export for backwards compatibility
-export { GAME_STATUS, GAME_MODES };
+export { GAME_STATUS, GAME_MODES, CARD_POLICIES, DEFAULT_ROOM_ID };
 
 // ============== GAME MANAGEMENT ==============
+// Every game function operates on one room; roomId defaults to the main room.
+// Functions that change a game take an optional trailing actor (admin wallet,
+// player id, 'auto-caller', 'scheduler'...) recorded on the game's timeline.
 
 /**
- * Get current game state
+ * Generate a game ID (room-prefixed outside the default room)
  */
-export async function getGameState() {
-  const game = await Game.findCurrent();
+function newGameId(roomId) {
+  return roomId === DEFAULT_ROOM_ID ? `game_${Date.now()}` : `game_${roomId}_${Date.now()}`;
+}
+
+/**
+ * Build a waiting game for a room that has no active game yet
+ * Settings and revenue received before the first start are stored on it
+ */
+function newWaitingGame(roomId, fields = {}) {
+  return new Game({
+    gameId: newGameId(roomId),
+    roomId,
+    status: GAME_STATUS.WAITING,
+    ...fields,
+  });
+}
+
+/**
+ * Get current game state of a room
+ */
+export async function getGameState(roomId = DEFAULT_ROOM_ID) {
+  const game = await Game.findCurrent(roomId);
   if (!game) {
     return {
       id: null,
+      roomId,
       status: GAME_STATUS.WAITING,
       gameMode: GAME_MODES.FULL_CARD,
       calledNumbers: [],
       currentNumber: null,
       winner: null,
+      winners: [],
+      potentialWinners: [],
       startedAt: null,
       endedAt: null,
       canPurchase: true,
+      prizePool: '0',
+      prizeDistribution: null,
+      fairness: { commitment: null, seed: null, revealedAt: null },
+      autoCall: { enabled: false, intervalSeconds: config.autoCall.defaultIntervalSeconds, nextCallAt: null },
+      stages: [],
+      currentStage: 0,
+      scheduledStartAt: null,
+      purchaseCutoffAt: null,
+      cancelReason: null,
+      cardPolicy: { kind: CARD_POLICIES.SINGLE, games: 1, validUntil: null },
+      claims: { manual: false, windowCalls: 0 },
     };
   }
   return {
     id: game.gameId,
+    roomId,
     status: game.status,
     gameMode: game.gameMode || GAME_MODES.FULL_CARD,
     calledNumbers: game.calledNumbers,
     currentNumber: game.currentNumber,
-    winner: game.winner,
+    // First winner kept for clients that predate split prizes
+    winner: game.winners[0] || null,
+    winners: game.winners,
+    potentialWinners: game.potentialWinners,
     startedAt: game.startedAt,
     endedAt: game.endedAt,
     canPurchase: game.canPurchaseCards(),
+    prizePool: game.prizePool || '0',
+    prizeDistribution: game.prizeDistribution?.gross ? game.prizeDistribution : null,
+    fairness: game.getFairnessInfo(),
+    autoCall: formatAutoCall(game),
+    stages: formatStages(game),
+    currentStage: game.currentStage || 0,
+    scheduledStartAt: game.scheduledStartAt || null,
+    purchaseCutoffAt: game.purchaseCutoffAt || null,
+    cancelReason: game.cancelReason || null,
+    cardPolicy: formatCardPolicy(game),
+    claims: {
+      manual: game.claims?.manual || false,
+      windowCalls: game.claims?.windowCalls || 0,
+    },
+  };
+}
+
+const MAX_STAGES = 5;
+
+/**
+ * Format the stage list for clients
+ */
+function formatStages(game) {
+  return game.stages.map((stage, index) => ({
+    index,
+    gameMode: stage.gameMode,
+    patternName: getPatternInfo(stage.gameMode)?.name || stage.gameMode,
+    prizeShareBps: stage.prizeShareBps,
+    status: stage.status,
+    winners: stage.winners,
+    prizeDistribution: stage.prizeDistribution?.gross ? stage.prizeDistribution : null,
+    completedAt: stage.completedAt,
+  }));
+}
+
+/**
+ * Format auto-caller schedule for clients
+ */
+function formatAutoCall(game) {
+  return {
+    enabled: game.autoCall?.enabled || false,
+    intervalSeconds: game.autoCall?.intervalSeconds || config.autoCall.defaultIntervalSeconds,
+    nextCallAt: game.autoCall?.nextCallAt || null,
+  };
+}
+
+/**
+ * Format the card carry-over policy for clients
+ */
+function formatCardPolicy(game) {
+  return {
+    kind: game.cardPolicy?.kind || CARD_POLICIES.SINGLE,
+    games: game.cardPolicy?.games || 1,
+    validUntil: game.cardPolicy?.validUntil || null,
   };
 }
 
 /**
  * Check if card purchases are currently allowed
  */
-export async function canPurchaseCards() {
-  const game = await Game.findActive();
+export async function canPurchaseCards(roomId = DEFAULT_ROOM_ID) {
+  const game = await Game.findActive(roomId);
   if (!game) return true; // No active game, purchases allowed
   return game.canPurchaseCards();
 }
@@ -55,23 +155,59 @@ export async function canPurchaseCards() {
 /**
  * Set game mode (only when not playing)
  */
-export async function setGameMode(mode) {
-  let game = await Game.findActive();
+export async function setGameMode(roomId, mode, changedBy = null) {
+  if (!isValidGameMode(mode)) {
+    throw new Error('Invalid game mode');
+  }
+
+  const game = await Game.findActive(roomId);
 
   // If no active game, create one in waiting state
   if (!game) {
-    const gameId = `game_${Date.now()}`;
-    game = new Game({
-      gameId,
-      status: GAME_STATUS.WAITING,
-      gameMode: mode,
-    });
-    await game.save();
-    return getGameState();
+    const created = await newWaitingGame(roomId, { gameMode: mode }).save();
+    await recordGameEvent(created, GAME_EVENT_TYPES.MODE_CHANGED, { gameMode: mode }, changedBy);
+    return getGameState(roomId);
   }
 
   await game.setGameMode(mode);
-  return getGameState();
+  await recordGameEvent(game, GAME_EVENT_TYPES.MODE_CHANGED, { gameMode: mode }, changedBy);
+  return getGameState(roomId);
+}
+
+/**
+ * Set how long cards sold for the room's next game keep playing
+ * Cards already sold keep the validity they were bought with.
+ * @param {Object} policy - { kind: 'single'|'games'|'until', games?, validUntil? }
+ */
+export async function setCardPolicy(roomId, { kind, games, validUntil } = {}) {
+  if (!Object.values(CARD_POLICIES).includes(kind)) {
+    throw new Error(`Card policy must be one of: ${Object.values(CARD_POLICIES).join(', ')}`);
+  }
+
+  const maxGames = config.cardPolicy.maxGames;
+  if (kind === CARD_POLICIES.GAMES &&
+      (!Number.isInteger(games) || games < 2 || games > maxGames)) {
+    throw new Error(`games must be an integer between 2 and ${maxGames}`);
+  }
+
+  let validUntilDate = null;
+  if (kind === CARD_POLICIES.UNTIL) {
+    validUntilDate = new Date(validUntil);
+    if (!validUntil || Number.isNaN(validUntilDate.getTime())) {
+      throw new Error('validUntil must be a valid date');
+    }
+    if (validUntilDate.getTime() <= Date.now()) {
+      throw new Error('validUntil must be in the future');
+    }
+    const maxDays = config.cardPolicy.maxDaysAhead;
+    if (validUntilDate.getTime() > Date.now() + maxDays * 24 * 60 * 60 * 1000) {
+      throw new Error(`validUntil cannot be more than ${maxDays} days ahead`);
+    }
+  }
+
+  const game = await Game.findActive(roomId) || newWaitingGame(roomId);
+  await game.setCardPolicy(kind, games, validUntilDate);
+  return getGameState(roomId);
 }
 
 /**
@@ -92,179 +228,1139 @@ export function getAvailablePatterns() {
  * Start a new game
  * CRITICAL: Preserves the gameMode from the previous/waiting game
  */
-export async function startGame() {
+export async function startGame(roomId = DEFAULT_ROOM_ID, startedBy = null) {
   // Get current game mode from active/waiting game before ending it
-  const activeGame = await Game.findActive();
+  const activeGame = await Game.findActive(roomId);
   const currentGameMode = activeGame?.gameMode || GAME_MODES.FULL_CARD;
+  // Auto-caller settings carry over to the new game
+  const autoCallEnabled = activeGame?.autoCall?.enabled || false;
+  const autoCallInterval = activeGame?.autoCall?.intervalSeconds || config.autoCall.defaultIntervalSeconds;
+  // Prize pool collected while waiting belongs to the game being started
+  const carriedPrizePool = activeGame?.prizePool || '0';
+  const carriedCardsSold = activeGame?.cardsSold || 0;
+  // Stage list carries over too; the game starts on the first stage
+  const stages = (activeGame?.stages || []).map(({ gameMode, prizeShareBps }, index) => ({
+    gameMode,
+    prizeShareBps,
+    status: index === 0 ? 'active' : 'pending',
+  }));
+  // Claim rules carry over like the auto-caller
+  const claims = {
+    manual: activeGame?.claims?.manual || false,
+    windowCalls: activeGame?.claims?.windowCalls || 0,
+  };
+  // The card policy stays on record for the game its cards were sold for
+  const cardPolicy = activeGame?.cardPolicy?.kind ? formatCardPolicy(activeGame) : undefined;
+
+  // Cards whose validity date passed do not play the new game
+  await expireCards(roomId);
 
-  // End any active game first
+  // End any active game first (its pool moves to the new game)
   if (activeGame) {
+    activeGame.prizePool = '0';
+    activeGame.cardsSold = 0;
     await activeGame.end();
   }
 
-  const gameId = `game_${Date.now()}`;
+  // Commit to the draw seed before any number is called
+  const drawSeed = generateDrawSeed();
+
   const game = new Game({
-    gameId,
+    gameId: newGameId(roomId),
+    roomId,
     status: GAME_STATUS.PLAYING,
-    gameMode: currentGameMode, // CRITICAL: Preserve the selected game mode
+    gameMode: stages[0]?.gameMode || currentGameMode, // CRITICAL: Preserve the selected game mode
+    stages,
+    currentStage: 0,
+    drawSeed,
+    drawCommitment: hashSeed(drawSeed),
+    prizePool: carriedPrizePool,
+    cardsSold: carriedCardsSold,
+    cardPolicy,
+    claims,
+    autoCall: {
+      enabled: autoCallEnabled,
+      intervalSeconds: autoCallInterval,
+      nextCallAt: autoCallEnabled ? new Date(Date.now() + autoCallInterval * 1000) : null,
+    },
     startedAt: new Date(),
   });
   await game.save();
+  await recordGameEvent(game, GAME_EVENT_TYPES.GAME_STARTED, {
+    gameMode: game.gameMode,
+    stages: formatStages(game),
+    prizePool: game.prizePool,
+    cardsSold: game.cardsSold,
+    drawCommitment: game.drawCommitment,
+  }, startedBy);
+
+  // Cards bought for the previous game move with the prize pool they funded
+  if (activeGame) {
+    await Card.updateMany(
+      { gameId: activeGame.gameId, status: { $in: ['purchased', 'won'] } },
+      { $set: { gameId: game.gameId } }
+    );
+  }
 
   return {
     id: game.gameId,
+    roomId,
     status: game.status,
     gameMode: game.gameMode, // Include gameMode in response
     calledNumbers: game.calledNumbers,
     currentNumber: game.currentNumber,
-    winner: game.winner,
+    winner: null,
+    winners: game.winners,
     startedAt: game.startedAt,
     endedAt: game.endedAt,
+    prizePool: game.prizePool,
+    fairness: game.getFairnessInfo(),
+    autoCall: formatAutoCall(game),
+    stages: formatStages(game),
+    currentStage: game.currentStage || 0,
   };
 }
 
 /**
  * Pause the game
+ * @param {string|null} reason - e.g. 'admin', 'winner-detected', 'bingo-claim'
  */
-export async function pauseGame() {
-  const game = await Game.findActive();
+export async function pauseGame(roomId = DEFAULT_ROOM_ID, reason = null, pausedBy = null) {
+  const game = await Game.findActive(roomId);
   if (game && game.status === GAME_STATUS.PLAYING) {
     await game.pause();
+    await recordGameEvent(game, GAME_EVENT_TYPES.GAME_PAUSED, {
+      reason,
+      callIndex: game.calledNumbers.length,
+    }, pausedBy);
   }
-  return getGameState();
+  return getGameState(roomId);
 }
 
 /**
  * Resume the game
  */
-export async function resumeGame() {
-  const game = await Game.findActive();
+export async function resumeGame(roomId = DEFAULT_ROOM_ID, resumedBy = null) {
+  const game = await Game.findActive(roomId);
   if (game && game.status === GAME_STATUS.PAUSED) {
     await game.resume();
+    await recordGameEvent(game, GAME_EVENT_TYPES.GAME_RESUMED, {
+      callIndex: game.calledNumbers.length,
+    }, resumedBy);
+  }
+  return getGameState(roomId);
+}
+
+/**
+ * Save a winner to history and record its pending payout
+ * Owner and wallet come from the card (see settleWinners), never from the caller
+ */
+async function saveWinnerRecord(game, winner, winnersInGame, totalCards) {
+  const winnerId = `winner_${Date.now()}_${winner.cardId.slice(-8)}`;
+  const wallet = winner.wallet?.toLowerCase() || '';
+  const hasPrize = BigInt(winner.prizeAmount || '0') > 0n;
+  const payoutId = hasPrize && wallet ? `payout_${winnerId}` : null;
+
+  await repository.winners.create({
+    winnerId,
+    gameId: game.gameId,
+    odId: winner.odId || 'unknown',
+    odUsername: winner.odUsername || 'Anónimo',
+    wallet,
+    cardId: winner.cardId,
+    gameMode: winner.gameMode || game.gameMode || 'fullCard',
+    patternName: winner.patternName || winner.pattern || game.gameMode || 'fullCard',
+    prizeAmount: winner.prizeAmount,
+    prizeToken: 'USDC',
+    winnersInGame,
+    stage: game.stages.length > 0 ? game.currentStage : 0,
+    stageCount: Math.max(1, game.stages.length),
+    payoutId,
+    totalCalledNumbers: game.calledNumbers.length,
+    totalCards: totalCards,
+    wonAt: new Date(),
+  });
+  console.log(`[GameState] Winner saved to history: ${winner.odUsername} (${winner.cardId})`);
+
+  if (winner.odId && BigInt(winner.prizeAmount || '0') > 0n) {
+    await incrementUserStats(winner.odId, 'totalWon', winner.prizeAmount);
+  }
+
+  // Payout ledger entry - settled later by an admin with the transfer tx hash
+  if (payoutId) {
+    await Payout.create({
+      payoutId,
+      winnerId,
+      gameId: game.gameId,
+      odId: winner.odId || 'unknown',
+      wallet,
+      amount: winner.prizeAmount,
+    });
+    console.log(`[GameState] Payout ${payoutId} pending: ${winner.prizeAmount} to ${wallet}`);
+  }
+}
+
+/**
+ * Winner fields kept on the timeline
+ */
+function timelineWinner(winner) {
+  return {
+    cardId: winner.cardId,
+    odId: winner.odId || null,
+    odUsername: winner.odUsername || null,
+    wallet: winner.wallet || null,
+    pattern: winner.pattern || null,
+    prizeAmount: winner.prizeAmount || null,
+  };
+}
+
+/**
+ * Split the current stage's share of the pool (the whole pool for
+ * single-pattern games) among its winners and save them to history
+ * SECURITY: Each winner's card is checked again and the prize goes to the
+ * card's stored owner; winners whose card did not win this game are dropped.
+ * @returns {Object} { distribution, winners } - Prize distribution and the settled winners
+ */
+async function settleWinners(game, winners) {
+  const settled = [];
+  for (const winner of winners) {
+    let verification = null;
+    try {
+      verification = await gameService.verifyWinnerCard(game, winner.cardId);
+    } catch (err) {
+      console.error(`[GameState] Winner card ${winner.cardId} failed verification: ${err.message}`);
+    }
+    if (!verification?.isWinner) {
+      console.error(`[GameState] Winner card ${winner.cardId} did not win game ${game.gameId} - not settled`);
+      continue;
+    }
+    const { card } = verification;
+    settled.push({
+      ...winner,
+      odId: card.owner,
+      odUsername: card.ownerUsername,
+      wallet: card.ownerWallet,
+    });
+  }
+
+  const gross = game.stages.length > 0
+    ? calculateStageGross(game.prizePool, game.stages.map(s => s.prizeShareBps), game.currentStage)
+    : game.prizePool;
+  const distribution = calculatePrizeDistribution(gross, settled.length);
+
+  const totalCards = await Card.countDocuments({ ...roomFilter(game.roomId), status: 'purchased' });
+  for (const winner of settled) {
+    winner.prizeAmount = distribution.prizePerWinner;
+    try {
+      await saveWinnerRecord(game, winner, settled.length, totalCards);
+    } catch (err) {
+      console.error('[GameState] Error saving winner to history:', err);
+      // Don't fail the game end if winner save fails
+    }
+  }
+  return { distribution, winners: settled };
+}
+
+/**
+ * Re-enable a room's cards disabled as rejected winners so they can win again
+ */
+async function reEnableRejectedCards(roomId) {
+  return gameService.reEnableWonCards(roomId);
+}
+
+/**
+ * Expire a room's cards whose validity has ended
+ * (no games remaining, or validity date reached)
+ * @returns {number} Number of cards expired
+ */
+async function expireCards(roomId) {
+  const result = await Card.updateMany(
+    {
+      ...roomFilter(roomId),
+      status: 'purchased',
+      $or: [{ gamesRemaining: { $lte: 0 } }, { expiresAt: { $lte: new Date() } }],
+    },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Count a finished game against the validity of the cards that played it
+ * Cards bought after the game started (for the next one) are not counted.
+ * @returns {number} Number of cards expired
+ */
+async function countGameOnCards(game) {
+  if (game.startedAt) {
+    await Card.updateMany(
+      {
+        ...roomFilter(game.roomId || DEFAULT_ROOM_ID),
+        status: 'purchased',
+        gamesRemaining: { $gt: 0 },
+        purchasedAt: { $lte: game.startedAt },
+      },
+      { $inc: { gamesRemaining: -1 } }
+    );
+  }
+  return expireCards(game.roomId || DEFAULT_ROOM_ID);
+}
+
+/**
+ * Count a finished game in its players' stats
+ * gamesPlayed: owners of the cards that played it (bought before it started,
+ * same rule as countGameOnCards); gamesWon: owners of a winning card in any stage
+ */
+async function recordPlayerStats(game) {
+  if (!game.startedAt) return;
+
+  const [players, winners] = await Promise.all([
+    Card.distinct('owner', {
+      ...roomFilter(game.roomId || DEFAULT_ROOM_ID),
+      status: { $in: ['purchased', 'won'] },
+      purchasedAt: { $lte: game.startedAt },
+    }),
+    Winner.distinct('odId', { gameId: game.gameId }),
+  ]);
+
+  const playerIds = players.filter(Boolean);
+  const winnerIds = winners.filter(id => id && id !== 'unknown');
+  if (playerIds.length > 0) {
+    await User.updateMany({ odId: { $in: playerIds } }, { $inc: { 'stats.gamesPlayed': 1 } });
+  }
+  if (winnerIds.length > 0) {
+    await User.updateMany({ odId: { $in: winnerIds } }, { $inc: { 'stats.gamesWon': 1 } });
   }
-  return getGameState();
 }
 
 /**
- * End the game and save winner to history if exists
+ * End the game and save winners to history if any
+ * Only the winners already verified on the game are settled (see
+ * addVerifiedWinner): the prize pool (or the final stage's share) is split
+ * evenly among them and each gets a pending payout ledger entry
+ * @param {string|null} endedBy - Actor recorded on the timeline
  */
-export async function endGame(winner = null) {
-  const game = await Game.findActive();
+export async function endGame(roomId = DEFAULT_ROOM_ID, endedBy = null) {
+  const game = await Game.findActive(roomId);
   if (game) {
-    // Save winner to history if exists
-    if (winner && winner.cardId) {
-      try {
-        const totalCards = await Card.countDocuments({ status: 'purchased' });
-        const winnerRecord = new Winner({
-          winnerId: `winner_${Date.now()}_${winner.cardId.slice(-8)}`,
-          gameId: game.gameId,
-          odId: winner.odId || 'unknown',
-          odUsername: winner.odUsername || 'Anónimo',
-          wallet: winner.wallet?.toLowerCase() || '',
-          cardId: winner.cardId,
-          gameMode: winner.gameMode || game.gameMode || 'fullCard',
-          patternName: winner.patternName || winner.pattern || game.gameMode || 'fullCard',
-          prizeAmount: winner.prizeAmount || '0',
-          prizeToken: 'USDC',
-          totalCalledNumbers: game.calledNumbers.length,
-          totalCards: totalCards,
-          wonAt: new Date(),
-        });
-        await winnerRecord.save();
-        console.log(`[GameState] Winner saved to history: ${winner.odUsername} (${winner.cardId})`);
-      } catch (err) {
-        console.error('[GameState] Error saving winner to history:', err);
-        // Don't fail the game end if winner save fails
+    let allWinners = [];
+
+    // Save winners to history if any
+    if (game.winners.length > 0) {
+      const settlement = await settleWinners(game, game.winners.map(w => w.toObject()));
+      const { distribution } = settlement;
+      allWinners = settlement.winners;
+      game.winners = allWinners;
+      const stage = game.stages[game.currentStage];
+      if (stage) {
+        stage.winners = allWinners;
+        stage.prizeDistribution = distribution;
+        stage.status = 'completed';
+        stage.completedAt = new Date();
+      } else {
+        game.prizeDistribution = distribution;
       }
     }
-    await game.end(winner);
+    await game.end(allWinners);
+    await recordGameEvent(game, GAME_EVENT_TYPES.GAME_ENDED, {
+      winners: allWinners.map(timelineWinner),
+      prizeDistribution: game.stages[game.currentStage]?.prizeDistribution || game.prizeDistribution || null,
+      stage: game.stages.length > 0 ? game.currentStage : null,
+      callCount: game.calledNumbers.length,
+    }, endedBy);
+
+    // Before cards are re-enabled/expired so the players of this game are still identifiable
+    try {
+      await recordPlayerStats(game);
+    } catch (err) {
+      console.error('[GameState] Error updating player stats:', err);
+    }
 
     // CRITICAL: Re-enable cards that were disabled during this game (rejected winners)
     // Cards with status 'won' should return to 'purchased' so they can play future games
-    const reEnabledResult = await Card.updateMany(
-      { status: 'won' },
-      { $set: { status: 'purchased' } }
-    );
-    if (reEnabledResult.modifiedCount > 0) {
-      console.log(`[GameState] Re-enabled ${reEnabledResult.modifiedCount} cards that were disabled during the game`);
+    const reEnabledCount = await reEnableRejectedCards(roomId);
+    if (reEnabledCount > 0) {
+      console.log(`[GameState] Re-enabled ${reEnabledCount} cards that were disabled during the game`);
+    }
+
+    const expiredCount = await countGameOnCards(game);
+    if (expiredCount > 0) {
+      console.log(`[GameState] ${expiredCount} cards expired after game ${game.gameId}`);
+    }
+  }
+  return getGameState(roomId);
+}
+
+/**
+ * Settle the current stage's verified winners
+ * Multi-stage games advance to the next pattern keeping the called numbers;
+ * the last stage (or a single-pattern game) ends the game.
+ * @returns {Object} { advanced, completedStage, winners, state }
+ */
+export async function completeStage(roomId = DEFAULT_ROOM_ID, completedBy = null) {
+  const game = await Game.findActive(roomId);
+  if (!game) {
+    throw new Error('No active game');
+  }
+
+  const completedStage = game.currentStage;
+
+  if (!game.hasNextStage()) {
+    const state = await endGame(roomId, completedBy);
+    return { advanced: false, completedStage, winners: state.winners, state };
+  }
+
+  const completedMode = game.gameMode;
+  const { distribution, winners } = await settleWinners(game, game.winners.map(w => w.toObject()));
+  await game.advanceStage(winners, distribution);
+  await recordGameEvent(game, GAME_EVENT_TYPES.STAGE_COMPLETED, {
+    stage: completedStage,
+    gameMode: completedMode,
+    nextGameMode: game.gameMode,
+    callIndex: game.calledNumbers.length,
+    winners: winners.map(timelineWinner),
+    prizeDistribution: distribution,
+  }, completedBy);
+
+  // Rejected cards of the finished stage may still complete the next pattern
+  await reEnableRejectedCards(roomId);
+
+  console.log(`[GameState] Stage ${completedStage + 1} completed, now playing ${game.gameMode}`);
+  return { advanced: true, completedStage, winners, state: await getGameState(roomId) };
+}
+
+/**
+ * Configure the stage list for the next game
+ * @param {Object[]} stages - [{ gameMode, prizeShareBps }]; empty for a single-pattern game
+ */
+export async function setStages(roomId, stages, changedBy = null) {
+  if (!Array.isArray(stages)) {
+    throw new Error('Stages must be an array');
+  }
+  if (stages.length === 1 || stages.length > MAX_STAGES) {
+    throw new Error(`A multi-stage game needs between 2 and ${MAX_STAGES} stages`);
+  }
+
+  for (const stage of stages) {
+    if (!isValidGameMode(stage?.gameMode)) {
+      throw new Error(`Invalid game mode: ${stage?.gameMode}`);
+    }
+    if (!Number.isInteger(stage.prizeShareBps) || stage.prizeShareBps < 0 || stage.prizeShareBps > 10000) {
+      throw new Error('prizeShareBps must be an integer between 0 and 10000');
     }
   }
-  return getGameState();
+
+  const totalShare = stages.reduce((sum, stage) => sum + stage.prizeShareBps, 0);
+  if (stages.length > 0 && totalShare !== 10000) {
+    throw new Error('Stage prize shares must add up to 10000 bps');
+  }
+
+  const game = await Game.findActive(roomId) || newWaitingGame(roomId);
+  await game.setStages(stages);
+  await recordGameEvent(game, GAME_EVENT_TYPES.MODE_CHANGED, {
+    gameMode: game.gameMode,
+    stages: stages.map(({ gameMode, prizeShareBps }) => ({ gameMode, prizeShareBps })),
+  }, changedBy);
+  return getGameState(roomId);
 }
 
 /**
  * Clear game state (reset UI without starting new game)
  * Resets called numbers and winner but keeps game in 'waiting' status
  */
-export async function clearGame() {
-  const game = await Game.findActive();
+export async function clearGame(roomId = DEFAULT_ROOM_ID, clearedBy = null) {
+  const game = await Game.findActive(roomId);
   if (game) {
+    const clearedCalls = game.calledNumbers.length;
     game.calledNumbers = [];
     game.currentNumber = null;
-    game.winner = null;
+    game.winners = [];
+    game.potentialWinners = [];
+    // Keep the stage list but restart from the first stage
+    game.stages = game.stages.map(({ gameMode, prizeShareBps }) => ({ gameMode, prizeShareBps }));
+    game.currentStage = 0;
+    if (game.stages.length > 0) {
+      game.gameMode = game.stages[0].gameMode;
+    }
     game.status = 'waiting';
     await game.save();
+    await recordGameEvent(game, GAME_EVENT_TYPES.GAME_CLEARED, { clearedCalls }, clearedBy);
     console.log('[GameState] Game cleared - ready for new game');
   } else {
     // Create a new game in waiting status if none exists
-    const newGame = new Game({
-      gameId: `game_${Date.now()}`,
-      status: 'waiting',
-      calledNumbers: [],
-      currentNumber: null,
-      winner: null,
-      gameMode: 'fullCard',
-    });
-    await newGame.save();
+    await newWaitingGame(roomId, { gameMode: 'fullCard' }).save();
     console.log('[GameState] New game created in waiting status');
   }
 
   // Re-enable any cards that were disabled during previous game
-  const reEnabledResult = await Card.updateMany(
-    { status: 'won' },
-    { $set: { status: 'purchased' } }
-  );
-  if (reEnabledResult.modifiedCount > 0) {
-    console.log(`[GameState] Re-enabled ${reEnabledResult.modifiedCount} cards`);
+  const reEnabledCount = await reEnableRejectedCards(roomId);
+  if (reEnabledCount > 0) {
+    console.log(`[GameState] Re-enabled ${reEnabledCount} cards`);
+  }
+
+  return getGameState(roomId);
+}
+
+/**
+ * Record the potential winners detected on a call
+ * Replaces any previous list; verified winners already on the game are kept
+ */
+export async function setPotentialWinners(roomId, potentialWinners) {
+  const game = await Game.findActive(roomId);
+  if (!game) return [];
+
+  const now = new Date();
+  game.potentialWinners = potentialWinners
+    .filter(pw => !game.winners.some(w => w.cardId === pw.cardId))
+    .map(pw => ({ ...pw, status: 'pending', detectedAt: pw.detectedAt || now }));
+  await game.save();
+  await recordGameEvent(game, GAME_EVENT_TYPES.POTENTIAL_WINNERS, {
+    callIndex: game.calledNumbers.length,
+    cards: game.potentialWinners.map(pw => ({
+      cardId: pw.cardId,
+      owner: pw.owner,
+      ownerUsername: pw.ownerUsername,
+      pattern: pw.pattern,
+    })),
+  }, 'server');
+  return game.potentialWinners;
+}
+
+/**
+ * Configure player bingo claims for the room's next game
+ * @param {Object} rules - { manual, windowCalls } - manual: players must claim bingo,
+ * windowCalls: calls a winning card has to be claimed in before it is forfeited (0 = no limit)
+ */
+export async function setClaims(roomId, { manual, windowCalls = 0 } = {}) {
+  if (typeof manual !== 'boolean') {
+    throw new Error('manual (boolean) is required');
+  }
+  const maxWindow = config.claims.maxWindowCalls;
+  if (!Number.isInteger(windowCalls) || windowCalls < 0 || windowCalls > maxWindow) {
+    throw new Error(`windowCalls must be an integer between 0 and ${maxWindow}`);
   }
 
-  return getGameState();
+  const game = await Game.findActive(roomId) || newWaitingGame(roomId);
+  await game.setClaims(manual, windowCalls);
+  return getGameState(roomId);
+}
+
+/**
+ * Player claims bingo on one of their cards
+ * The card is checked against the current pattern and queued for admin verification.
+ * @returns {Object} Queued potential winner with the card numbers and game mode
+ */
+export async function claimBingo(roomId, cardId, userId) {
+  if (typeof cardId !== 'string' || !cardId) {
+    throw new Error('cardId is required');
+  }
+
+  const game = await Game.findActive(roomId);
+  if (!game || (game.status !== GAME_STATUS.PLAYING && game.status !== GAME_STATUS.PAUSED)) {
+    throw new Error('No game in progress');
+  }
+
+  if (game.winners.some(w => w.cardId === cardId)) {
+    throw new Error('Card has already won');
+  }
+  const previous = game.potentialWinners.find(pw => pw.cardId === cardId);
+  if (previous?.status === 'pending') {
+    throw new Error('Claim already awaiting verification');
+  }
+  if (previous?.status === 'forfeited') {
+    throw new Error('Claim window missed - card forfeited for this pattern');
+  }
+  if (previous?.status === 'rejected') {
+    throw new Error('Claim was rejected');
+  }
+
+  const card = await Card.findOne({ ...roomFilter(roomId), cardId, status: 'purchased' });
+  if (!card || card.owner !== userId) {
+    throw new Error('Card not found');
+  }
+  if (card.expiresAt && game.startedAt && card.expiresAt <= game.startedAt) {
+    throw new Error('Card is not valid for this game');
+  }
+
+  const gameMode = game.gameMode || GAME_MODES.FULL_CARD;
+  const result = checkWinner({ id: card.cardId, numbers: card.numbers }, game.calledNumbers, gameMode);
+  if (!result.isWinner) {
+    throw new Error('Card does not complete the pattern');
+  }
+
+  // Sleeper rule: the scan forfeits late claims after each call, this covers a claim racing it
+  const unclaimed = game.unclaimedWinners.find(u => u.cardId === cardId);
+  const windowCalls = game.claims?.manual ? game.claims.windowCalls : 0;
+  if (windowCalls > 0 && unclaimed && game.calledNumbers.length - unclaimed.sinceCall >= windowCalls) {
+    throw new Error('Claim window missed - card forfeited for this pattern');
+  }
+
+  const now = new Date();
+  const potentialWinner = {
+    cardId,
+    owner: card.owner,
+    ownerUsername: card.ownerUsername,
+    ownerWallet: card.ownerWallet,
+    pattern: result.pattern || result.modeName || gameMode,
+    status: 'pending',
+    detectedAt: now,
+    claimedAt: now,
+  };
+  game.potentialWinners.push(potentialWinner);
+  game.unclaimedWinners = game.unclaimedWinners.filter(u => u.cardId !== cardId);
+  await game.save();
+  await recordGameEvent(game, GAME_EVENT_TYPES.BINGO_CLAIMED, {
+    cardId,
+    owner: card.owner,
+    ownerUsername: card.ownerUsername,
+    pattern: potentialWinner.pattern,
+    callIndex: game.calledNumbers.length,
+  }, userId);
+
+  return { ...potentialWinner, cardNumbers: card.numbers, gameMode };
+}
+
+/**
+ * Record the winning cards found by the server scan of a manual-claims game
+ * Cards that stay unclaimed for the claim window are forfeited for the current pattern.
+ * @param {Object[]} winningCards - [{ cardId, owner, username, wallet, pattern }]
+ * @returns {Object[]} Forfeited cards
+ */
+export async function trackUnclaimedWinners(roomId, winningCards) {
+  const game = await Game.findActive(roomId);
+  if (!game) return [];
+
+  const callCount = game.calledNumbers.length;
+  const known = new Set([
+    ...game.winners.map(w => w.cardId),
+    ...game.potentialWinners.map(pw => pw.cardId),
+    ...game.unclaimedWinners.map(u => u.cardId),
+  ]);
+
+  for (const wc of winningCards) {
+    if (!known.has(wc.cardId)) {
+      game.unclaimedWinners.push({
+        cardId: wc.cardId,
+        owner: wc.owner,
+        ownerUsername: wc.username,
+        ownerWallet: wc.wallet,
+        pattern: wc.pattern,
+        sinceCall: callCount,
+      });
+    }
+  }
+
+  const windowCalls = game.claims?.windowCalls || 0;
+  const forfeited = windowCalls > 0
+    ? game.unclaimedWinners.filter(u => callCount - u.sinceCall >= windowCalls).map(u => u.toObject())
+    : [];
+
+  if (forfeited.length > 0) {
+    const now = new Date();
+    const forfeitedIds = new Set(forfeited.map(u => u.cardId));
+    game.unclaimedWinners = game.unclaimedWinners.filter(u => !forfeitedIds.has(u.cardId));
+    for (const u of forfeited) {
+      game.potentialWinners.push({
+        cardId: u.cardId,
+        owner: u.owner,
+        ownerUsername: u.ownerUsername,
+        ownerWallet: u.ownerWallet,
+        pattern: u.pattern,
+        status: 'forfeited',
+        detectedAt: now,
+      });
+    }
+  }
+
+  await game.save();
+  if (forfeited.length > 0) {
+    await recordGameEvent(game, GAME_EVENT_TYPES.CARDS_FORFEITED, {
+      cardIds: forfeited.map(u => u.cardId),
+      callIndex: callCount,
+    }, 'server');
+  }
+  return forfeited;
+}
+
+/**
+ * Add a verified winner to the active game without ending it
+ * @returns {Object} { winners, pendingCount }
+ */
+export async function addVerifiedWinner(roomId, winner, verifiedBy = null) {
+  const game = await Game.findActive(roomId);
+  if (!game) {
+    throw new Error('No active game');
+  }
+
+  if (!game.winners.some(w => w.cardId === winner.cardId)) {
+    game.winners.push({ ...winner, verifiedAt: winner.verifiedAt || new Date() });
+  }
+  // A verified winner no longer runs against the claim window
+  game.unclaimedWinners = game.unclaimedWinners.filter(u => u.cardId !== winner.cardId);
+
+  const potential = game.potentialWinners.find(pw => pw.cardId === winner.cardId);
+  if (potential) {
+    potential.status = 'verified';
+  }
+
+  await game.save();
+  await recordGameEvent(game, GAME_EVENT_TYPES.WINNER_VERIFIED, {
+    ...timelineWinner(winner),
+    callIndex: game.calledNumbers.length,
+  }, verifiedBy);
+  return {
+    winners: game.winners.map(w => w.toObject()),
+    pendingCount: game.getPendingWinners().length,
+  };
+}
+
+/**
+ * Mark a potential winner as rejected
+ * @returns {Object} { winners, pendingCount }
+ */
+export async function rejectPotentialWinner(roomId, cardId, rejectedBy = null) {
+  const game = await Game.findActive(roomId);
+  if (!game) {
+    return { winners: [], pendingCount: 0 };
+  }
+
+  const potential = game.potentialWinners.find(pw => pw.cardId === cardId);
+  if (potential) {
+    potential.status = 'rejected';
+    await game.save();
+    await recordGameEvent(game, GAME_EVENT_TYPES.WINNER_REJECTED, {
+      cardId,
+      owner: potential.owner,
+      callIndex: game.calledNumbers.length,
+    }, rejectedBy);
+  }
+
+  return {
+    winners: game.winners.map(w => w.toObject()),
+    pendingCount: game.getPendingWinners().length,
+  };
 }
 
 /**
  * Get recent winners from history
  */
 export async function getRecentWinners(limit = 10) {
-  return Winner.getRecent(limit);
+  return repository.winners.listRecent(limit);
 }
 
 /**
  * Get winners by wallet
  */
 export async function getWinnersByWallet(wallet, limit = 10) {
-  return Winner.getByWallet(wallet, limit);
+  return repository.winners.listByWallet(wallet, limit);
 }
 
 /**
  * Call a number
  */
-export async function callNumber(number) {
-  const game = await Game.findActive();
+export async function callNumber(roomId, number, calledBy = null) {
+  const game = await Game.findActive(roomId);
+  if (!game) {
+    throw new Error('No active game');
+  }
+  await game.callNumber(number);
+  await recordGameEvent(game, GAME_EVENT_TYPES.NUMBER_CALLED, {
+    number,
+    callIndex: game.calledNumbers.length,
+    drawn: false,
+  }, calledBy);
+  return getGameState(roomId);
+}
+
+/**
+ * Draw the next number from the game's committed seed
+ * The number is the first one in the seed's draw order not yet called
+ */
+export async function drawNumber(roomId = DEFAULT_ROOM_ID, calledBy = null) {
+  const game = await Game.findActive(roomId);
   if (!game) {
     throw new Error('No active game');
   }
+  if (!game.drawSeed) {
+    throw new Error('Game has no draw commitment');
+  }
+
+  const number = getNextDrawNumber(game.drawSeed, game.calledNumbers);
+  if (number === null) {
+    throw new Error('All numbers have been called');
+  }
+
   await game.callNumber(number);
-  return getGameState();
+  await recordGameEvent(game, GAME_EVENT_TYPES.NUMBER_CALLED, {
+    number,
+    callIndex: game.calledNumbers.length,
+    drawn: true,
+  }, calledBy);
+  return { number, state: await getGameState(roomId) };
+}
+
+/**
+ * Enable/disable the auto-caller for the active game
+ * Creates a waiting game if none exists so the setting applies to the next start
+ */
+export async function setAutoCall(roomId, enabled, intervalSeconds = null) {
+  const { minIntervalSeconds, maxIntervalSeconds } = config.autoCall;
+  if (intervalSeconds !== null &&
+      (!Number.isInteger(intervalSeconds) || intervalSeconds < minIntervalSeconds || intervalSeconds > maxIntervalSeconds)) {
+    throw new Error(`Interval must be an integer between ${minIntervalSeconds} and ${maxIntervalSeconds} seconds`);
+  }
+
+  const game = await Game.findActive(roomId) || newWaitingGame(roomId);
+  await game.setAutoCall(!!enabled, intervalSeconds);
+  return getGameState(roomId);
+}
+
+/**
+ * Schedule the next automatic call one interval from now
+ * No-op (clears the schedule) if the game is not playing or auto-call is off
+ */
+export async function scheduleNextAutoCall(roomId = DEFAULT_ROOM_ID) {
+  const game = await Game.findActive(roomId);
+  if (game) {
+    await game.scheduleNextAutoCall();
+  }
+}
+
+/**
+ * Get the persisted auto-caller schedule of the active game
+ */
+export async function getAutoCallSchedule(roomId = DEFAULT_ROOM_ID) {
+  const game = await Game.findActive(roomId);
+  if (!game) {
+    return { roomId, gameId: null, status: null, enabled: false, intervalSeconds: config.autoCall.defaultIntervalSeconds, nextCallAt: null };
+  }
+  return {
+    roomId,
+    gameId: game.gameId,
+    status: game.status,
+    ...formatAutoCall(game),
+  };
+}
+
+// ============== SCHEDULED GAMES ==============
+
+/**
+ * Format the start schedule of a game for clients
+ */
+function formatSchedule(game) {
+  return {
+    roomId: game.roomId || DEFAULT_ROOM_ID,
+    gameId: game.gameId,
+    status: game.status,
+    gameMode: game.gameMode,
+    scheduledStartAt: game.scheduledStartAt,
+    purchaseCutoffAt: game.purchaseCutoffAt,
+    purchasesOpen: game.canPurchaseCards(),
+    prizePool: game.prizePool || '0',
+    cardsSold: game.cardsSold || 0,
+  };
+}
+
+/**
+ * Schedule the automatic start of a room's next game
+ * Creates a waiting game if none exists; card sales close purchaseCutoffSeconds before start
+ * @param {string} roomId - Room ID
+ * @param {string|Date} scheduledStartAt - Start time
+ * @param {number} purchaseCutoffSeconds - Seconds before start when card sales close
+ */
+export async function scheduleGame(roomId, scheduledStartAt, purchaseCutoffSeconds = config.schedule.purchaseCutoffSeconds) {
+  const startAt = new Date(scheduledStartAt);
+  if (!scheduledStartAt || Number.isNaN(startAt.getTime())) {
+    throw new Error('scheduledStartAt must be a valid date');
+  }
+  if (!Number.isInteger(purchaseCutoffSeconds) || purchaseCutoffSeconds < 0 || purchaseCutoffSeconds > 86400) {
+    throw new Error('purchaseCutoffSeconds must be an integer between 0 and 86400');
+  }
+
+  const now = Date.now();
+  const cutoffAt = new Date(startAt.getTime() - purchaseCutoffSeconds * 1000);
+  if (cutoffAt.getTime() <= now) {
+    throw new Error('The purchase cutoff must be in the future');
+  }
+  if (startAt.getTime() - now > config.schedule.maxDaysAhead * 24 * 60 * 60 * 1000) {
+    throw new Error(`Games can be scheduled at most ${config.schedule.maxDaysAhead} days ahead`);
+  }
+
+  const game = await Game.findActive(roomId) || newWaitingGame(roomId);
+  if (game.status !== GAME_STATUS.WAITING) {
+    throw new Error('End the current game before scheduling the next one');
+  }
+
+  await game.setSchedule(startAt, cutoffAt);
+  return formatSchedule(game);
+}
+
+/**
+ * Cancel the scheduled start of a room's waiting game (it can still be started manually)
+ */
+export async function cancelSchedule(roomId = DEFAULT_ROOM_ID) {
+  const game = await Game.findActive(roomId);
+  if (!game || !game.scheduledStartAt) {
+    throw new Error('No scheduled game');
+  }
+  await game.setSchedule(null, null);
+  return getGameState(roomId);
+}
+
+/**
+ * Get the start schedule of a room's waiting game (null if not scheduled)
+ */
+export async function getSchedule(roomId = DEFAULT_ROOM_ID) {
+  const game = await Game.findActive(roomId);
+  if (!game || game.status !== GAME_STATUS.WAITING || !game.scheduledStartAt) {
+    return null;
+  }
+  return formatSchedule(game);
+}
+
+/**
+ * List scheduled games that have not started yet, soonest first
+ * @param {string|null} roomId - Only this room (all rooms if null)
+ */
+export async function getUpcomingGames(roomId = null) {
+  const games = await Game.find({
+    ...(roomId ? roomFilter(roomId) : {}),
+    status: GAME_STATUS.WAITING,
+    scheduledStartAt: { $ne: null },
+  }).sort({ scheduledStartAt: 1 });
+  return games.map(formatSchedule);
+}
+
+/**
+ * Check if the purchase cutoff of a room's scheduled game has passed
+ */
+export async function isPurchaseCutoffReached(roomId = DEFAULT_ROOM_ID) {
+  const game = await Game.findActive(roomId);
+  return !!game && game.status === GAME_STATUS.WAITING && game.isPastPurchaseCutoff();
+}
+
+/**
+ * Start a room's scheduled game if its start time has come
+ * CRITICAL: Re-checks persisted state - the game may have been started or rescheduled meanwhile
+ * @returns {Object|null} New game state, or null if nothing was due
+ */
+export async function startScheduledGame(roomId = DEFAULT_ROOM_ID) {
+  const game = await Game.findActive(roomId);
+  if (!game || game.status !== GAME_STATUS.WAITING || !game.scheduledStartAt) {
+    return null;
+  }
+  if (game.scheduledStartAt.getTime() > Date.now()) {
+    return null;
+  }
+  return startGame(roomId, 'scheduler');
+}
+
+/**
+ * Get the provably-fair draw proof for a game
+ * Includes the replayed draw order only once the seed has been revealed
+ */
+export async function getDrawProof(gameId) {
+  const game = await Game.findOne({ gameId });
+  if (!game) return null;
+
+  const fairness = game.getFairnessInfo();
+  const proof = {
+    gameId: game.gameId,
+    roomId: game.roomId || DEFAULT_ROOM_ID,
+    status: game.status,
+    commitment: fairness.commitment,
+    seed: fairness.seed,
+    revealedAt: fairness.revealedAt,
+    calledNumbers: [...game.calledNumbers],
+  };
+
+  if (fairness.seed) {
+    const result = verifyDraw(fairness.seed, fairness.commitment, game.calledNumbers);
+    proof.commitmentValid = result.commitmentValid;
+    proof.drawOrder = result.drawOrder;
+    proof.calls = result.calls;
+    proof.allFromSeed = result.allFromSeed;
+  }
+
+  return proof;
 }
 
 /**
  * Get called numbers
  */
-export async function getCalledNumbers() {
-  const game = await Game.findCurrent();
+export async function getCalledNumbers(roomId = DEFAULT_ROOM_ID) {
+  const game = await Game.findCurrent(roomId);
   return game ? [...game.calledNumbers] : [];
 }
 
+// ============== PRIZE POOL & PAYOUTS ==============
+
+/**
+ * Get the active game of a room, creating a waiting one if there is none
+ */
+async function getOrCreateActiveGame(roomId) {
+  const game = await Game.findActive(roomId);
+  if (game) return game;
+  return newWaitingGame(roomId).save();
+}
+
+/**
+ * Add confirmed purchase revenue to the prize pool of the next game
+ * Creates a waiting game if none is active so revenue is never lost
+ * Uses compare-and-set on the string amount to stay safe under concurrent purchases
+ */
+export async function addToPrizePool(roomId, amount, cardCount = 0) {
+  let game = await getOrCreateActiveGame(roomId);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const current = game.prizePool || '0';
+    const updated = await Game.findOneAndUpdate(
+      { _id: game._id, prizePool: current },
+      {
+        $set: { prizePool: addAmounts(current, amount) },
+        $inc: { cardsSold: cardCount },
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      return updated.prizePool;
+    }
+
+    game = await Game.findById(game._id);
+  }
+
+  throw new Error('Failed to update prize pool (concurrent updates)');
+}
+
+/**
+ * List payout ledger entries
+ */
+export async function getPayouts(status = null, limit = 100) {
+  return Payout.findByStatus(status, limit);
+}
+
+/**
+ * Mark a payout as paid with the prize transfer tx hash
+ */
+export async function markPayoutPaid(payoutId, txHash, paidBy = null) {
+  const payout = await Payout.findOne({ payoutId });
+  if (!payout) {
+    return null;
+  }
+  await payout.markPaid(txHash, paidBy);
+  return payout.toObject();
+}
+
+// ============== CANCELLATION & REFUNDS ==============
+
+/**
+ * Cancel the active game of a room and refund its card purchases
+ * Cards bought for the game are marked 'refunded' (they stop playing) and each
+ * wallet gets one pending refund with the sum of the cards' pricePaid
+ * @param {string} roomId - Room ID
+ * @param {string|null} reason - Cancellation reason shown to players
+ * @param {string|null} cancelledBy - Admin wallet
+ * @returns {Object} { state, refunds }
+ */
+export async function cancelGame(roomId, reason = null, cancelledBy = null) {
+  const game = await Game.findActive(roomId);
+  if (!game) {
+    throw new Error('No active game');
+  }
+  if (game.stages.some(stage => stage.status === 'completed')) {
+    throw new Error('A stage prize has already been awarded - end the game instead');
+  }
+
+  const cards = await Card.find({ gameId: game.gameId, status: { $in: ['purchased', 'won'] } });
+
+  // One refund per wallet; cards bought without a wallet fall back to the owner's profile wallet
+  const ownerWallets = new Map();
+  const byWallet = new Map();
+  for (const card of cards) {
+    let wallet = card.ownerWallet?.toLowerCase();
+    if (!wallet && card.owner) {
+      if (!ownerWallets.has(card.owner)) {
+        const user = await repository.users.getById(card.owner);
+        ownerWallets.set(card.owner, user?.wallet?.toLowerCase() || null);
+      }
+      wallet = ownerWallets.get(card.owner);
+    }
+    if (!wallet) {
+      console.warn(`[GameState] Card ${card.cardId} has no owner wallet - refund must be handled manually`);
+      continue;
+    }
+
+    const entry = byWallet.get(wallet) || { odId: card.owner, cardIds: [], purchaseTxHashes: [], amount: '0' };
+    entry.cardIds.push(card.cardId);
+    if (card.purchaseTxHash && !entry.purchaseTxHashes.includes(card.purchaseTxHash)) {
+      entry.purchaseTxHashes.push(card.purchaseTxHash);
+    }
+    entry.amount = addAmounts(entry.amount, card.pricePaid);
+    byWallet.set(wallet, entry);
+  }
+
+  const refundDocs = [...byWallet.entries()]
+    .filter(([, entry]) => BigInt(entry.amount) > 0n)
+    .map(([wallet, entry]) => ({
+      refundId: `refund_${game.gameId}_${wallet}`,
+      gameId: game.gameId,
+      roomId: game.roomId || DEFAULT_ROOM_ID,
+      wallet,
+      ...entry,
+    }));
+  const refunds = refundDocs.length > 0 ? await Refund.insertMany(refundDocs) : [];
+
+  await Card.updateMany(
+    { gameId: game.gameId, status: { $in: ['purchased', 'won'] } },
+    { $set: { status: 'refunded' } }
+  );
+  await game.cancel(reason, cancelledBy);
+  await recordGameEvent(game, GAME_EVENT_TYPES.GAME_CANCELLED, {
+    reason,
+    refunds: refunds.length,
+    callCount: game.calledNumbers.length,
+  }, cancelledBy);
+
+  console.log(`[GameState] Game ${game.gameId} cancelled: ${refunds.length} refund(s) for ${cards.length} card(s)`);
+  return {
+    state: await getGameState(roomId),
+    refunds: refunds.map(r => r.toObject()),
+  };
+}
+
+/**
+ * List refund ledger entries
+ * @param {string|null} status - pending | executed
+ * @param {number} limit
+ * @param {Object} filters - { gameId }
+ */
+export async function getRefunds(status = null, limit = 100, filters = {}) {
+  return Refund.findByStatus(status, limit, filters);
+}
+
+/**
+ * List a player's refunds (by user ID or wallet)
+ */
+export async function getRefundsForPlayer(userId, wallet = null, status = null) {
+  const owners = [{ odId: userId }];
+  if (wallet) {
+    owners.push({ wallet: wallet.toLowerCase() });
+  }
+  return Refund.findByStatus(status, 100, { $or: owners });
+}
+
+/**
+ * Mark a refund as executed with the refund transfer tx hash
+ */
+export async function markRefundExecuted(refundId, txHash, executedBy = null) {
+  const refund = await Refund.findOne({ refundId });
+  if (!refund) {
+    return null;
+  }
+  await refund.markExecuted(txHash, executedBy);
+  return refund.toObject();
+}
+
 // ============== CARDS MANAGEMENT ==============
 
 /**
@@ -343,25 +1439,40 @@ export async function addPurchasedCard(card, owner, wallet = null, txHash = null
 }
 
 /**
- * Get cards by owner
+ * Get cards by owner with their validity
+ * @param {boolean} includeExpired - Also list cards whose validity ended
  */
-export async function getCardsByOwner(ownerId) {
-  const cards = await Card.findByOwner(ownerId);
+export async function getCardsByOwner(ownerId, includeExpired = false) {
+  const cards = await Card.findByOwner(ownerId, includeExpired ? ['purchased', 'expired'] : ['purchased']);
   return cards.map(c => ({
     id: c.cardId,
     numbers: c.numbers,
+    status: c.status,
+    roomId: c.roomId || DEFAULT_ROOM_ID,
+    gameId: c.gameId,
     purchasedAt: c.purchasedAt,
     txHash: c.purchaseTxHash,
+    gamesRemaining: c.gamesRemaining ?? null,
+    validUntil: c.expiresAt || null,
   }));
 }
 
 /**
- * Get all purchased cards
+ * Get all purchased cards of a room that are valid for its current game
+ * A card valid when the game started keeps playing until that game ends.
  */
-export async function getAllPurchasedCards() {
-  const cards = await Card.find({ status: 'purchased' });
+export async function getAllPurchasedCards(roomId = DEFAULT_ROOM_ID) {
+  const game = await Game.findActive(roomId);
+  const validAt = game?.startedAt || new Date();
+  const cards = await Card.find({
+    ...roomFilter(roomId),
+    status: 'purchased',
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: validAt } }],
+  });
   return cards.map(c => ({
     card: { id: c.cardId, numbers: c.numbers },
+    roomId: c.roomId || DEFAULT_ROOM_ID,
+    gameId: c.gameId,
     owner: c.owner,
     ownerUsername: c.ownerUsername,
     ownerWallet: c.ownerWallet,
@@ -378,6 +1489,8 @@ export async function getPurchasedCard(cardId) {
   if (!card) return null;
   return {
     card: { id: card.cardId, numbers: card.numbers },
+    roomId: card.roomId || DEFAULT_ROOM_ID,
+    gameId: card.gameId,
     owner: card.owner,
     ownerUsername: card.ownerUsername,
     ownerWallet: card.ownerWallet,
@@ -401,7 +1514,7 @@ export async function purchaseCard(cardId, owner, wallet, txHash, price, usernam
   // Get username from user if not provided
   let ownerUsername = username;
   if (!ownerUsername && owner) {
-    const user = await User.findByUserId(owner);
+    const user = await repository.users.getById(owner);
     ownerUsername = user?.username || null;
   }
 
@@ -447,7 +1560,7 @@ export async function purchaseCardsAtomic(cardIds, owner, wallet, txHash, priceP
     // Get username from user if not provided
     let ownerUsername = username;
     if (!ownerUsername && owner) {
-      const user = await User.findByUserId(owner);
+      const user = await repository.users.getById(owner);
       ownerUsername = user?.username || null;
     }
 
@@ -521,6 +1634,13 @@ export async function upsertUser(userId, userData) {
     { upsert: true, new: true }
   );
 
+  return formatUser(user);
+}
+
+/**
+ * User fields returned to routes
+ */
+function formatUser(user) {
   return {
     id: user.odId,
     username: user.username,
@@ -535,42 +1655,23 @@ export async function upsertUser(userId, userData) {
  * Get user by ID
  */
 export async function getUser(userId) {
-  const user = await User.findByUserId(userId);
-  if (!user) return null;
-  return {
-    id: user.odId,
-    username: user.username,
-    wallet: user.wallet,
-    isAdmin: user.isAdmin || false,
-    profileImage: user.profileImage,
-    stats: user.stats,
-  };
+  const user = await repository.users.getById(userId);
+  return user ? formatUser(user) : null;
 }
 
 /**
  * Get user by wallet address
  */
 export async function getUserByWallet(wallet) {
-  const user = await User.findByWallet(wallet);
-  if (!user) return null;
-  return {
-    id: user.odId,
-    username: user.username,
-    wallet: user.wallet,
-    isAdmin: user.isAdmin || false,
-    profileImage: user.profileImage,
-    stats: user.stats,
-  };
+  const user = await repository.users.getByWallet(wallet);
+  return user ? formatUser(user) : null;
 }
 
 /**
  * Increment user stats
  */
 export async function incrementUserStats(userId, field, amount = 1) {
-  const user = await User.findByUserId(userId);
-  if (user) {
-    await user.incrementStats(field, amount);
-  }
+  await repository.users.incrementStats(userId, field, amount);
 }
 
 // ============== INITIALIZATION ==============
@@ -608,12 +1709,13 @@ export async function ensureAvailableCards(minimum = 20, generate = 50) {
  * Prevents race conditions where multiple users try to buy the same cards
  */
 export async function reserveCards(cardIds, userId, ttlMinutes = 5) {
-  // First, clean up any expired reservations
-  await Card.cleanExpiredReservations();
-
-  // Try to reserve the requested cards
-  const reservedCards = await Card.reserveCards(cardIds, userId, ttlMinutes);
-  return reservedCards.map(c => ({
+  // Expired reservations are released first; a partial reservation is released again
+  const reservation = await gameService.reserveCards(cardIds, userId, ttlMinutes);
+  if (!reservation.success) {
+    return [];
+  }
+  const cards = await Card.find({ cardId: { $in: reservation.cardIds } }, { cardId: 1, numbers: 1 }).lean();
+  return cards.map(c => ({
     id: c.cardId,
     numbers: c.numbers,
   }));
@@ -623,22 +1725,44 @@ export async function reserveCards(cardIds, userId, ttlMinutes = 5) {
  * SECURITY: Release reserved cards (on payment failure or cancellation)
  */
 export async function releaseReservation(cardIds, userId) {
-  await Card.releaseReservation(cardIds, userId);
+  await gameService.releaseReservation(cardIds, userId);
 }
 
 /**
  * SECURITY: Confirm reservation after successful payment
- * Converts reserved cards to purchased status
+ * Converts reserved cards to purchased status, bound to the room's active game,
+ * and updates the buyer's cardsPurchased/totalSpent stats
  */
-export async function confirmReservation(cardIds, userId, wallet, txHash, pricePerCard, username = null) {
-  // Get username from user if not provided
-  let ownerUsername = username;
-  if (!ownerUsername && userId) {
-    const user = await User.findByUserId(userId);
-    ownerUsername = user?.username || null;
+export async function confirmReservation(cardIds, userId, wallet, txHash, pricePerCard, username = null, roomId = DEFAULT_ROOM_ID) {
+  const game = await getOrCreateActiveGame(roomId);
+  const purchased = await gameService.confirmPurchase(cardIds, userId, {
+    username,
+    wallet,
+    txHash,
+    pricePerCard,
+    roomId,
+    gameId: game.gameId,
+    ...game.getCardValidity(),
+  });
+
+  const confirmedCards = purchased.map(card => ({
+    id: card.cardId,
+    numbers: card.numbers,
+    owner: card.owner,
+    ownerUsername: card.ownerUsername,
+    ownerWallet: card.ownerWallet,
+  }));
+
+  // Confirmed revenue goes to the prize pool (non-critical, cards are already purchased)
+  if (confirmedCards.length > 0) {
+    try {
+      const revenue = (BigInt(pricePerCard || '0') * BigInt(confirmedCards.length)).toString();
+      await addToPrizePool(roomId, revenue, confirmedCards.length);
+    } catch (err) {
+      console.error('[GameState] Error adding purchase to prize pool:', err.message);
+    }
   }
 
-  const confirmedCards = await Card.confirmReservation(cardIds, userId, wallet, txHash, pricePerCard, ownerUsername);
   return { success: confirmedCards.length > 0, cards: confirmedCards };
 }
 
@@ -646,33 +1770,35 @@ export async function confirmReservation(cardIds, userId, wallet, txHash, priceP
  * SECURITY: Clean up expired reservations
  */
 export async function cleanExpiredReservations() {
-  return Card.cleanExpiredReservations();
+  return gameService.repository.cards.releaseExpiredReservations();
 }
 
 /**
  * Disable a card that won but was rejected (absent winner)
  * This prevents the card from being detected as a winner again
+ * @returns {boolean} Whether the card was disabled
  */
-export async function disableWonCard(cardId) {
-  const result = await Card.findOneAndUpdate(
-    { cardId, status: 'purchased' },
-    { $set: { status: 'won' } },
-    { new: true }
-  );
+export async function disableWonCard(cardId, roomId = DEFAULT_ROOM_ID) {
+  const disabled = await gameService.rejectWinnerCard(cardId, roomId);
 
-  if (result) {
+  if (disabled) {
     console.log(`[GameState] Card ${cardId} marked as 'won' (disabled from future winner checks)`);
   }
 
-  return result;
+  return disabled;
 }
 
 export default {
   GAME_STATUS,
   GAME_MODES,
+  CARD_POLICIES,
   getGameState,
   canPurchaseCards,
   setGameMode,
+  setCardPolicy,
+  setClaims,
+  claimBingo,
+  trackUnclaimedWinners,
   getPatternInfoForMode,
   getAvailablePatterns,
   startGame,
@@ -680,7 +1806,23 @@ export default {
   resumeGame,
   endGame,
   clearGame,
+  completeStage,
+  setStages,
+  setPotentialWinners,
+  addVerifiedWinner,
+  rejectPotentialWinner,
   callNumber,
+  drawNumber,
+  getDrawProof,
+  setAutoCall,
+  scheduleNextAutoCall,
+  getAutoCallSchedule,
+  scheduleGame,
+  cancelSchedule,
+  getSchedule,
+  getUpcomingGames,
+  isPurchaseCutoffReached,
+  startScheduledGame,
   getCalledNumbers,
   addAvailableCards,
   getAvailableCards,
@@ -698,6 +1840,13 @@ export default {
   confirmReservation,
   cleanExpiredReservations,
   disableWonCard,
+  addToPrizePool,
+  getPayouts,
+  markPayoutPaid,
+  cancelGame,
+  getRefunds,
+  getRefundsForPlayer,
+  markRefundExecuted,
   upsertUser,
   getUser,
   getUserByWallet,
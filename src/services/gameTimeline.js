@@ -0,0 +1,160 @@
+/**
+ * Game event timeline and replay
+ * gameState appends an event for every step of a game (start, calls, pauses,
+ * winners, mode/stage changes, end). The timeline is public; the replay
+ * rebuilds a card's board at any point of the called-number sequence.
+ */
+
+import { Game, GameEvent, GAME_EVENT_TYPES, Card, DEFAULT_ROOM_ID, roomFilter } from '../models/index.js';
+import Winner from '../models/Winner.js';
+import { checkWinner, getPatternProgress } from './bingoCard.js';
+
+export { GAME_EVENT_TYPES };
+
+const COLUMNS = ['B', 'I', 'N', 'G', 'O'];
+
+/**
+ * Append an event to a game's timeline
+ * Never throws - a lost timeline entry must not break the game.
+ * @param {Object} game - Game document (gameId, roomId)
+ * @param {string} type - GAME_EVENT_TYPES value
+ * @param {Object} data - Event details
+ * @param {string|null} by - Admin wallet, player id, 'auto-caller', 'scheduler' or 'server'
+ */
+export async function recordGameEvent(game, type, data = {}, by = null) {
+  if (!game?.gameId) return;
+  try {
+    await GameEvent.create({
+      gameId: game.gameId,
+      roomId: game.roomId || DEFAULT_ROOM_ID,
+      type,
+      by: by || null,
+      data: JSON.parse(JSON.stringify(data)),
+    });
+  } catch (err) {
+    console.error(`[Timeline] Failed to record ${type} for ${game.gameId}:`, err.message);
+  }
+}
+
+function formatEvent(event) {
+  return {
+    type: event.type,
+    at: event.at,
+    by: event.by,
+    data: event.data,
+  };
+}
+
+/**
+ * Full timeline of a game
+ * @returns {Object|null} Game summary with its events in order, null if the game does not exist
+ */
+export async function getTimeline(gameId) {
+  const game = await Game.findOne({ gameId }).lean();
+  if (!game) return null;
+
+  const events = await GameEvent.findByGame(gameId);
+  return {
+    gameId: game.gameId,
+    roomId: game.roomId || DEFAULT_ROOM_ID,
+    status: game.status,
+    gameMode: game.gameMode,
+    stages: (game.stages || []).map(({ gameMode, prizeShareBps, status }) => ({ gameMode, prizeShareBps, status })),
+    startedAt: game.startedAt,
+    endedAt: game.endedAt,
+    callCount: game.calledNumbers.length,
+    calledNumbers: [...game.calledNumbers],
+    events: events.map(formatEvent),
+  };
+}
+
+/**
+ * Pattern being played after `callIndex` calls
+ * A stage completed at call c still applies at c; the next stage starts with call c + 1.
+ */
+function modeAtCall(game, stageEvents, callIndex) {
+  if (!game.stages || game.stages.length === 0) {
+    return { stage: 0, gameMode: game.gameMode };
+  }
+  const stage = Math.min(
+    stageEvents.filter(event => event.data?.callIndex < callIndex).length,
+    game.stages.length - 1
+  );
+  return { stage, gameMode: game.stages[stage].gameMode };
+}
+
+/**
+ * Player who held a card in a game
+ * The winner record when the card won; otherwise the buyer, only if the card
+ * was bought before the game started (same rule as the player stats) - a card
+ * bought later plays the following games, not this one.
+ * @returns {string|null} userId, null if the card did not play the game
+ */
+function ownerInGame(game, card, winner) {
+  if (winner?.odId && winner.odId !== 'unknown') return winner.odId;
+  if (!card.owner || !card.purchasedAt || !game.startedAt) return null;
+  return new Date(card.purchasedAt) <= new Date(game.startedAt) ? card.owner : null;
+}
+
+/**
+ * Board state of a card after the first `callIndex` numbers of a game
+ * `owner` is the player who held the card in that game (see ownerInGame).
+ * @param {string} gameId
+ * @param {string} cardId
+ * @param {number|null} callIndex - Calls made (0 = before the first call); defaults to all of them
+ * @returns {Object|null} null if the game or card does not exist
+ */
+export async function getCardReplay(gameId, cardId, callIndex = null) {
+  const game = await Game.findOne({ gameId }).lean();
+  if (!game) return null;
+
+  const callCount = game.calledNumbers.length;
+  const index = callIndex === null ? callCount : callIndex;
+  if (!Number.isInteger(index) || index < 0 || index > callCount) {
+    throw new Error(`callIndex must be an integer between 0 and ${callCount}`);
+  }
+
+  const card = await Card.findOne({ ...roomFilter(game.roomId || DEFAULT_ROOM_ID), cardId }).lean();
+  if (!card) return null;
+
+  const [stageEvents, callEvent, winner] = await Promise.all([
+    GameEvent.findByGame(gameId, [GAME_EVENT_TYPES.STAGE_COMPLETED]),
+    index > 0
+      ? GameEvent.findOne({ gameId, type: GAME_EVENT_TYPES.NUMBER_CALLED, 'data.callIndex': index }).lean()
+      : null,
+    Winner.findOne({ gameId, cardId }).lean(),
+  ]);
+
+  const calledNumbers = game.calledNumbers.slice(0, index);
+  const calledSet = new Set(calledNumbers);
+  const { stage, gameMode } = modeAtCall(game, stageEvents, index);
+  const result = checkWinner({ id: card.cardId, numbers: card.numbers }, calledNumbers, gameMode);
+
+  return {
+    gameId,
+    cardId,
+    owner: ownerInGame(game, card, winner),
+    callIndex: index,
+    callCount,
+    lastNumber: index > 0 ? calledNumbers[index - 1] : null,
+    calledAt: callEvent?.at || null,
+    calledNumbers,
+    stage,
+    gameMode,
+    numbers: card.numbers,
+    marked: Object.fromEntries(COLUMNS.map(col => [
+      col,
+      card.numbers[col].map(num => num === 0 || calledSet.has(num)),
+    ])),
+    progress: getPatternProgress(card, calledNumbers, gameMode),
+    isWinner: result.isWinner,
+    pattern: result.isWinner ? (result.pattern || result.modeName || gameMode) : null,
+  };
+}
+
+export default {
+  GAME_EVENT_TYPES,
+  recordGameEvent,
+  getTimeline,
+  getCardReplay,
+};
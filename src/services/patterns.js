@@ -0,0 +1,141 @@
+import { Pattern, Game } from '../models/index.js';
+import { GAME_PATTERNS, validatePatternDefinition, setCustomPatterns } from './bingoCard.js';
+
+/**
+ * Custom pattern management
+ * Patterns are persisted in the Pattern collection and mirrored into the
+ * bingoCard registry so winner checks stay synchronous.
+ */
+
+/**
+ * Load active custom patterns into the bingoCard registry
+ * Must be called on server start and after any pattern change.
+ * @returns {number} Number of active custom patterns
+ */
+export async function loadCustomPatterns() {
+  const patterns = await Pattern.findActive();
+  setCustomPatterns(patterns);
+  return patterns.length;
+}
+
+/**
+ * Format a pattern document for API responses
+ */
+function formatPattern(pattern) {
+  return {
+    key: pattern.key,
+    name: pattern.name,
+    description: pattern.description,
+    masks: pattern.masks,
+    anyRotation: pattern.anyRotation,
+    active: pattern.active,
+    createdBy: pattern.createdBy,
+    createdAt: pattern.createdAt,
+    updatedAt: pattern.updatedAt,
+  };
+}
+
+/**
+ * List built-in and custom patterns (including inactive ones)
+ */
+export async function listPatterns() {
+  const custom = await Pattern.find().sort({ createdAt: -1 }).lean();
+  return {
+    builtIn: Object.entries(GAME_PATTERNS).map(([key, pattern]) => ({
+      key,
+      name: pattern.name,
+      description: pattern.description,
+    })),
+    custom: custom.map(formatPattern),
+  };
+}
+
+/**
+ * Create a custom pattern
+ * @param {Object} definition - { key, name, description, masks, anyRotation }
+ * @param {string} createdBy - Admin wallet
+ */
+export async function createPattern(definition, createdBy = null) {
+  const pattern = validatePatternDefinition(definition);
+
+  const existing = await Pattern.findOne({ key: pattern.key });
+  if (existing) {
+    throw new Error(`Pattern "${pattern.key}" already exists`);
+  }
+
+  const created = await Pattern.create({ ...pattern, createdBy });
+  await loadCustomPatterns();
+  return formatPattern(created);
+}
+
+/**
+ * Throw if the active game of any room (or its stages) uses the pattern
+ * A waiting game may have its pattern edited, but not removed.
+ */
+async function assertPatternNotInUse(key, { removing = false } = {}) {
+  const games = await Game.find({
+    status: { $in: ['waiting', 'playing', 'paused'] },
+    $or: [{ gameMode: key }, { 'stages.gameMode': key }],
+  });
+
+  for (const game of games) {
+    if (game.status !== 'waiting') {
+      throw new Error('Pattern is in use by a game in progress');
+    }
+    if (removing) {
+      throw new Error('Select another game mode before removing this pattern');
+    }
+  }
+}
+
+/**
+ * Update a custom pattern (the key cannot change)
+ * @param {string} key - Pattern key
+ * @param {Object} updates - { name, description, masks, anyRotation, active }
+ */
+export async function updatePattern(key, updates) {
+  const pattern = await Pattern.findOne({ key });
+  if (!pattern) {
+    throw new Error('Pattern not found');
+  }
+
+  await assertPatternNotInUse(key, { removing: updates.active === false });
+
+  const validated = validatePatternDefinition({
+    key,
+    name: updates.name ?? pattern.name,
+    description: updates.description ?? pattern.description,
+    masks: updates.masks ?? pattern.toObject().masks,
+    anyRotation: updates.anyRotation ?? pattern.anyRotation,
+  });
+
+  Object.assign(pattern, validated, { updatedAt: new Date() });
+  if (typeof updates.active === 'boolean') {
+    pattern.active = updates.active;
+  }
+  await pattern.save();
+  await loadCustomPatterns();
+  return formatPattern(pattern);
+}
+
+/**
+ * Delete a custom pattern
+ * @param {string} key - Pattern key
+ */
+export async function deletePattern(key) {
+  await assertPatternNotInUse(key, { removing: true });
+
+  const result = await Pattern.deleteOne({ key });
+  if (result.deletedCount === 0) {
+    throw new Error('Pattern not found');
+  }
+  await loadCustomPatterns();
+}
+
+export default {
+  loadCustomPatterns,
+  listPatterns,
+  createPattern,
+  updatePattern,
+  deletePattern,
+};
@@ -0,0 +1,208 @@
+/**
+ * x402 payments and purchase idempotency
+ * Each payment authorization (payer + nonce) is claimed as a Payment before
+ * settlement and moves pending -> settled -> completed; a definite failure
+ * frees it again. Repeated purchase requests find the Payment by their
+ * Idempotency-Key or payment header and get its recorded outcome.
+ * A settle that never answers leaves the Payment pending: once it is older
+ * than the pending TTL it is unconfirmed and an admin resolves it.
+ */
+
+import crypto from 'crypto';
+import { Payment, PAYMENT_STATUS } from '../models/index.js';
+import { config } from '../config/index.js';
+
+function paymentError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function unconfirmedCutoff(now = Date.now()) {
+  return new Date(now - config.x402.pendingPaymentTtlMinutes * 60 * 1000);
+}
+
+/**
+ * Find the recorded payment of a request
+ * Failed payments are not returned: their authorization may be presented again.
+ * @param {Object} lookup - { userId, idempotencyKey, payer, nonce }
+ * @returns {Object|null} Payment
+ */
+export async function findPayment({ userId = null, idempotencyKey = null, payer = null, nonce = null } = {}) {
+  if (userId && idempotencyKey) {
+    const payment = await Payment.findOne({ userId, idempotencyKey }).lean();
+    if (payment) return payment;
+  }
+  if (payer && nonce) {
+    const payment = await Payment.findOne({ payer, nonce }).lean();
+    if (payment && payment.status !== PAYMENT_STATUS.FAILED) return payment;
+  }
+  return null;
+}
+
+/**
+ * Claim an authorization for a payment about to be settled
+ * @param {Object} claim - { payer, nonce, value, unitPrice, quantity, userId, idempotencyKey }
+ * @returns {Object} { payment } or { error } - AUTHORIZATION_USED or IDEMPOTENCY_KEY_IN_USE
+ */
+export async function claimPayment({ payer, nonce, value, unitPrice = null, quantity = null, userId = null, idempotencyKey = null }) {
+  const fields = {
+    value,
+    unitPrice,
+    quantity,
+    userId,
+    status: PAYMENT_STATUS.PENDING,
+    claimedAt: new Date(),
+    ...(idempotencyKey && { idempotencyKey }),
+  };
+
+  try {
+    const payment = await Payment.create({ paymentId: crypto.randomUUID(), payer, nonce, ...fields });
+    return { payment: payment.toObject() };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  // The authorization is known: only a failed payment may be retried with it
+  const existing = await Payment.findOne({ payer, nonce }).lean();
+  if (!existing) {
+    return { error: 'IDEMPOTENCY_KEY_IN_USE' };
+  }
+  if (existing.status !== PAYMENT_STATUS.FAILED) {
+    return { error: 'AUTHORIZATION_USED' };
+  }
+
+  try {
+    const payment = await Payment.findOneAndUpdate(
+      { payer, nonce, status: PAYMENT_STATUS.FAILED },
+      { $set: { ...fields, failureReason: null } },
+      { new: true }
+    ).lean();
+    return payment ? { payment } : { error: 'AUTHORIZATION_USED' };
+  } catch (err) {
+    if (err.code === 11000) return { error: 'IDEMPOTENCY_KEY_IN_USE' };
+    throw err;
+  }
+}
+
+/**
+ * Record the settlement transaction
+ * @returns {Object|null} Payment, or null if the transaction is already recorded
+ */
+export async function markPaymentSettled(paymentId, txHash) {
+  try {
+    return await Payment.findOneAndUpdate(
+      { paymentId, status: PAYMENT_STATUS.PENDING },
+      { $set: { status: PAYMENT_STATUS.SETTLED, txHash, settledAt: new Date() } },
+      { new: true }
+    ).lean();
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+}
+
+/**
+ * The transfer was not executed - free the authorization and idempotency key
+ */
+export async function markPaymentFailed(paymentId, reason) {
+  await Payment.updateOne(
+    { paymentId, status: PAYMENT_STATUS.PENDING },
+    { $set: { status: PAYMENT_STATUS.FAILED, failureReason: reason }, $unset: { idempotencyKey: 1 } }
+  );
+}
+
+/**
+ * Cards were assigned - record the response returned to the buyer
+ */
+export async function completePayment(paymentId, response) {
+  await Payment.updateOne(
+    { paymentId, status: PAYMENT_STATUS.SETTLED },
+    { $set: { status: PAYMENT_STATUS.COMPLETED, response, completedAt: new Date() } }
+  );
+}
+
+/**
+ * Whether a payment is still pending after the pending TTL (its settle never answered)
+ */
+export function isPaymentUnconfirmed(payment, now = Date.now()) {
+  if (payment?.status !== PAYMENT_STATUS.PENDING) return false;
+  return new Date(payment.claimedAt || payment.createdAt) <= unconfirmedCutoff(now);
+}
+
+/**
+ * Unconfirmed payments, oldest first
+ * @returns {Object[]} Payments
+ */
+export async function listUnconfirmedPayments(limit = 100) {
+  const cutoff = unconfirmedCutoff();
+  return Payment.find({
+    status: PAYMENT_STATUS.PENDING,
+    $or: [
+      { claimedAt: { $lte: cutoff } },
+      { claimedAt: { $exists: false }, createdAt: { $lte: cutoff } },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * Resolve an unconfirmed payment once its transfer was checked on-chain
+ * With the transfer's txHash the payment is settled and the buyer's retry
+ * gets the cards; without it the transfer was not executed, and the
+ * authorization and Idempotency-Key are freed like any failed payment.
+ * Throws (err.code) PAYMENT_NOT_FOUND, PAYMENT_NOT_UNCONFIRMED or TX_ALREADY_USED.
+ * @param {Object} resolution - { txHash, resolvedBy (admin wallet) }
+ * @returns {Object} Payment
+ */
+export async function resolvePayment(paymentId, { txHash = null, resolvedBy = null } = {}) {
+  const payment = await Payment.findOne({ paymentId }).lean();
+  if (!payment) {
+    throw paymentError('Payment not found', 'PAYMENT_NOT_FOUND');
+  }
+  if (!isPaymentUnconfirmed(payment)) {
+    throw paymentError(
+      `Only payments pending for more than ${config.x402.pendingPaymentTtlMinutes} minutes can be resolved`,
+      'PAYMENT_NOT_UNCONFIRMED'
+    );
+  }
+
+  const filter = { paymentId, status: PAYMENT_STATUS.PENDING };
+  const resolved = { resolvedBy, resolvedAt: new Date() };
+  let updated;
+  try {
+    updated = txHash
+      ? await Payment.findOneAndUpdate(
+        filter,
+        { $set: { status: PAYMENT_STATUS.SETTLED, txHash, settledAt: new Date(), ...resolved } },
+        { new: true }
+      ).lean()
+      : await Payment.findOneAndUpdate(
+        filter,
+        { $set: { status: PAYMENT_STATUS.FAILED, failureReason: 'not_settled', ...resolved }, $unset: { idempotencyKey: 1 } },
+        { new: true }
+      ).lean();
+  } catch (err) {
+    if (err.code === 11000) {
+      throw paymentError('Transaction already recorded for another payment', 'TX_ALREADY_USED');
+    }
+    throw err;
+  }
+  if (!updated) {
+    throw paymentError('Payment is no longer pending', 'PAYMENT_NOT_UNCONFIRMED');
+  }
+  return updated;
+}
+
+export default {
+  findPayment,
+  claimPayment,
+  markPaymentSettled,
+  markPaymentFailed,
+  completePayment,
+  isPaymentUnconfirmed,
+  listUnconfirmedPayments,
+  resolvePayment,
+};
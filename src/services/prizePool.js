@@ -0,0 +1,74 @@
+import { config } from '../config/index.js';
+
+/**
+ * Prize pool calculations
+ * All amounts are atomic USDC units (6 decimals) handled as BigInt
+ * and returned as strings, matching how they are stored in MongoDB.
+ */
+
+const BPS_DENOMINATOR = 10000n;
+
+/**
+ * Add two atomic amounts
+ * @param {string|number} a
+ * @param {string|number} b
+ * @returns {string} Sum as string
+ */
+export function addAmounts(a, b) {
+  return (BigInt(a || '0') + BigInt(b || '0')).toString();
+}
+
+/**
+ * Split a gross pool into fees and per-winner prizes
+ * Integer division dust (remainder) is retained by the house.
+ * @param {string|number} grossAmount - Pool collected from card sales
+ * @param {number} winnersCount - Number of winners sharing the prize
+ * @param {Object} fees - { houseFeeBps, daoFeeBps }
+ * @returns {Object} Distribution with gross, houseFee, daoFee, net, prizePerWinner, remainder
+ */
+export function calculatePrizeDistribution(grossAmount, winnersCount = 1, fees = config.prize) {
+  const gross = BigInt(grossAmount || '0');
+  const houseFee = gross * BigInt(fees.houseFeeBps) / BPS_DENOMINATOR;
+  const daoFee = gross * BigInt(fees.daoFeeBps) / BPS_DENOMINATOR;
+  const net = gross - houseFee - daoFee;
+
+  const count = BigInt(Math.max(1, winnersCount));
+  const prizePerWinner = net / count;
+  const remainder = net - prizePerWinner * count;
+
+  return {
+    gross: gross.toString(),
+    houseFee: (houseFee + remainder).toString(),
+    daoFee: daoFee.toString(),
+    net: (net - remainder).toString(),
+    winnersCount: Number(count),
+    prizePerWinner: prizePerWinner.toString(),
+    houseFeeBps: fees.houseFeeBps,
+    daoFeeBps: fees.daoFeeBps,
+  };
+}
+
+/**
+ * Portion of the gross pool allocated to one stage of a multi-stage game
+ * The last stage receives any rounding dust so the whole pool is allocated.
+ * @param {string|number} grossAmount - Full prize pool
+ * @param {number[]} sharesBps - Prize share of every stage, in order
+ * @param {number} stageIndex - Stage to compute
+ * @returns {string} Stage gross amount as string
+ */
+export function calculateStageGross(grossAmount, sharesBps, stageIndex) {
+  const gross = BigInt(grossAmount || '0');
+  const allocations = sharesBps.map(bps => gross * BigInt(bps) / BPS_DENOMINATOR);
+
+  if (stageIndex === sharesBps.length - 1) {
+    const allocated = allocations.slice(0, -1).reduce((sum, a) => sum + a, 0n);
+    return (gross - allocated).toString();
+  }
+  return allocations[stageIndex].toString();
+}
+
+export default {
+  addAmounts,
+  calculatePrizeDistribution,
+  calculateStageGross,
+};
@@ -0,0 +1,320 @@
+/**
+ * Responsible gaming - per-user purchase caps and self-exclusion
+ * Effective cap = the stricter of the user's own cap and the operator cap
+ * (the admin's per-user override, or config.purchaseLimits).
+ * Users can tighten their caps at once; raising or removing them waits
+ * config.purchaseLimits.limitIncreaseDelayHours.
+ */
+
+import { config } from '../config/index.js';
+import { User, Card, Game } from '../models/index.js';
+
+export const LIMIT_FIELDS = [
+  'maxCardsPerGame',
+  'maxCardsPerDay',
+  'maxCardsPerWeek',
+  'maxSpendPerDay',
+  'maxSpendPerWeek',
+];
+
+const CARD_LIMIT_FIELDS = ['maxCardsPerGame', 'maxCardsPerDay', 'maxCardsPerWeek'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cards that count as bought (refunded cards do not)
+const PURCHASED_STATUSES = ['purchased', 'won', 'expired'];
+
+function tighter(a, b) {
+  if (a === null || a === undefined) return b ?? null;
+  if (b === null || b === undefined) return a;
+  return Math.min(a, b);
+}
+
+function pickLimits(source) {
+  return Object.fromEntries(LIMIT_FIELDS.map(field => [field, source?.[field] ?? null]));
+}
+
+/**
+ * Validate a { field: value } limits object (null = no cap)
+ */
+function parseLimits(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Limits must be an object');
+  }
+
+  const parsed = {};
+  for (const [field, value] of Object.entries(input)) {
+    if (!LIMIT_FIELDS.includes(field)) {
+      throw new Error(`Unknown limit: ${field}. Valid: ${LIMIT_FIELDS.join(', ')}`);
+    }
+    if (value === null) {
+      parsed[field] = null;
+      continue;
+    }
+    const isCardLimit = CARD_LIMIT_FIELDS.includes(field);
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (isCardLimit && !Number.isInteger(value))) {
+      throw new Error(`${field} must be ${isCardLimit ? 'a non-negative integer' : 'a non-negative number'} or null`);
+    }
+    parsed[field] = value;
+  }
+  return parsed;
+}
+
+/**
+ * Load a user, applying self-set caps whose cooling-off period has passed
+ */
+async function loadUser(userId) {
+  const user = await User.findByUserId(userId);
+  if (!user) {
+    return null;
+  }
+
+  const pending = user.pendingLimits;
+  if (pending && new Date(pending.effectiveAt) <= new Date()) {
+    for (const [field, value] of Object.entries(pending.limits || {})) {
+      user.limits[field] = value;
+    }
+    user.pendingLimits = null;
+    await user.save();
+  }
+  return user;
+}
+
+/**
+ * Operator caps for a user (admin override, else config)
+ */
+function operatorLimits(user) {
+  return Object.fromEntries(LIMIT_FIELDS.map(field => [
+    field,
+    user.adminLimits?.[field] ?? config.purchaseLimits[field] ?? null,
+  ]));
+}
+
+/**
+ * Caps that apply to a user's purchases
+ */
+export function getEffectiveLimits(user) {
+  const operator = operatorLimits(user);
+  return Object.fromEntries(LIMIT_FIELDS.map(field => [
+    field,
+    tighter(user.limits?.[field], operator[field]),
+  ]));
+}
+
+async function sumPurchases(match) {
+  const [totals] = await Card.aggregate([
+    { $match: { ...match, status: { $in: PURCHASED_STATUSES } } },
+    {
+      $group: {
+        _id: null,
+        cards: { $sum: 1 },
+        spent: { $sum: { $toLong: { $ifNull: ['$pricePaid', '0'] } } },
+      },
+    },
+  ]);
+  return {
+    cards: totals?.cards || 0,
+    spent: Number(totals?.spent || 0) / 1_000_000,
+  };
+}
+
+/**
+ * Cards bought and USDC spent by a user (rolling day/week, current game of the room)
+ */
+export async function getPurchaseUsage(userId, roomId) {
+  const now = Date.now();
+  const game = await Game.findActive(roomId);
+
+  const [day, week, currentGame] = await Promise.all([
+    sumPurchases({ owner: userId, purchasedAt: { $gte: new Date(now - DAY_MS) } }),
+    sumPurchases({ owner: userId, purchasedAt: { $gte: new Date(now - 7 * DAY_MS) } }),
+    game
+      ? sumPurchases({ owner: userId, gameId: game.gameId, purchasedAt: { $gte: game.createdAt } })
+      : { cards: 0, spent: 0 },
+  ]);
+
+  return {
+    cardsThisGame: currentGame.cards,
+    cardsToday: day.cards,
+    cardsThisWeek: week.cards,
+    spentToday: day.spent,
+    spentThisWeek: week.spent,
+  };
+}
+
+/**
+ * Check a purchase against self-exclusion and caps
+ * Runs before the x402 payment is accepted (and again in the purchase route).
+ * @param {string} userId - Buyer
+ * @param {string} roomId - Room of the purchase
+ * @param {number} quantity - Cards requested
+ * @param {number} unitPrice - USDC per card
+ * @returns {Object|null} null if allowed, else { status, code, error }
+ */
+export async function checkPurchaseAllowed(userId, roomId, quantity, unitPrice) {
+  const user = await loadUser(userId);
+  if (!user) {
+    return null;
+  }
+
+  if (user.selfExcludedUntil && user.selfExcludedUntil > new Date()) {
+    return {
+      status: 403,
+      code: 'SELF_EXCLUDED',
+      error: `Purchases are blocked by self-exclusion until ${user.selfExcludedUntil.toISOString()}`,
+    };
+  }
+
+  const cards = Number.isInteger(quantity) && quantity > 0 ? quantity : 1;
+  const cost = cards * (Number(unitPrice) || 0);
+  const limits = getEffectiveLimits(user);
+  const usage = await getPurchaseUsage(userId, roomId);
+
+  const checks = [
+    ['maxCardsPerGame', usage.cardsThisGame + cards, 'cards in this game'],
+    ['maxCardsPerDay', usage.cardsToday + cards, 'cards in 24 hours'],
+    ['maxCardsPerWeek', usage.cardsThisWeek + cards, 'cards in 7 days'],
+    ['maxSpendPerDay', usage.spentToday + cost, 'USDC in 24 hours'],
+    ['maxSpendPerWeek', usage.spentThisWeek + cost, 'USDC in 7 days'],
+  ];
+  for (const [field, total, label] of checks) {
+    if (limits[field] !== null && total > limits[field] + 1e-9) {
+      return {
+        status: 403,
+        code: 'PURCHASE_LIMIT_REACHED',
+        limit: field,
+        error: `Purchase limit reached: at most ${limits[field]} ${label}`,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Caps, pending changes, self-exclusion and usage of a user
+ */
+export async function getLimitsStatus(userId, roomId) {
+  const user = await loadUser(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return {
+    userId,
+    limits: pickLimits(user.limits),
+    pendingLimits: user.pendingLimits,
+    operatorLimits: operatorLimits(user),
+    adminLimits: pickLimits(user.adminLimits),
+    effectiveLimits: getEffectiveLimits(user),
+    selfExcludedUntil: user.selfExcludedUntil && user.selfExcludedUntil > new Date() ? user.selfExcludedUntil : null,
+    usage: await getPurchaseUsage(userId, roomId),
+  };
+}
+
+/**
+ * Set the user's own caps
+ * Stricter caps apply at once; raised or removed caps after the cooling-off period.
+ * @param {Object} input - { field: value|null }
+ * @returns {Object} { applied, pending, effectiveAt }
+ */
+export async function setUserLimits(userId, input) {
+  const requested = parseLimits(input);
+  const user = await loadUser(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const applied = {};
+  const pending = { ...(user.pendingLimits?.limits || {}) };
+  let hasNewPending = false;
+
+  for (const [field, value] of Object.entries(requested)) {
+    const current = user.limits?.[field] ?? null;
+    if (value !== null && (current === null || value <= current)) {
+      user.limits[field] = value;
+      applied[field] = value;
+      delete pending[field];
+    } else if (value !== current) {
+      pending[field] = value;
+      hasNewPending = true;
+    }
+  }
+
+  let effectiveAt = user.pendingLimits?.effectiveAt || null;
+  if (hasNewPending) {
+    effectiveAt = new Date(Date.now() + config.purchaseLimits.limitIncreaseDelayHours * 60 * 60 * 1000);
+  }
+  user.pendingLimits = Object.keys(pending).length > 0 ? { limits: pending, effectiveAt } : null;
+  await user.save();
+
+  return { applied, pending: user.pendingLimits?.limits || {}, effectiveAt: user.pendingLimits ? effectiveAt : null };
+}
+
+/**
+ * Self-exclude from purchases for a number of days (never shortens an active exclusion)
+ * @returns {Date} Exclusion end
+ */
+export async function selfExclude(userId, days) {
+  if (!Number.isInteger(days) || days < 1 || days > config.purchaseLimits.maxSelfExclusionDays) {
+    throw new Error(`days must be an integer between 1 and ${config.purchaseLimits.maxSelfExclusionDays}`);
+  }
+  const user = await loadUser(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const until = new Date(Date.now() + days * DAY_MS);
+  if (!user.selfExcludedUntil || user.selfExcludedUntil < until) {
+    user.selfExcludedUntil = until;
+    await user.save();
+  }
+  return user.selfExcludedUntil;
+}
+
+/**
+ * Admin: set per-user operator caps (null = back to the config default)
+ * @returns {Object} Admin caps after the change
+ */
+export async function setAdminLimits(userId, input) {
+  const overrides = parseLimits(input);
+  const user = await loadUser(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  for (const [field, value] of Object.entries(overrides)) {
+    user.adminLimits[field] = value;
+  }
+  await user.save();
+  return pickLimits(user.adminLimits);
+}
+
+/**
+ * Admin: end a user's self-exclusion early
+ * @returns {Date|null} The exclusion end that was lifted
+ */
+export async function liftSelfExclusion(userId) {
+  const user = await loadUser(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  const previous = user.selfExcludedUntil && user.selfExcludedUntil > new Date() ? user.selfExcludedUntil : null;
+  if (!previous) {
+    throw new Error('User is not self-excluded');
+  }
+  user.selfExcludedUntil = null;
+  await user.save();
+  return previous;
+}
+
+export default {
+  LIMIT_FIELDS,
+  getEffectiveLimits,
+  getPurchaseUsage,
+  checkPurchaseAllowed,
+  getLimitsStatus,
+  setUserLimits,
+  selfExclude,
+  setAdminLimits,
+  liftSelfExclusion,
+};
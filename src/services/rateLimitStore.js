@@ -0,0 +1,135 @@
+/**
+ * Rate limit counter stores
+ * A store counts hits per key in fixed time windows:
+ *   increment(key, windowMs) -> Promise<{ count, resetAt }>
+ * The in-memory store is per process; the MongoDB store is shared by all
+ * server instances and survives restarts. Other backends (e.g. Redis) can be
+ * plugged in with setRateLimitStore().
+ */
+
+import { config } from '../config/index.js';
+import { RateLimit } from '../models/index.js';
+
+/**
+ * Start of the fixed window containing `now`
+ */
+function windowStartOf(now, windowMs) {
+  return Math.floor(now / windowMs) * windowMs;
+}
+
+/**
+ * Per-process store (counters are lost on restart)
+ */
+export function createMemoryStore() {
+  const counters = new Map();
+
+  // Drop counters of finished windows every 5 minutes
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, data] of counters.entries()) {
+      if (data.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }, 5 * 60 * 1000);
+  cleanup.unref();
+
+  return {
+    name: 'memory',
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const windowStart = windowStartOf(now, windowMs);
+      const bucketKey = `${key}:${windowStart}`;
+
+      let data = counters.get(bucketKey);
+      if (!data) {
+        data = { count: 0, resetAt: windowStart + windowMs };
+        counters.set(bucketKey, data);
+      }
+      data.count++;
+      return { count: data.count, resetAt: data.resetAt };
+    },
+  };
+}
+
+/**
+ * MongoDB store - counters shared across instances, expired by a TTL index
+ */
+export function createMongoStore() {
+  return {
+    name: 'mongo',
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const windowStart = windowStartOf(now, windowMs);
+      const resetAt = windowStart + windowMs;
+      const bucketKey = `${key}:${windowStart}`;
+
+      // Two instances upserting the same new key race on the unique index - retry once
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const doc = await RateLimit.findOneAndUpdate(
+            { key: bucketKey },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+            { upsert: true, new: true, lean: true }
+          );
+          return { count: doc.count, resetAt };
+        } catch (err) {
+          if (err.code !== 11000 || attempt > 0) throw err;
+        }
+      }
+    },
+  };
+}
+
+let store = null;
+
+/**
+ * Store in use (created from config.rateLimit.store on first use)
+ */
+export function getRateLimitStore() {
+  if (!store) {
+    store = config.rateLimit.store === 'mongo' ? createMongoStore() : createMemoryStore();
+  }
+  return store;
+}
+
+/**
+ * Replace the store (must implement increment(key, windowMs))
+ */
+export function setRateLimitStore(customStore) {
+  if (!customStore || typeof customStore.increment !== 'function') {
+    throw new Error('Rate limit store must implement increment(key, windowMs)');
+  }
+  store = customStore;
+}
+
+/**
+ * Count a hit against a limit
+ * SECURITY: store errors fail open (the request is allowed) so a database
+ * outage does not lock everyone out; the error is logged.
+ * @param {string} key - Limiter key (type + client)
+ * @param {Object} limits - { windowMs, maxRequests }
+ * @returns {Promise<Object>} { allowed, count, remaining, resetAt }
+ */
+export async function hitRateLimit(key, { windowMs, maxRequests }) {
+  try {
+    const { count, resetAt } = await getRateLimitStore().increment(key, windowMs);
+    return {
+      allowed: count <= maxRequests,
+      count,
+      remaining: Math.max(0, maxRequests - count),
+      resetAt,
+    };
+  } catch (err) {
+    console.error('[RateLimit] Store error, allowing request:', err.message);
+    return { allowed: true, count: 0, remaining: maxRequests, resetAt: Date.now() + windowMs };
+  }
+}
+
+export default {
+  createMemoryStore,
+  createMongoStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  hitRateLimit,
+};
@@ -0,0 +1,215 @@
+import { config } from '../config/index.js';
+import { Room, Game, GAME_STATUS, DEFAULT_ROOM_ID } from '../models/index.js';
+
+/**
+ * Game room management
+ * Rooms run independent games in parallel, each with its own card price.
+ * The default room is created from config.cardPrice on server start.
+ */
+
+const ROOM_ID_REGEX = /^[a-z0-9][a-z0-9-]{1,31}$/;
+const MAX_CARD_PRICE = 10000;
+
+export { DEFAULT_ROOM_ID };
+
+/**
+ * Check a room ID format (lowercase slug, 2-32 chars)
+ */
+export function isValidRoomId(roomId) {
+  return typeof roomId === 'string' && ROOM_ID_REGEX.test(roomId);
+}
+
+function validateCardPrice(cardPrice) {
+  if (typeof cardPrice !== 'number' || !Number.isFinite(cardPrice) ||
+      cardPrice < 0.01 || cardPrice > MAX_CARD_PRICE) {
+    throw new Error(`Card price must be between 0.01 and ${MAX_CARD_PRICE} USDC`);
+  }
+  // USDC has 6 decimals
+  if (Math.round(cardPrice * 1e6) / 1e6 !== cardPrice) {
+    throw new Error('Card price supports at most 6 decimals');
+  }
+}
+
+/**
+ * Format a room document for API responses
+ */
+function formatRoom(room) {
+  return {
+    roomId: room.roomId,
+    name: room.name,
+    cardPrice: room.cardPrice,
+    active: room.active,
+    isDefault: room.roomId === DEFAULT_ROOM_ID,
+    createdAt: room.createdAt,
+    updatedAt: room.updatedAt,
+  };
+}
+
+/**
+ * Create the default room if it does not exist
+ * Must be called on server start.
+ */
+export async function ensureDefaultRoom() {
+  const room = await Room.findOneAndUpdate(
+    { roomId: DEFAULT_ROOM_ID },
+    {
+      $setOnInsert: {
+        roomId: DEFAULT_ROOM_ID,
+        name: 'Main',
+        cardPrice: config.cardPrice,
+        active: true,
+      },
+    },
+    { upsert: true, new: true }
+  );
+  return formatRoom(room);
+}
+
+/**
+ * List rooms
+ * @param {boolean} includeInactive - Also list rooms that no longer sell cards
+ */
+export async function listRooms(includeInactive = false) {
+  const rooms = await Room.find(includeInactive ? {} : { active: true })
+    .sort({ createdAt: 1 })
+    .lean();
+  return rooms.map(formatRoom);
+}
+
+/**
+ * Get a room by ID
+ */
+export async function getRoom(roomId) {
+  const room = await Room.findByRoomId(roomId);
+  return room ? formatRoom(room) : null;
+}
+
+/**
+ * Resolve the room targeted by a request
+ * A game ID resolves to the room that game was played in; no IDs means the default room.
+ * @param {Object} ids - { roomId, gameId }
+ * @returns {string} Room ID
+ */
+export async function resolveRoomId({ roomId, gameId } = {}) {
+  if (gameId) {
+    if (typeof gameId !== 'string' || !/^game_[a-zA-Z0-9_-]+$/.test(gameId)) {
+      throw new Error('Invalid game ID format');
+    }
+    const game = await Game.findOne({ gameId }).select('roomId').lean();
+    if (!game) {
+      throw new Error('Game not found');
+    }
+    const gameRoomId = game.roomId || DEFAULT_ROOM_ID;
+    if (roomId && roomId !== gameRoomId) {
+      throw new Error('Game does not belong to this room');
+    }
+    return gameRoomId;
+  }
+
+  if (!roomId || roomId === DEFAULT_ROOM_ID) {
+    return DEFAULT_ROOM_ID;
+  }
+  if (!isValidRoomId(roomId)) {
+    throw new Error('Invalid room ID format');
+  }
+  if (!(await Room.exists({ roomId }))) {
+    throw new Error('Room not found');
+  }
+  return roomId;
+}
+
+/**
+ * Card price (USDC) of a room that is selling cards
+ */
+export async function getCardPrice(roomId = DEFAULT_ROOM_ID) {
+  if (!isValidRoomId(roomId)) {
+    throw new Error('Invalid room ID format');
+  }
+  const room = await Room.findByRoomId(roomId);
+  if (!room) {
+    // Default room before ensureDefaultRoom() ran
+    if (roomId === DEFAULT_ROOM_ID) return config.cardPrice;
+    throw new Error('Room not found');
+  }
+  if (!room.active) {
+    throw new Error('Room is closed');
+  }
+  return room.cardPrice;
+}
+
+/**
+ * Create a room
+ * @param {Object} definition - { roomId, name, cardPrice }
+ */
+export async function createRoom({ roomId, name, cardPrice } = {}) {
+  if (!isValidRoomId(roomId)) {
+    throw new Error('Room ID must be 2-32 lowercase letters, digits or dashes');
+  }
+  if (typeof name !== 'string' || !name.trim() || name.length > 50) {
+    throw new Error('Room name must be 1-50 characters');
+  }
+  validateCardPrice(cardPrice);
+
+  if (await Room.exists({ roomId })) {
+    throw new Error(`Room "${roomId}" already exists`);
+  }
+
+  const room = await Room.create({ roomId, name: name.trim(), cardPrice });
+  return formatRoom(room);
+}
+
+/**
+ * Update a room (the ID cannot change)
+ * @param {string} roomId - Room ID
+ * @param {Object} updates - { name, cardPrice, active }
+ */
+export async function updateRoom(roomId, updates = {}) {
+  const room = await Room.findByRoomId(roomId);
+  if (!room) {
+    throw new Error('Room not found');
+  }
+
+  if (updates.name !== undefined) {
+    if (typeof updates.name !== 'string' || !updates.name.trim() || updates.name.length > 50) {
+      throw new Error('Room name must be 1-50 characters');
+    }
+    room.name = updates.name.trim();
+  }
+
+  if (updates.cardPrice !== undefined) {
+    validateCardPrice(updates.cardPrice);
+    room.cardPrice = updates.cardPrice;
+  }
+
+  if (typeof updates.active === 'boolean' && updates.active !== room.active) {
+    if (!updates.active) {
+      if (roomId === DEFAULT_ROOM_ID) {
+        throw new Error('The default room cannot be closed');
+      }
+      const game = await Game.findActive(roomId);
+      if (game && game.status !== GAME_STATUS.WAITING) {
+        throw new Error('End the current game before closing the room');
+      }
+      if (game?.scheduledStartAt) {
+        throw new Error('Cancel the scheduled game before closing the room');
+      }
+    }
+    room.active = updates.active;
+  }
+
+  room.updatedAt = new Date();
+  await room.save();
+  return formatRoom(room);
+}
+
+export default {
+  DEFAULT_ROOM_ID,
+  isValidRoomId,
+  ensureDefaultRoom,
+  listRooms,
+  getRoom,
+  resolveRoomId,
+  getCardPrice,
+  createRoom,
+  updateRoom,
+};
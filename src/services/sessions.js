@@ -0,0 +1,196 @@
+/**
+ * Login sessions
+ * A login creates a session: a short-lived JWT access token carrying the
+ * session id (sid) and an opaque refresh token "<sessionId>.<secret>".
+ * Refreshing rotates the secret; reusing an old secret revokes the session.
+ * Revoked sessions invalidate their access tokens immediately.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { config } from '../config/index.js';
+import { Session } from '../models/index.js';
+import { isAdminWallet } from './adminRoles.js';
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Access + refresh token pair for a session
+ */
+function issueTokens(session, secret) {
+  const token = jwt.sign({
+    userId: session.userId,
+    username: session.username || undefined,
+    wallet: session.wallet || undefined,
+    isAdmin: session.isAdmin,
+    sid: session.sessionId,
+  }, config.jwtSecret, { expiresIn: config.jwtExpiresIn });
+
+  return {
+    token,
+    refreshToken: `${session.sessionId}.${secret}`,
+    expiresIn: config.jwtExpiresIn,
+    refreshExpiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Start a session after login
+ * @param {Object} claims - { userId, username, wallet, isAdmin }
+ * @param {Object} client - { ip, userAgent }
+ * @returns {Object} { token, refreshToken, expiresIn, refreshExpiresAt }
+ */
+export async function createSession({ userId, username, wallet, isAdmin }, { ip, userAgent } = {}) {
+  const secret = newSecret();
+  const session = await Session.create({
+    sessionId: crypto.randomUUID(),
+    userId,
+    username: username || null,
+    wallet: wallet || null,
+    isAdmin: isAdmin === true,
+    refreshTokenHash: hashSecret(secret),
+    ip: ip || null,
+    userAgent: typeof userAgent === 'string' ? userAgent.slice(0, 200) : null,
+    expiresAt: refreshExpiry(),
+  });
+  return issueTokens(session, secret);
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string' || refreshToken.length > 200) return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * SECURITY: Admin sessions are revoked if the wallet left the whitelist.
+ * @returns {Object} { token, refreshToken, expiresIn, refreshExpiresAt, session }
+ */
+export async function refreshSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new Error('Invalid refresh token');
+  }
+
+  const session = await Session.findOne({ sessionId: parsed.sessionId });
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw new Error('Session expired or revoked');
+  }
+
+  const presentedHash = hashSecret(parsed.secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    // SECURITY: A rotated token was replayed - assume it leaked and end the session
+    if (presentedHash === session.previousTokenHash) {
+      await revokeSession(session.sessionId, 'Refresh token reused');
+      throw new Error('Refresh token reused - session revoked');
+    }
+    throw new Error('Invalid refresh token');
+  }
+
+  if (session.isAdmin && !(await isAdminWallet(session.wallet))) {
+    await revokeSession(session.sessionId, 'Wallet removed from admin whitelist');
+    throw new Error('Admin wallet not authorized');
+  }
+
+  // Conditional on the current hash so two concurrent refreshes cannot both win
+  const secret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { sessionId: session.sessionId, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(secret),
+        previousTokenHash: presentedHash,
+        lastRefreshedAt: new Date(),
+        expiresAt: refreshExpiry(),
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    throw new Error('Invalid refresh token');
+  }
+
+  return { ...issueTokens(rotated, secret), session: rotated };
+}
+
+/**
+ * Revoke one session
+ * @returns {boolean} Whether an active session was revoked
+ */
+export async function revokeSession(sessionId, reason = 'Logged out') {
+  const result = await Session.updateOne(
+    { sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every active session of a user (by userId and/or wallet)
+ * @returns {string[]} Revoked session ids
+ */
+export async function revokeUserSessions({ userId, wallet }, reason = 'Revoked by admin') {
+  const owners = [];
+  if (userId) owners.push({ userId: String(userId) });
+  if (wallet) owners.push({ wallet: String(wallet).toLowerCase() });
+  if (owners.length === 0) {
+    throw new Error('userId or wallet is required');
+  }
+
+  const query = { revokedAt: null, $or: owners };
+  const sessions = await Session.find(query, { sessionId: 1 }).lean();
+  const sessionIds = sessions.map(s => s.sessionId);
+  if (sessionIds.length > 0) {
+    await Session.updateMany(
+      { sessionId: { $in: sessionIds }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+  return sessionIds;
+}
+
+/**
+ * Whether a session can still be used
+ */
+export async function isSessionActive(sessionId) {
+  if (typeof sessionId !== 'string' || !sessionId) return false;
+  const session = await Session.findOne({ sessionId }, { revokedAt: 1, expiresAt: 1 }).lean();
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+}
+
+/**
+ * Verify an access token and its session
+ * Tokens without a session id (issued before sessions existed) are rejected.
+ * @returns {Object} Decoded token
+ */
+export async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, config.jwtSecret);
+  if (!decoded || typeof decoded !== 'object' || !decoded.sid) {
+    throw new Error('Token is not bound to a session');
+  }
+  if (!(await isSessionActive(decoded.sid))) {
+    throw new Error('Session revoked');
+  }
+  return decoded;
+}
+
+export default {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  verifyAccessToken,
+};
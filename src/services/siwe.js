@@ -0,0 +1,57 @@
+/**
+ * Sign-In With Ethereum (EIP-4361)
+ * Clients get a single-use nonce, sign a SIWE message containing it with their
+ * wallet, and the server recovers the signer to prove wallet ownership.
+ */
+
+import { generateSiweNonce } from 'viem/siwe';
+import { config } from '../config/index.js';
+import { AuthNonce } from '../models/index.js';
+import { verifySiweMessage } from '../../shared/auth/siwe.js';
+
+/**
+ * Issue a nonce for a SIWE message
+ * @returns {Object} { nonce, expiresAt, domain, uri, statement, version }
+ */
+export async function issueNonce(ip = null) {
+  const nonce = generateSiweNonce();
+  const expiresAt = new Date(Date.now() + config.siwe.nonceTtlSeconds * 1000);
+  await AuthNonce.create({ nonce, ip, expiresAt });
+
+  return {
+    nonce,
+    expiresAt,
+    domain: config.siwe.domain,
+    uri: config.siwe.uri,
+    statement: config.siwe.statement,
+    version: '1',
+  };
+}
+
+/**
+ * Verify a signed SIWE message and consume its nonce
+ * @param {Object} proof - { message, signature }
+ * @returns {Object} { wallet, chainId } - wallet lowercase
+ */
+export async function verifySiweLogin(proof = {}) {
+  const { wallet, chainId, nonce: signedNonce } = await verifySiweMessage(proof, {
+    domain: config.siwe.domain,
+    nonceTtlSeconds: config.siwe.nonceTtlSeconds,
+  });
+
+  // SECURITY: Single use - a replayed message finds its nonce gone
+  const nonce = await AuthNonce.findOneAndDelete({
+    nonce: signedNonce,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!nonce) {
+    throw new Error('Invalid or expired nonce');
+  }
+
+  return { wallet, chainId };
+}
+
+export default {
+  issueNonce,
+  verifySiweLogin,
+};
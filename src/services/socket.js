@@ -1,48 +1,277 @@
-import jwt from 'jsonwebtoken';
 import { config } from '../config/index.js';
 import gameState from './gameState.js';
 import bingoCard from './bingoCard.js';
+import rooms from './rooms.js';
 import { auditLog } from '../middleware/security.js';
+import { hitRateLimit } from './rateLimitStore.js';
+import { verifyAccessToken } from './sessions.js';
+import { isAdminWallet, hasPermission, PERMISSIONS } from './adminRoles.js';
+import approvals from './approvals.js';
+import { PENDING_ACTION_TYPES } from '../models/index.js';
+import { gameService } from '../storage/index.js';
+
+// SECURITY: Rate limiting for socket events (limits in config.rateLimit.socketLimits)
+// Counted per user (admins per wallet, anonymous sockets per IP) in the shared rate limit store,
+// so reconnecting or using several instances does not reset the limits
+const SOCKET_RATE_LIMITS = config.rateLimit.socketLimits;
+
+async function checkSocketRateLimit(socket, eventName) {
+  const limits = SOCKET_RATE_LIMITS[eventName] || SOCKET_RATE_LIMITS.default;
+  // Every admin session has userId 'admin' - one bucket for all of them would let one admin throttle every room
+  const client = socket.isAdmin && socket.wallet
+    ? `admin:${socket.wallet}`
+    : socket.userId ? `user:${socket.userId}` : `ip:${socket.handshake.address}`;
+  const { allowed } = await hitRateLimit(`socket:${eventName}:${client}`, limits);
+  return allowed;
+}
 
-// SECURITY: Rate limiting for socket events
-const socketRateLimits = new Map();
-const SOCKET_RATE_LIMITS = {
-  'admin:call-number': { windowMs: 1000, maxRequests: 3 }, // 3 calls per second max
-  'admin:start-game': { windowMs: 5000, maxRequests: 1 },  // 1 per 5 seconds
-  'admin:end-game': { windowMs: 5000, maxRequests: 1 },
-  'admin:verify-winner': { windowMs: 2000, maxRequests: 2 },
-  'admin:reject-winner': { windowMs: 2000, maxRequests: 2 },
-  'default': { windowMs: 1000, maxRequests: 10 },
-};
+/**
+ * Whether an admin socket's wallet currently has a permission
+ * Checked on every event so role changes apply to connected sockets
+ */
+async function canAdmin(socket, permission) {
+  return socket.isAdmin === true && await hasPermission(socket.wallet, permission);
+}
 
-function checkSocketRateLimit(socketId, eventName) {
-  const limits = SOCKET_RATE_LIMITS[eventName] || SOCKET_RATE_LIMITS.default;
-  const key = `${socketId}:${eventName}`;
-  const now = Date.now();
-
-  let data = socketRateLimits.get(key);
-  if (!data || now - data.windowStart > limits.windowMs) {
-    data = { windowStart: now, requests: 1 };
-    socketRateLimits.set(key, data);
-    return true;
+/**
+ * Socket.io channel of a game room
+ */
+export function roomChannel(roomId = rooms.DEFAULT_ROOM_ID) {
+  return `room:${roomId}`;
+}
+
+/**
+ * Broadcast an event to the clients watching a game room
+ * Object payloads are tagged with the roomId so clients in several rooms can route them
+ * @param {Server} io - Socket.io server instance
+ */
+export function emitToRoom(io, roomId, event, data) {
+  const payload = data && typeof data === 'object' && !Array.isArray(data)
+    ? { roomId, ...data }
+    : data;
+  io.to(roomChannel(roomId)).emit(event, payload);
+}
+
+/**
+ * Resolve the room targeted by a socket event (default room if omitted)
+ * Emits an error to the socket and returns null if the room does not exist
+ */
+async function resolveEventRoom(socket, roomId) {
+  try {
+    return await rooms.resolveRoomId({ roomId });
+  } catch (err) {
+    socket.emit('error', { message: err.message });
+    return null;
+  }
+}
+
+/**
+ * Queue a player's bingo claim for admin verification
+ * Valid claims pause the game like a detected winner; invalid ones throw.
+ * @param {Server} io - Socket.io server instance
+ * @returns {Object} Queued potential winner
+ */
+export async function submitBingoClaim(io, roomId, cardId, userId) {
+  const potentialWinner = await gameState.claimBingo(roomId, cardId, userId);
+
+  const state = await gameState.getGameState(roomId);
+  if (state.status === 'playing') {
+    await gameState.pauseGame(roomId, 'bingo-claim', userId);
+    emitToRoom(io, roomId, 'game-paused', { reason: 'bingo-claim' });
+    await syncAutoCaller(io, roomId);
   }
 
-  data.requests++;
-  if (data.requests > limits.maxRequests) {
-    return false;
+  auditLog({
+    action: 'BINGO_CLAIMED',
+    cardId,
+    owner: userId,
+    roomId,
+    pattern: potentialWinner.pattern,
+    calledNumbersCount: state.calledNumbers.length,
+  });
+
+  const payload = {
+    cardId,
+    cardNumbers: potentialWinner.cardNumbers,
+    owner: potentialWinner.owner,
+    username: potentialWinner.ownerUsername,
+    wallet: potentialWinner.ownerWallet,
+    pattern: potentialWinner.pattern,
+    gameMode: potentialWinner.gameMode,
+    detectedAt: potentialWinner.detectedAt,
+    claimedAt: potentialWinner.claimedAt,
+  };
+  emitToRoom(io, roomId, 'bingo-claimed', payload);
+  emitToRoom(io, roomId, 'potential-winner', payload);
+  emitToRoom(io, roomId, 'game-state', await gameState.getGameState(roomId));
+
+  return payload;
+}
+
+/**
+ * Disconnect sockets authenticated with revoked sessions
+ * @param {Server} io - Socket.io server instance
+ * @param {string[]} sessionIds - Revoked session ids
+ * @returns {number} Sockets disconnected
+ */
+export function disconnectSessions(io, sessionIds) {
+  const revoked = new Set(sessionIds);
+  if (revoked.size === 0) return 0;
+
+  let disconnected = 0;
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.sessionId && revoked.has(socket.sessionId)) {
+      socket.emit('session-revoked');
+      socket.disconnect(true);
+      disconnected++;
+    }
   }
-  return true;
+  return disconnected;
+}
+
+// Admin sockets join this channel to follow approval requests
+const ADMIN_CHANNEL = 'admins';
+
+/**
+ * Broadcast an approval request/decision to connected admins
+ * @param {Server} io - Socket.io server instance
+ */
+export function emitApprovalUpdate(io, action) {
+  io.to(ADMIN_CHANNEL).emit('approval-updated', approvals.formatAction(action));
 }
 
-// Clean up rate limit data periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, data] of socketRateLimits.entries()) {
-    if (now - data.windowStart > 60000) {
-      socketRateLimits.delete(key);
+/**
+ * Verify a card as winner of the room's current pattern and record it
+ * The one verifier behind the REST endpoint, the socket event and approved
+ * VERIFY_WINNER actions. Ends the game (or advances the stage) once every
+ * simultaneous potential winner is resolved. Missing, foreign, tampered or
+ * forfeited cards throw (err.code from the shared game service).
+ * @param {Server} io - Socket.io server instance
+ * @param {Object} admin - { adminId, adminWallet } for the audit log
+ * @returns {Object} { isWinner, winner?, pendingCount? }
+ */
+export async function verifyWinnerCard(io, roomId, cardId, { adminId = null, adminWallet = null } = {}) {
+  // CRITICAL: Verify against the room's current game mode, called numbers and claim window
+  const currentState = await gameService.repository.games.getActive(roomId);
+
+  let verification;
+  try {
+    verification = await gameService.verifyWinnerCard(currentState, cardId);
+  } catch (err) {
+    if (err.code === 'CARD_FORFEITED') {
+      auditLog({
+        action: 'WINNER_VERIFICATION_FAILED',
+        reason: 'Card forfeited',
+        cardId,
+        adminId,
+        roomId,
+      });
+    } else if (err.code === 'CARD_NOT_FOUND') {
+      auditLog({
+        action: 'WINNER_VERIFICATION_FAILED',
+        reason: 'Card not found',
+        cardId,
+        adminId,
+        roomId,
+      });
+    } else if (err.code === 'CARD_INTEGRITY_FAILED') {
+      // SECURITY: Card no longer matches its integrity hash
+      auditLog({
+        action: 'CARD_INTEGRITY_FAILED',
+        cardId,
+        adminId,
+        roomId,
+      });
     }
+    throw err;
   }
-}, 60000);
+
+  const { card, result } = verification;
+  const gameMode = currentState.gameMode || 'fullCard';
+  const calledNumbers = currentState.calledNumbers;
+
+  if (!verification.isWinner) {
+    auditLog({
+      action: 'WINNER_VERIFICATION_FAILED',
+      reason: 'Card not a winner',
+      cardId,
+      owner: card.owner,
+      adminId,
+      roomId,
+    });
+    return { isWinner: false };
+  }
+
+  // Get pattern info for display name
+  const patternInfo = bingoCard.getPatternInfo(gameMode);
+
+  // Winner structure matching Game model schema
+  const winner = {
+    ...verification.winner,
+    // Extra fields for emit (not saved to DB)
+    patternName: patternInfo?.name || verification.winner.patternName,
+    verifiedAt: new Date().toISOString(),
+  };
+
+  // SECURITY: Audit log for winner verification
+  auditLog({
+    action: 'WINNER_VERIFIED',
+    cardId,
+    owner: card.owner,
+    pattern: result.pattern,
+    adminId,
+    adminWallet,
+    roomId,
+    calledNumbersCount: calledNumbers.length,
+  });
+
+  // Simultaneous winners split the prize: only end once every
+  // potential winner detected on this call has been resolved
+  const { pendingCount } = await gameState.addVerifiedWinner(roomId, winner, adminWallet);
+  if (pendingCount > 0) {
+    emitToRoom(io, roomId, 'winner-verified', { winner, pendingCount });
+    emitToRoom(io, roomId, 'game-state', await gameState.getGameState(roomId));
+  } else {
+    await settleVerifiedWinners(io, roomId, adminWallet);
+  }
+
+  console.log('Winner verified:', winner);
+  return { isWinner: true, winner, pendingCount };
+}
+
+// Approved winner verifications run with the approving caller's io
+approvals.registerActionExecutor(PENDING_ACTION_TYPES.VERIFY_WINNER, async (action, { io }) => {
+  const { isWinner, winner, pendingCount } = await verifyWinnerCard(io, action.roomId, action.payload.cardId, {
+    adminWallet: action.requestedBy,
+  });
+  if (!isWinner) {
+    throw new Error('Card is not a winner');
+  }
+  return { winner, pendingCount };
+});
+
+/**
+ * Request approval to verify a winner (multi-admin setups)
+ * The action runs once enough admins approved it.
+ * @param {Server} io - Socket.io server instance
+ * @returns {Object} { action, executed, result?, error? }
+ */
+export async function requestWinnerVerification(io, roomId, cardId, adminWallet) {
+  const purchasedCard = await gameState.getPurchasedCard(cardId);
+  if (!purchasedCard || purchasedCard.roomId !== roomId) {
+    throw new Error('Card not found in this room');
+  }
+
+  const outcome = await approvals.requestAction({
+    type: PENDING_ACTION_TYPES.VERIFY_WINNER,
+    targetId: cardId,
+    roomId,
+    payload: { cardId },
+    wallet: adminWallet,
+  }, { io });
+  emitApprovalUpdate(io, outcome.action);
+  return outcome;
+}
 
 /**
  * Setup Socket.io event handlers
@@ -50,10 +279,11 @@ setInterval(() => {
  */
 export function setupSocketHandlers(io) {
   // Authentication middleware for sockets - SECURITY HARDENED
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     // CRITICAL: Explicitly set isAdmin to false by default
     socket.isAdmin = false;
     socket.userId = null;
+    socket.sessionId = null;
     socket.authenticated = false;
 
     const token = socket.handshake.auth?.token;
@@ -65,7 +295,8 @@ export function setupSocketHandlers(io) {
     }
 
     try {
-      const decoded = jwt.verify(token, config.jwtSecret);
+      // SECURITY: Rejects expired tokens and tokens of revoked sessions
+      const decoded = await verifyAccessToken(token);
 
       // SECURITY: Validate token structure strictly
       if (!decoded || typeof decoded !== 'object') {
@@ -85,13 +316,14 @@ export function setupSocketHandlers(io) {
       }
 
       socket.userId = userId;
+      socket.sessionId = decoded.sid;
       socket.wallet = decoded.wallet?.toLowerCase() || null;
       socket.authenticated = true;
 
       // SECURITY: Only grant admin if token explicitly has isAdmin AND wallet is in whitelist
       if (decoded.isAdmin === true) {
         const wallet = decoded.wallet?.toLowerCase();
-        const isWhitelisted = wallet && config.adminWallets.includes(wallet);
+        const isWhitelisted = wallet && await isAdminWallet(wallet);
 
         if (isWhitelisted) {
           socket.isAdmin = true;
@@ -130,34 +362,50 @@ export function setupSocketHandlers(io) {
   io.on('connection', async (socket) => {
     console.log(`Socket connected: ${socket.id} (Admin: ${socket.isAdmin || false})`);
 
-    // Send current game state on connection
+    // Clients start in the default room and send its state on connection
+    socket.join(roomChannel(rooms.DEFAULT_ROOM_ID));
+    if (socket.isAdmin) {
+      socket.join(ADMIN_CHANNEL);
+    }
     try {
-      const currentState = await gameState.getGameState();
+      const currentState = await gameState.getGameState(rooms.DEFAULT_ROOM_ID);
       socket.emit('game-state', currentState);
     } catch (err) {
       console.error('Error getting game state:', err);
     }
 
-    // Join game room
-    socket.on('join-game', ({ gameId }) => {
-      socket.join(gameId || 'main');
-      console.log(`Socket ${socket.id} joined game: ${gameId || 'main'}`);
+    // Join game room (by roomId, or the room of a gameId)
+    socket.on('join-game', async ({ roomId, gameId } = {}) => {
+      try {
+        const resolvedRoom = await rooms.resolveRoomId({ roomId, gameId });
+        socket.join(roomChannel(resolvedRoom));
+        socket.emit('game-state', await gameState.getGameState(resolvedRoom));
+        console.log(`Socket ${socket.id} joined room: ${resolvedRoom}`);
+      } catch (err) {
+        socket.emit('error', { message: err.message });
+      }
     });
 
     // Leave game room
-    socket.on('leave-game', ({ gameId }) => {
-      socket.leave(gameId || 'main');
-      console.log(`Socket ${socket.id} left game: ${gameId || 'main'}`);
+    socket.on('leave-game', async ({ roomId, gameId } = {}) => {
+      try {
+        const resolvedRoom = await rooms.resolveRoomId({ roomId, gameId });
+        socket.leave(roomChannel(resolvedRoom));
+        console.log(`Socket ${socket.id} left room: ${resolvedRoom}`);
+      } catch (err) {
+        socket.emit('error', { message: err.message });
+      }
     });
 
     // ============== ADMIN EVENTS ==============
 
     // Admin: Start game - SECURITY HARDENED
-    socket.on('admin:start-game', async () => {
-      if (!socket.isAdmin) {
+    socket.on('admin:start-game', async ({ roomId: requestedRoom } = {}) => {
+      if (!(await canAdmin(socket, PERMISSIONS.GAME_CONTROL))) {
         auditLog({
           action: 'GAME_ACTION_DENIED',
-          reason: 'Not admin',
+          reason: 'Missing permission',
+          permission: PERMISSIONS.GAME_CONTROL,
           socketId: socket.id,
           attemptedAction: 'start-game',
         });
@@ -165,19 +413,25 @@ export function setupSocketHandlers(io) {
         return;
       }
 
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
+
       try {
         auditLog({
           action: 'GAME_STARTED',
           adminId: socket.userId,
+          roomId,
           adminWallet: socket.wallet,
         });
 
-        const state = await gameState.startGame();
-        io.emit('game-started', state);
+        const state = await gameState.startGame(roomId, socket.wallet);
+        emitToRoom(io, roomId, 'game-started', state);
 
         // Emit full game state to ensure all clients have correct mode
-        const fullState = await gameState.getGameState();
-        io.emit('game-state', fullState);
+        const fullState = await gameState.getGameState(roomId);
+        emitToRoom(io, roomId, 'game-state', fullState);
+        await syncAutoCaller(io, roomId);
+        await syncSchedule(io, roomId);
 
         console.log('Game started by admin, status:', state.status, 'gameMode:', fullState.gameMode);
       } catch (err) {
@@ -187,11 +441,12 @@ export function setupSocketHandlers(io) {
     });
 
     // Admin: Pause game - SECURITY HARDENED
-    socket.on('admin:pause-game', async () => {
-      if (!socket.isAdmin) {
+    socket.on('admin:pause-game', async ({ roomId: requestedRoom } = {}) => {
+      if (!(await canAdmin(socket, PERMISSIONS.GAME_CONTROL))) {
         auditLog({
           action: 'GAME_ACTION_DENIED',
-          reason: 'Not admin',
+          reason: 'Missing permission',
+          permission: PERMISSIONS.GAME_CONTROL,
           socketId: socket.id,
           attemptedAction: 'pause-game',
         });
@@ -199,15 +454,20 @@ export function setupSocketHandlers(io) {
         return;
       }
 
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
+
       try {
         auditLog({
           action: 'GAME_PAUSED',
           adminId: socket.userId,
+          roomId,
         });
 
-        const state = await gameState.pauseGame();
-        io.emit('game-paused', state);
-        io.emit('game-state', state);
+        const state = await gameState.pauseGame(roomId, 'admin', socket.wallet);
+        emitToRoom(io, roomId, 'game-paused', state);
+        emitToRoom(io, roomId, 'game-state', state);
+        await syncAutoCaller(io, roomId);
         console.log('Game paused by admin');
       } catch (err) {
         console.error('Error pausing game:', err);
@@ -216,11 +476,12 @@ export function setupSocketHandlers(io) {
     });
 
     // Admin: Resume game - SECURITY HARDENED
-    socket.on('admin:resume-game', async () => {
-      if (!socket.isAdmin) {
+    socket.on('admin:resume-game', async ({ roomId: requestedRoom } = {}) => {
+      if (!(await canAdmin(socket, PERMISSIONS.GAME_CONTROL))) {
         auditLog({
           action: 'GAME_ACTION_DENIED',
-          reason: 'Not admin',
+          reason: 'Missing permission',
+          permission: PERMISSIONS.GAME_CONTROL,
           socketId: socket.id,
           attemptedAction: 'resume-game',
         });
@@ -228,15 +489,20 @@ export function setupSocketHandlers(io) {
         return;
       }
 
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
+
       try {
         auditLog({
           action: 'GAME_RESUMED',
           adminId: socket.userId,
+          roomId,
         });
 
-        const state = await gameState.resumeGame();
-        io.emit('game-resumed', state);
-        io.emit('game-state', state);
+        const state = await gameState.resumeGame(roomId, socket.wallet);
+        emitToRoom(io, roomId, 'game-resumed', state);
+        emitToRoom(io, roomId, 'game-state', state);
+        await syncAutoCaller(io, roomId);
         console.log('Game resumed by admin');
       } catch (err) {
         console.error('Error resuming game:', err);
@@ -245,11 +511,13 @@ export function setupSocketHandlers(io) {
     });
 
     // Admin: End game - SECURITY HARDENED
-    socket.on('admin:end-game', async (data) => {
-      if (!socket.isAdmin) {
+    // Only winners verified with admin:verify-winner (and its approvals) are settled
+    socket.on('admin:end-game', async ({ winner, winners, roomId: requestedRoom } = {}) => {
+      if (!(await canAdmin(socket, PERMISSIONS.GAME_CONTROL))) {
         auditLog({
           action: 'GAME_ACTION_DENIED',
-          reason: 'Not admin',
+          reason: 'Missing permission',
+          permission: PERMISSIONS.GAME_CONTROL,
           socketId: socket.id,
           attemptedAction: 'end-game',
         });
@@ -257,16 +525,32 @@ export function setupSocketHandlers(io) {
         return;
       }
 
+      if (winner || winners) {
+        auditLog({
+          action: 'GAME_END_WINNERS_REJECTED',
+          adminId: socket.userId,
+          adminWallet: socket.wallet,
+          socketId: socket.id,
+        });
+        socket.emit('error', { message: 'Winners cannot be set when ending a game - verify them with admin:verify-winner' });
+        return;
+      }
+
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
+
       try {
         auditLog({
           action: 'GAME_ENDED',
           adminId: socket.userId,
-          winner: data?.winner || null,
+          roomId,
         });
 
-        const state = await gameState.endGame(data?.winner);
-        io.emit('game-ended', state);
-        io.emit('game-state', state);
+        const state = await gameState.endGame(roomId, socket.wallet);
+        emitToRoom(io, roomId, 'game-ended', state);
+        emitToRoom(io, roomId, 'game-state', state);
+        await syncAutoCaller(io, roomId);
+        await syncSchedule(io, roomId);
         console.log('Game ended by admin');
       } catch (err) {
         console.error('Error ending game:', err);
@@ -275,11 +559,12 @@ export function setupSocketHandlers(io) {
     });
 
     // Admin: Clear game (reset UI without starting new game)
-    socket.on('admin:clear-game', async () => {
-      if (!socket.isAdmin) {
+    socket.on('admin:clear-game', async ({ roomId: requestedRoom } = {}) => {
+      if (!(await canAdmin(socket, PERMISSIONS.GAME_CONTROL))) {
         auditLog({
           action: 'GAME_ACTION_DENIED',
-          reason: 'Not admin',
+          reason: 'Missing permission',
+          permission: PERMISSIONS.GAME_CONTROL,
           socketId: socket.id,
           attemptedAction: 'clear-game',
         });
@@ -287,16 +572,21 @@ export function setupSocketHandlers(io) {
         return;
       }
 
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
+
       try {
         auditLog({
           action: 'GAME_CLEARED',
           adminId: socket.userId,
+          roomId,
           adminWallet: socket.wallet,
         });
 
-        const state = await gameState.clearGame();
-        io.emit('game-cleared', state);
-        io.emit('game-state', state);
+        const state = await gameState.clearGame(roomId, socket.wallet);
+        emitToRoom(io, roomId, 'game-cleared', state);
+        emitToRoom(io, roomId, 'game-state', state);
+        await syncAutoCaller(io, roomId);
         console.log('Game cleared by admin');
       } catch (err) {
         console.error('Error clearing game:', err);
@@ -305,9 +595,9 @@ export function setupSocketHandlers(io) {
     });
 
     // Admin: Call number - SECURITY HARDENED
-    socket.on('admin:call-number', async ({ number }) => {
+    socket.on('admin:call-number', async ({ number, roomId: requestedRoom } = {}) => {
       // SECURITY: Rate limit check
-      if (!checkSocketRateLimit(socket.id, 'admin:call-number')) {
+      if (!(await checkSocketRateLimit(socket, 'admin:call-number'))) {
         auditLog({
           action: 'RATE_LIMIT_SOCKET',
           event: 'admin:call-number',
@@ -317,10 +607,11 @@ export function setupSocketHandlers(io) {
         return;
       }
 
-      if (!socket.isAdmin) {
+      if (!(await canAdmin(socket, PERMISSIONS.GAME_CALL))) {
         auditLog({
           action: 'GAME_ACTION_DENIED',
-          reason: 'Not admin',
+          reason: 'Missing permission',
+          permission: PERMISSIONS.GAME_CALL,
           socketId: socket.id,
           attemptedAction: 'call-number',
           number,
@@ -340,38 +631,133 @@ export function setupSocketHandlers(io) {
         return;
       }
 
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
+
       try {
         auditLog({
           action: 'NUMBER_CALLED',
           adminId: socket.userId,
+          roomId,
           number,
         });
 
-        const state = await gameState.callNumber(number);
+        const state = await gameState.callNumber(roomId, number, socket.wallet);
 
         // Emit to all clients
-        io.emit('number-called', {
+        emitToRoom(io, roomId, 'number-called', {
           number,
           calledNumbers: state.calledNumbers,
         });
-        io.emit('game-state', state);
+        emitToRoom(io, roomId, 'game-state', state);
 
         console.log(`Number called: ${number}`);
 
         // Check for winners
-        await checkForWinners(io, state.calledNumbers);
+        await checkForWinners(io, roomId, state.calledNumbers);
       } catch (err) {
         console.error('Error calling number:', err);
         socket.emit('error', { message: err.message });
       }
     });
 
+    // Admin: Draw next number from the committed seed (provably fair)
+    socket.on('admin:draw-number', async ({ roomId: requestedRoom } = {}) => {
+      if (!(await checkSocketRateLimit(socket, 'admin:draw-number'))) {
+        auditLog({
+          action: 'RATE_LIMIT_SOCKET',
+          event: 'admin:draw-number',
+          socketId: socket.id,
+        });
+        socket.emit('error', { message: 'Too many requests. Please slow down.' });
+        return;
+      }
+
+      if (!(await canAdmin(socket, PERMISSIONS.GAME_CALL))) {
+        auditLog({
+          action: 'GAME_ACTION_DENIED',
+          reason: 'Missing permission',
+          permission: PERMISSIONS.GAME_CALL,
+          socketId: socket.id,
+          attemptedAction: 'draw-number',
+        });
+        socket.emit('error', { message: 'Unauthorized' });
+        return;
+      }
+
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
+
+      try {
+        const { number, state } = await gameState.drawNumber(roomId, socket.wallet);
+
+        auditLog({
+          action: 'NUMBER_DRAWN',
+          adminId: socket.userId,
+          roomId,
+          number,
+        });
+
+        emitToRoom(io, roomId, 'number-called', {
+          number,
+          calledNumbers: state.calledNumbers,
+        });
+        emitToRoom(io, roomId, 'game-state', state);
+
+        console.log(`Number drawn: ${number}`);
+
+        await checkForWinners(io, roomId, state.calledNumbers);
+      } catch (err) {
+        console.error('Error drawing number:', err);
+        socket.emit('error', { message: err.message });
+      }
+    });
+
+    // Admin: Configure auto-caller (draws a number every N seconds while playing)
+    socket.on('admin:set-auto-call', async ({ enabled, intervalSeconds, roomId: requestedRoom } = {}) => {
+      if (!(await canAdmin(socket, PERMISSIONS.GAME_CALL))) {
+        auditLog({
+          action: 'GAME_ACTION_DENIED',
+          reason: 'Missing permission',
+          permission: PERMISSIONS.GAME_CALL,
+          socketId: socket.id,
+          attemptedAction: 'set-auto-call',
+        });
+        socket.emit('error', { message: 'Unauthorized' });
+        return;
+      }
+
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
+
+      try {
+        auditLog({
+          action: 'AUTO_CALL_CHANGED',
+          adminId: socket.userId,
+          roomId,
+          adminWallet: socket.wallet,
+          enabled: !!enabled,
+          intervalSeconds,
+        });
+
+        const state = await gameState.setAutoCall(roomId, !!enabled, intervalSeconds ?? null);
+        emitToRoom(io, roomId, 'game-state', state);
+        await syncAutoCaller(io, roomId);
+
+        console.log(`Auto-call ${enabled ? 'enabled' : 'disabled'} by admin (interval: ${state.autoCall.intervalSeconds}s)`);
+      } catch (err) {
+        console.error('Error setting auto-call:', err);
+        socket.emit('error', { message: err.message });
+      }
+    });
+
     // Admin: Set game mode - SECURITY HARDENED
-    socket.on('admin:set-game-mode', async ({ mode }) => {
-      if (!socket.isAdmin) {
+    socket.on('admin:set-game-mode', async ({ mode, roomId: requestedRoom } = {}) => {
+      if (!(await canAdmin(socket, PERMISSIONS.GAME_CONTROL))) {
         auditLog({
           action: 'GAME_ACTION_DENIED',
-          reason: 'Not admin',
+          reason: 'Missing permission',
+          permission: PERMISSIONS.GAME_CONTROL,
           socketId: socket.id,
           attemptedAction: 'set-game-mode',
           mode,
@@ -380,26 +766,30 @@ export function setupSocketHandlers(io) {
         return;
       }
 
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
+
       try {
         auditLog({
           action: 'GAME_MODE_CHANGED',
           adminId: socket.userId,
+          roomId,
           adminWallet: socket.wallet,
           newMode: mode,
         });
 
-        const result = await gameState.setGameMode(mode);
+        const result = await gameState.setGameMode(roomId, mode, socket.wallet);
         const patternInfo = gameState.getPatternInfoForMode(mode);
 
         // Emit to all clients
-        io.emit('game-mode-changed', {
+        emitToRoom(io, roomId, 'game-mode-changed', {
           mode,
           patternInfo,
         });
 
         // Also update game state for all
-        const state = await gameState.getGameState();
-        io.emit('game-state', state);
+        const state = await gameState.getGameState(roomId);
+        emitToRoom(io, roomId, 'game-state', state);
 
         console.log(`Game mode changed to: ${mode} by admin`);
       } catch (err) {
@@ -408,96 +798,180 @@ export function setupSocketHandlers(io) {
       }
     });
 
-    // Admin: Verify winner - SECURITY HARDENED
-    socket.on('admin:verify-winner', async ({ cardId }) => {
-      if (!socket.isAdmin) {
+    // Admin: Configure multi-stage game (e.g. line, then corners, then full card)
+    socket.on('admin:set-stages', async ({ stages, roomId: requestedRoom } = {}) => {
+      if (!(await canAdmin(socket, PERMISSIONS.GAME_CONTROL))) {
         auditLog({
-          action: 'WINNER_VERIFICATION_DENIED',
-          reason: 'Not admin',
+          action: 'GAME_ACTION_DENIED',
+          reason: 'Missing permission',
+          permission: PERMISSIONS.GAME_CONTROL,
           socketId: socket.id,
+          attemptedAction: 'set-stages',
+        });
+        socket.emit('error', { message: 'Unauthorized' });
+        return;
+      }
+
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
+
+      try {
+        const state = await gameState.setStages(roomId, stages, socket.wallet);
+
+        auditLog({
+          action: 'GAME_STAGES_CHANGED',
+          adminId: socket.userId,
+          roomId,
+          adminWallet: socket.wallet,
+          stages: state.stages.map(s => `${s.gameMode}:${s.prizeShareBps}`),
+        });
+
+        emitToRoom(io, roomId, 'game-mode-changed', {
+          mode: state.gameMode,
+          patternInfo: gameState.getPatternInfoForMode(state.gameMode),
+        });
+        emitToRoom(io, roomId, 'game-state', state);
+      } catch (err) {
+        console.error('Error setting stages:', err);
+        socket.emit('error', { message: err.message });
+      }
+    });
+
+    // Player: Claim bingo on an owned card
+    socket.on('claim-bingo', async ({ cardId, roomId: requestedRoom } = {}) => {
+      if (!socket.authenticated || !socket.userId) {
+        socket.emit('claim-result', { cardId, accepted: false, message: 'Authentication required' });
+        return;
+      }
+
+      if (!(await checkSocketRateLimit(socket, 'claim-bingo'))) {
+        socket.emit('claim-result', { cardId, accepted: false, message: 'Rate limit exceeded. Please slow down.' });
+        return;
+      }
+
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
+
+      try {
+        const claim = await submitBingoClaim(io, roomId, cardId, socket.userId);
+        socket.emit('claim-result', { cardId, accepted: true, claim });
+      } catch (err) {
+        auditLog({
+          action: 'BINGO_CLAIM_REJECTED',
           cardId,
+          owner: socket.userId,
+          roomId,
+          reason: err.message,
+        });
+        socket.emit('claim-result', { cardId, accepted: false, message: err.message });
+      }
+    });
+
+    // Admin: Configure player bingo claims and the sleeper window
+    socket.on('admin:set-claims', async ({ manual, windowCalls, roomId: requestedRoom } = {}) => {
+      if (!(await canAdmin(socket, PERMISSIONS.GAME_CONTROL))) {
+        auditLog({
+          action: 'GAME_ACTION_DENIED',
+          reason: 'Missing permission',
+          permission: PERMISSIONS.GAME_CONTROL,
+          socketId: socket.id,
+          attemptedAction: 'set-claims',
         });
         socket.emit('error', { message: 'Unauthorized' });
         return;
       }
 
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
+
       try {
-        const purchasedCard = await gameState.getPurchasedCard(cardId);
-        if (!purchasedCard) {
-          auditLog({
-            action: 'WINNER_VERIFICATION_FAILED',
-            reason: 'Card not found',
-            cardId,
-            adminId: socket.userId,
-          });
-          socket.emit('error', { message: 'Card not found' });
-          return;
-        }
+        const state = await gameState.setClaims(roomId, { manual, windowCalls: windowCalls ?? 0 });
 
-        // SECURITY: Verify card integrity if hash exists
-        if (purchasedCard.card.hash) {
-          const isValid = bingoCard.verifyCardIntegrity(purchasedCard.card);
-          if (!isValid) {
-            auditLog({
-              action: 'CARD_INTEGRITY_FAILED',
-              cardId,
-              owner: purchasedCard.owner,
-              adminId: socket.userId,
-            });
-            socket.emit('error', { message: 'Card integrity verification failed - possible tampering detected' });
-            return;
-          }
-        }
+        auditLog({
+          action: 'CLAIM_RULES_CHANGED',
+          adminId: socket.userId,
+          roomId,
+          adminWallet: socket.wallet,
+          claims: state.claims,
+        });
+
+        emitToRoom(io, roomId, 'game-state', state);
+      } catch (err) {
+        console.error('Error setting claim rules:', err);
+        socket.emit('error', { message: err.message });
+      }
+    });
 
-        // CRITICAL: Get current game mode for correct validation
-        const currentState = await gameState.getGameState();
-        const gameMode = currentState.gameMode || 'fullCard';
+    // Admin: Set how long cards sold for the next game keep playing
+    socket.on('admin:set-card-policy', async ({ kind, games, validUntil, roomId: requestedRoom } = {}) => {
+      if (!(await canAdmin(socket, PERMISSIONS.GAME_CONTROL))) {
+        auditLog({
+          action: 'GAME_ACTION_DENIED',
+          reason: 'Missing permission',
+          permission: PERMISSIONS.GAME_CONTROL,
+          socketId: socket.id,
+          attemptedAction: 'set-card-policy',
+        });
+        socket.emit('error', { message: 'Unauthorized' });
+        return;
+      }
 
-        const calledNumbers = await gameState.getCalledNumbers();
-        const result = bingoCard.checkWinner(purchasedCard.card, calledNumbers, gameMode);
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
 
-        if (result.isWinner) {
-          // Get pattern info for display name
-          const patternInfo = bingoCard.getPatternInfo(gameMode);
+      try {
+        const state = await gameState.setCardPolicy(roomId, { kind, games, validUntil });
 
-          // Winner structure matching Game model schema
-          const winner = {
-            odId: purchasedCard.owner,
-            odUsername: purchasedCard.ownerUsername,
-            wallet: purchasedCard.ownerWallet,
-            cardId,
-            prizeAmount: '0', // TODO: Calculate from prize pool
-            // Extra fields for emit (not saved to DB)
-            pattern: result.pattern || result.modeName || gameMode,
-            patternName: patternInfo?.name || result.modeName || gameMode,
-            gameMode: gameMode,
-            verifiedAt: new Date().toISOString(),
-          };
-
-          // SECURITY: Audit log for winner verification
-          auditLog({
-            action: 'WINNER_VERIFIED',
-            cardId,
-            owner: purchasedCard.owner,
-            pattern: result.pattern,
-            adminId: socket.userId,
-            calledNumbersCount: calledNumbers.length,
-          });
+        auditLog({
+          action: 'CARD_POLICY_CHANGED',
+          adminId: socket.userId,
+          roomId,
+          adminWallet: socket.wallet,
+          cardPolicy: state.cardPolicy,
+        });
 
-          const state = await gameState.endGame(winner);
-          io.emit('winner-announced', { winner });
-          io.emit('game-ended', state);
-          io.emit('game-state', state);
+        emitToRoom(io, roomId, 'game-state', state);
+      } catch (err) {
+        console.error('Error setting card policy:', err);
+        socket.emit('error', { message: err.message });
+      }
+    });
 
-          console.log('Winner verified:', winner);
-        } else {
-          auditLog({
-            action: 'WINNER_VERIFICATION_FAILED',
-            reason: 'Card not a winner',
-            cardId,
-            owner: purchasedCard.owner,
-            adminId: socket.userId,
+    // Admin: Verify winner - SECURITY HARDENED
+    socket.on('admin:verify-winner', async ({ cardId, roomId: requestedRoom } = {}) => {
+      if (!(await canAdmin(socket, PERMISSIONS.WINNERS_VERIFY))) {
+        auditLog({
+          action: 'WINNER_VERIFICATION_DENIED',
+          reason: 'Missing permission',
+          permission: PERMISSIONS.WINNERS_VERIFY,
+          socketId: socket.id,
+          cardId,
+        });
+        socket.emit('error', { message: 'Unauthorized' });
+        return;
+      }
+
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
+
+      try {
+        // Real-money setups need several admins: the request waits for approvals
+        if (approvals.requiresApproval(PENDING_ACTION_TYPES.VERIFY_WINNER)) {
+          const outcome = await requestWinnerVerification(io, roomId, cardId, socket.wallet);
+          socket.emit('approval-result', {
+            ...approvals.formatAction(outcome.action),
+            executed: outcome.executed,
+            error: outcome.error,
           });
+          return;
+        }
+
+        const { isWinner } = await verifyWinnerCard(io, roomId, cardId, {
+          adminId: socket.userId,
+          adminWallet: socket.wallet,
+        });
+
+        if (!isWinner) {
           socket.emit('verification-result', {
             cardId,
             isWinner: false,
@@ -511,6 +985,7 @@ export function setupSocketHandlers(io) {
           cardId,
           error: err.message,
           adminId: socket.userId,
+          roomId,
         });
         socket.emit('error', { message: err.message });
       }
@@ -518,11 +993,12 @@ export function setupSocketHandlers(io) {
 
     // Admin: Reject potential winner and resume game
     // CRITICAL: Also disables the card to prevent it from being detected as winner again
-    socket.on('admin:reject-winner', async ({ cardId }) => {
-      if (!socket.isAdmin) {
+    socket.on('admin:reject-winner', async ({ cardId, roomId: requestedRoom } = {}) => {
+      if (!(await canAdmin(socket, PERMISSIONS.WINNERS_VERIFY))) {
         auditLog({
           action: 'WINNER_REJECTION_DENIED',
-          reason: 'Not admin',
+          reason: 'Missing permission',
+          permission: PERMISSIONS.WINNERS_VERIFY,
           socketId: socket.id,
           cardId,
         });
@@ -530,38 +1006,105 @@ export function setupSocketHandlers(io) {
         return;
       }
 
+      const roomId = await resolveEventRoom(socket, requestedRoom);
+      if (!roomId) return;
+
       try {
         // CRITICAL: Disable the card first - mark as 'won' so it's excluded from future checks
         // This prevents the same card from triggering winner detection again
-        await gameState.disableWonCard(cardId);
+        await gameState.disableWonCard(cardId, roomId);
 
         auditLog({
           action: 'WINNER_REJECTED',
           cardId,
           adminId: socket.userId,
+          roomId,
           adminWallet: socket.wallet,
           cardDisabled: true,
         });
 
-        // Resume the game
-        const state = await gameState.resumeGame();
+        const { winners, pendingCount } = await gameState.rejectPotentialWinner(roomId, cardId, socket.wallet);
 
-        // Notify all clients that the winner was rejected and game continues
-        io.emit('winner-rejected', {
+        // Notify all clients that the winner was rejected
+        emitToRoom(io, roomId, 'winner-rejected', {
           cardId,
           disabled: true, // Inform clients the card is now disabled
+          pendingCount,
           rejectedAt: new Date().toISOString(),
         });
-        io.emit('game-resumed', state);
-        io.emit('game-state', state);
 
-        console.log(`[Admin] Potential winner ${cardId} rejected and disabled, game resumed`);
+        if (pendingCount > 0) {
+          // Other simultaneous winners still awaiting verification
+          emitToRoom(io, roomId, 'game-state', await gameState.getGameState(roomId));
+        } else if (winners.length > 0) {
+          // Remaining winners were already verified - they share the prize
+          await settleVerifiedWinners(io, roomId, socket.wallet);
+        } else {
+          // Resume the game
+          const state = await gameState.resumeGame(roomId, socket.wallet);
+          emitToRoom(io, roomId, 'game-resumed', state);
+          emitToRoom(io, roomId, 'game-state', state);
+          await syncAutoCaller(io, roomId);
+        }
+
+        console.log(`[Admin] Potential winner ${cardId} rejected and disabled (${pendingCount} pending)`);
       } catch (err) {
         console.error('Error rejecting winner:', err);
         socket.emit('error', { message: err.message });
       }
     });
 
+    // Admin: Approve a pending multi-admin action (runs it once the threshold is met)
+    socket.on('admin:approve-action', async ({ actionId } = {}) => {
+      if (!socket.isAdmin) {
+        auditLog({
+          action: 'APPROVAL_DENIED',
+          reason: 'Not admin',
+          socketId: socket.id,
+          actionId,
+        });
+        socket.emit('error', { message: 'Unauthorized' });
+        return;
+      }
+
+      try {
+        const outcome = await approvals.approveAction(actionId, socket.wallet, { io });
+        emitApprovalUpdate(io, outcome.action);
+        socket.emit('approval-result', {
+          ...approvals.formatAction(outcome.action),
+          executed: outcome.executed,
+          error: outcome.error,
+        });
+      } catch (err) {
+        socket.emit('error', { message: err.message });
+      }
+    });
+
+    // Admin: Reject a pending multi-admin action
+    socket.on('admin:reject-action', async ({ actionId, reason } = {}) => {
+      if (!socket.isAdmin) {
+        auditLog({
+          action: 'APPROVAL_DENIED',
+          reason: 'Not admin',
+          socketId: socket.id,
+          actionId,
+        });
+        socket.emit('error', { message: 'Unauthorized' });
+        return;
+      }
+
+      try {
+        const outcome = await approvals.rejectAction(actionId, socket.wallet, reason);
+        emitApprovalUpdate(io, outcome.action);
+        socket.emit('approval-result', {
+          ...approvals.formatAction(outcome.action),
+          executed: false,
+        });
+      } catch (err) {
+        socket.emit('error', { message: err.message });
+      }
+    });
+
     // Disconnect
     socket.on('disconnect', () => {
       console.log(`Socket disconnected: ${socket.id}`);
@@ -569,33 +1112,93 @@ export function setupSocketHandlers(io) {
   });
 }
 
+/**
+ * Settle the current stage's verified winners and broadcast the result
+ * Multi-stage games advance to the next pattern (emitting `stage-advanced`),
+ * otherwise the game ends.
+ * @param {Server} io - Socket.io server instance
+ * @param {string|null} settledBy - Admin wallet recorded on the game timeline
+ */
+export async function settleVerifiedWinners(io, roomId = rooms.DEFAULT_ROOM_ID, settledBy = null) {
+  const { advanced, completedStage, winners, state } = await gameState.completeStage(roomId, settledBy);
+  emitToRoom(io, roomId, 'winner-announced', { winner: winners[0] || null, winners, stage: completedStage });
+
+  if (!advanced) {
+    emitToRoom(io, roomId, 'game-ended', state);
+    emitToRoom(io, roomId, 'game-state', state);
+    await syncAutoCaller(io, roomId);
+    return state;
+  }
+
+  emitToRoom(io, roomId, 'stage-advanced', {
+    completedStage,
+    stage: state.currentStage,
+    stageCount: state.stages.length,
+    gameMode: state.gameMode,
+    patternInfo: gameState.getPatternInfoForMode(state.gameMode),
+    winners,
+  });
+  emitToRoom(io, roomId, 'game-state', state);
+  await syncAutoCaller(io, roomId);
+
+  // Cards may already complete the next pattern with the numbers called so far
+  await checkForWinners(io, roomId, state.calledNumbers);
+  return state;
+}
+
+/**
+ * Track the winning cards of a manual-claims game and forfeit those
+ * not claimed within the claim window (disabled for the current pattern)
+ */
+async function forfeitUnclaimedWinners(io, roomId, winningCards) {
+  const forfeited = await gameState.trackUnclaimedWinners(roomId, winningCards);
+
+  for (const sleeper of forfeited) {
+    await gameState.disableWonCard(sleeper.cardId, roomId);
+    auditLog({
+      action: 'CLAIM_FORFEITED',
+      cardId: sleeper.cardId,
+      owner: sleeper.owner,
+      roomId,
+      sinceCall: sleeper.sinceCall,
+    });
+    emitToRoom(io, roomId, 'claim-forfeited', {
+      cardId: sleeper.cardId,
+      owner: sleeper.owner,
+      username: sleeper.ownerUsername,
+      pattern: sleeper.pattern,
+    });
+  }
+
+  if (forfeited.length > 0) {
+    console.log(`[Game] ${forfeited.length} unclaimed winning card(s) forfeited`);
+  }
+}
+
 /**
  * Check all purchased cards for potential winners
  * CRITICAL: Uses current game mode to validate winning pattern
  */
-async function checkForWinners(io, calledNumbers) {
+async function checkForWinners(io, roomId, calledNumbers) {
   try {
     // CRITICAL: Get current game mode for correct pattern validation
-    const currentState = await gameState.getGameState();
+    const currentState = await gameState.getGameState(roomId);
     const gameMode = currentState.gameMode || 'fullCard';
 
     console.log(`[Winner Check] Checking ${calledNumbers.length} called numbers with mode: ${gameMode}`);
 
-    const purchasedCards = await gameState.getAllPurchasedCards();
+    const purchasedCards = await gameState.getAllPurchasedCards(roomId);
+    const detectedAt = new Date().toISOString();
+    const potentialWinners = [];
 
+    // Collect every card completing the pattern on this call - they share the prize
     for (const { card, owner, ownerUsername, ownerWallet } of purchasedCards) {
       // CRITICAL: Pass gameMode to checkWinner for correct pattern validation
       const result = bingoCard.checkWinner(card, calledNumbers, gameMode);
 
       if (result.isWinner) {
         console.log(`BINGO! Potential winner detected: ${ownerUsername || owner} with card ${card.id} (pattern: ${result.pattern || result.modeName}, mode: ${gameMode})`);
-
-        // CRITICAL: Auto-pause the game when a potential winner is detected
-        await gameState.pauseGame();
-        io.emit('game-paused', { reason: 'potential-winner' });
-
-        // Notify ALL clients about potential winner with card data for display
-        io.emit('potential-winner', {
+        potentialWinners.push({
           cardId: card.id,
           cardNumbers: card.numbers, // Include card numbers for display
           owner: owner,
@@ -603,17 +1206,265 @@ async function checkForWinners(io, calledNumbers) {
           wallet: ownerWallet,
           pattern: result.pattern || result.modeName,
           gameMode: gameMode,
-          detectedAt: new Date().toISOString(),
+          detectedAt,
         });
-
-        console.log(`[Game] Auto-paused due to potential winner`);
-        // Only process first winner (avoid multiple pauses)
-        break;
       }
     }
+
+    // Manual claims: winning cards wait for their owners to claim bingo
+    if (currentState.claims?.manual) {
+      await forfeitUnclaimedWinners(io, roomId, potentialWinners);
+      return;
+    }
+
+    if (potentialWinners.length === 0) {
+      return;
+    }
+
+    // CRITICAL: Auto-pause the game once, regardless of how many winners were detected
+    await gameState.pauseGame(roomId, 'winner-detected', 'server');
+    await gameState.setPotentialWinners(roomId, potentialWinners.map(pw => ({
+      cardId: pw.cardId,
+      owner: pw.owner,
+      ownerUsername: pw.username,
+      ownerWallet: pw.wallet,
+      pattern: pw.pattern,
+      detectedAt: pw.detectedAt,
+    })));
+    emitToRoom(io, roomId, 'game-paused', { reason: 'potential-winner' });
+    await syncAutoCaller(io, roomId);
+
+    // Notify ALL clients about each potential winner with card data for display
+    for (const potentialWinner of potentialWinners) {
+      emitToRoom(io, roomId, 'potential-winner', potentialWinner);
+    }
+    emitToRoom(io, roomId, 'potential-winners', { winners: potentialWinners, detectedAt });
+
+    console.log(`[Game] Auto-paused due to ${potentialWinners.length} potential winner(s)`);
   } catch (err) {
     console.error('Error checking for winners:', err);
   }
 }
 
-export default { setupSocketHandlers };
+// ============== AUTO-CALLER ==============
+
+// One timer per room, keyed by roomId
+const autoCallTimers = new Map();
+const autoCallInFlight = new Set();
+
+/**
+ * Re-arm a room's auto-caller timer from the schedule persisted on its Game
+ * and broadcast the countdown to the room.
+ * Must be called after any game status or auto-call change.
+ * @param {Server} io - Socket.io server instance
+ * @param {string} roomId - Room ID
+ */
+export async function syncAutoCaller(io, roomId = rooms.DEFAULT_ROOM_ID) {
+  if (autoCallTimers.has(roomId)) {
+    clearTimeout(autoCallTimers.get(roomId));
+    autoCallTimers.delete(roomId);
+  }
+
+  try {
+    const schedule = await gameState.getAutoCallSchedule(roomId);
+    emitToRoom(io, roomId, 'next-call-at', {
+      ...schedule,
+      serverTime: new Date().toISOString(),
+    });
+
+    if (schedule.status !== gameState.GAME_STATUS.PLAYING || !schedule.enabled || !schedule.nextCallAt) {
+      return;
+    }
+
+    // Overdue schedules (e.g. after a restart) fire immediately
+    const delay = Math.max(0, new Date(schedule.nextCallAt).getTime() - Date.now());
+    autoCallTimers.set(roomId, setTimeout(() => runAutoCall(io, roomId), delay));
+  } catch (err) {
+    console.error(`[AutoCall] Error syncing auto-caller (room ${roomId}):`, err);
+  }
+}
+
+/**
+ * Re-arm the auto-caller of every room - called on server start
+ * @param {Server} io - Socket.io server instance
+ */
+export async function syncAllAutoCallers(io) {
+  const roomList = await rooms.listRooms(true);
+  for (const { roomId } of roomList) {
+    await syncAutoCaller(io, roomId);
+  }
+}
+
+/**
+ * Draw a number on the auto-caller's behalf
+ */
+async function runAutoCall(io, roomId) {
+  autoCallTimers.delete(roomId);
+  if (autoCallInFlight.has(roomId)) return;
+  autoCallInFlight.add(roomId);
+
+  try {
+    // CRITICAL: Re-check persisted state - the game may have been paused since the timer was armed
+    const schedule = await gameState.getAutoCallSchedule(roomId);
+    if (schedule.status !== gameState.GAME_STATUS.PLAYING || !schedule.enabled || !schedule.nextCallAt) {
+      return;
+    }
+    if (new Date(schedule.nextCallAt).getTime() > Date.now()) {
+      return;
+    }
+
+    const { number, state } = await gameState.drawNumber(roomId, 'auto-caller');
+
+    auditLog({
+      action: 'NUMBER_AUTO_CALLED',
+      gameId: state.id,
+      roomId,
+      number,
+    });
+
+    emitToRoom(io, roomId, 'number-called', {
+      number,
+      calledNumbers: state.calledNumbers,
+    });
+    emitToRoom(io, roomId, 'game-state', state);
+
+    console.log(`[AutoCall] Number called in room ${roomId}: ${number}`);
+
+    // May auto-pause the game, which clears the schedule
+    await checkForWinners(io, roomId, state.calledNumbers);
+    await gameState.scheduleNextAutoCall(roomId);
+  } catch (err) {
+    console.error(`[AutoCall] Error calling number (room ${roomId}):`, err.message);
+    // Retry after a full interval instead of spinning on a persistent error
+    await gameState.scheduleNextAutoCall(roomId).catch(() => {});
+  } finally {
+    autoCallInFlight.delete(roomId);
+    await syncAutoCaller(io, roomId);
+  }
+}
+
+// ============== SCHEDULER ==============
+
+// One timer per room, keyed by roomId
+const scheduleTimers = new Map();
+
+/**
+ * Delay until the next countdown broadcast
+ * Every countdownIntervalSeconds, then every second during the last 10 seconds
+ */
+function countdownDelay(msRemaining) {
+  if (msRemaining <= 10000) {
+    return 1000;
+  }
+  return Math.min(config.schedule.countdownIntervalSeconds * 1000, msRemaining - 10000);
+}
+
+/**
+ * Re-arm a room's scheduler timer from the start schedule persisted on its Game
+ * and broadcast the countdown to the room.
+ * Must be called after a schedule change or manual start, and on server start.
+ * @param {Server} io - Socket.io server instance
+ * @param {string} roomId - Room ID
+ */
+export async function syncSchedule(io, roomId = rooms.DEFAULT_ROOM_ID) {
+  if (scheduleTimers.has(roomId)) {
+    clearTimeout(scheduleTimers.get(roomId));
+    scheduleTimers.delete(roomId);
+  }
+
+  try {
+    const now = Date.now();
+    const schedule = await gameState.getSchedule(roomId);
+    if (!schedule) {
+      emitToRoom(io, roomId, 'game-countdown', {
+        scheduledStartAt: null,
+        purchaseCutoffAt: null,
+        serverTime: new Date(now).toISOString(),
+      });
+      return;
+    }
+
+    const startMs = new Date(schedule.scheduledStartAt).getTime();
+    const cutoffMs = new Date(schedule.purchaseCutoffAt).getTime();
+    emitToRoom(io, roomId, 'game-countdown', {
+      ...schedule,
+      secondsRemaining: Math.max(0, Math.ceil((startMs - now) / 1000)),
+      serverTime: new Date(now).toISOString(),
+    });
+
+    // Wake up at the start time, the purchase cutoff or the next countdown tick, whichever comes first
+    let wakeAt = Math.min(startMs, now + countdownDelay(startMs - now));
+    const closesPurchases = cutoffMs > now && cutoffMs <= wakeAt;
+    if (closesPurchases) {
+      wakeAt = cutoffMs;
+    }
+    scheduleTimers.set(roomId, setTimeout(() => runSchedule(io, roomId, closesPurchases), Math.max(0, wakeAt - now)));
+  } catch (err) {
+    console.error(`[Scheduler] Error syncing schedule (room ${roomId}):`, err);
+  }
+}
+
+/**
+ * Re-arm the scheduler of every room - called on server start
+ * @param {Server} io - Socket.io server instance
+ */
+export async function syncAllSchedules(io) {
+  const roomList = await rooms.listRooms(true);
+  for (const { roomId } of roomList) {
+    await syncSchedule(io, roomId);
+  }
+}
+
+/**
+ * Close purchases and start the game on the scheduler's behalf
+ */
+async function runSchedule(io, roomId, closesPurchases) {
+  scheduleTimers.delete(roomId);
+
+  try {
+    if (closesPurchases && await gameState.isPurchaseCutoffReached(roomId)) {
+      const state = await gameState.getGameState(roomId);
+      emitToRoom(io, roomId, 'purchases-closed', {
+        gameId: state.id,
+        scheduledStartAt: state.scheduledStartAt,
+      });
+      emitToRoom(io, roomId, 'game-state', state);
+    }
+
+    // No-op unless the persisted start time has come
+    const state = await gameState.startScheduledGame(roomId);
+    if (state) {
+      auditLog({
+        action: 'GAME_STARTED_SCHEDULED',
+        gameId: state.id,
+        roomId,
+      });
+
+      emitToRoom(io, roomId, 'game-started', state);
+      emitToRoom(io, roomId, 'game-state', await gameState.getGameState(roomId));
+      await syncAutoCaller(io, roomId);
+
+      console.log(`[Scheduler] Scheduled game started in room ${roomId}: ${state.id}`);
+    }
+  } catch (err) {
+    console.error(`[Scheduler] Error running schedule (room ${roomId}):`, err.message);
+  } finally {
+    await syncSchedule(io, roomId);
+  }
+}
+
+export default {
+  setupSocketHandlers,
+  roomChannel,
+  emitToRoom,
+  syncAutoCaller,
+  syncAllAutoCallers,
+  syncSchedule,
+  syncAllSchedules,
+  settleVerifiedWinners,
+  submitBingoClaim,
+  disconnectSessions,
+  emitApprovalUpdate,
+  verifyWinnerCard,
+  requestWinnerVerification,
+};
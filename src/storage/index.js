@@ -0,0 +1,25 @@
+/**
+ * Storage used by the Express server
+ * The MongoDB repository and the shared game service built on it.
+ */
+
+import { createMongoRepository } from './mongoRepository.js';
+import { createGameService } from '../../shared/game/gameService.js';
+import { checkWinner, verifyCardIntegrity } from '../services/bingoCard.js';
+
+export const repository = createMongoRepository();
+
+export const gameService = createGameService(repository, {
+  checkWinner,
+  verifyCardIntegrity: (card) => verifyCardIntegrity({
+    id: card.cardId,
+    numbers: card.numbers,
+    created_at: card.createdAt,
+    hash: card.hash,
+  }),
+});
+
+export default {
+  repository,
+  gameService,
+};
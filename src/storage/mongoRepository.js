@@ -0,0 +1,200 @@
+/**
+ * Ultra Bingo - MongoDB storage adapter
+ * Implements the shared repository interface (shared/storage/repository.js)
+ * on the Mongoose models, returning plain objects in the interface shapes.
+ */
+
+import { Card, Game, User, DEFAULT_ROOM_ID, roomFilter } from '../models/index.js';
+import Winner from '../models/Winner.js';
+import { assertRepository } from '../../shared/storage/repository.js';
+
+function toCard(doc) {
+  if (!doc) return null;
+  return {
+    cardId: doc.cardId,
+    numbers: doc.numbers,
+    hash: doc.hash || null,
+    createdAt: doc.createdAt,
+    status: doc.status,
+    roomId: doc.roomId || DEFAULT_ROOM_ID,
+    gameId: doc.gameId || null,
+    owner: doc.owner || null,
+    ownerUsername: doc.ownerUsername || null,
+    ownerWallet: doc.ownerWallet || null,
+    pricePaid: doc.pricePaid || null,
+    purchaseTxHash: doc.purchaseTxHash || null,
+    purchasedAt: doc.purchasedAt || null,
+    expiresAt: doc.expiresAt || null,
+    reservedBy: doc.reservedBy || null,
+    reservationExpiresAt: doc.reservationExpiresAt || null,
+  };
+}
+
+function toGame(doc) {
+  if (!doc) return null;
+  return {
+    gameId: doc.gameId,
+    roomId: doc.roomId || DEFAULT_ROOM_ID,
+    status: doc.status,
+    gameMode: doc.gameMode,
+    calledNumbers: doc.calledNumbers || [],
+    currentNumber: doc.currentNumber ?? null,
+    winners: doc.winners || [],
+    potentialWinners: doc.potentialWinners || [],
+    unclaimedWinners: doc.unclaimedWinners || [],
+    claims: {
+      manual: doc.claims?.manual || false,
+      windowCalls: doc.claims?.windowCalls || 0,
+    },
+    prizePool: doc.prizePool || '0',
+    startedAt: doc.startedAt || null,
+    endedAt: doc.endedAt || null,
+    createdAt: doc.createdAt,
+  };
+}
+
+function toUser(doc) {
+  if (!doc) return null;
+  return {
+    odId: doc.odId,
+    username: doc.username,
+    wallet: doc.wallet || null,
+    isAdmin: doc.isAdmin || false,
+    profileImage: doc.profileImage || null,
+    stats: doc.stats || {},
+  };
+}
+
+/**
+ * Create the MongoDB repository
+ * Connections are the sockets of this process: socket.io keeps the live ones,
+ * so they are only tracked in memory here.
+ * @returns {Object} Repository
+ */
+export function createMongoRepository() {
+  const connections = new Map();
+
+  const repository = {
+    games: {
+      async getActive(roomId = DEFAULT_ROOM_ID) {
+        return toGame(await Game.findActive(roomId || DEFAULT_ROOM_ID).lean());
+      },
+
+      async getById(gameId) {
+        return toGame(await Game.findOne({ gameId }).lean());
+      },
+
+      async update(gameId, fields) {
+        const game = await Game.findOneAndUpdate({ gameId }, { $set: fields }, { new: true }).lean();
+        return toGame(game);
+      },
+    },
+
+    cards: {
+      async getById(cardId) {
+        return toCard(await Card.findOne({ cardId }).lean());
+      },
+
+      async getAvailable(limit = 50) {
+        return (await Card.findAvailable(limit).lean()).map(toCard);
+      },
+
+      async listPurchased(roomId = null) {
+        const filter = roomId ? roomFilter(roomId) : {};
+        return (await Card.find({ ...filter, status: 'purchased' }).lean()).map(toCard);
+      },
+
+      async reserve(cardIds, userId, ttlMinutes = 5) {
+        const reserved = await Card.reserveCards(cardIds, userId, ttlMinutes);
+        return reserved.map(c => c.cardId);
+      },
+
+      async releaseReservation(cardIds, userId) {
+        await Card.releaseReservation(cardIds, userId);
+      },
+
+      async releaseExpiredReservations() {
+        return Card.cleanExpiredReservations();
+      },
+
+      async confirmPurchase(cardIds, userId, purchase = {}) {
+        const { username = null, wallet = null, txHash = null, pricePerCard = null, ...binding } = purchase;
+        const confirmed = await Card.confirmReservation(cardIds, userId, wallet, txHash, pricePerCard, username, binding);
+        if (confirmed.length === 0) return [];
+        const cards = await Card.find({ cardId: { $in: confirmed.map(c => c.id) } }).lean();
+        return cards.map(toCard);
+      },
+
+      async markWon(cardId, roomId = null) {
+        const filter = roomId ? roomFilter(roomId) : {};
+        const result = await Card.updateOne({ ...filter, cardId, status: 'purchased' }, { $set: { status: 'won' } });
+        return result.modifiedCount > 0;
+      },
+
+      async reEnableWon(roomId = null) {
+        const filter = roomId ? roomFilter(roomId) : {};
+        const result = await Card.updateMany({ ...filter, status: 'won' }, { $set: { status: 'purchased' } });
+        return result.modifiedCount;
+      },
+    },
+
+    users: {
+      async getById(odId) {
+        return toUser(await User.findByUserId(odId).lean());
+      },
+
+      async getByWallet(wallet) {
+        return toUser(await User.findByWallet(wallet).lean());
+      },
+
+      async incrementStats(odId, field, amount = 1) {
+        const user = await User.findByUserId(odId);
+        if (user) {
+          await user.incrementStats(field, amount);
+        }
+      },
+    },
+
+    winners: {
+      async create(winner) {
+        const record = await Winner.create({
+          winnerId: winner.winnerId || `winner_${Date.now()}_${winner.cardId.slice(-8)}`,
+          ...winner,
+        });
+        return record.toObject();
+      },
+
+      async listRecent(limit = 10) {
+        return Winner.getRecent(limit);
+      },
+
+      async listByWallet(wallet, limit = 10) {
+        return Winner.getByWallet(wallet, limit);
+      },
+    },
+
+    connections: {
+      async save(connectionId, data = {}) {
+        connections.set(connectionId, { connectionId, ...data, connectedAt: new Date() });
+      },
+
+      async get(connectionId) {
+        return connections.get(connectionId) || null;
+      },
+
+      async delete(connectionId) {
+        connections.delete(connectionId);
+      },
+
+      async list() {
+        return [...connections.values()];
+      },
+    },
+  };
+
+  return assertRepository(repository, 'mongo repository');
+}
+
+export default {
+  createMongoRepository,
+};
@@ -244,6 +244,18 @@ resource "aws_apigatewayv2_route" "admin_users" {
   target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
 }
 
+resource "aws_apigatewayv2_route" "admin_audit" {
+  api_id    = aws_apigatewayv2_api.rest.id
+  route_key = "GET /api/admin/audit"
+  target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
+resource "aws_apigatewayv2_route" "admin_audit_verify" {
+  api_id    = aws_apigatewayv2_api.rest.id
+  route_key = "GET /api/admin/audit/verify"
+  target    = "integrations/${aws_apigatewayv2_integration.lambda.id}"
+}
+
 # =============================================================================
 # Stage
 # =============================================================================
@@ -0,0 +1,68 @@
+/**
+ * Admin roles: permission checks follow role changes made by other instances
+ */
+
+import './helpers/setup.js';
+import { test, describe, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectDB } from '../src/db/connection.js';
+import { config } from '../src/config/index.js';
+import { AdminRole, ADMIN_ROLES } from '../src/models/index.js';
+import adminRoles, { PERMISSIONS } from '../src/services/adminRoles.js';
+
+const ENV_ADMIN = '0x00000000000000000000000000000000000000a1';
+const WALLET = '0x00000000000000000000000000000000000000d1';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// What another instance writes when it changes the roles
+function setRolesElsewhere(wallet, roles) {
+  return AdminRole.findOneAndUpdate(
+    { wallet },
+    { $set: { roles, updatedAt: new Date() }, $setOnInsert: { wallet, createdAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+before(async () => {
+  await connectDB();
+  await adminRoles.loadAdminRoles();
+});
+
+afterEach(() => {
+  config.adminRoles.cacheTtlSeconds = 10;
+});
+
+describe('role cache', () => {
+  test('a role removed on another instance stops granting access after the TTL', async () => {
+    config.adminRoles.cacheTtlSeconds = 0.05;
+    await adminRoles.setAdminRoles(WALLET, [ADMIN_ROLES.CALLER]);
+    assert.equal(await adminRoles.hasPermission(WALLET, PERMISSIONS.GAME_CALL), true);
+
+    await setRolesElsewhere(WALLET, [ADMIN_ROLES.VERIFIER]);
+    await wait(60);
+    assert.equal(await adminRoles.hasPermission(WALLET, PERMISSIONS.GAME_CALL), false);
+    assert.equal(await adminRoles.hasPermission(WALLET, PERMISSIONS.WINNERS_VERIFY), true);
+
+    await AdminRole.deleteOne({ wallet: WALLET });
+    await wait(60);
+    assert.equal(await adminRoles.isAdminWallet(WALLET), false);
+    assert.deepEqual(await adminRoles.getPermissions(WALLET), []);
+  });
+
+  test('roles are reused within the TTL', async () => {
+    await adminRoles.setAdminRoles(WALLET, [ADMIN_ROLES.TREASURER]);
+    await setRolesElsewhere(WALLET, [ADMIN_ROLES.CALLER]);
+    assert.deepEqual(await adminRoles.getAdminRoles(WALLET), [ADMIN_ROLES.TREASURER]);
+
+    // A change made on this instance reloads at once
+    await adminRoles.setAdminRoles(WALLET, [ADMIN_ROLES.VERIFIER]);
+    assert.deepEqual(await adminRoles.getAdminRoles(WALLET), [ADMIN_ROLES.VERIFIER]);
+  });
+
+  test('ADMIN_WALLETS are superadmins without a stored role', async () => {
+    assert.deepEqual(await adminRoles.getAdminRoles(ENV_ADMIN), [ADMIN_ROLES.SUPERADMIN]);
+    assert.equal(await adminRoles.hasPermission(ENV_ADMIN, PERMISSIONS.ROLES_MANAGE), true);
+    await assert.rejects(adminRoles.setAdminRoles(ENV_ADMIN, []), /ADMIN_WALLETS/);
+  });
+});
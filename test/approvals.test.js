@@ -0,0 +1,164 @@
+/**
+ * M-of-N admin approvals: threshold, one approval per admin, permissions,
+ * rejection and expiry
+ */
+
+import './helpers/setup.js';
+import { test, describe, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectDB } from '../src/db/connection.js';
+import { config } from '../src/config/index.js';
+import { Payout, PAYOUT_STATUS, PendingAction, PENDING_ACTION_STATUS, PENDING_ACTION_TYPES, ADMIN_ROLES } from '../src/models/index.js';
+import { setAdminRoles } from '../src/services/adminRoles.js';
+import approvals from '../src/services/approvals.js';
+
+const TREASURER_A = '0x00000000000000000000000000000000000000c1';
+const TREASURER_B = '0x00000000000000000000000000000000000000c2';
+const CALLER = '0x00000000000000000000000000000000000000c3';
+
+let payoutCount = 0;
+
+async function createPayout() {
+  payoutCount++;
+  const payout = await Payout.create({
+    payoutId: `payout_test_${payoutCount}`,
+    winnerId: `winner_test_${payoutCount}`,
+    gameId: 'game_test',
+    odId: 'user_winner',
+    wallet: '0x00000000000000000000000000000000000000b2',
+    amount: '1000000',
+  });
+  return payout.payoutId;
+}
+
+function markPaid(payoutId, wallet, txHash = `0x${'ab'.repeat(32)}`) {
+  return approvals.requestAction({
+    type: PENDING_ACTION_TYPES.MARK_PAYOUT_PAID,
+    targetId: payoutId,
+    payload: { payoutId, txHash },
+    wallet,
+  });
+}
+
+before(async () => {
+  await connectDB();
+  await setAdminRoles(TREASURER_A, [ADMIN_ROLES.TREASURER]);
+  await setAdminRoles(TREASURER_B, [ADMIN_ROLES.TREASURER]);
+  await setAdminRoles(CALLER, [ADMIN_ROLES.CALLER]);
+});
+
+afterEach(() => {
+  config.approvals.markPayoutPaid = 1;
+});
+
+describe('approval threshold', () => {
+  test('runs at once when one approval is enough', async () => {
+    const payoutId = await createPayout();
+    const { action, executed, result } = await markPaid(payoutId, TREASURER_A);
+    assert.equal(executed, true);
+    assert.equal(action.status, PENDING_ACTION_STATUS.EXECUTED);
+    assert.equal(result.payoutId, payoutId);
+    assert.equal((await Payout.findOne({ payoutId })).status, PAYOUT_STATUS.PAID);
+  });
+
+  test('waits for a second admin, then runs as requested', async () => {
+    config.approvals.markPayoutPaid = 2;
+    assert.equal(approvals.requiresApproval(PENDING_ACTION_TYPES.MARK_PAYOUT_PAID), true);
+    const payoutId = await createPayout();
+
+    const requested = await markPaid(payoutId, TREASURER_A);
+    assert.equal(requested.executed, false);
+    assert.equal(requested.action.threshold, 2);
+    assert.equal(requested.action.approvals.length, 1);
+    assert.equal((await Payout.findOne({ payoutId })).status, PAYOUT_STATUS.PENDING);
+
+    const approved = await approvals.approveAction(requested.action.actionId, TREASURER_B);
+    assert.equal(approved.executed, true);
+    const payout = await Payout.findOne({ payoutId });
+    assert.equal(payout.status, PAYOUT_STATUS.PAID);
+    assert.equal(payout.paidBy, TREASURER_A);
+
+    await assert.rejects(approvals.approveAction(requested.action.actionId, CALLER), /Permission required/);
+    await assert.rejects(
+      approvals.approveAction(requested.action.actionId, '0x00000000000000000000000000000000000000a1'),
+      /Action is executed/
+    );
+  });
+
+  test('a second request for the same target counts as an approval', async () => {
+    config.approvals.markPayoutPaid = 2;
+    const payoutId = await createPayout();
+
+    const first = await markPaid(payoutId, TREASURER_A);
+    const second = await markPaid(payoutId, TREASURER_B);
+    assert.equal(second.action.actionId, first.action.actionId);
+    assert.equal(second.executed, true);
+    assert.equal(await PendingAction.countDocuments({ targetId: payoutId }), 1);
+  });
+
+  test('a different request for a pending target is refused', async () => {
+    config.approvals.markPayoutPaid = 2;
+    const payoutId = await createPayout();
+
+    await markPaid(payoutId, TREASURER_A);
+    await assert.rejects(markPaid(payoutId, TREASURER_B, `0x${'cd'.repeat(32)}`), /different request/);
+  });
+});
+
+describe('self-approval', () => {
+  test('the requester cannot approve their own action', async () => {
+    config.approvals.markPayoutPaid = 2;
+    const payoutId = await createPayout();
+    const { action } = await markPaid(payoutId, TREASURER_A);
+
+    await assert.rejects(approvals.approveAction(action.actionId, TREASURER_A), /already approved/);
+    // Requesting it again is the same admin approving again
+    await assert.rejects(markPaid(payoutId, TREASURER_A), /already approved/);
+
+    const stored = await PendingAction.findOne({ actionId: action.actionId });
+    assert.equal(stored.status, PENDING_ACTION_STATUS.PENDING);
+    assert.equal(stored.approvals.length, 1);
+    assert.equal((await Payout.findOne({ payoutId })).status, PAYOUT_STATUS.PENDING);
+  });
+});
+
+describe('permissions, rejection, expiry and failure', () => {
+  test('an admin without the permission cannot request', async () => {
+    const payoutId = await createPayout();
+    await assert.rejects(markPaid(payoutId, CALLER), /Permission required: payouts:manage/);
+    await assert.rejects(markPaid(payoutId, '0x00000000000000000000000000000000000000ff'), /Permission required/);
+  });
+
+  test('a rejected action does not run', async () => {
+    config.approvals.markPayoutPaid = 2;
+    const payoutId = await createPayout();
+    const { action } = await markPaid(payoutId, TREASURER_A);
+
+    const rejected = await approvals.rejectAction(action.actionId, TREASURER_B, '  wrong tx  ');
+    assert.equal(rejected.action.status, PENDING_ACTION_STATUS.REJECTED);
+    assert.equal(rejected.action.rejection.reason, 'wrong tx');
+
+    await assert.rejects(approvals.approveAction(action.actionId, TREASURER_B), /Action is rejected/);
+    assert.equal((await Payout.findOne({ payoutId })).status, PAYOUT_STATUS.PENDING);
+  });
+
+  test('an expired action does not run and a new request starts over', async () => {
+    config.approvals.markPayoutPaid = 2;
+    const payoutId = await createPayout();
+    const { action } = await markPaid(payoutId, TREASURER_A);
+    await PendingAction.updateOne({ actionId: action.actionId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    await assert.rejects(approvals.approveAction(action.actionId, TREASURER_B), /Action is expired/);
+
+    const retried = await markPaid(payoutId, TREASURER_B);
+    assert.notEqual(retried.action.actionId, action.actionId);
+    assert.equal(retried.executed, false);
+  });
+
+  test('an executor error marks the action failed', async () => {
+    const { action, executed, error } = await markPaid('payout_missing', TREASURER_A);
+    assert.equal(executed, false);
+    assert.equal(error, 'Payout not found');
+    assert.equal(action.status, PENDING_ACTION_STATUS.FAILED);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * x402 EIP-3009 payment authorization checks
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import {
+  CHAIN_IDS,
+  TRANSFER_WITH_AUTHORIZATION_TYPES,
+  getAuthorizationId,
+  verifyTransferAuthorization,
+} from '../shared/x402/authorization.js';
+
+const NOW = Date.UTC(2026, 0, 1);
+const NOW_SECONDS = NOW / 1000;
+
+const requirements = {
+  network: 'base-sepolia',
+  payTo: '0x1111111111111111111111111111111111111111',
+  maxAmountRequired: '5000000',
+  asset: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+  extra: { name: 'USDC', version: '2' },
+};
+
+const account = privateKeyToAccount(generatePrivateKey());
+
+async function signPayment(overrides = {}, { signer = account, domain = {} } = {}) {
+  const authorization = {
+    from: account.address,
+    to: requirements.payTo,
+    value: requirements.maxAmountRequired,
+    validAfter: String(NOW_SECONDS - 60),
+    validBefore: String(NOW_SECONDS + 300),
+    nonce: `0x${crypto.randomBytes(32).toString('hex')}`,
+    ...overrides,
+  };
+  const signature = await signer.signTypedData({
+    domain: {
+      name: requirements.extra.name,
+      version: requirements.extra.version,
+      chainId: CHAIN_IDS[requirements.network],
+      verifyingContract: requirements.asset,
+      ...domain,
+    },
+    types: TRANSFER_WITH_AUTHORIZATION_TYPES,
+    primaryType: 'TransferWithAuthorization',
+    message: {
+      ...authorization,
+      value: BigInt(authorization.value),
+      validAfter: BigInt(authorization.validAfter),
+      validBefore: BigInt(authorization.validBefore),
+    },
+  });
+  return { x402Version: 1, scheme: 'exact', network: requirements.network, payload: { signature, authorization } };
+}
+
+const verify = (payload, reqs = requirements) => verifyTransferAuthorization(payload, reqs, { now: NOW });
+
+describe('verifyTransferAuthorization', () => {
+  test('accepts an authorization signed by the payer', async () => {
+    const payment = await signPayment();
+    const result = await verify(payment);
+    assert.deepEqual(result, {
+      payer: account.address.toLowerCase(),
+      nonce: payment.payload.authorization.nonce.toLowerCase(),
+      value: '5000000',
+      validAfter: NOW_SECONDS - 60,
+      validBefore: NOW_SECONDS + 300,
+    });
+  });
+
+  test('rejects a tampered authorization', async () => {
+    const payment = await signPayment();
+    payment.payload.authorization.value = '5000001';
+    await assert.rejects(verify(payment), { code: 'INVALID_SIGNATURE' });
+  });
+
+  test('rejects a signature by someone other than the payer', async () => {
+    const payment = await signPayment({}, { signer: privateKeyToAccount(generatePrivateKey()) });
+    await assert.rejects(verify(payment), { code: 'INVALID_SIGNATURE' });
+  });
+
+  test('rejects a signature for another token or chain', async () => {
+    const otherToken = await signPayment({}, { domain: { verifyingContract: '0x2222222222222222222222222222222222222222' } });
+    await assert.rejects(verify(otherToken), { code: 'INVALID_SIGNATURE' });
+    const otherChain = await signPayment({}, { domain: { chainId: CHAIN_IDS.base } });
+    await assert.rejects(verify(otherChain), { code: 'INVALID_SIGNATURE' });
+  });
+
+  test('rejects a payment to another recipient', async () => {
+    const payment = await signPayment({ to: '0x3333333333333333333333333333333333333333' });
+    await assert.rejects(verify(payment), { code: 'WRONG_RECIPIENT' });
+  });
+
+  test('rejects an amount other than the price', async () => {
+    await assert.rejects(verify(await signPayment({ value: '4999999' })), { code: 'WRONG_AMOUNT' });
+    await assert.rejects(verify(await signPayment({ value: '10000000' })), { code: 'WRONG_AMOUNT' });
+  });
+
+  test('enforces the validity window', async () => {
+    const early = await signPayment({ validAfter: String(NOW_SECONDS) });
+    await assert.rejects(verify(early), { code: 'NOT_YET_VALID' });
+    const expired = await signPayment({ validBefore: String(NOW_SECONDS) });
+    await assert.rejects(verify(expired), { code: 'EXPIRED' });
+  });
+
+  test('rejects unsupported or mismatched networks', async () => {
+    const payment = await signPayment();
+    await assert.rejects(verify(payment, { ...requirements, network: 'ethereum' }), { code: 'UNSUPPORTED_NETWORK' });
+    await assert.rejects(verify({ ...payment, network: 'base' }), { code: 'UNSUPPORTED_NETWORK' });
+  });
+
+  test('rejects malformed payloads', async () => {
+    const payment = await signPayment();
+    await assert.rejects(verify({}), { code: 'INVALID_PAYLOAD' });
+    await assert.rejects(verify({ payload: { ...payment.payload, signature: 'nope' } }), { code: 'INVALID_PAYLOAD' });
+    const badNonce = { payload: { ...payment.payload, authorization: { ...payment.payload.authorization, nonce: '0x1234' } } };
+    await assert.rejects(verify(badNonce), { code: 'INVALID_PAYLOAD' });
+    const badValue = { payload: { ...payment.payload, authorization: { ...payment.payload.authorization, value: '-1' } } };
+    await assert.rejects(verify(badValue), { code: 'INVALID_PAYLOAD' });
+  });
+});
+
+describe('getAuthorizationId', () => {
+  test('identifies a payment by lowercase payer and nonce', async () => {
+    const payment = await signPayment({ nonce: `0x${'AB'.repeat(32)}` });
+    assert.deepEqual(getAuthorizationId(payment), { payer: account.address.toLowerCase(), nonce: `0x${'ab'.repeat(32)}` });
+  });
+
+  test('returns null for malformed payloads', () => {
+    assert.equal(getAuthorizationId(null), null);
+    assert.equal(getAuthorizationId({ payload: { authorization: { from: '0x1', nonce: '0x2' } } }), null);
+  });
+});
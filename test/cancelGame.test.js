@@ -0,0 +1,111 @@
+/**
+ * Game cancellation: one refund per wallet for the cards bought for the game
+ */
+
+import './helpers/setup.js';
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { Game, Card, Refund, REFUND_STATUS, GAME_STATUS, DEFAULT_ROOM_ID } from '../src/models/index.js';
+import { cancelGame, getRefundsForPlayer, markRefundExecuted, upsertUser } from '../src/services/gameState.js';
+import { startPurchaseApp, createBuyer, purchase } from './helpers/purchaseApp.js';
+import { createPaymentHeader } from './helpers/x402.js';
+
+const ADMIN = '0x00000000000000000000000000000000000000a1';
+const TX_HASH = `0x${'ef'.repeat(32)}`;
+
+let app;
+
+before(async () => {
+  app = await startPurchaseApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+async function buyCards(account, quantity) {
+  const buyer = await createBuyer(account);
+  const body = { quantity };
+  const required = await purchase(app.url, { token: buyer.token, body });
+  assert.equal(required.status, 402);
+  const payment = await createPaymentHeader(account, required.data.paymentInfo);
+  const bought = await purchase(app.url, { token: buyer.token, payment, body });
+  assert.equal(bought.status, 200);
+  return { ...buyer, cardIds: bought.data.cards.map(c => c.id) };
+}
+
+function sumPaid(cards) {
+  return cards.reduce((sum, card) => sum + BigInt(card.pricePaid), 0n).toString();
+}
+
+describe('cancelGame', () => {
+  test('refunds each wallet the cards it bought and stops them playing', async () => {
+    const alice = await buyCards(privateKeyToAccount(generatePrivateKey()), 2);
+    const bob = await buyCards(privateKeyToAccount(generatePrivateKey()), 1);
+    const game = await Game.findActive(DEFAULT_ROOM_ID);
+
+    const { state, refunds } = await cancelGame(DEFAULT_ROOM_ID, 'Caller offline', ADMIN);
+    assert.equal(refunds.length, 2);
+
+    for (const buyer of [alice, bob]) {
+      const cards = await Card.find({ cardId: { $in: buyer.cardIds } }).lean();
+      assert.ok(cards.every(card => card.status === 'refunded' && card.gameId === game.gameId));
+
+      const refund = refunds.find(r => r.wallet === buyer.wallet);
+      assert.equal(refund.gameId, game.gameId);
+      assert.equal(refund.odId, buyer.userId);
+      assert.equal(refund.status, REFUND_STATUS.PENDING);
+      assert.deepEqual([...refund.cardIds].sort(), [...buyer.cardIds].sort());
+      assert.equal(refund.amount, sumPaid(cards));
+    }
+    assert.equal(BigInt(refunds.find(r => r.wallet === alice.wallet).amount), 10000000n);
+
+    const cancelled = await Game.findOne({ gameId: game.gameId }).lean();
+    assert.equal(cancelled.status, GAME_STATUS.CANCELLED);
+    assert.equal(cancelled.cancelReason, 'Caller offline');
+    assert.equal(cancelled.cancelledBy, ADMIN);
+    assert.equal(state.status, GAME_STATUS.CANCELLED);
+
+    const [own] = await getRefundsForPlayer(alice.userId);
+    assert.equal(own.wallet, alice.wallet);
+    const executed = await markRefundExecuted(own.refundId, TX_HASH, ADMIN);
+    assert.equal(executed.status, REFUND_STATUS.EXECUTED);
+    assert.equal(executed.txHash, TX_HASH);
+    await assert.rejects(markRefundExecuted(own.refundId, TX_HASH, ADMIN), /already marked as executed/);
+  });
+
+  test('falls back to the profile wallet and skips cards without any wallet', async () => {
+    const buyer = await buyCards(privateKeyToAccount(generatePrivateKey()), 1);
+    const game = await Game.findActive(DEFAULT_ROOM_ID);
+    const [bought] = await Card.find({ cardId: { $in: buyer.cardIds } }).lean();
+
+    await Card.updateOne({ cardId: bought.cardId }, { $set: { ownerWallet: null } });
+    await upsertUser('user_nowallet', { username: 'nowallet' });
+    const [spare] = await Card.find({ status: 'available' }).limit(1).lean();
+    await Card.updateOne(
+      { cardId: spare.cardId },
+      { $set: { status: 'purchased', owner: 'user_nowallet', gameId: game.gameId, pricePaid: '5000000' } }
+    );
+
+    const { refunds } = await cancelGame(DEFAULT_ROOM_ID);
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].wallet, buyer.wallet);
+    assert.equal(refunds[0].amount, bought.pricePaid);
+    assert.equal((await Card.findOne({ cardId: spare.cardId })).status, 'refunded');
+    assert.equal(await Refund.countDocuments({ gameId: game.gameId }), 1);
+  });
+
+  test('is refused once a stage prize was awarded', async () => {
+    await buyCards(privateKeyToAccount(generatePrivateKey()), 1);
+    const game = await Game.findActive(DEFAULT_ROOM_ID);
+    await Game.updateOne(
+      { gameId: game.gameId },
+      { $set: { stages: [{ gameMode: 'line', prizeShareBps: 5000, status: 'completed' }, { gameMode: 'full', prizeShareBps: 5000 }] } }
+    );
+
+    await assert.rejects(cancelGame(DEFAULT_ROOM_ID), /stage prize has already been awarded/);
+    assert.equal(await Refund.countDocuments({ gameId: game.gameId }), 0);
+    assert.equal((await Game.findOne({ gameId: game.gameId })).status, GAME_STATUS.WAITING);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Shared game service on the in-memory repository
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameService } from '../shared/game/gameService.js';
+import { createMemoryRepository } from '../shared/storage/memoryRepository.js';
+
+const NUMBERS = { B: [1, 2, 3, 4, 5], I: [16, 17, 18, 19, 20], N: [31, 32, 0, 34, 35], G: [46, 47, 48, 49, 50], O: [61, 62, 63, 64, 65] };
+
+// Wins once every number of the B column was called
+function checkWinner(card, calledNumbers) {
+  const isWinner = card.numbers.B.every(n => calledNumbers.includes(n));
+  return isWinner ? { isWinner, pattern: 'columnB', modeName: 'Columna B' } : { isWinner };
+}
+
+function availableCard(cardId, extra = {}) {
+  return { cardId, numbers: NUMBERS, status: 'available', roomId: 'main', createdAt: new Date(), ...extra };
+}
+
+function setup({ cards = [], users = [] } = {}) {
+  const repository = createMemoryRepository({
+    cards,
+    users: [{ odId: 'user_1', username: 'alice', wallet: '0xaaa', stats: {} }, ...users],
+  });
+  return { repository, service: createGameService(repository, { checkWinner }) };
+}
+
+async function buy(service, cardIds, userId = 'user_1', purchase = {}) {
+  const { success } = await service.reserveCards(cardIds, userId);
+  assert.equal(success, true);
+  return service.confirmPurchase(cardIds, userId, { wallet: '0xAAA', pricePerCard: '5000000', ...purchase });
+}
+
+describe('createGameService', () => {
+  test('requires a complete repository and checkWinner', () => {
+    assert.throws(() => createGameService({}, { checkWinner }), /missing/);
+    assert.throws(() => createGameService(createMemoryRepository()), /checkWinner is required/);
+  });
+});
+
+describe('reserveCards', () => {
+  test('reserves every card or none', async () => {
+    const { repository, service } = setup({ cards: [availableCard('c1'), availableCard('c2')] });
+    await service.reserveCards(['c2'], 'user_2');
+
+    const result = await service.reserveCards(['c1', 'c2'], 'user_1');
+    assert.deepEqual(result, { success: false, cardIds: [], reservedCount: 1 });
+    assert.equal((await repository.cards.getById('c1')).status, 'available');
+    assert.equal((await repository.cards.getById('c2')).reservedBy, 'user_2');
+  });
+
+  test('frees expired reservations first', async () => {
+    const { service } = setup({
+      cards: [availableCard('c1', { status: 'reserved', reservedBy: 'user_2', reservationExpiresAt: new Date(Date.now() - 1000) })],
+    });
+    const result = await service.reserveCards(['c1'], 'user_1');
+    assert.equal(result.success, true);
+  });
+});
+
+describe('confirmPurchase', () => {
+  test('only confirms cards reserved by the buyer', async () => {
+    const { service } = setup({ cards: [availableCard('c1'), availableCard('c2')] });
+    await service.reserveCards(['c1'], 'user_1');
+    await service.reserveCards(['c2'], 'user_2');
+
+    const cards = await service.confirmPurchase(['c1', 'c2'], 'user_1', { wallet: '0xAAA' });
+    assert.deepEqual(cards.map(c => c.cardId), ['c1']);
+    assert.equal(cards[0].owner, 'user_1');
+    assert.equal(cards[0].ownerUsername, 'alice');
+    assert.equal(cards[0].ownerWallet, '0xaaa');
+  });
+
+  test('updates the buyer stats', async () => {
+    const { repository, service } = setup({ cards: [availableCard('c1'), availableCard('c2')] });
+    await buy(service, ['c1', 'c2']);
+
+    const user = await repository.users.getById('user_1');
+    assert.equal(user.stats.cardsPurchased, 2);
+    assert.equal(user.stats.totalSpent, '10000000');
+  });
+});
+
+describe('verifyWinnerCard', () => {
+  const startedAt = new Date(Date.now() + 60_000);
+  const game = (fields = {}) => ({ gameId: 'g1', roomId: 'main', startedAt, calledNumbers: [1, 2, 3, 4, 5], gameMode: 'line', ...fields });
+
+  test('takes the winner from the stored card', async () => {
+    const { service } = setup({ cards: [availableCard('c1')] });
+    await buy(service, ['c1']);
+
+    const { isWinner, winner } = await service.verifyWinnerCard(game(), 'c1');
+    assert.equal(isWinner, true);
+    assert.deepEqual(winner, {
+      odId: 'user_1',
+      odUsername: 'alice',
+      wallet: '0xaaa',
+      cardId: 'c1',
+      pattern: 'columnB',
+      patternName: 'Columna B',
+      gameMode: 'line',
+    });
+  });
+
+  test('reports a card that has not won', async () => {
+    const { service } = setup({ cards: [availableCard('c1')] });
+    await buy(service, ['c1']);
+
+    const { isWinner } = await service.verifyWinnerCard(game({ calledNumbers: [1, 2, 3] }), 'c1');
+    assert.equal(isWinner, false);
+  });
+
+  test('rejects missing games, unsold cards and other rooms', async () => {
+    const { service } = setup({ cards: [availableCard('c1'), availableCard('c2', { roomId: 'vip' })] });
+    await buy(service, ['c2']);
+
+    await assert.rejects(service.verifyWinnerCard(null, 'c1'), { code: 'NO_GAME' });
+    await assert.rejects(service.verifyWinnerCard(game(), 'c1'), { code: 'CARD_NOT_FOUND' });
+    await assert.rejects(service.verifyWinnerCard(game(), 'missing'), { code: 'CARD_NOT_FOUND' });
+    await assert.rejects(service.verifyWinnerCard(game(), 'c2'), { code: 'ROOM_MISMATCH' });
+  });
+
+  test('rejects cards bought after the game started or expired before it', async () => {
+    const { service } = setup({ cards: [availableCard('c1'), availableCard('c2')] });
+    await buy(service, ['c1']);
+    await buy(service, ['c2'], 'user_1', { expiresAt: new Date(startedAt.getTime() - 1) });
+
+    await assert.rejects(service.verifyWinnerCard(game({ startedAt: new Date(Date.now() - 60_000) }), 'c1'), { code: 'CARD_NOT_VALID' });
+    await assert.rejects(service.verifyWinnerCard(game(), 'c2'), { code: 'CARD_NOT_VALID' });
+  });
+
+  test('rejects forfeited cards and cards past the claim window', async () => {
+    const { service } = setup({ cards: [availableCard('c1')] });
+    await buy(service, ['c1']);
+
+    await assert.rejects(
+      service.verifyWinnerCard(game({ potentialWinners: [{ cardId: 'c1', status: 'forfeited' }] }), 'c1'),
+      { code: 'CARD_FORFEITED' }
+    );
+
+    const claims = { manual: true, windowCalls: 2 };
+    await assert.rejects(
+      service.verifyWinnerCard(game({ claims, calledNumbers: [1, 2, 3, 4, 5, 6, 7], unclaimedWinners: [{ cardId: 'c1', sinceCall: 5 }] }), 'c1'),
+      { code: 'CARD_FORFEITED' }
+    );
+    const { isWinner } = await service.verifyWinnerCard(
+      game({ claims, calledNumbers: [1, 2, 3, 4, 5, 6], unclaimedWinners: [{ cardId: 'c1', sinceCall: 5 }] }),
+      'c1'
+    );
+    assert.equal(isWinner, true);
+  });
+
+  test('rejects cards that fail their integrity hash', async () => {
+    const repository = createMemoryRepository({ cards: [availableCard('c1', { hash: 'tampered' })] });
+    const service = createGameService(repository, { checkWinner, verifyCardIntegrity: card => card.hash === 'ok' });
+    await buy(service, ['c1']);
+
+    await assert.rejects(service.verifyWinnerCard(game(), 'c1'), { code: 'CARD_INTEGRITY_FAILED' });
+  });
+});
+
+describe('rejected winner cards', () => {
+  test('are disabled until re-enabled for their room', async () => {
+    const { repository, service } = setup({ cards: [availableCard('c1'), availableCard('c2', { roomId: 'vip' })] });
+    await buy(service, ['c1', 'c2']);
+
+    assert.equal(await service.rejectWinnerCard('c1', 'main'), true);
+    assert.equal(await service.rejectWinnerCard('c1', 'main'), false);
+    assert.equal(await service.rejectWinnerCard('c2', 'main'), false);
+    await assert.rejects(service.verifyWinnerCard({ gameId: 'g1', roomId: 'main' }, 'c1'), { code: 'CARD_NOT_FOUND' });
+
+    assert.equal(await service.reEnableWonCards('vip'), 0);
+    assert.equal(await service.reEnableWonCards('main'), 1);
+    assert.equal((await repository.cards.getById('c1')).status, 'purchased');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Card replay: the owner reported is the player who held the card in that game
+ */
+
+import './helpers/setup.js';
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectDB } from '../src/db/connection.js';
+import { Game, Card, DEFAULT_ROOM_ID } from '../src/models/index.js';
+import Winner from '../src/models/Winner.js';
+import { getCardReplay } from '../src/services/gameTimeline.js';
+
+const NUMBERS = {
+  B: [1, 2, 3, 4, 5],
+  I: [16, 17, 18, 19, 20],
+  N: [31, 32, 0, 34, 35],
+  G: [46, 47, 48, 49, 50],
+  O: [61, 62, 63, 64, 65],
+};
+
+const startedAt = new Date('2026-01-01T12:00:00Z');
+let game;
+
+async function createCard(cardId, fields = {}) {
+  await Card.create({ cardId, numbers: NUMBERS, roomId: DEFAULT_ROOM_ID, status: 'purchased', ...fields });
+}
+
+before(async () => {
+  await connectDB();
+  game = await Game.create({
+    gameId: 'game_replay_1',
+    roomId: DEFAULT_ROOM_ID,
+    status: 'ended',
+    gameMode: 'line',
+    calledNumbers: [1, 2, 3, 4, 5],
+    startedAt,
+  });
+});
+
+describe('getCardReplay owner', () => {
+  test('the buyer, for a card bought before the game started', async () => {
+    await createCard('card_before', { owner: 'user_a', purchasedAt: new Date(startedAt.getTime() - 60000) });
+    const replay = await getCardReplay(game.gameId, 'card_before');
+    assert.equal(replay.owner, 'user_a');
+    assert.equal(replay.isWinner, true);
+  });
+
+  test('nobody, for a card bought after the game started', async () => {
+    await createCard('card_after', { owner: 'user_b', purchasedAt: new Date(startedAt.getTime() + 60000) });
+    const replay = await getCardReplay(game.gameId, 'card_after');
+    assert.equal(replay.owner, null);
+  });
+
+  test('nobody, for a card never sold', async () => {
+    await createCard('card_unsold', { status: 'available' });
+    assert.equal((await getCardReplay(game.gameId, 'card_unsold')).owner, null);
+  });
+
+  test('the winner record, when the card won the game', async () => {
+    await createCard('card_won', { owner: 'user_c', purchasedAt: new Date(startedAt.getTime() + 60000) });
+    await Winner.create({
+      winnerId: 'winner_replay_1',
+      gameId: game.gameId,
+      odId: 'user_winner',
+      odUsername: 'winner',
+      wallet: '0x00000000000000000000000000000000000000b2',
+      cardId: 'card_won',
+      gameMode: 'line',
+      patternName: 'Line',
+      totalCalledNumbers: 5,
+    });
+    assert.equal((await getCardReplay(game.gameId, 'card_won')).owner, 'user_winner');
+  });
+
+  test('nobody, before the game started', async () => {
+    await Game.create({ gameId: 'game_replay_2', roomId: DEFAULT_ROOM_ID, status: 'waiting', gameMode: 'line' });
+    assert.equal((await getCardReplay('game_replay_2', 'card_before')).owner, null);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Express app serving the card purchase route behind the x402 middleware
+ * (as wired in src/index.js), on the in-memory database and local facilitator.
+ * Import ./setup.js before this module.
+ */
+
+import express from 'express';
+import { connectDB } from '../../src/db/connection.js';
+import { createX402Middleware } from '../../src/middleware/x402v2.js';
+import { getRequestedRoom } from '../../src/middleware/room.js';
+import { createSession } from '../../src/services/sessions.js';
+import { upsertUser, ensureAvailableCards } from '../../src/services/gameState.js';
+import rooms from '../../src/services/rooms.js';
+import cardsRoutes, { precheckPurchase } from '../../src/routes/cards.js';
+
+/**
+ * Start the app on a free port
+ * @returns {Promise<Object>} { url, close }
+ */
+export async function startPurchaseApp() {
+  await connectDB();
+  await rooms.ensureDefaultRoom();
+  await ensureAvailableCards(20, 50);
+
+  const app = express();
+  app.use(express.json());
+  app.use(createX402Middleware({
+    'POST /api/cards/purchase': {
+      getUnitPrice: async (req) => rooms.getCardPrice(await rooms.resolveRoomId(getRequestedRoom(req))),
+      precheck: precheckPurchase,
+    },
+  }));
+  app.use('/api/cards', cardsRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * Signed-in buyer
+ * @returns {Promise<Object>} { userId, wallet, token }
+ */
+export async function createBuyer(account, username = 'buyer') {
+  const wallet = account.address.toLowerCase();
+  const userId = `user_${wallet.slice(2, 10)}`;
+  await upsertUser(userId, { username, wallet });
+  const { token } = await createSession({ userId, username, wallet });
+  return { userId, wallet, token };
+}
+
+/**
+ * POST /api/cards/purchase
+ * @returns {Promise<Object>} { status, data }
+ */
+export async function purchase(url, { token, payment, idempotencyKey, body = { quantity: 1 } } = {}) {
+  const response = await fetch(`${url}/api/cards/purchase`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...(payment && { 'X-PAYMENT': payment }),
+      ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
+    },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, data: await response.json().catch(() => ({})) };
+}
+
+export default {
+  startPurchaseApp,
+  createBuyer,
+  purchase,
+};
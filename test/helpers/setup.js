@@ -0,0 +1,18 @@
+/**
+ * Test environment for suites that load the Express services
+ * Import first: config reads these variables when it is loaded. Each test
+ * file runs in its own process, so each gets an empty in-memory database.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-jwt-secret-0123456789abcdef0123456789abcdef';
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.ADMIN_WALLETS = '0x00000000000000000000000000000000000000a1';
+process.env.X402_RECEIVER_ADDRESS = '0x1111111111111111111111111111111111111111';
+process.env.X402_NETWORK = 'base-sepolia';
+process.env.X402_MOCK_FACILITATOR = 'succeed';
+process.env.CARD_PRICE = '5';
+// Every request comes from 127.0.0.1
+process.env.RATE_LIMITS = JSON.stringify({ purchase: { windowMs: 60000, maxRequests: 1000 }, general: { windowMs: 60000, maxRequests: 1000 } });
+delete process.env.STORAGE_FILE;
@@ -0,0 +1,57 @@
+/**
+ * Signed x402 payments for tests (same payload as scripts/simulate-purchase.js)
+ */
+
+import crypto from 'crypto';
+import { CHAIN_IDS, TRANSFER_WITH_AUTHORIZATION_TYPES } from '../../shared/x402/authorization.js';
+
+/**
+ * Sign a transferWithAuthorization for a 402 response's paymentInfo
+ * @param {Object} account - viem local account
+ * @param {Object} paymentInfo - { network, receiver, amount, asset, extra }
+ * @param {Object} overrides - Authorization fields to replace (e.g. nonce)
+ * @param {Object} options - { mockOutcome } for the local facilitator
+ * @returns {Promise<string>} X-PAYMENT header (base64 JSON)
+ */
+export async function createPaymentHeader(account, paymentInfo, overrides = {}, { mockOutcome } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const authorization = {
+    from: account.address,
+    to: paymentInfo.receiver,
+    value: paymentInfo.amount,
+    validAfter: String(now - 60),
+    validBefore: String(now + 300),
+    nonce: `0x${crypto.randomBytes(32).toString('hex')}`,
+    ...overrides,
+  };
+
+  const signature = await account.signTypedData({
+    domain: {
+      name: paymentInfo.extra?.name || 'USD Coin',
+      version: paymentInfo.extra?.version || '2',
+      chainId: CHAIN_IDS[paymentInfo.network],
+      verifyingContract: paymentInfo.asset,
+    },
+    types: TRANSFER_WITH_AUTHORIZATION_TYPES,
+    primaryType: 'TransferWithAuthorization',
+    message: {
+      ...authorization,
+      value: BigInt(authorization.value),
+      validAfter: BigInt(authorization.validAfter),
+      validBefore: BigInt(authorization.validBefore),
+    },
+  });
+
+  const paymentPayload = {
+    x402Version: 1,
+    scheme: 'exact',
+    network: paymentInfo.network,
+    payload: { signature, authorization },
+    ...(mockOutcome && { mockOutcome }),
+  };
+  return Buffer.from(JSON.stringify(paymentPayload)).toString('base64');
+}
+
+export default {
+  createPaymentHeader,
+};
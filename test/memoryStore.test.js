@@ -0,0 +1,227 @@
+/**
+ * In-memory MongoDB (STORAGE_DRIVER=memory)
+ * Covers the query, update and aggregation operators, indexes and
+ * transactions the models and services rely on.
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createMemoryClient } from '../src/db/memoryStore.js';
+
+let db;
+let cards;
+
+beforeEach(async () => {
+  db = createMemoryClient().db();
+  cards = db.collection('cards');
+  await cards.insertMany([
+    { cardId: 'c1', status: 'available', roomId: 'main', pricePaid: null, numbers: { B: [1, 2] } },
+    { cardId: 'c2', status: 'purchased', roomId: 'main', owner: 'u1', pricePaid: '5000000', purchasedAt: new Date('2026-01-02'), tags: ['vip'] },
+    { cardId: 'c3', status: 'won', owner: 'u1', pricePaid: '2500000', purchasedAt: new Date('2026-01-03') },
+    { cardId: 'c4', status: 'purchased', roomId: 'side', owner: 'u2', pricePaid: '5000000', purchasedAt: new Date('2026-01-04') },
+  ]);
+});
+
+const ids = docs => docs.map(doc => doc.cardId);
+
+describe('queries', () => {
+  test('equality, $in, $ne and $or', async () => {
+    assert.deepEqual(ids(await cards.find({ status: { $in: ['purchased', 'won'] } }).then(c => c.toArray())), ['c2', 'c3', 'c4']);
+    assert.deepEqual(ids(await cards.find({ owner: 'u1', status: { $ne: 'won' } }).then(c => c.toArray())), ['c2']);
+    assert.deepEqual(ids(await cards.find({ $or: [{ roomId: 'side' }, { status: 'available' }] }).then(c => c.toArray())), ['c1', 'c4']);
+  });
+
+  test('range operators on dates', async () => {
+    const found = await cards.find({ purchasedAt: { $gt: new Date('2026-01-02'), $lte: new Date('2026-01-04') } }).then(c => c.toArray());
+    assert.deepEqual(ids(found), ['c3', 'c4']);
+    const before = await cards.find({ purchasedAt: { $gte: new Date('2026-01-02'), $lt: new Date('2026-01-03') } }).then(c => c.toArray());
+    assert.deepEqual(ids(before), ['c2']);
+  });
+
+  test('$exists, null and missing fields', async () => {
+    assert.deepEqual(ids(await cards.find({ roomId: { $exists: false } }).then(c => c.toArray())), ['c3']);
+    assert.deepEqual(ids(await cards.find({ owner: null }).then(c => c.toArray())), ['c1']);
+  });
+
+  test('$regex with $options, array elements and dotted paths', async () => {
+    assert.deepEqual(ids(await cards.find({ cardId: { $regex: 'C[12]', $options: 'i' } }).then(c => c.toArray())), ['c1', 'c2']);
+    assert.deepEqual(ids(await cards.find({ tags: 'vip' }).then(c => c.toArray())), ['c2']);
+    assert.deepEqual(ids(await cards.find({ 'numbers.B': 2 }).then(c => c.toArray())), ['c1']);
+  });
+
+  test('sort, skip, limit and projection', async () => {
+    const cursor = await cards.find({ owner: { $exists: true } }, { projection: { cardId: 1, _id: 0 } });
+    const docs = await cursor.sort({ purchasedAt: -1 }).skip(1).limit(1).toArray();
+    assert.deepEqual(docs, [{ cardId: 'c3' }]);
+  });
+
+  test('countDocuments and distinct', async () => {
+    assert.equal(await cards.countDocuments({ owner: 'u1' }), 2);
+    assert.deepEqual((await cards.distinct('owner', { status: { $in: ['purchased', 'won'] } })).sort(), ['u1', 'u2']);
+  });
+
+  test('unsupported operators fail loudly', async () => {
+    await assert.rejects(cards.findOne({ cardId: { $where: 'x' } }), /not supported/);
+    await assert.rejects(cards.updateOne({ cardId: 'c1' }, { $bit: { n: 1 } }), /not supported/);
+  });
+});
+
+describe('updates', () => {
+  test('$set, $unset and $inc', async () => {
+    await cards.updateOne({ cardId: 'c1' }, { $set: { status: 'reserved', 'stats.views': 1 }, $unset: { pricePaid: 1 }, $inc: { 'stats.views': 2 } });
+    const card = await cards.findOne({ cardId: 'c1' });
+    assert.equal(card.status, 'reserved');
+    assert.equal(card.stats.views, 3);
+    assert.equal('pricePaid' in card, false);
+  });
+
+  test('$push appends to a missing or existing array', async () => {
+    await cards.updateOne({ cardId: 'c1' }, { $push: { approvals: { wallet: '0xa' } } });
+    await cards.updateOne({ cardId: 'c1' }, { $push: { approvals: { wallet: '0xb' } } });
+    assert.deepEqual((await cards.findOne({ cardId: 'c1' })).approvals, [{ wallet: '0xa' }, { wallet: '0xb' }]);
+  });
+
+  test('updateMany matches every document', async () => {
+    const result = await cards.updateMany({ owner: 'u1' }, { $set: { status: 'expired' } });
+    assert.equal(result.matchedCount, 2);
+    assert.equal(await cards.countDocuments({ status: 'expired' }), 2);
+  });
+
+  test('upsert copies the filter and applies $setOnInsert once', async () => {
+    const filter = { odId: 'u9' };
+    const update = { $set: { username: 'bob' }, $setOnInsert: { createdAt: 'first' } };
+    const users = db.collection('users');
+    const inserted = await users.findOneAndUpdate(filter, update, { upsert: true, returnDocument: 'after' });
+    assert.equal(inserted.odId, 'u9');
+    assert.equal(inserted.createdAt, 'first');
+
+    await users.findOneAndUpdate(filter, { $set: { username: 'bobby' }, $setOnInsert: { createdAt: 'second' } }, { upsert: true });
+    const user = await users.findOne(filter);
+    assert.equal(user.username, 'bobby');
+    assert.equal(user.createdAt, 'first');
+  });
+
+  test('findOneAndUpdate returns the document before or after the update', async () => {
+    const before = await cards.findOneAndUpdate({ cardId: 'c1', status: 'available' }, { $set: { status: 'reserved' } });
+    assert.equal(before.status, 'available');
+    // The guard fails now: conditional updates claim a document only once
+    assert.equal(await cards.findOneAndUpdate({ cardId: 'c1', status: 'available' }, { $set: { status: 'reserved' } }), null);
+    const after = await cards.findOneAndUpdate({ cardId: 'c1' }, { $set: { status: 'purchased' } }, { returnDocument: 'after' });
+    assert.equal(after.status, 'purchased');
+  });
+
+  test('stored documents are not shared with callers', async () => {
+    const card = await cards.findOne({ cardId: 'c1' });
+    card.numbers.B.push(99);
+    assert.deepEqual((await cards.findOne({ cardId: 'c1' })).numbers.B, [1, 2]);
+  });
+});
+
+describe('aggregation', () => {
+  test('$match and $group with $sum, $toLong and $ifNull', async () => {
+    const [totals] = await cards.aggregate([
+      { $match: { owner: 'u1', status: { $in: ['purchased', 'won'] } } },
+      { $group: { _id: null, cards: { $sum: 1 }, spent: { $sum: { $toLong: { $ifNull: ['$pricePaid', '0'] } } } } },
+    ]).toArray();
+    assert.deepEqual(totals, { _id: null, cards: 2, spent: 7500000 });
+  });
+
+  test('$avg, $min and $max', async () => {
+    const winners = db.collection('winners');
+    await winners.insertMany([
+      { odId: 'u1', totalCalledNumbers: 30, wonAt: new Date('2026-01-01') },
+      { odId: 'u1', totalCalledNumbers: 50, wonAt: new Date('2026-02-01') },
+      { odId: 'u2', totalCalledNumbers: 10, wonAt: new Date('2026-03-01') },
+    ]);
+    const [stats] = await winners.aggregate([
+      { $match: { odId: 'u1' } },
+      { $group: { _id: null, count: { $sum: 1 }, averageCalls: { $avg: '$totalCalledNumbers' }, fewestCalls: { $min: '$totalCalledNumbers' }, lastWonAt: { $max: '$wonAt' } } },
+    ]).toArray();
+    assert.deepEqual(stats, { _id: null, count: 2, averageCalls: 40, fewestCalls: 30, lastWonAt: new Date('2026-02-01') });
+  });
+
+  test('an empty match yields no groups', async () => {
+    assert.deepEqual(await cards.aggregate([{ $match: { owner: 'nobody' } }, { $group: { _id: null, n: { $sum: 1 } } }]).toArray(), []);
+  });
+});
+
+describe('indexes', () => {
+  test('unique indexes reject duplicates with code 11000', async () => {
+    await cards.createIndex({ cardId: 1 }, { unique: true });
+    await assert.rejects(cards.insertOne({ cardId: 'c1' }), { code: 11000 });
+    await assert.rejects(cards.updateOne({ cardId: 'c2' }, { $set: { cardId: 'c1' } }), { code: 11000 });
+  });
+
+  test('partial unique indexes only cover matching documents', async () => {
+    const payments = db.collection('payments');
+    await payments.createIndex({ txHash: 1 }, { unique: true, partialFilterExpression: { txHash: { $exists: true } } });
+    await payments.insertMany([{ paymentId: 'p1' }, { paymentId: 'p2' }]);
+    await payments.updateOne({ paymentId: 'p1' }, { $set: { txHash: '0x1' } });
+    await assert.rejects(payments.updateOne({ paymentId: 'p2' }, { $set: { txHash: '0x1' } }), { code: 11000 });
+  });
+
+  test('TTL indexes drop expired documents', async () => {
+    const nonces = db.collection('authnonces');
+    await nonces.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await nonces.insertMany([
+      { nonce: 'old', expiresAt: new Date(Date.now() - 1000) },
+      { nonce: 'new', expiresAt: new Date(Date.now() + 60_000) },
+    ]);
+    assert.deepEqual((await nonces.find().then(c => c.toArray())).map(n => n.nonce), ['new']);
+  });
+});
+
+describe('transactions', () => {
+  test('an aborted transaction undoes its writes', async () => {
+    const client = createMemoryClient();
+    const collection = client.db().collection('cards');
+    const session = client.startSession();
+    await collection.insertOne({ cardId: 'c1', status: 'available' });
+
+    await assert.rejects(session.withTransaction(async () => {
+      await collection.updateOne({ cardId: 'c1' }, { $set: { status: 'purchased' } }, { session });
+      await collection.insertOne({ cardId: 'c2' }, { session });
+      throw new Error('payment failed');
+    }), /payment failed/);
+
+    assert.equal((await collection.findOne({ cardId: 'c1' })).status, 'available');
+    assert.equal(await collection.findOne({ cardId: 'c2' }), null);
+  });
+
+  test('a committed transaction keeps its writes', async () => {
+    const client = createMemoryClient();
+    const collection = client.db().collection('cards');
+    const session = client.startSession();
+    await session.withTransaction(async () => {
+      await collection.insertOne({ cardId: 'c1' }, { session });
+    });
+    assert.equal(await collection.countDocuments(), 1);
+  });
+});
+
+describe('through Mongoose', () => {
+  test('models, statics and sessions run on the memory client', async () => {
+    const connection = mongoose.createConnection().setClient(createMemoryClient());
+    const Ticket = connection.model('Ticket', new mongoose.Schema({
+      ticketId: { type: String, unique: true },
+      status: { type: String, default: 'open' },
+      count: { type: Number, default: 0 },
+    }));
+    await Ticket.init();
+
+    await Ticket.create({ ticketId: 't1' });
+    await assert.rejects(Ticket.create({ ticketId: 't1' }), { code: 11000 });
+
+    const updated = await Ticket.findOneAndUpdate({ ticketId: 't1' }, { $inc: { count: 2 } }, { new: true }).lean();
+    assert.equal(updated.count, 2);
+
+    const session = await connection.startSession();
+    await assert.rejects(session.withTransaction(async () => {
+      await Ticket.updateOne({ ticketId: 't1' }, { $set: { status: 'closed' } }, { session });
+      throw new Error('rollback');
+    }));
+    await session.endSession();
+    assert.equal((await Ticket.findOne({ ticketId: 't1' }).lean()).status, 'open');
+  });
+});
@@ -0,0 +1,347 @@
+/**
+ * x402 payments: Payment state machine and purchase idempotency
+ */
+
+import './helpers/setup.js';
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import payments from '../src/services/payments.js';
+import { scheduleGame, cancelSchedule } from '../src/services/gameState.js';
+import { Payment, Card, Game, PAYMENT_STATUS, GAME_STATUS, DEFAULT_ROOM_ID } from '../src/models/index.js';
+import { startPurchaseApp, createBuyer, purchase } from './helpers/purchaseApp.js';
+import { createPaymentHeader } from './helpers/x402.js';
+
+let app;
+
+before(async () => {
+  app = await startPurchaseApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+const randomNonce = () => `0x${crypto.randomBytes(32).toString('hex')}`;
+const randomPayer = () => `0x${crypto.randomBytes(20).toString('hex')}`;
+const randomTx = () => `0x${crypto.randomBytes(32).toString('hex')}`;
+
+function claimFor(fields = {}) {
+  return { payer: randomPayer(), nonce: randomNonce(), value: '5000000', unitPrice: 5, quantity: 1, userId: 'user_1', ...fields };
+}
+
+describe('Payment state machine', () => {
+  test('claims an authorization once', async () => {
+    const claim = claimFor();
+    const { payment } = await payments.claimPayment(claim);
+    assert.equal(payment.status, PAYMENT_STATUS.PENDING);
+
+    assert.deepEqual(await payments.claimPayment(claim), { error: 'AUTHORIZATION_USED' });
+    assert.deepEqual(await payments.claimPayment({ ...claim, userId: 'user_2' }), { error: 'AUTHORIZATION_USED' });
+  });
+
+  test('an Idempotency-Key pays for one authorization per user', async () => {
+    const idempotencyKey = `key-${crypto.randomUUID()}`;
+    const { payment } = await payments.claimPayment(claimFor({ idempotencyKey }));
+    assert.ok(payment);
+
+    assert.deepEqual(await payments.claimPayment(claimFor({ idempotencyKey })), { error: 'IDEMPOTENCY_KEY_IN_USE' });
+    const otherUser = await payments.claimPayment(claimFor({ idempotencyKey, userId: 'user_2' }));
+    assert.ok(otherUser.payment);
+  });
+
+  test('pending -> settled -> completed', async () => {
+    const idempotencyKey = `key-${crypto.randomUUID()}`;
+    const claim = claimFor({ idempotencyKey });
+    const { payment } = await payments.claimPayment(claim);
+
+    const txHash = randomTx();
+    const settled = await payments.markPaymentSettled(payment.paymentId, txHash);
+    assert.equal(settled.status, PAYMENT_STATUS.SETTLED);
+    assert.equal(settled.txHash, txHash);
+    // Settling again is a no-op
+    assert.equal(await payments.markPaymentSettled(payment.paymentId, randomTx()), null);
+    // A failure report after settlement does not undo it
+    await payments.markPaymentFailed(payment.paymentId, 'late');
+    assert.equal((await payments.findPayment({ payer: claim.payer, nonce: claim.nonce })).status, PAYMENT_STATUS.SETTLED);
+
+    await payments.completePayment(payment.paymentId, { success: true, cards: ['c1'] });
+    const completed = await payments.findPayment({ userId: 'user_1', idempotencyKey });
+    assert.equal(completed.status, PAYMENT_STATUS.COMPLETED);
+    assert.deepEqual(completed.response, { success: true, cards: ['c1'] });
+  });
+
+  test('a transaction settles one payment only', async () => {
+    const txHash = randomTx();
+    const first = await payments.claimPayment(claimFor());
+    const second = await payments.claimPayment(claimFor());
+
+    assert.ok(await payments.markPaymentSettled(first.payment.paymentId, txHash));
+    assert.equal(await payments.markPaymentSettled(second.payment.paymentId, txHash), null);
+  });
+
+  test('a failed payment frees its authorization and Idempotency-Key', async () => {
+    const idempotencyKey = `key-${crypto.randomUUID()}`;
+    const claim = claimFor({ idempotencyKey });
+    const { payment } = await payments.claimPayment(claim);
+
+    await payments.markPaymentFailed(payment.paymentId, 'settlement_failed');
+    assert.equal(await payments.findPayment({ payer: claim.payer, nonce: claim.nonce }), null);
+
+    // The key can pay with another authorization, and the authorization can be presented again
+    const otherClaim = await payments.claimPayment(claimFor({ idempotencyKey }));
+    assert.ok(otherClaim.payment);
+    const retry = await payments.claimPayment({ ...claim, idempotencyKey: null });
+    assert.equal(retry.payment.paymentId, payment.paymentId);
+    assert.equal(retry.payment.status, PAYMENT_STATUS.PENDING);
+    assert.equal(retry.payment.failureReason, null);
+  });
+});
+
+describe('POST /api/cards/purchase', () => {
+  async function paymentInfoFor(buyer, body = { quantity: 1 }) {
+    const required = await purchase(app.url, { token: buyer.token, body });
+    assert.equal(required.status, 402);
+    return required.data.paymentInfo;
+  }
+
+  test('a repeated payment gets the original cards without a second charge', async () => {
+    const account = privateKeyToAccount(generatePrivateKey());
+    const buyer = await createBuyer(account);
+    const payment = await createPaymentHeader(account, await paymentInfoFor(buyer));
+    const idempotencyKey = `key-${crypto.randomUUID()}`;
+
+    const first = await purchase(app.url, { token: buyer.token, payment, idempotencyKey });
+    assert.equal(first.status, 200);
+    assert.equal(first.data.cards.length, 1);
+    assert.equal(first.data.cards[0].ownerWallet, buyer.wallet);
+
+    // Same key without the payment header, and same payment header without the key
+    for (const retry of [{ idempotencyKey }, { payment }]) {
+      const replayed = await purchase(app.url, { token: buyer.token, ...retry });
+      assert.equal(replayed.status, 200);
+      assert.equal(replayed.data.replayed, true);
+      assert.deepEqual(replayed.data.cards.map(c => c.id), first.data.cards.map(c => c.id));
+    }
+
+    assert.equal(await Card.countDocuments({ owner: buyer.userId }), 1);
+    assert.equal(await Payment.countDocuments({ userId: buyer.userId }), 1);
+  });
+
+  test('a reused Idempotency-Key for another purchase is rejected', async () => {
+    const account = privateKeyToAccount(generatePrivateKey());
+    const buyer = await createBuyer(account);
+    const idempotencyKey = `key-${crypto.randomUUID()}`;
+    const payment = await createPaymentHeader(account, await paymentInfoFor(buyer));
+    assert.equal((await purchase(app.url, { token: buyer.token, payment, idempotencyKey })).status, 200);
+
+    const mismatch = await purchase(app.url, { token: buyer.token, idempotencyKey, body: { quantity: 2 } });
+    assert.equal(mismatch.status, 409);
+    assert.equal(mismatch.data.code, 'IDEMPOTENCY_MISMATCH');
+  });
+
+  test('another user cannot replay a payment', async () => {
+    const account = privateKeyToAccount(generatePrivateKey());
+    const buyer = await createBuyer(account);
+    const payment = await createPaymentHeader(account, await paymentInfoFor(buyer));
+    assert.equal((await purchase(app.url, { token: buyer.token, payment })).status, 200);
+
+    const other = await createBuyer(privateKeyToAccount(generatePrivateKey()), 'other');
+    const replay = await purchase(app.url, { token: other.token, payment });
+    assert.equal(replay.status, 409);
+    assert.equal(replay.data.code, 'IDEMPOTENCY_MISMATCH');
+  });
+
+  test('a payment still settling answers PAYMENT_IN_PROGRESS', async () => {
+    const account = privateKeyToAccount(generatePrivateKey());
+    const buyer = await createBuyer(account);
+    const idempotencyKey = `key-${crypto.randomUUID()}`;
+    await payments.claimPayment(claimFor({ payer: buyer.wallet, userId: buyer.userId, idempotencyKey }));
+
+    const retry = await purchase(app.url, { token: buyer.token, idempotencyKey });
+    assert.equal(retry.status, 409);
+    assert.equal(retry.data.code, 'PAYMENT_IN_PROGRESS');
+    assert.equal(await Card.countDocuments({ owner: buyer.userId }), 0);
+  });
+
+  test('a settled payment without cards gets them on retry', async () => {
+    const account = privateKeyToAccount(generatePrivateKey());
+    const buyer = await createBuyer(account);
+    const idempotencyKey = `key-${crypto.randomUUID()}`;
+    const { payment } = await payments.claimPayment(claimFor({ payer: buyer.wallet, userId: buyer.userId, idempotencyKey }));
+    const txHash = randomTx();
+    await payments.markPaymentSettled(payment.paymentId, txHash);
+
+    const retry = await purchase(app.url, { token: buyer.token, idempotencyKey });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.data.transaction, txHash);
+    assert.equal((await Payment.findOne({ paymentId: payment.paymentId }).lean()).status, PAYMENT_STATUS.COMPLETED);
+  });
+
+  test('an authorization cannot pay twice, but may be retried after a failed settlement', async () => {
+    const account = privateKeyToAccount(generatePrivateKey());
+    const buyer = await createBuyer(account);
+    const paymentInfo = await paymentInfoFor(buyer);
+    const nonce = randomNonce();
+
+    const failed = await createPaymentHeader(account, paymentInfo, { nonce }, { mockOutcome: 'fail-settle' });
+    const rejected = await purchase(app.url, { token: buyer.token, payment: failed });
+    assert.equal(rejected.status, 402);
+    assert.equal(await Card.countDocuments({ owner: buyer.userId }), 0);
+
+    const retried = await createPaymentHeader(account, paymentInfo, { nonce });
+    const bought = await purchase(app.url, { token: buyer.token, payment: retried });
+    assert.equal(bought.status, 200);
+
+    // Same authorization, new signature over it: already paid
+    const reused = await createPaymentHeader(account, paymentInfo, { nonce, validBefore: String(Math.floor(Date.now() / 1000) + 600) });
+    const second = await purchase(app.url, { token: buyer.token, payment: reused, body: { quantity: 1 } });
+    assert.equal(second.status, 200);
+    assert.equal(second.data.replayed, true);
+    assert.equal(await Card.countDocuments({ owner: buyer.userId }), 1);
+  });
+
+  test('rejects payments for the wrong amount before settlement', async () => {
+    const account = privateKeyToAccount(generatePrivateKey());
+    const buyer = await createBuyer(account);
+    const paymentInfo = await paymentInfoFor(buyer, { quantity: 2 });
+    const payment = await createPaymentHeader(account, { ...paymentInfo, amount: '5000000' });
+
+    const rejected = await purchase(app.url, { token: buyer.token, payment, body: { quantity: 2 } });
+    assert.equal(rejected.status, 402);
+    assert.equal(await Payment.countDocuments({ userId: buyer.userId }), 0);
+  });
+});
+
+describe('Card sale closed', () => {
+  async function paymentFor(account, buyer) {
+    const required = await purchase(app.url, { token: buyer.token });
+    assert.equal(required.status, 402);
+    return createPaymentHeader(account, required.data.paymentInfo);
+  }
+
+  async function settledWithoutCards(buyer, idempotencyKey) {
+    const { payment } = await payments.claimPayment(claimFor({ payer: buyer.wallet, userId: buyer.userId, idempotencyKey }));
+    await payments.markPaymentSettled(payment.paymentId, randomTx());
+  }
+
+  test('a purchase after the scheduled cutoff is refused before settlement', async () => {
+    const account = privateKeyToAccount(generatePrivateKey());
+    const buyer = await createBuyer(account);
+    const payment = await paymentFor(account, buyer);
+    const settledKey = `key-${crypto.randomUUID()}`;
+    await settledWithoutCards(buyer, settledKey);
+
+    const { gameId } = await scheduleGame(DEFAULT_ROOM_ID, new Date(Date.now() + 120000), 60);
+    await Game.updateOne({ gameId }, { $set: { purchaseCutoffAt: new Date(Date.now() - 1000) } });
+    try {
+      const refused = await purchase(app.url, { token: buyer.token, payment });
+      assert.equal(refused.status, 403);
+      assert.equal(refused.data.code, 'PURCHASE_CUTOFF');
+      assert.equal(await Payment.countDocuments({ userId: buyer.userId }), 1);
+
+      // A payment settled before the cutoff still gets its cards
+      const retry = await purchase(app.url, { token: buyer.token, idempotencyKey: settledKey });
+      assert.equal(retry.status, 200);
+      assert.equal(await Card.countDocuments({ owner: buyer.userId }), 1);
+    } finally {
+      await cancelSchedule(DEFAULT_ROOM_ID);
+    }
+
+    assert.equal((await purchase(app.url, { token: buyer.token, payment })).status, 200);
+  });
+
+  test('a purchase while a game is in progress is refused before settlement', async () => {
+    const account = privateKeyToAccount(generatePrivateKey());
+    const buyer = await createBuyer(account);
+    const payment = await paymentFor(account, buyer);
+    const settledKey = `key-${crypto.randomUUID()}`;
+    await settledWithoutCards(buyer, settledKey);
+
+    const game = await Game.findActive(DEFAULT_ROOM_ID);
+    await Game.updateOne({ gameId: game.gameId }, { $set: { status: GAME_STATUS.PLAYING } });
+    try {
+      const refused = await purchase(app.url, { token: buyer.token, payment });
+      assert.equal(refused.status, 403);
+      assert.equal(refused.data.code, 'GAME_IN_PROGRESS');
+      assert.equal(await Payment.countDocuments({ userId: buyer.userId }), 1);
+
+      assert.equal((await purchase(app.url, { token: buyer.token, idempotencyKey: settledKey })).status, 200);
+    } finally {
+      await Game.updateOne({ gameId: game.gameId }, { $set: { status: GAME_STATUS.WAITING } });
+    }
+  });
+});
+
+describe('Unconfirmed payments', () => {
+  // A claim whose settle never answered, older than the pending TTL (15 minutes)
+  async function unconfirmedPayment(buyer, idempotencyKey) {
+    const { payment } = await payments.claimPayment(claimFor({ payer: buyer.wallet, userId: buyer.userId, idempotencyKey }));
+    await Payment.updateOne({ paymentId: payment.paymentId }, { $set: { claimedAt: new Date(Date.now() - 16 * 60 * 1000) } });
+    return payment;
+  }
+
+  test('are listed for admins once the pending TTL has passed', async () => {
+    const buyer = await createBuyer(privateKeyToAccount(generatePrivateKey()));
+    const fresh = await payments.claimPayment(claimFor({ userId: buyer.userId }));
+    const stale = await unconfirmedPayment(buyer, null);
+
+    const listed = (await payments.listUnconfirmedPayments()).map(p => p.paymentId);
+    assert.ok(listed.includes(stale.paymentId));
+    assert.ok(!listed.includes(fresh.payment.paymentId));
+    await assert.rejects(payments.resolvePayment(fresh.payment.paymentId, {}), { code: 'PAYMENT_NOT_UNCONFIRMED' });
+    await assert.rejects(payments.resolvePayment('missing', {}), { code: 'PAYMENT_NOT_FOUND' });
+  });
+
+  test('a retry is told the payment is under review', async () => {
+    const buyer = await createBuyer(privateKeyToAccount(generatePrivateKey()));
+    const idempotencyKey = `key-${crypto.randomUUID()}`;
+    await unconfirmedPayment(buyer, idempotencyKey);
+
+    const retry = await purchase(app.url, { token: buyer.token, idempotencyKey });
+    assert.equal(retry.status, 409);
+    assert.equal(retry.data.code, 'PAYMENT_UNCONFIRMED');
+  });
+
+  test('resolved as settled, the retry gets the cards', async () => {
+    const buyer = await createBuyer(privateKeyToAccount(generatePrivateKey()));
+    const idempotencyKey = `key-${crypto.randomUUID()}`;
+    const payment = await unconfirmedPayment(buyer, idempotencyKey);
+    const txHash = randomTx();
+
+    const resolved = await payments.resolvePayment(payment.paymentId, { txHash, resolvedBy: '0xadmin' });
+    assert.equal(resolved.status, PAYMENT_STATUS.SETTLED);
+    assert.equal(resolved.resolvedBy, '0xadmin');
+    await assert.rejects(payments.resolvePayment(payment.paymentId, { txHash }), { code: 'PAYMENT_NOT_UNCONFIRMED' });
+
+    const retry = await purchase(app.url, { token: buyer.token, idempotencyKey });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.data.transaction, txHash);
+    assert.equal(await Card.countDocuments({ owner: buyer.userId }), 1);
+  });
+
+  test('resolved as failed, the buyer may pay again', async () => {
+    const buyer = await createBuyer(privateKeyToAccount(generatePrivateKey()));
+    const idempotencyKey = `key-${crypto.randomUUID()}`;
+    const payment = await unconfirmedPayment(buyer, idempotencyKey);
+
+    const resolved = await payments.resolvePayment(payment.paymentId, { resolvedBy: '0xadmin' });
+    assert.equal(resolved.status, PAYMENT_STATUS.FAILED);
+    assert.equal(resolved.failureReason, 'not_settled');
+
+    const retry = await purchase(app.url, { token: buyer.token, idempotencyKey });
+    assert.equal(retry.status, 402);
+    assert.ok(retry.data.paymentInfo);
+  });
+
+  test('a transaction already recorded cannot settle another payment', async () => {
+    const buyer = await createBuyer(privateKeyToAccount(generatePrivateKey()));
+    const settled = await payments.claimPayment(claimFor());
+    const txHash = randomTx();
+    await payments.markPaymentSettled(settled.payment.paymentId, txHash);
+    const payment = await unconfirmedPayment(buyer, null);
+
+    await assert.rejects(payments.resolvePayment(payment.paymentId, { txHash }), { code: 'TX_ALREADY_USED' });
+  });
+});
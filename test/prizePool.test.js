@@ -0,0 +1,82 @@
+/**
+ * Prize pool split: fees, per-winner prizes and stage shares
+ */
+
+import './helpers/setup.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { addAmounts, calculatePrizeDistribution, calculateStageGross } from '../src/services/prizePool.js';
+
+const FEES = { houseFeeBps: 1000, daoFeeBps: 500 };
+
+function total(distribution) {
+  return BigInt(distribution.houseFee) + BigInt(distribution.daoFee)
+    + BigInt(distribution.prizePerWinner) * BigInt(distribution.winnersCount);
+}
+
+describe('calculatePrizeDistribution', () => {
+  test('takes the fees off the gross for a single winner', () => {
+    assert.deepEqual(calculatePrizeDistribution('100000000', 1, FEES), {
+      gross: '100000000',
+      houseFee: '10000000',
+      daoFee: '5000000',
+      net: '85000000',
+      winnersCount: 1,
+      prizePerWinner: '85000000',
+      houseFeeBps: 1000,
+      daoFeeBps: 500,
+    });
+  });
+
+  test('gives the division dust to the house', () => {
+    const distribution = calculatePrizeDistribution('100', 3, FEES);
+    // net 85 = 3 x 28 + 1
+    assert.equal(distribution.prizePerWinner, '28');
+    assert.equal(distribution.net, '84');
+    assert.equal(distribution.houseFee, '11');
+    assert.equal(distribution.daoFee, '5');
+    assert.equal(total(distribution), 100n);
+  });
+
+  test('rounds the fees down and never loses an atomic unit', () => {
+    for (const [gross, winners] of [['1', 1], ['999', 7], ['123456789', 4], ['5000001', 2]]) {
+      const distribution = calculatePrizeDistribution(gross, winners, FEES);
+      assert.equal(total(distribution), BigInt(gross), `${gross} / ${winners}`);
+    }
+    assert.equal(calculatePrizeDistribution('999', 1, FEES).houseFee, '99');
+  });
+
+  test('counts at least one winner and treats an empty pool as zero', () => {
+    assert.equal(calculatePrizeDistribution('1000', 0, FEES).winnersCount, 1);
+    const empty = calculatePrizeDistribution(null, 2, FEES);
+    assert.equal(empty.gross, '0');
+    assert.equal(empty.prizePerWinner, '0');
+  });
+
+  test('pays the whole pool without fees', () => {
+    const distribution = calculatePrizeDistribution('10', 2, { houseFeeBps: 0, daoFeeBps: 0 });
+    assert.equal(distribution.prizePerWinner, '5');
+    assert.equal(distribution.houseFee, '0');
+  });
+});
+
+describe('calculateStageGross', () => {
+  test('allocates each stage its share and the dust to the last stage', () => {
+    const shares = [3333, 3333, 3334];
+    const stages = shares.map((_, i) => calculateStageGross('1000', shares, i));
+    assert.deepEqual(stages, ['333', '333', '334']);
+
+    const uneven = [2500, 2500, 5000].map((_, i, all) => calculateStageGross('999', all, i));
+    assert.deepEqual(uneven, ['249', '249', '501']);
+    assert.equal(uneven.reduce((sum, a) => sum + BigInt(a), 0n), 999n);
+  });
+
+  test('gives the whole pool to a single stage', () => {
+    assert.equal(calculateStageGross('12345', [10000], 0), '12345');
+  });
+});
+
+test('addAmounts adds atomic amounts as strings', () => {
+  assert.equal(addAmounts('900000000000000000000', 100), '900000000000000000100');
+  assert.equal(addAmounts(null, '5'), '5');
+});
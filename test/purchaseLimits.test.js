@@ -0,0 +1,157 @@
+/**
+ * Responsible gaming: purchase caps, cooling-off on raised caps and self-exclusion
+ */
+
+import './helpers/setup.js';
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { Card, Payment, User, DEFAULT_ROOM_ID } from '../src/models/index.js';
+import purchaseLimits from '../src/services/purchaseLimits.js';
+import { startPurchaseApp, createBuyer, purchase } from './helpers/purchaseApp.js';
+import { createPaymentHeader } from './helpers/x402.js';
+
+let app;
+
+before(async () => {
+  app = await startPurchaseApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+async function newBuyer() {
+  const account = privateKeyToAccount(generatePrivateKey());
+  return { account, ...(await createBuyer(account)) };
+}
+
+async function buy(buyer, quantity) {
+  const body = { quantity };
+  const required = await purchase(app.url, { token: buyer.token, body });
+  if (required.status !== 402) {
+    return required;
+  }
+  const payment = await createPaymentHeader(buyer.account, required.data.paymentInfo);
+  return purchase(app.url, { token: buyer.token, payment, body });
+}
+
+const check = (buyer, quantity, unitPrice = 5) =>
+  purchaseLimits.checkPurchaseAllowed(buyer.userId, DEFAULT_ROOM_ID, quantity, unitPrice);
+
+describe('purchase caps', () => {
+  test('the per-game cap refuses the purchase before payment', async () => {
+    const buyer = await newBuyer();
+    await purchaseLimits.setUserLimits(buyer.userId, { maxCardsPerGame: 2 });
+
+    assert.equal((await buy(buyer, 2)).status, 200);
+    const refused = await buy(buyer, 1);
+    assert.equal(refused.status, 403);
+    assert.equal(refused.data.code, 'PURCHASE_LIMIT_REACHED');
+    assert.equal(refused.data.limit, 'maxCardsPerGame');
+    assert.equal(await Card.countDocuments({ owner: buyer.userId }), 2);
+    assert.equal(await Payment.countDocuments({ userId: buyer.userId }), 1);
+  });
+
+  test('the spend cap counts what was paid in the last 24 hours', async () => {
+    const buyer = await newBuyer();
+    await purchaseLimits.setUserLimits(buyer.userId, { maxSpendPerDay: 12 });
+
+    assert.equal(await check(buyer, 2), null);
+    assert.equal((await buy(buyer, 2)).status, 200);
+
+    const usage = await purchaseLimits.getPurchaseUsage(buyer.userId, DEFAULT_ROOM_ID);
+    assert.equal(usage.cardsToday, 2);
+    assert.equal(usage.spentToday, 10);
+    assert.equal((await check(buyer, 1)).limit, 'maxSpendPerDay');
+    assert.equal(await check(buyer, 1, 2), null);
+  });
+
+  test('refunded cards do not count', async () => {
+    const buyer = await newBuyer();
+    await purchaseLimits.setUserLimits(buyer.userId, { maxCardsPerWeek: 1 });
+    assert.equal((await buy(buyer, 1)).status, 200);
+    assert.equal((await check(buyer, 1)).limit, 'maxCardsPerWeek');
+
+    await Card.updateMany({ owner: buyer.userId }, { $set: { status: 'refunded' } });
+    assert.equal(await check(buyer, 1), null);
+  });
+
+  test('the stricter of the user and operator caps applies', async () => {
+    const buyer = await newBuyer();
+    await purchaseLimits.setUserLimits(buyer.userId, { maxCardsPerDay: 5 });
+    await purchaseLimits.setAdminLimits(buyer.userId, { maxCardsPerDay: 3 });
+
+    const status = await purchaseLimits.getLimitsStatus(buyer.userId, DEFAULT_ROOM_ID);
+    assert.equal(status.effectiveLimits.maxCardsPerDay, 3);
+    assert.equal(status.effectiveLimits.maxCardsPerGame, 100);
+    assert.equal((await check(buyer, 4)).limit, 'maxCardsPerDay');
+    assert.equal(await check(buyer, 3), null);
+
+    await purchaseLimits.setAdminLimits(buyer.userId, { maxCardsPerDay: null });
+    assert.equal(await check(buyer, 5), null);
+    assert.equal((await check(buyer, 6)).limit, 'maxCardsPerDay');
+  });
+});
+
+describe('setUserLimits', () => {
+  test('tightens at once and raises after the cooling-off period', async () => {
+    const buyer = await newBuyer();
+    const tightened = await purchaseLimits.setUserLimits(buyer.userId, { maxCardsPerDay: 2 });
+    assert.deepEqual(tightened.applied, { maxCardsPerDay: 2 });
+
+    const raised = await purchaseLimits.setUserLimits(buyer.userId, { maxCardsPerDay: 10, maxSpendPerWeek: 50 });
+    assert.deepEqual(raised.applied, { maxSpendPerWeek: 50 });
+    assert.deepEqual(raised.pending, { maxCardsPerDay: 10 });
+    assert.ok(raised.effectiveAt > new Date(Date.now() + 23 * 60 * 60 * 1000));
+    assert.equal((await check(buyer, 3)).limit, 'maxCardsPerDay');
+
+    await User.updateOne({ odId: buyer.userId }, { $set: { 'pendingLimits.effectiveAt': new Date(Date.now() - 1000) } });
+    assert.equal(await check(buyer, 3), null);
+    const status = await purchaseLimits.getLimitsStatus(buyer.userId, DEFAULT_ROOM_ID);
+    assert.equal(status.limits.maxCardsPerDay, 10);
+    assert.equal(status.pendingLimits, null);
+  });
+
+  test('removing a cap waits, and a stricter cap cancels the pending change', async () => {
+    const buyer = await newBuyer();
+    await purchaseLimits.setUserLimits(buyer.userId, { maxCardsPerWeek: 4 });
+
+    const removed = await purchaseLimits.setUserLimits(buyer.userId, { maxCardsPerWeek: null });
+    assert.deepEqual(removed.pending, { maxCardsPerWeek: null });
+
+    const stricter = await purchaseLimits.setUserLimits(buyer.userId, { maxCardsPerWeek: 3 });
+    assert.deepEqual(stricter.applied, { maxCardsPerWeek: 3 });
+    assert.deepEqual(stricter.pending, {});
+    assert.equal(stricter.effectiveAt, null);
+  });
+
+  test('rejects invalid caps', async () => {
+    const buyer = await newBuyer();
+    await assert.rejects(purchaseLimits.setUserLimits(buyer.userId, { maxCards: 1 }), /Unknown limit/);
+    await assert.rejects(purchaseLimits.setUserLimits(buyer.userId, { maxCardsPerDay: 1.5 }), /non-negative integer/);
+    await assert.rejects(purchaseLimits.setUserLimits(buyer.userId, { maxSpendPerDay: -1 }), /non-negative number/);
+    await assert.rejects(purchaseLimits.setUserLimits(buyer.userId, [1]), /must be an object/);
+    await assert.rejects(purchaseLimits.setUserLimits('user_missing', {}), /User not found/);
+  });
+});
+
+describe('self-exclusion', () => {
+  test('blocks purchases until it ends or an admin lifts it', async () => {
+    const buyer = await newBuyer();
+    const until = await purchaseLimits.selfExclude(buyer.userId, 7);
+    assert.ok(until > new Date(Date.now() + 6 * 24 * 60 * 60 * 1000));
+
+    const refused = await buy(buyer, 1);
+    assert.equal(refused.status, 403);
+    assert.equal(refused.data.code, 'SELF_EXCLUDED');
+
+    // A shorter exclusion does not shorten the active one
+    assert.deepEqual(await purchaseLimits.selfExclude(buyer.userId, 1), until);
+    await assert.rejects(purchaseLimits.selfExclude(buyer.userId, 0), /days must be an integer/);
+
+    await purchaseLimits.liftSelfExclusion(buyer.userId);
+    assert.equal((await buy(buyer, 1)).status, 200);
+    await assert.rejects(purchaseLimits.liftSelfExclusion(buyer.userId), /not self-excluded/);
+  });
+});
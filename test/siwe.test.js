@@ -0,0 +1,89 @@
+/**
+ * Sign-In With Ethereum: shared message checks and single-use nonces
+ */
+
+import './helpers/setup.js';
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { createSiweMessage, generateSiweNonce } from 'viem/siwe';
+import { connectDB } from '../src/db/connection.js';
+import { verifySiweMessage } from '../shared/auth/siwe.js';
+import { issueNonce, verifySiweLogin } from '../src/services/siwe.js';
+
+const DOMAIN = 'bingo.example';
+const OPTIONS = { domain: DOMAIN, nonceTtlSeconds: 300 };
+
+const account = privateKeyToAccount(generatePrivateKey());
+
+async function signIn(fields = {}, signer = account) {
+  const message = createSiweMessage({
+    address: account.address,
+    chainId: 84532,
+    domain: DOMAIN,
+    nonce: generateSiweNonce(),
+    uri: `https://${DOMAIN}`,
+    version: '1',
+    issuedAt: new Date(),
+    ...fields,
+  });
+  return { message, signature: await signer.signMessage({ message }) };
+}
+
+describe('verifySiweMessage', () => {
+  test('returns the signer wallet, chain and nonce', async () => {
+    const nonce = generateSiweNonce();
+    const result = await verifySiweMessage(await signIn({ nonce }), OPTIONS);
+    assert.deepEqual(result, { wallet: account.address.toLowerCase(), chainId: 84532, nonce });
+  });
+
+  test('rejects a signature by another wallet', async () => {
+    const proof = await signIn({}, privateKeyToAccount(generatePrivateKey()));
+    await assert.rejects(verifySiweMessage(proof, OPTIONS), /Invalid signature/);
+  });
+
+  test('rejects a tampered message', async () => {
+    const proof = await signIn();
+    const message = proof.message.replace('Chain ID: 84532', 'Chain ID: 1');
+    await assert.rejects(verifySiweMessage({ ...proof, message }, OPTIONS), /Invalid signature/);
+  });
+
+  test('rejects a message for another domain', async () => {
+    const proof = await signIn({ domain: 'evil.example' });
+    await assert.rejects(verifySiweMessage(proof, OPTIONS), /another domain/);
+  });
+
+  test('rejects an expired or stale message', async () => {
+    const expired = await signIn({ expirationTime: new Date(Date.now() - 1000) });
+    await assert.rejects(verifySiweMessage(expired, OPTIONS), /expired/);
+
+    const stale = await signIn({ issuedAt: new Date(Date.now() - 301 * 1000) });
+    await assert.rejects(verifySiweMessage(stale, OPTIONS), /issuedAt is out of range/);
+  });
+
+  test('rejects malformed input', async () => {
+    await assert.rejects(verifySiweMessage({}, OPTIONS), /message is required/);
+    await assert.rejects(verifySiweMessage({ message: 'hello', signature: 'nope' }, OPTIONS), /signature format/);
+    await assert.rejects(verifySiweMessage({ message: 'hello', signature: '0x00' }, OPTIONS), /Invalid SIWE message/);
+  });
+});
+
+describe('verifySiweLogin', () => {
+  before(async () => {
+    await connectDB();
+  });
+
+  test('accepts an issued nonce once', async () => {
+    const { nonce, domain } = await issueNonce();
+    const proof = await signIn({ nonce, domain });
+
+    const { wallet } = await verifySiweLogin(proof);
+    assert.equal(wallet, account.address.toLowerCase());
+    await assert.rejects(verifySiweLogin(proof), /Invalid or expired nonce/);
+  });
+
+  test('rejects a nonce the server did not issue', async () => {
+    const { domain } = await issueNonce();
+    await assert.rejects(verifySiweLogin(await signIn({ domain })), /Invalid or expired nonce/);
+  });
+});